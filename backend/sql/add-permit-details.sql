@@ -0,0 +1,21 @@
+-- ========================================
+-- Permit Application Details
+-- ========================================
+-- Purpose: Add valuation, square footage, parcel number, applicant role,
+-- owner, contractor, work classes and per-type custom fields to permits
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Permits"
+  ADD COLUMN IF NOT EXISTS "valuation" DECIMAL(12, 2),
+  ADD COLUMN IF NOT EXISTS "squareFootage" INTEGER,
+  ADD COLUMN IF NOT EXISTS "parcelNumber" VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS "applicantRole" VARCHAR(255) NOT NULL DEFAULT 'owner',
+  ADD COLUMN IF NOT EXISTS "owner" JSONB,
+  ADD COLUMN IF NOT EXISTS "contractor" JSONB,
+  ADD COLUMN IF NOT EXISTS "workClasses" JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS "customFields" JSONB NOT NULL DEFAULT '{}';
+
+COMMIT;
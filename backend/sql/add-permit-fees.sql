@@ -0,0 +1,34 @@
+-- ========================================
+-- Permit Fees
+-- ========================================
+-- Purpose: Let payments be applied against itemized permit fees and move
+-- permit type fee lists onto dated fee schedules
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Payments"
+  ADD COLUMN IF NOT EXISTS allocations JSONB NOT NULL DEFAULT '[]';
+
+-- Fee lists entered before fee schedules ([{ code, name, amount }]) become
+-- one schedule of flat fees, in effect from the day the type was created
+UPDATE "PermitTypes"
+SET fee_schedule = jsonb_build_array(jsonb_build_object(
+  'effectiveFrom', to_char("createdAt", 'YYYY-MM-DD'),
+  'fees', (
+    SELECT jsonb_agg(
+      fee || jsonb_build_object(
+        'type', 'flat',
+        'code', COALESCE(fee->>'code', 'fee_' || position)
+      )
+      ORDER BY position
+    )
+    FROM jsonb_array_elements(fee_schedule) WITH ORDINALITY AS fees (fee, position)
+  )
+))
+WHERE jsonb_typeof(fee_schedule) = 'array'
+  AND jsonb_array_length(fee_schedule) > 0
+  AND NOT (fee_schedule->0 ? 'effectiveFrom');
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- ========================================
+-- Permit Issuance
+-- ========================================
+-- Purpose: Add conditions of approval and issue/expiry dates to permits
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Permits"
+  ADD COLUMN IF NOT EXISTS "conditions" JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS "issuedAt" TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS "expiresAt" TIMESTAMP WITH TIME ZONE;
+
+-- Permits issued before this change: the last update is the best issue date known
+UPDATE "Permits"
+SET "issuedAt" = "updatedAt"
+WHERE "status" = 'issued' AND "issuedAt" IS NULL;
+
+COMMIT;
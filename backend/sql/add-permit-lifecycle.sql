@@ -0,0 +1,28 @@
+-- ========================================
+-- Permit Lifecycle
+-- ========================================
+-- Purpose: Move permits off statuses that are no longer part of the
+-- permit lifecycle (draft, submitted, under_review, needs_info, approved,
+-- rejected, issued, expired, revoked, closed)
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+-- on_hold (status route) and needs_revision (failed inspections) both
+-- waited on the applicant
+UPDATE "Permits"
+SET status = 'needs_info'
+WHERE status IN ('on_hold', 'needs_revision');
+
+UPDATE "Permits"
+SET status = 'submitted'
+WHERE status IS NULL OR status = 'pending';
+
+COMMIT;
+
+-- Any permit listed here still has a status the lifecycle does not know
+SELECT id, "permitNumber", status
+FROM "Permits"
+WHERE status NOT IN ('draft', 'submitted', 'under_review', 'needs_info', 'approved',
+                     'rejected', 'issued', 'expired', 'revoked', 'closed');
@@ -0,0 +1,18 @@
+-- ========================================
+-- Sub-workflows
+-- ========================================
+-- Purpose: Link executions started by a subworkflow step to the
+-- execution that started them
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "WorkflowExecutions"
+  ADD COLUMN IF NOT EXISTS parent_execution_id UUID
+  REFERENCES "WorkflowExecutions" (id);
+
+CREATE INDEX IF NOT EXISTS workflow_executions_parent_execution_id
+  ON "WorkflowExecutions" (parent_execution_id);
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- ========================================
+-- Task Hand-off History
+-- ========================================
+-- Purpose: Track claims, releases, reassignments, delegations and
+-- out-of-office reroutes of workflow tasks
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Tasks"
+  ADD COLUMN IF NOT EXISTS history JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- ========================================
+-- Workflows for Non-Permit Entities
+-- ========================================
+-- Purpose: Link tasks to the entity their workflow runs on
+-- (grant applications, contacts, public comments as well as permits)
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Tasks"
+  ADD COLUMN IF NOT EXISTS related_entity VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS related_entity_id UUID;
+
+-- Existing workflow tasks are all about permits
+UPDATE "Tasks"
+SET related_entity = 'permit', related_entity_id = permit_id
+WHERE related_entity IS NULL AND permit_id IS NOT NULL;
+
+UPDATE "WorkflowExecutions"
+SET related_entity = 'permit', related_entity_id = permit_id
+WHERE related_entity IS NULL AND permit_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS tasks_related_entity_related_entity_id
+  ON "Tasks" (related_entity, related_entity_id);
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- ========================================
+-- Workflow Versioning
+-- ========================================
+-- Purpose: Add root_workflow_id so every version of a workflow can be grouped
+-- Safe to run multiple times
+-- ========================================
+
+BEGIN;
+
+ALTER TABLE "Workflows"
+  ADD COLUMN IF NOT EXISTS root_workflow_id UUID;
+
+-- Existing workflows are version 1 of their own family
+UPDATE "Workflows"
+SET root_workflow_id = id
+WHERE root_workflow_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS workflows_root_workflow_id_version
+  ON "Workflows" (root_workflow_id, version);
+
+COMMIT;
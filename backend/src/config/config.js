@@ -100,6 +100,51 @@ module.exports = {
     confidence: parseFloat(process.env.OCR_CONFIDENCE) || 0.7
   },
 
+  // Workflow Engine Configuration
+  workflow: {
+    schedulerEnabled: process.env.WORKFLOW_SCHEDULER_ENABLED !== 'false', // Default true
+    schedulerIntervalMs: parseInt(process.env.WORKFLOW_SCHEDULER_INTERVAL_MS) || 60 * 1000, // 1 minute
+    jobQueueEnabled: process.env.WORKFLOW_JOB_QUEUE_ENABLED !== 'false', // Default true
+    jobPollIntervalMs: parseInt(process.env.WORKFLOW_JOB_POLL_INTERVAL_MS) || 5 * 1000, // 5 seconds
+    jobMaxAttempts: parseInt(process.env.WORKFLOW_JOB_MAX_ATTEMPTS) || 5,
+    jobBackoffMs: parseInt(process.env.WORKFLOW_JOB_BACKOFF_MS) || 30 * 1000, // First retry delay, doubled each attempt
+    jobLockTimeoutMs: parseInt(process.env.WORKFLOW_JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000, // Requeue jobs stuck running this long
+    httpTimeoutMs: parseInt(process.env.WORKFLOW_HTTP_TIMEOUT_MS) || 10 * 1000, // Default timeout of HTTP request steps
+    // Credentials HTTP request steps reference as {{ secrets.NAME }}, from WORKFLOW_SECRET_<NAME>
+    secrets: Object.fromEntries(
+      Object.entries(process.env)
+        .filter(([key]) => key.startsWith('WORKFLOW_SECRET_') && !key.endsWith('_HOST'))
+        .map(([key, value]) => [key.slice('WORKFLOW_SECRET_'.length), value])
+    ),
+    // Hosts each secret may be sent to, from WORKFLOW_SECRET_<NAME>_HOST (comma-separated)
+    secretHosts: Object.fromEntries(
+      Object.entries(process.env)
+        .filter(([key]) => key.startsWith('WORKFLOW_SECRET_') && key.endsWith('_HOST'))
+        .map(([key, value]) => [
+          key.slice('WORKFLOW_SECRET_'.length, -'_HOST'.length),
+          value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+        ])
+    )
+  },
+
+  // Business calendar used when no BusinessCalendar is marked as default
+  calendar: {
+    timeZone: process.env.BUSINESS_TIME_ZONE || 'UTC',
+    workingDays: (process.env.BUSINESS_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day)), // 0 = Sunday
+    workingHours: {
+      start: process.env.BUSINESS_HOURS_START || '08:00',
+      end: process.env.BUSINESS_HOURS_END || '17:00'
+    },
+    holidays: (process.env.BUSINESS_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean) // YYYY-MM-DD or MM-DD
+  },
+
+  // Issued permit placards
+  permits: {
+    issuingAuthority: process.env.PERMIT_ISSUING_AUTHORITY || 'Department of Building and Safety',
+    // The placard's QR code links here, followed by the permit number
+    verifyUrl: process.env.PERMIT_VERIFY_URL || `http://localhost:${process.env.PORT || 3000}/api/permits/verify`
+  },
+
   // Frontend URL
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:8080',
 
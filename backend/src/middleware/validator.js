@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { PERMIT_STATUSES, APPLICANT_ROLES, WORK_CLASSES } = require('../models/Permit');
 
 /**
  * Middleware to handle validation errors
@@ -77,11 +78,76 @@ const validationRules = {
     .isLength({ max: 5000 })
     .withMessage('Project description cannot exceed 5000 characters'),
 
+  valuation: body(['valuation', 'estimatedCost'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 9999999999 })
+    .withMessage('Valuation must be a dollar amount of 0 or more'),
+
+  squareFootage: body('squareFootage')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Square footage must be a whole number of 0 or more'),
+
+  parcelNumber: body('parcelNumber')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[A-Za-z0-9][A-Za-z0-9 .-]{0,49}$/)
+    .withMessage('Parcel number can only contain letters, digits, spaces, dots and hyphens (50 characters at most)'),
+
+  applicantRole: body('applicantRole')
+    .optional()
+    .isIn(APPLICANT_ROLES)
+    .withMessage(`Applicant role must be one of: ${APPLICANT_ROLES.join(', ')}`),
+
+  // Owner and contractor are contact objects
+  partyObject: body(['owner', 'contractor'])
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Owner and contractor must be objects'),
+
+  partyName: body(['owner.name', 'contractor.name'])
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Owner and contractor names must be between 2 and 100 characters'),
+
+  partyEmail: body(['owner.email', 'contractor.email'])
+    .optional({ checkFalsy: true })
+    .trim()
+    .isEmail()
+    .withMessage('Owner and contractor emails must be valid email addresses'),
+
+  partyDetails: body(['owner.phone', 'owner.address', 'contractor.phone', 'contractor.company', 'contractor.licenseNumber'])
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Owner and contractor details must be text of 200 characters at most'),
+
+  workClasses: body('workClasses')
+    .optional()
+    .isArray()
+    .withMessage('Work classes must be a list')
+    .custom(classes => classes.every(workClass => WORK_CLASSES.includes(workClass)))
+    .withMessage(`Work classes must be among: ${WORK_CLASSES.join(', ')}`),
+
+  // Checked against the permit type's fields by PermitTypeService.validateApplication
+  customFields: body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('Custom fields must be an object of values by field name'),
+
   permitStatus: body('status')
     .optional()
-    .isIn(['submitted', 'under_review', 'approved', 'rejected', 'on_hold'])
+    .isIn(PERMIT_STATUSES)
     .withMessage('Invalid permit status'),
 
+  statusReason: body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters'),
+
   // UUID validation
   uuid: param('id')
     .isUUID()
@@ -106,6 +172,22 @@ const validationRules = {
     .withMessage('Search query must be between 1 and 200 characters')
 };
 
+/**
+ * Rules for the permit application details (all optional)
+ */
+const permitApplicationRules = () => [
+  validationRules.valuation,
+  validationRules.squareFootage,
+  validationRules.parcelNumber,
+  validationRules.applicantRole,
+  validationRules.partyObject,
+  validationRules.partyName,
+  validationRules.partyEmail,
+  validationRules.partyDetails,
+  validationRules.workClasses,
+  validationRules.customFields
+];
+
 /**
  * Validation chain builders for common operations
  */
@@ -132,6 +214,7 @@ const validate = {
     validationRules.applicantEmail,
     validationRules.propertyAddress,
     validationRules.projectDescription,
+    ...permitApplicationRules(),
     handleValidationErrors
   ],
 
@@ -142,7 +225,18 @@ const validate = {
     body('applicantEmail').optional().trim().isEmail(),
     body('propertyAddress').optional().trim().isLength({ min: 5, max: 500 }),
     body('projectDescription').optional().trim().isLength({ max: 5000 }),
+    ...permitApplicationRules(),
     validationRules.permitStatus,
+    validationRules.statusReason,
+    handleValidationErrors
+  ],
+
+  updatePermitStatus: [
+    validationRules.uuid,
+    body('status')
+      .isIn(PERMIT_STATUSES)
+      .withMessage(`Status must be one of: ${PERMIT_STATUSES.join(', ')}`),
+    validationRules.statusReason,
     handleValidationErrors
   ],
 
@@ -151,13 +245,49 @@ const validate = {
     handleValidationErrors
   ],
 
+  issuePermit: [
+    validationRules.uuid,
+    body('conditions')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Conditions must be a list of at most 50 conditions'),
+    body('conditions.*')
+      .isString()
+      .withMessage('Each condition must be text of up to 1000 characters')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Each condition must be text of up to 1000 characters'),
+    validationRules.statusReason,
+    handleValidationErrors
+  ],
+
+  verifyPermit: [
+    param('permitNumber')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Invalid permit number'),
+    handleValidationErrors
+  ],
+
+  waivePermitFee: [
+    validationRules.uuid,
+    param('feeId')
+      .isUUID()
+      .withMessage('Invalid fee ID format'),
+    body('reason')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('A reason of up to 1000 characters is required'),
+    handleValidationErrors
+  ],
+
   // List/search validations
   listPermits: [
     validationRules.page,
     validationRules.limit,
     query('status')
       .optional()
-      .isIn(['submitted', 'under_review', 'approved', 'rejected', 'on_hold'])
+      .isIn(PERMIT_STATUSES)
       .withMessage('Invalid status filter'),
     handleValidationErrors
   ],
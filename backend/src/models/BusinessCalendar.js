@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const BusinessCalendar = sequelize.define('BusinessCalendar', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Calendar name, usually the municipality it belongs to'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  timeZone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC',
+    field: 'time_zone',
+    comment: 'IANA time zone working hours and holidays are in (e.g. America/Chicago)'
+  },
+  workingDays: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [1, 2, 3, 4, 5],
+    field: 'working_days',
+    comment: 'Weekdays that are business days (0 = Sunday ... 6 = Saturday)'
+  },
+  workingHours: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: { start: '08:00', end: '17:00' },
+    field: 'working_hours',
+    comment: 'Opening hours of a business day: { start: "HH:MM", end: "HH:MM" }'
+  },
+  holidays: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Closed days: [{ date: "YYYY-MM-DD" | "MM-DD" (every year), name }]'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_default',
+    comment: 'Used by workflows without config.calendarId and by analytics'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'BusinessCalendars',
+  timestamps: true,
+  underscored: false,  // Use camelCase column names
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+module.exports = BusinessCalendar;
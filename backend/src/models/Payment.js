@@ -75,6 +75,12 @@ const Payment = sequelize.define('Payment', {
     defaultValue: {},
     comment: 'Additional payment metadata from processor'
   },
+  allocations: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Fee lines the payment is applied against: [{ feeId, amount }]'
+  },
   receiptUrl: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -1,6 +1,43 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/sequelize');
 
+/**
+ * Permit lifecycle statuses (see PermitLifecycleService for the transitions)
+ */
+const PERMIT_STATUSES = [
+  'draft',
+  'submitted',
+  'under_review',
+  'needs_info',
+  'approved',
+  'rejected',
+  'issued',
+  'expired',
+  'revoked',
+  'closed'
+];
+
+/**
+ * How the applicant relates to the property (anyone but the owner applies
+ * on the owner's behalf, so the owner must be given)
+ */
+const APPLICANT_ROLES = ['owner', 'contractor', 'agent', 'tenant'];
+
+/**
+ * Classes of work a permit can cover
+ */
+const WORK_CLASSES = [
+  'new_construction',
+  'addition',
+  'alteration',
+  'repair',
+  'replacement',
+  'installation',
+  'demolition',
+  'change_of_use',
+  'accessory_structure'
+];
+
 const Permit = sequelize.define('Permit', {
   id: {
     type: DataTypes.UUID,
@@ -17,7 +54,11 @@ const Permit = sequelize.define('Permit', {
   },
   status: {
     type: DataTypes.STRING,
-    defaultValue: 'submitted'
+    defaultValue: 'submitted',
+    validate: {
+      isIn: [PERMIT_STATUSES]
+    },
+    comment: 'Lifecycle status; change it through PermitLifecycleService'
   },
   applicantName: {
     type: DataTypes.STRING,
@@ -33,7 +74,99 @@ const Permit = sequelize.define('Permit', {
   },
   projectDescription: {
     type: DataTypes.TEXT
+  },
+  // Older code and workflow expressions call the project description 'description'
+  description: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      return this.getDataValue('projectDescription');
+    },
+    set(value) {
+      this.setDataValue('projectDescription', value);
+    }
+  },
+  valuation: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Declared value of the work in dollars (fees are computed from it)'
+  },
+  // Alias of valuation used by workflow conditions (permit.estimatedCost >= 50000)
+  estimatedCost: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const valuation = this.getDataValue('valuation');
+      return valuation === null || valuation === undefined ? null : Number(valuation);
+    },
+    set(value) {
+      this.setDataValue('valuation', value);
+    }
+  },
+  squareFootage: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Floor area the work covers, in square feet'
+  },
+  parcelNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Assessor parcel number of the property'
+  },
+  applicantRole: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'owner',
+    validate: {
+      isIn: [APPLICANT_ROLES]
+    },
+    comment: 'How the applicant relates to the property'
+  },
+  owner: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Property owner when not the applicant: { name, email, phone, address }'
+  },
+  contractor: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Contractor doing the work: { name, company, licenseNumber, email, phone }'
+  },
+  workClasses: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: `Classes of work covered: ${WORK_CLASSES.join(', ')}`
+  },
+  conditions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Conditions of approval printed on the permit: [text]'
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the permit was issued'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When an issued permit expires (null = does not expire)'
+  },
+  customFields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Values of the permit type\'s application fields (PermitType.fields), by field name'
   }
 });
 
 module.exports = Permit;
+module.exports.PERMIT_STATUSES = PERMIT_STATUSES;
+module.exports.APPLICANT_ROLES = APPLICANT_ROLES;
+module.exports.WORK_CLASSES = WORK_CLASSES;
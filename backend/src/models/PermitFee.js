@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+/**
+ * What a fee schedule rule charges for (see FeeService)
+ */
+const FEE_TRIGGERS = ['application', 'reinspection', 'late'];
+
+const PermitFee = sequelize.define('PermitFee', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  permitId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'permit_id',
+    references: {
+      model: 'Permits',
+      key: 'id'
+    }
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Code of the fee schedule rule that produced the line'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  trigger: {
+    type: DataTypes.ENUM(...FEE_TRIGGERS),
+    allowNull: false,
+    defaultValue: 'application',
+    comment: 'What the fee is charged for: the application, a reinspection or late payment'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Fee amount in dollars'
+  },
+  amountPaid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'amount_paid',
+    comment: 'Sum of completed payments applied to the line'
+  },
+  status: {
+    type: DataTypes.ENUM('due', 'paid', 'waived', 'void'),
+    allowNull: false,
+    defaultValue: 'due'
+  },
+  calculation: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'How the amount was worked out: rule type, inputs and schedule effective date'
+  },
+  assessedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'assessed_at'
+  },
+  assessedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'assessed_by',
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    comment: 'Null for fees assessed automatically'
+  },
+  waivedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'waived_by',
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  waiveReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'waive_reason'
+  },
+  inspectionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'inspection_id',
+    references: {
+      model: 'Inspections',
+      key: 'id'
+    },
+    comment: 'Reinspection the fee was charged for'
+  }
+}, {
+  tableName: 'PermitFees',
+  timestamps: true,
+  underscored: false,  // Use camelCase column names
+  indexes: [
+    {
+      fields: ['permit_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = PermitFee;
+module.exports.FEE_TRIGGERS = FEE_TRIGGERS;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const PermitType = sequelize.define('PermitType', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Value stored in Permit.type (lowercase, e.g. building)'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active',
+    comment: 'Inactive types accept no new applications'
+  },
+  fields: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Application fields, in the TaskFormService field format'
+  },
+  feeSchedule: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'fee_schedule',
+    comment: 'Dated fee schedules: [{ effectiveFrom, effectiveTo, fees: [rule] }] (see FeeService)'
+  },
+  requiredDocuments: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'required_documents',
+    comment: 'Documents an application must include: [{ category, name, description }]'
+  },
+  optionalDocuments: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'optional_documents',
+    comment: 'Documents an application may include: [{ category, name, description }]'
+  },
+  inspections: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Required inspections in the order they happen: [{ type, name, checklist: [{ item, category, required }] }]'
+  },
+  validityDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'validity_days',
+    comment: 'Days an issued permit stays valid (null = does not expire)'
+  },
+  defaultWorkflowId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'default_workflow_id',
+    references: {
+      model: 'Workflows',
+      key: 'id'
+    },
+    comment: 'Workflow started for submitted permits of this type when no workflow trigger matches'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'PermitTypes',
+  timestamps: true,
+  underscored: false,  // Use camelCase column names
+  indexes: [
+    {
+      unique: true,
+      fields: ['code']
+    }
+  ]
+});
+
+module.exports = PermitType;
@@ -34,6 +34,18 @@ const Task = sequelize.define('Task', {
       key: 'id'
     }
   },
+  relatedEntity: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'related_entity',
+    comment: 'Type of entity the task is about: permit, grant_application, contact, public_comment'
+  },
+  relatedEntityId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'related_entity_id',
+    comment: 'ID of related entity'
+  },
   title: {
     type: DataTypes.STRING,
     allowNull: false
@@ -118,7 +130,7 @@ const Task = sequelize.define('Task', {
     type: DataTypes.JSONB,
     allowNull: true,
     field: 'form_data',
-    comment: 'Form data submitted with task completion'
+    comment: 'Form data submitted with task completion, validated against the step formConfig'
   },
   metadata: {
     type: DataTypes.JSONB,
@@ -126,6 +138,12 @@ const Task = sequelize.define('Task', {
     defaultValue: {},
     comment: 'Additional task metadata'
   },
+  history: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Hand-offs and status changes: [{ action, from, to, by, reason, timestamp }]'
+  },
   estimatedHours: {
     type: DataTypes.DECIMAL(5, 2),
     allowNull: true,
@@ -175,6 +193,9 @@ const Task = sequelize.define('Task', {
     {
       fields: ['permit_id']
     },
+    {
+      fields: ['related_entity', 'related_entity_id']
+    },
     {
       fields: ['assigned_to']
     },
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const UserGroup = sequelize.define('UserGroup', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Group name, usable in WorkflowStep.assignedTo instead of the ID'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  memberIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'member_ids',
+    comment: 'IDs of the users in the group'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'UserGroups',
+  timestamps: true,
+  underscored: false,  // Use camelCase column names
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+module.exports = UserGroup;
@@ -27,6 +27,12 @@ const Workflow = sequelize.define('Workflow', {
     allowNull: false,
     comment: 'Workflow version for versioning'
   },
+  rootWorkflowId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'root_workflow_id',
+    comment: 'ID of version 1; shared by every version of the same workflow'
+  },
   status: {
     type: DataTypes.ENUM('draft', 'active', 'inactive', 'archived'),
     defaultValue: 'draft',
@@ -36,13 +42,13 @@ const Workflow = sequelize.define('Workflow', {
     type: DataTypes.JSONB,
     allowNull: false,
     defaultValue: {},
-    comment: 'Workflow configuration and settings'
+    comment: 'Workflow configuration and settings (entityType: permit, grant_application, contact or public_comment; defaults to permit; calendarId: BusinessCalendar for SLAs; timeoutMinutes: business minutes)'
   },
   triggerType: {
     type: DataTypes.STRING,
     allowNull: false,
     field: 'trigger_type',
-    comment: 'What triggers this workflow: manual, permit_submitted, status_change, etc.'
+    comment: 'What triggers this workflow: manual or an event type (permit_submitted, permit_status_changed, payment_completed, inspection_completed, document_uploaded, grant_application_submitted, contact_created, public_comment_submitted)'
   },
   triggerConditions: {
     type: DataTypes.JSONB,
@@ -108,6 +114,9 @@ const Workflow = sequelize.define('Workflow', {
     {
       fields: ['trigger_type']
     },
+    {
+      fields: ['root_workflow_id', 'version']
+    },
     {
       fields: ['created_by']
     },
@@ -120,4 +129,16 @@ const Workflow = sequelize.define('Workflow', {
   ]
 });
 
+// Version 1 is the root of its own version family
+Workflow.beforeValidate((workflow) => {
+  if (!workflow.rootWorkflowId) {
+    workflow.rootWorkflowId = workflow.id;
+  }
+});
+
+// Published versions are immutable; only drafts may change their steps
+Workflow.prototype.isPublished = function() {
+  return this.status !== 'draft';
+};
+
 module.exports = Workflow;
@@ -25,6 +25,16 @@ const WorkflowExecution = sequelize.define('WorkflowExecution', {
       key: 'id'
     }
   },
+  parentExecutionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'parent_execution_id',
+    references: {
+      model: 'WorkflowExecutions',
+      key: 'id'
+    },
+    comment: 'Execution whose subworkflow step started this one'
+  },
   relatedEntity: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -154,6 +164,9 @@ const WorkflowExecution = sequelize.define('WorkflowExecution', {
     {
       fields: ['permit_id']
     },
+    {
+      fields: ['parent_execution_id']
+    },
     {
       fields: ['status']
     },
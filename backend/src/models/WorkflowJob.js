@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/sequelize');
+
+const WorkflowJob = sequelize.define('WorkflowJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  workflowExecutionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'workflow_execution_id',
+    references: {
+      model: 'WorkflowExecutions',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Job handler: process_step, etc.'
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed'),
+    defaultValue: 'queued',
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Handler input, e.g. { executionId, branchId, stepId }'
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'idempotency_key',
+    comment: 'Enqueuing the same key twice returns the existing job'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false,
+    comment: 'Number of times the job has been started'
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5,
+    allowNull: false,
+    field: 'max_attempts'
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'run_at',
+    comment: 'Earliest time the job may run (pushed back between retries)'
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_at'
+  },
+  lockedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'locked_by',
+    comment: 'Worker that claimed the job'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'WorkflowJobs',
+  timestamps: true,
+  underscored: false,  // Use camelCase column names
+  indexes: [
+    {
+      fields: ['status', 'run_at']
+    },
+    {
+      fields: ['workflow_execution_id']
+    },
+    {
+      unique: true,
+      fields: ['idempotency_key']
+    }
+  ]
+});
+
+module.exports = WorkflowJob;
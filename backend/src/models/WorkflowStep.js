@@ -46,13 +46,13 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     type: DataTypes.ENUM('user', 'role', 'group', 'auto'),
     allowNull: true,
     field: 'assignment_type',
-    comment: 'How tasks are assigned'
+    comment: 'Candidate pool for tasks; config.assignmentStrategy picks from it (see TaskAssignmentService)'
   },
   assignedTo: {
     type: DataTypes.JSONB,
     allowNull: true,
     field: 'assigned_to',
-    comment: 'User IDs, role names, or group IDs for assignment'
+    comment: 'User IDs, role names, or UserGroup IDs/names for assignment'
   },
   requiredApprovals: {
     type: DataTypes.INTEGER,
@@ -64,7 +64,7 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     type: DataTypes.INTEGER,
     allowNull: true,
     field: 'timeout_duration',
-    comment: 'Timeout in minutes for this step'
+    comment: 'Timeout in business minutes for this step (see BusinessCalendarService)'
   },
   timeoutAction: {
     type: DataTypes.ENUM('escalate', 'auto_approve', 'auto_reject', 'notify'),
@@ -104,7 +104,7 @@ const WorkflowStep = sequelize.define('WorkflowStep', {
     type: DataTypes.JSONB,
     allowNull: true,
     field: 'form_config',
-    comment: 'Configuration for forms/inputs required in this step'
+    comment: 'Form completed with the step\'s tasks: { fields: [...] } (see taskFormService)'
   }
 }, {
   tableName: 'WorkflowSteps',
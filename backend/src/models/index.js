@@ -16,6 +16,11 @@ const Workflow = require('./Workflow');
 const WorkflowStep = require('./WorkflowStep');
 const WorkflowExecution = require('./WorkflowExecution');
 const Task = require('./Task');
+const WorkflowJob = require('./WorkflowJob');
+const UserGroup = require('./UserGroup');
+const BusinessCalendar = require('./BusinessCalendar');
+const PermitType = require('./PermitType');
+const PermitFee = require('./PermitFee');
 const Contact = require('./Contact');
 const ContactInteraction = require('./ContactInteraction');
 const Grant = require('./Grant');
@@ -150,6 +155,16 @@ Task.belongsTo(Permit, {
   as: 'permit'
 });
 
+// Permit has many PermitFees (assessed fee line items)
+Permit.hasMany(PermitFee, {
+  foreignKey: 'permitId',
+  as: 'fees'
+});
+PermitFee.belongsTo(Permit, {
+  foreignKey: 'permitId',
+  as: 'permit'
+});
+
 // ============================================================================
 // INSPECTION RELATIONSHIPS
 // ============================================================================
@@ -252,6 +267,16 @@ WorkflowExecution.belongsTo(WorkflowStep, {
   as: 'currentStep'
 });
 
+// WorkflowExecution has child executions (subworkflow steps)
+WorkflowExecution.hasMany(WorkflowExecution, {
+  foreignKey: 'parentExecutionId',
+  as: 'childExecutions'
+});
+WorkflowExecution.belongsTo(WorkflowExecution, {
+  foreignKey: 'parentExecutionId',
+  as: 'parentExecution'
+});
+
 // WorkflowExecution has many Tasks
 WorkflowExecution.hasMany(Task, {
   foreignKey: 'workflowExecutionId',
@@ -262,6 +287,16 @@ Task.belongsTo(WorkflowExecution, {
   as: 'workflowExecution'
 });
 
+// WorkflowExecution has many WorkflowJobs
+WorkflowExecution.hasMany(WorkflowJob, {
+  foreignKey: 'workflowExecutionId',
+  as: 'jobs'
+});
+WorkflowJob.belongsTo(WorkflowExecution, {
+  foreignKey: 'workflowExecutionId',
+  as: 'workflowExecution'
+});
+
 // ============================================================================
 // TASK RELATIONSHIPS
 // ============================================================================
@@ -300,6 +335,42 @@ Task.belongsTo(Task, {
   as: 'parentTask'
 });
 
+// ============================================================================
+// USER GROUP RELATIONSHIPS
+// ============================================================================
+
+// UserGroup belongs to User (created by)
+UserGroup.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// ============================================================================
+// BUSINESS CALENDAR RELATIONSHIPS
+// ============================================================================
+
+// BusinessCalendar belongs to User (created by)
+BusinessCalendar.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// ============================================================================
+// PERMIT TYPE CATALOG RELATIONSHIPS
+// ============================================================================
+
+// PermitType belongs to Workflow (default workflow)
+PermitType.belongsTo(Workflow, {
+  foreignKey: 'defaultWorkflowId',
+  as: 'defaultWorkflow'
+});
+
+// PermitType belongs to User (created by)
+PermitType.belongsTo(User, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
 // ============================================================================
 // CONTACT RELATIONSHIPS (CRM)
 // ============================================================================
@@ -646,6 +717,11 @@ module.exports = {
   WorkflowStep,
   WorkflowExecution,
   Task,
+  WorkflowJob,
+  UserGroup,
+  BusinessCalendar,
+  PermitType,
+  PermitFee,
   Contact,
   ContactInteraction,
   Grant,
@@ -4,6 +4,7 @@ const config = require('../config/config');
 const { Permit, User } = require('../models');
 const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const PermitTypeService = require('../services/permitTypeService');
 
 /**
  * @route   POST /api/ai/chat
@@ -77,7 +78,7 @@ router.post('/classify-permit',
         });
       }
 
-      const classification = await aiService.classifyPermit(description, additionalInfo);
+      const classification = await aiService.classifyPermit(description, additionalInfo, await PermitTypeService.getActiveTypes());
 
       res.json({
         success: true,
@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config/config');
+const { BusinessCalendar, Workflow, sequelize } = require('../models');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { auditSensitiveOperation } = require('../middleware/auditLog');
+const BusinessCalendarService = require('../services/businessCalendarService');
+
+const CALENDAR_FIELDS = ['name', 'description', 'timeZone', 'workingDays', 'workingHours', 'holidays', 'isDefault'];
+
+/**
+ * Only one calendar can be the default; marking one clears the others
+ */
+async function saveCalendar(calendar, data, transaction) {
+  if (data.isDefault) {
+    await BusinessCalendar.update({ isDefault: false }, {
+      where: { isDefault: true },
+      transaction
+    });
+  }
+
+  return calendar
+    ? await calendar.update(data, { transaction })
+    : await BusinessCalendar.create(data, { transaction });
+}
+
+/**
+ * @route   GET /api/calendars
+ * @desc    Get business calendars used for SLAs
+ * @access  Private (Admin/Staff)
+ */
+router.get('/',
+  authMiddleware,
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      const calendars = await BusinessCalendar.findAll({
+        order: [['isDefault', 'DESC'], ['name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        calendars,
+        // What workflows without a calendar use while no calendar is the default
+        fallback: calendars.some(calendar => calendar.isDefault)
+          ? null
+          : BusinessCalendarService.describe(BusinessCalendarService.normalize({ name: 'Default', ...config.calendar }))
+      });
+    } catch (error) {
+      console.error('Get business calendars error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch business calendars',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/calendars/:id/calculate
+ * @desc    Preview SLA arithmetic on a calendar ('default' for the default calendar)
+ *          Query: from (defaults to now) and one of businessDays, businessMinutes or to
+ * @access  Private (Admin/Staff)
+ */
+router.get('/:id/calculate',
+  authMiddleware,
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      if (req.params.id !== 'default' && !await BusinessCalendar.findByPk(req.params.id)) {
+        return res.status(404).json({
+          error: 'Business calendar not found'
+        });
+      }
+
+      const calendar = await BusinessCalendarService.getCalendar(req.params.id === 'default' ? null : req.params.id);
+      const { businessDays, businessMinutes, to } = req.query;
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+
+      if (isNaN(from.getTime()) || (to && isNaN(new Date(to).getTime()))) {
+        return res.status(400).json({
+          error: 'from and to must be dates'
+        });
+      }
+
+      let result;
+      if (businessDays !== undefined) {
+        result = { dueDate: BusinessCalendarService.addBusinessDays(from, Number(businessDays), calendar) };
+      } else if (businessMinutes !== undefined) {
+        result = { dueDate: BusinessCalendarService.addBusinessMinutes(from, Number(businessMinutes), calendar) };
+      } else if (to) {
+        result = {
+          businessMinutes: BusinessCalendarService.businessMinutesBetween(from, new Date(to), calendar),
+          businessDays: BusinessCalendarService.businessDaysBetween(from, new Date(to), calendar)
+        };
+      } else {
+        return res.status(400).json({
+          error: 'One of businessDays, businessMinutes or to is required'
+        });
+      }
+
+      res.json({
+        success: true,
+        calendar: BusinessCalendarService.describe(calendar),
+        from,
+        isWorkingTime: BusinessCalendarService.isWorkingTime(from, calendar),
+        nextWorkingTime: BusinessCalendarService.nextWorkingTime(from, calendar),
+        ...result
+      });
+    } catch (error) {
+      console.error('Calculate business time error:', error);
+
+      res.status(500).json({
+        error: 'Failed to calculate business time',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/calendars/:id
+ * @desc    Get a business calendar
+ * @access  Private (Admin/Staff)
+ */
+router.get('/:id',
+  authMiddleware,
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      const calendar = await BusinessCalendar.findByPk(req.params.id);
+
+      if (!calendar) {
+        return res.status(404).json({
+          error: 'Business calendar not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        calendar
+      });
+    } catch (error) {
+      console.error('Get business calendar error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch business calendar',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/calendars
+ * @desc    Create a business calendar (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('CREATE_CALENDAR'),
+  async (req, res) => {
+    try {
+      const data = {};
+      CALENDAR_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      });
+
+      if (!data.name) {
+        return res.status(400).json({
+          error: 'Name is required'
+        });
+      }
+
+      const errors = BusinessCalendarService.validate(data);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid business calendar',
+          details: errors
+        });
+      }
+
+      const calendar = await sequelize.transaction(transaction =>
+        saveCalendar(null, { ...data, createdBy: req.user.id }, transaction)
+      );
+
+      console.log(`✅ Business calendar created: ${calendar.name} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Business calendar created successfully',
+        calendar
+      });
+    } catch (error) {
+      console.error('Create business calendar error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to create business calendar',
+          message: 'A calendar with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create business calendar',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/calendars/:id
+ * @desc    Update a business calendar (admin only)
+ *          Due dates already set are not recalculated.
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('UPDATE_CALENDAR'),
+  async (req, res) => {
+    try {
+      const calendar = await BusinessCalendar.findByPk(req.params.id);
+
+      if (!calendar) {
+        return res.status(404).json({
+          error: 'Business calendar not found'
+        });
+      }
+
+      const updateData = {};
+      CALENDAR_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      });
+
+      if (updateData.name === '') {
+        return res.status(400).json({
+          error: 'Name cannot be empty'
+        });
+      }
+
+      const errors = BusinessCalendarService.validate(updateData);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid business calendar',
+          details: errors
+        });
+      }
+
+      await sequelize.transaction(transaction => saveCalendar(calendar, updateData, transaction));
+
+      console.log(`✅ Business calendar updated: ${calendar.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Business calendar updated successfully',
+        calendar
+      });
+    } catch (error) {
+      console.error('Update business calendar error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to update business calendar',
+          message: 'A calendar with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update business calendar',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/calendars/:id
+ * @desc    Delete a business calendar that no workflow uses (admin only)
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('DELETE_CALENDAR'),
+  async (req, res) => {
+    try {
+      const calendar = await BusinessCalendar.findByPk(req.params.id);
+
+      if (!calendar) {
+        return res.status(404).json({
+          error: 'Business calendar not found'
+        });
+      }
+
+      const workflowCount = await Workflow.count({
+        where: { config: { calendarId: calendar.id } }
+      });
+
+      if (workflowCount > 0) {
+        return res.status(409).json({
+          error: 'Failed to delete business calendar',
+          message: `${workflowCount} workflow(s) use this calendar`
+        });
+      }
+
+      await calendar.destroy();
+
+      console.log(`✅ Business calendar deleted: ${calendar.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Business calendar deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete business calendar error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delete business calendar',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+module.exports = router;
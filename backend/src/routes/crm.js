@@ -6,6 +6,8 @@ const { Contact, ContactInteraction, User } = require('../models');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
 const CRMService = require('../services/crmService');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 /**
  * @route   GET /api/crm/contacts
@@ -117,6 +119,15 @@ router.post('/contacts',
         message: 'Contact created successfully',
         contact
       });
+
+      // Trigger CRM follow-up workflows
+      eventBus.publish(EVENTS.CONTACT_CREATED, {
+        entity: contact,
+        entityType: 'contact',
+        entityId: contact.id,
+        actorId: req.user.id,
+        data: { contactType: contact.contactType, source: contact.source }
+      }).catch(err => console.error('Workflow trigger error:', err));
     } catch (error) {
       console.error('Create contact error:', error);
 
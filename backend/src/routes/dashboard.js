@@ -930,8 +930,10 @@ router.get('/export/permits',
         'applicantName',
         'applicantEmail',
         'propertyAddress',
-        'description',
-        'estimatedCost',
+        'parcelNumber',
+        'projectDescription',
+        'valuation',
+        'squareFootage',
         'createdAt',
         'updatedAt'
       ]);
@@ -11,6 +11,8 @@ const { auditSensitiveOperation } = require('../middleware/auditLog');
 const NotificationService = require('../services/notificationService');
 const ocrService = require('../services/ocrService');
 const DocumentService = require('../services/documentService');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 /**
  * @route   GET /api/documents
@@ -288,6 +290,18 @@ router.post('/upload',
           .catch(err => console.error('Failed to send document upload notification:', err));
       }
 
+      // Trigger workflows subscribed to uploads
+      eventBus.publish(EVENTS.DOCUMENT_UPLOADED, {
+        permit,
+        actorId: req.user.id,
+        data: {
+          documentId: document.id,
+          category: document.category,
+          fileType: document.fileType,
+          inspectionId: document.inspectionId
+        }
+      }).catch(err => console.error('Workflow trigger error:', err));
+
       // Trigger OCR processing in background (don't await)
       processDocumentOCR(document)
         .catch(err => console.error('Background OCR processing failed:', err));
@@ -376,8 +390,8 @@ router.get('/requirements/:permitType', async (req, res) => {
   try {
     const { permitType } = req.params;
 
-    const required = DocumentService.getRequiredDocuments(permitType);
-    const optional = DocumentService.getOptionalDocuments(permitType);
+    const required = await DocumentService.getRequiredDocuments(permitType);
+    const optional = await DocumentService.getOptionalDocuments(permitType);
 
     res.json({
       success: true,
@@ -6,6 +6,8 @@ const { Grant, GrantApplication, User } = require('../models');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
 const GrantService = require('../services/grantService');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 /**
  * @route   GET /api/grants
@@ -532,6 +534,14 @@ router.post('/applications/:id/submit',
         message: 'Application submitted successfully',
         application: submittedApplication
       });
+
+      eventBus.publish(EVENTS.GRANT_APPLICATION_SUBMITTED, {
+        entity: submittedApplication,
+        entityType: 'grant_application',
+        entityId: submittedApplication.id,
+        actorId: req.user.id,
+        data: { grantId: submittedApplication.grantId }
+      }).catch(err => console.error('Workflow trigger error:', err));
     } catch (error) {
       console.error('Submit application error:', error);
 
@@ -7,6 +7,8 @@ const { authMiddleware, requireRole } = require('../middleware/auth');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
 const NotificationService = require('../services/notificationService');
 const InspectionService = require('../services/inspectionService');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 /**
  * @route   GET /api/inspections
@@ -151,6 +153,16 @@ router.post('/',
         });
       }
 
+      if (scheduledDate) {
+        const dateError = await InspectionService.checkScheduledDate(new Date(scheduledDate));
+        if (dateError) {
+          return res.status(400).json({
+            error: 'Invalid scheduled date',
+            message: dateError
+          });
+        }
+      }
+
       // Verify inspector exists if specified
       let inspector = null;
       if (inspectorId) {
@@ -234,6 +246,20 @@ router.put('/:id',
         });
       }
 
+      // Only a new date is checked, so inspections booked before the calendar changed can still be edited
+      const rescheduled = req.body.scheduledDate &&
+        new Date(req.body.scheduledDate).getTime() !== new Date(inspection.scheduledDate).getTime();
+
+      if (rescheduled) {
+        const dateError = await InspectionService.checkScheduledDate(new Date(req.body.scheduledDate));
+        if (dateError) {
+          return res.status(400).json({
+            error: 'Invalid scheduled date',
+            message: dateError
+          });
+        }
+      }
+
       await inspection.update({
         ...req.body,
         updatedBy: req.user.id
@@ -315,7 +341,16 @@ router.patch('/:id/complete',
           .catch(err => console.error('Failed to send inspection completion notification:', err));
       }
 
-      // TODO: Update permit status based on inspection result
+      // Trigger workflows that act on inspection results (e.g. permit status updates)
+      eventBus.publish(EVENTS.INSPECTION_COMPLETED, {
+        permit: inspection.permit,
+        actorId: req.user.id,
+        data: {
+          inspectionId: inspection.id,
+          inspectionType: inspection.type,
+          result: inspection.result
+        }
+      }).catch(err => console.error('Workflow trigger error:', err));
     } catch (error) {
       console.error('Complete inspection error:', error);
 
@@ -376,11 +411,11 @@ router.delete('/:id',
  * @desc    Get inspection checklist template
  * @access  Public
  */
-router.get('/checklist/:permitType/:inspectionType', (req, res) => {
+router.get('/checklist/:permitType/:inspectionType', async (req, res) => {
   try {
     const { permitType, inspectionType } = req.params;
 
-    const checklist = InspectionService.getChecklist(permitType, inspectionType);
+    const checklist = await InspectionService.getChecklist(permitType, inspectionType);
 
     res.json({
       success: true,
@@ -403,11 +438,11 @@ router.get('/checklist/:permitType/:inspectionType', (req, res) => {
  * @desc    Get required inspection types for permit type
  * @access  Public
  */
-router.get('/required/:permitType', (req, res) => {
+router.get('/required/:permitType', async (req, res) => {
   try {
     const { permitType } = req.params;
 
-    const requiredInspections = InspectionService.getRequiredInspections(permitType);
+    const requiredInspections = await InspectionService.getRequiredInspections(permitType);
 
     res.json({
       success: true,
@@ -565,6 +600,14 @@ router.post('/:id/reinspect',
         });
       }
 
+      const dateError = await InspectionService.checkScheduledDate(new Date(scheduledDate));
+      if (dateError) {
+        return res.status(400).json({
+          error: 'Invalid scheduled date',
+          message: dateError
+        });
+      }
+
       const reinspection = await InspectionService.scheduleReinspection(req.params.id, {
         scheduledDate: new Date(scheduledDate),
         createdBy: req.user.id
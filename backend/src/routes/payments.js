@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const config = require('../config/config');
-const { Payment, Permit, User } = require('../models');
+const { Payment, Permit, User, sequelize } = require('../models');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
 const NotificationService = require('../services/notificationService');
+const FeeService = require('../services/feeService');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 /**
  * @route   GET /api/payments
@@ -124,6 +127,11 @@ router.get('/:id', authMiddleware, async (req, res) => {
 /**
  * @route   POST /api/payments
  * @desc    Create a payment (initiate payment process)
+ *          For permits with assessed fees the payment goes to the fee lines
+ *          in feeIds (default: every line still due). Its amount defaults to
+ *          what they owe; a smaller amount is a partial payment that pays
+ *          the oldest lines first. Staff can take payments of any amount on
+ *          permits without fees.
  * @access  Private
  */
 router.post('/',
@@ -134,6 +142,7 @@ router.post('/',
       const {
         permitId,
         amount,
+        feeIds,
         paymentType,
         paymentMethod,
         description
@@ -155,15 +164,49 @@ router.post('/',
         });
       }
 
+      const { fees } = await FeeService.getPermitFees(permit.id);
+      let paymentAmount = amount;
+      let allocations = [];
+
+      if (fees.length > 0) {
+        const payable = await FeeService.getPayableFees(permit.id, Array.isArray(feeIds) ? feeIds : null);
+
+        if (payable.length === 0) {
+          return res.status(400).json({
+            error: 'No fees due',
+            message: 'The selected fees are already paid or waived'
+          });
+        }
+
+        const amountDue = Number(payable.reduce((sum, entry) => sum + entry.remaining, 0).toFixed(2));
+        paymentAmount = amount === undefined ? amountDue : Number(Number(amount).toFixed(2));
+
+        if (!(paymentAmount > 0) || paymentAmount > amountDue) {
+          return res.status(400).json({
+            error: 'Invalid amount',
+            message: `The amount must be more than $0.00 and at most the $${amountDue.toFixed(2)} the selected fees come to`,
+            amountDue
+          });
+        }
+
+        allocations = FeeService.allocatePayment(payable, paymentAmount);
+      } else if (req.user.role === 'citizen') {
+        return res.status(400).json({
+          error: 'No fees due',
+          message: 'No fees have been assessed on this permit'
+        });
+      }
+
       // Create payment record
       const payment = await Payment.create({
         permitId,
         userId: req.user.id,
-        amount,
+        amount: paymentAmount,
         currency: 'USD',
         status: 'pending',
         paymentMethod,
-        paymentType,
+        paymentType: paymentType || 'permit_fee',
+        allocations,
         description: description || `Payment for permit ${permit.permitNumber}`,
         metadata: {
           initiatedBy: req.user.email,
@@ -182,7 +225,8 @@ router.post('/',
           amount: payment.amount,
           currency: payment.currency,
           status: payment.status,
-          paymentType: payment.paymentType
+          paymentType: payment.paymentType,
+          allocations: payment.allocations
         }
       });
 
@@ -232,21 +276,30 @@ router.patch('/:id/process',
         });
       }
 
-      // Update payment as completed
-      await payment.update({
-        status: 'completed',
-        transactionId: transactionId || `TXN-${Date.now()}`,
-        paymentProcessor: paymentProcessor || 'manual',
-        paidAt: new Date(),
-        metadata: {
-          ...payment.metadata,
-          processedBy: req.user.email,
-          processedAt: new Date()
-        }
+      // Complete the payment and pay off the fee lines it was made for
+      // together, so a failure leaves the payment open to be processed again
+      const { unapplied } = await sequelize.transaction(async (transaction) => {
+        await payment.update({
+          status: 'completed',
+          transactionId: transactionId || `TXN-${Date.now()}`,
+          paymentProcessor: paymentProcessor || 'manual',
+          paidAt: new Date(),
+          metadata: {
+            ...payment.metadata,
+            processedBy: req.user.email,
+            processedAt: new Date()
+          }
+        }, { transaction });
+
+        return FeeService.applyPayment(payment, { transaction });
       });
 
       console.log(`✅ Payment processed: ${payment.id} - ${payment.receiptNumber}`);
 
+      if (unapplied > 0) {
+        console.warn(`⚠️  $${unapplied.toFixed(2)} of payment ${payment.receiptNumber} was not applied to any fee`);
+      }
+
       res.json({
         success: true,
         message: 'Payment processed successfully',
@@ -259,7 +312,18 @@ router.patch('/:id/process',
           .catch(err => console.error('Failed to send payment notification:', err));
       }
 
-      // TODO: Update permit status if applicable
+      // Trigger workflows waiting on payment (e.g. to move the permit forward)
+      eventBus.publish(EVENTS.PAYMENT_COMPLETED, {
+        permit: payment.permit,
+        actorId: req.user.id,
+        data: {
+          paymentId: payment.id,
+          amount: payment.amount,
+          paymentType: payment.paymentType,
+          receiptNumber: payment.receiptNumber
+        }
+      }).catch(err => console.error('Workflow trigger error:', err));
+
       // TODO: Send receipt to user
     } catch (error) {
       console.error('Process payment error:', error);
@@ -312,16 +376,21 @@ router.patch('/:id/refund',
         });
       }
 
-      await payment.update({
-        status: 'refunded',
-        refundAmount: amount,
-        refundReason: refundReason || 'Refund requested',
-        refundedAt: new Date(),
-        metadata: {
-          ...payment.metadata,
-          refundedBy: req.user.email,
-          refundedAt: new Date()
-        }
+      // Refund the payment and reopen the fee lines it takes back together
+      await sequelize.transaction(async (transaction) => {
+        await payment.update({
+          status: 'refunded',
+          refundAmount: amount,
+          refundReason: refundReason || 'Refund requested',
+          refundedAt: new Date(),
+          metadata: {
+            ...payment.metadata,
+            refundedBy: req.user.email,
+            refundedAt: new Date()
+          }
+        }, { transaction });
+
+        await FeeService.reversePayment(payment, Number(amount), { transaction });
       });
 
       console.log(`✅ Payment refunded: ${payment.id} - Amount: $${amount}`);
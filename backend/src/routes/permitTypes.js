@@ -0,0 +1,327 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const { PermitType, Permit } = require('../models');
+const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
+const { auditSensitiveOperation } = require('../middleware/auditLog');
+const PermitTypeService = require('../services/permitTypeService');
+const FeeService = require('../services/feeService');
+
+const PERMIT_TYPE_FIELDS = [
+  'code', 'name', 'description', 'isActive', 'fields', 'feeSchedule', 'requiredDocuments',
+  'optionalDocuments', 'inspections', 'validityDays', 'defaultWorkflowId'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Find a permit type by ID or code
+ */
+function findPermitType(idOrCode) {
+  return UUID_PATTERN.test(idOrCode)
+    ? PermitType.findByPk(idOrCode)
+    : PermitTypeService.findByCode(idOrCode);
+}
+
+/**
+ * Count the permits of a type
+ * Permit.type may be entered as 'Business License' for the business_license
+ * code; ILIKE ignores case and '_' matches the space.
+ */
+function countPermits(code) {
+  return Permit.count({ where: { type: { [Op.iLike]: code } } });
+}
+
+/**
+ * Copy the catalog fields out of a request body
+ */
+function pickPermitTypeFields(body) {
+  const data = {};
+  PERMIT_TYPE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * @route   GET /api/permit-types
+ * @desc    Get the permit type catalog
+ *          Query: includeInactive=true (staff/admin) to list closed types too
+ * @access  Public
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const isStaff = ['staff', 'admin'].includes(req.user?.role);
+    const where = isStaff && req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const permitTypes = await PermitType.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      permitTypes
+    });
+  } catch (error) {
+    console.error('Get permit types error:', error);
+
+    res.status(500).json({
+      error: 'Failed to fetch permit types',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/permit-types/:id
+ * @desc    Get a permit type by ID or code
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const permitType = await findPermitType(req.params.id);
+
+    if (!permitType) {
+      return res.status(404).json({
+        error: 'Permit type not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      permitType
+    });
+  } catch (error) {
+    console.error('Get permit type error:', error);
+
+    res.status(500).json({
+      error: 'Failed to fetch permit type',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/permit-types/:id/fees/quote
+ * @desc    Estimate the application fees of a permit type
+ *          Body: attributes (permit attributes such as valuation), date
+ *          (application date, default today)
+ * @access  Public
+ */
+router.post('/:id/fees/quote', async (req, res) => {
+  try {
+    const permitType = await findPermitType(req.params.id);
+
+    if (!permitType) {
+      return res.status(404).json({
+        error: 'Permit type not found'
+      });
+    }
+
+    const { attributes = {}, date } = req.body;
+    const applicationDate = date ? new Date(date) : new Date();
+
+    if (Number.isNaN(applicationDate.getTime()) || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      return res.status(400).json({
+        error: 'Invalid quote request',
+        message: 'attributes must be an object and date a valid date'
+      });
+    }
+
+    const quote = await FeeService.quote(permitType.code, attributes, applicationDate);
+
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Quote permit fees error:', error);
+
+    res.status(500).json({
+      error: 'Failed to quote permit fees',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/permit-types
+ * @desc    Add a permit type to the catalog (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('CREATE_PERMIT_TYPE'),
+  async (req, res) => {
+    try {
+      const data = pickPermitTypeFields(req.body);
+
+      if (!data.code || !data.name) {
+        return res.status(400).json({
+          error: 'Code and name are required'
+        });
+      }
+
+      const errors = PermitTypeService.validate(data);
+      const workflowError = await PermitTypeService.checkDefaultWorkflowId(data.defaultWorkflowId);
+      if (workflowError) errors.push(workflowError);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid permit type',
+          details: errors
+        });
+      }
+
+      const permitType = await PermitType.create({ ...data, createdBy: req.user.id });
+
+      console.log(`✅ Permit type created: ${permitType.code} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Permit type created successfully',
+        permitType
+      });
+    } catch (error) {
+      console.error('Create permit type error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to create permit type',
+          message: 'A permit type with this code already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create permit type',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/permit-types/:id
+ * @desc    Update a permit type (admin only)
+ *          Changes apply to existing permits of the type as well, except
+ *          checklists of inspections already created. The code cannot
+ *          change while permits use it.
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('UPDATE_PERMIT_TYPE'),
+  async (req, res) => {
+    try {
+      const permitType = await findPermitType(req.params.id);
+
+      if (!permitType) {
+        return res.status(404).json({
+          error: 'Permit type not found'
+        });
+      }
+
+      const updateData = pickPermitTypeFields(req.body);
+
+      const errors = PermitTypeService.validate(updateData);
+      const workflowError = await PermitTypeService.checkDefaultWorkflowId(updateData.defaultWorkflowId);
+      if (workflowError) errors.push(workflowError);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid permit type',
+          details: errors
+        });
+      }
+
+      if (updateData.code && updateData.code !== permitType.code) {
+        const permitCount = await countPermits(permitType.code);
+
+        if (permitCount > 0) {
+          return res.status(409).json({
+            error: 'Failed to update permit type',
+            message: `${permitCount} permit(s) use code ${permitType.code}`
+          });
+        }
+      }
+
+      await permitType.update(updateData);
+
+      console.log(`✅ Permit type updated: ${permitType.code} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Permit type updated successfully',
+        permitType
+      });
+    } catch (error) {
+      console.error('Update permit type error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to update permit type',
+          message: 'A permit type with this code already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update permit type',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/permit-types/:id
+ * @desc    Delete a permit type no permit uses (admin only); deactivate
+ *          types that are in use instead
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('DELETE_PERMIT_TYPE'),
+  async (req, res) => {
+    try {
+      const permitType = await findPermitType(req.params.id);
+
+      if (!permitType) {
+        return res.status(404).json({
+          error: 'Permit type not found'
+        });
+      }
+
+      const permitCount = await countPermits(permitType.code);
+
+      if (permitCount > 0) {
+        return res.status(409).json({
+          error: 'Failed to delete permit type',
+          message: `${permitCount} permit(s) use this type; set isActive to false to stop new applications`
+        });
+      }
+
+      await permitType.destroy();
+
+      console.log(`✅ Permit type deleted: ${permitType.code} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Permit type deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete permit type error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delete permit type',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,14 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { sequelize } = require('../models');
+const { sequelize, PermitFee } = require('../models');
 const config = require('../config/config');
 const Permit = require('../models/Permit');
 const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
-const NotificationService = require('../services/notificationService');
-const workflowService = require('../services/workflowService');
+const PermitLifecycleService = require('../services/permitLifecycleService');
+const PermitTypeService = require('../services/permitTypeService');
+const FeeService = require('../services/feeService');
+const PermitIssuanceService = require('../services/permitIssuanceService');
+
+// Fields PUT /api/permits/:id may change; the status moves along the lifecycle
+const EDITABLE_FIELDS = [
+  'type', 'applicantName', 'applicantEmail', 'propertyAddress', 'projectDescription', 'description',
+  'valuation', 'estimatedCost', 'squareFootage', 'parcelNumber', 'applicantRole', 'owner', 'contractor',
+  'workClasses', 'customFields'
+];
+
+// Fields only the permit lifecycle and issuance set (see POST /api/permits/:id/issue)
+const PROTECTED_FIELDS = ['permitNumber', 'conditions', 'issuedAt', 'expiresAt'];
+
+/**
+ * Respond to a status change the permit lifecycle does not allow
+ * guard names the first guard that failed; details lists all of them
+ */
+function sendStatusChangeError(res, { statusCode, message, guard, failures }) {
+  return res.status(statusCode).json({
+    error: 'Status change not allowed',
+    message,
+    guard,
+    details: failures
+  });
+}
 
 /**
  * @route   GET /api/permits
@@ -101,7 +126,7 @@ router.get('/:id', authMiddleware, validate.permitId, async (req, res) => {
 
 /**
  * @route   POST /api/permits
- * @desc    Create a new permit
+ * @desc    Create a new permit (status 'draft' saves it without submitting)
  * @access  Private (Authenticated users)
  */
 router.post('/',
@@ -110,6 +135,14 @@ router.post('/',
   auditSensitiveOperation('CREATE_PERMIT'),
   async (req, res) => {
     try {
+      const typeError = await PermitTypeService.checkApplicationType(req.body.type);
+      if (typeError) {
+        return res.status(400).json({
+          error: 'Invalid permit type',
+          message: typeError
+        });
+      }
+
       // Generate unique permit number
       const count = await Permit.count();
       const permitNumber = `PERMIT-${new Date().getFullYear()}-${String(count + 1).padStart(5, '0')}`;
@@ -122,11 +155,25 @@ router.post('/',
         permitData.applicantName = req.user.name;
       }
 
+      // Drafts may leave required details for later
+      const status = req.body.status === 'draft' ? 'draft' : 'submitted';
+      const { errors, customFields } = await PermitTypeService.validateApplication(permitData.type, permitData, {
+        partial: status === 'draft'
+      });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid permit application',
+          details: errors
+        });
+      }
+
       // Create permit
       const permit = await Permit.create({
         ...permitData,
+        customFields,
         permitNumber,
-        status: 'submitted'
+        status
       });
 
       console.log(`✅ Permit created: ${permit.permitNumber} by ${req.user.email}`);
@@ -137,9 +184,10 @@ router.post('/',
         permit
       });
 
-      // Trigger workflow for automatic processing (async, don't wait)
-      workflowService.startWorkflow(permit, 'permit_submitted')
-        .catch(err => console.error('Workflow trigger error:', err));
+      // Assess fees and trigger workflows for automatic processing (async, don't wait)
+      if (permit.status === 'submitted') {
+        PermitLifecycleService.announceSubmission(permit, { actorId: req.user.id });
+      }
     } catch (error) {
       console.error('Create permit error:', error);
 
@@ -153,7 +201,9 @@ router.post('/',
 
 /**
  * @route   PUT /api/permits/:id
- * @desc    Update permit
+ * @desc    Update permit; a status change is held to the permit lifecycle.
+ *          Issuance fields (conditions, issuedAt, expiresAt) and the permit
+ *          number are rejected; fields outside the application are ignored
  * @access  Private (Staff/Admin only for now)
  */
 router.put('/:id',
@@ -172,8 +222,74 @@ router.put('/:id',
         });
       }
 
+      const protectedFields = PROTECTED_FIELDS.filter(field => req.body[field] !== undefined);
+
+      if (protectedFields.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid permit update',
+          message: `These fields cannot be changed: ${protectedFields.join(', ')}`
+        });
+      }
+
+      const { status, reason } = req.body;
+      const updateData = Object.fromEntries(EDITABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]]));
+
+      const typeChanged = updateData.type !== undefined && updateData.type !== permit.type;
+
+      if (typeChanged) {
+        const typeError = await PermitTypeService.checkApplicationType(updateData.type);
+        if (typeError) {
+          return res.status(400).json({
+            error: 'Invalid permit type',
+            message: typeError
+          });
+        }
+      }
+
+      // Custom fields are merged into the stored ones (or replace them when
+      // the type changes) and checked against the type; completeness is
+      // checked when the permit is submitted
+      if (updateData.customFields !== undefined || typeChanged) {
+        const { errors, customFields } = await PermitTypeService.validateApplication(
+          typeChanged ? updateData.type : permit.type,
+          { customFields: { ...(typeChanged ? {} : permit.customFields), ...updateData.customFields } },
+          { partial: true }
+        );
+
+        if (errors.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid permit application',
+            details: errors
+          });
+        }
+        updateData.customFields = customFields;
+      }
+
+      const oldStatus = permit.status;
+      const statusChanged = status !== undefined && status !== oldStatus;
+
+      if (statusChanged && status === 'issued') {
+        return res.status(400).json({
+          error: 'Status change not allowed',
+          message: `Issue permits with POST /api/permits/${permit.id}/issue`
+        });
+      }
+
+      if (statusChanged) {
+        // Guards see the permit as it will be after the update
+        permit.set(updateData);
+        const check = await PermitLifecycleService.check(permit, status, { role: req.user.role, reason });
+
+        if (!check.allowed) {
+          return sendStatusChangeError(res, check);
+        }
+        updateData.status = status;
+      }
+
       // Update permit
-      await permit.update(req.body);
+      await permit.update(updateData);
 
       console.log(`✅ Permit updated: ${permit.permitNumber} by ${req.user.email}`);
 
@@ -183,8 +299,9 @@ router.put('/:id',
         permit
       });
 
-      // TODO: Send notification if status changed
-      // TODO: Trigger workflow based on status change
+      if (statusChanged) {
+        PermitLifecycleService.announce(permit, oldStatus, status, { actorId: req.user.id, reason });
+      }
     } catch (error) {
       console.error('Update permit error:', error);
 
@@ -196,19 +313,59 @@ router.put('/:id',
   }
 );
 
+/**
+ * @route   GET /api/permits/:id/transitions
+ * @desc    Get the statuses the current user can move a permit to, with the
+ *          guards that currently block each move
+ * @access  Private (Owner or staff/admin/inspector)
+ */
+router.get('/:id/transitions', authMiddleware, validate.permitId, async (req, res) => {
+  try {
+    const permit = await Permit.findByPk(req.params.id);
+
+    if (!permit) {
+      return res.status(404).json({
+        error: 'Permit not found'
+      });
+    }
+
+    if (req.user.role === 'citizen' && permit.applicantEmail !== req.user.email) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own permits'
+      });
+    }
+
+    res.json({
+      success: true,
+      status: permit.status,
+      transitions: await PermitLifecycleService.getAvailableTransitions(permit, req.user.role)
+    });
+  } catch (error) {
+    console.error('Get permit transitions error:', error);
+
+    res.status(500).json({
+      error: 'Failed to fetch permit transitions',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
 /**
  * @route   PATCH /api/permits/:id/status
- * @desc    Update permit status
- * @access  Private (Staff/Admin only)
+ * @desc    Move a permit along its lifecycle
+ *          Body: status, reason (required for needs_info, rejected and revoked)
+ *          403 when the user's role cannot make the move, 409 when the move
+ *          is not in the lifecycle or a guard fails (guard names it)
+ * @access  Private (Owner for submit/withdraw, staff/admin/inspector)
  */
 router.patch('/:id/status',
   authMiddleware,
-  requireRole('staff', 'admin', 'inspector'),
-  validate.permitId,
+  validate.updatePermitStatus,
   auditSensitiveOperation('UPDATE_PERMIT_STATUS'),
   async (req, res) => {
     try {
-      const { status } = req.body;
+      const { status, reason } = req.body;
       const permit = await Permit.findByPk(req.params.id);
 
       if (!permit) {
@@ -217,8 +374,17 @@ router.patch('/:id/status',
         });
       }
 
-      const oldStatus = permit.status;
-      await permit.update({ status });
+      if (req.user.role === 'citizen' && permit.applicantEmail !== req.user.email) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only change your own permits'
+        });
+      }
+
+      // Issuing also dates the permit and generates its placard
+      const { fromStatus: oldStatus } = status === 'issued'
+        ? await PermitIssuanceService.issue(permit, { role: req.user.role, userId: req.user.id, reason })
+        : await PermitLifecycleService.transition(permit, status, { role: req.user.role, reason });
 
       console.log(`✅ Permit status updated: ${permit.permitNumber} from ${oldStatus} to ${status} by ${req.user.email}`);
 
@@ -230,12 +396,17 @@ router.patch('/:id/status',
         newStatus: status
       });
 
-      // Send notification to applicant
-      NotificationService.notifyPermitStatusChange(permit, oldStatus, status)
-        .catch(err => console.error('Failed to send permit status notification:', err));
-
-      // TODO: Trigger workflow based on status
+      PermitLifecycleService.announce(permit, oldStatus, status, { actorId: req.user.id, reason });
     } catch (error) {
+      if (error.statusCode) {
+        return sendStatusChangeError(res, {
+          statusCode: error.statusCode,
+          message: error.message,
+          guard: error.guard,
+          failures: error.details
+        });
+      }
+
       console.error('Update permit status error:', error);
 
       res.status(500).json({
@@ -246,6 +417,276 @@ router.patch('/:id/status',
   }
 );
 
+/**
+ * @route   GET /api/permits/:id/fees
+ * @desc    Get a permit's itemized fees with totals (assessed, paid, waived, balance)
+ * @access  Private (Owner or staff/admin/inspector)
+ */
+router.get('/:id/fees', authMiddleware, validate.permitId, async (req, res) => {
+  try {
+    const permit = await Permit.findByPk(req.params.id);
+
+    if (!permit) {
+      return res.status(404).json({
+        error: 'Permit not found'
+      });
+    }
+
+    if (req.user.role === 'citizen' && permit.applicantEmail !== req.user.email) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view your own permits'
+      });
+    }
+
+    const { fees, totals } = await FeeService.getPermitFees(permit.id);
+
+    res.json({
+      success: true,
+      fees,
+      totals
+    });
+  } catch (error) {
+    console.error('Get permit fees error:', error);
+
+    res.status(500).json({
+      error: 'Failed to fetch permit fees',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/permits/:id/fees/assess
+ * @desc    Reassess a permit's application fees from its type's fee schedule
+ *          (e.g. after its valuation changed)
+ * @access  Private (Staff/Admin)
+ */
+router.post('/:id/fees/assess',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  validate.permitId,
+  auditSensitiveOperation('ASSESS_PERMIT_FEES'),
+  async (req, res) => {
+    try {
+      const permit = await Permit.findByPk(req.params.id);
+
+      if (!permit) {
+        return res.status(404).json({
+          error: 'Permit not found'
+        });
+      }
+
+      const { fees, totals } = await FeeService.assess(permit, { userId: req.user.id });
+
+      res.json({
+        success: true,
+        message: 'Fees assessed successfully',
+        fees,
+        totals
+      });
+    } catch (error) {
+      console.error('Assess permit fees error:', error);
+
+      res.status(500).json({
+        error: 'Failed to assess permit fees',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/permits/:id/fees/:feeId/waive
+ * @desc    Waive a fee that is still due
+ *          Body: reason (required)
+ * @access  Private (Admin only)
+ */
+router.post('/:id/fees/:feeId/waive',
+  authMiddleware,
+  requireRole('admin'),
+  validate.waivePermitFee,
+  auditSensitiveOperation('WAIVE_PERMIT_FEE'),
+  async (req, res) => {
+    try {
+      const fee = await PermitFee.findOne({
+        where: { id: req.params.feeId, permitId: req.params.id }
+      });
+
+      if (!fee) {
+        return res.status(404).json({
+          error: 'Fee not found'
+        });
+      }
+
+      if (fee.status !== 'due') {
+        return res.status(409).json({
+          error: 'Failed to waive fee',
+          message: `The fee is already ${fee.status}`
+        });
+      }
+
+      await FeeService.waive(fee, { userId: req.user.id, reason: req.body.reason });
+
+      res.json({
+        success: true,
+        message: 'Fee waived successfully',
+        fee
+      });
+    } catch (error) {
+      console.error('Waive permit fee error:', error);
+
+      res.status(500).json({
+        error: 'Failed to waive fee',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/permits/:id/issue
+ * @desc    Issue an approved permit: set its issue and expiry dates and store
+ *          a printable PDF placard as a document on the permit
+ *          Body: conditions (list of conditions of approval, optional), reason
+ * @access  Private (Staff/Admin)
+ */
+router.post('/:id/issue',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  validate.issuePermit,
+  auditSensitiveOperation('ISSUE_PERMIT'),
+  async (req, res) => {
+    try {
+      const { conditions, reason } = req.body;
+      const permit = await Permit.findByPk(req.params.id);
+
+      if (!permit) {
+        return res.status(404).json({
+          error: 'Permit not found'
+        });
+      }
+
+      const { fromStatus, document } = await PermitIssuanceService.issue(permit, {
+        role: req.user.role,
+        userId: req.user.id,
+        conditions,
+        reason
+      });
+
+      console.log(`✅ Permit issued: ${permit.permitNumber} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: document
+          ? 'Permit issued successfully'
+          : `Permit issued, but its placard could not be generated; retry with POST /api/permits/${permit.id}/placard`,
+        permit,
+        document
+      });
+
+      PermitLifecycleService.announce(permit, fromStatus, 'issued', { actorId: req.user.id, reason });
+    } catch (error) {
+      if (error.statusCode) {
+        return sendStatusChangeError(res, {
+          statusCode: error.statusCode,
+          message: error.message,
+          guard: error.guard,
+          failures: error.details
+        });
+      }
+
+      console.error('Issue permit error:', error);
+
+      res.status(500).json({
+        error: 'Failed to issue permit',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/permits/:id/placard
+ * @desc    Generate an issued permit's placard again (e.g. after its
+ *          inspections were recorded); earlier placards are kept
+ * @access  Private (Staff/Admin)
+ */
+router.post('/:id/placard',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  validate.permitId,
+  auditSensitiveOperation('GENERATE_PERMIT_PLACARD'),
+  async (req, res) => {
+    try {
+      const permit = await Permit.findByPk(req.params.id);
+
+      if (!permit) {
+        return res.status(404).json({
+          error: 'Permit not found'
+        });
+      }
+
+      if (permit.status !== 'issued') {
+        return res.status(409).json({
+          error: 'Failed to generate placard',
+          message: `Only issued permits have a placard; this permit is ${permit.status}`
+        });
+      }
+
+      const document = await PermitIssuanceService.storePlacard(permit, req.user.id);
+
+      console.log(`✅ Placard generated: ${permit.permitNumber} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Placard generated successfully',
+        document
+      });
+    } catch (error) {
+      console.error('Generate permit placard error:', error);
+
+      res.status(500).json({
+        error: 'Failed to generate placard',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/permits/verify/:permitNumber
+ * @desc    Check that a permit is genuine and in force (the placard's QR code
+ *          links here); shows no applicant contact details
+ * @access  Public
+ */
+router.get('/verify/:permitNumber', validate.verifyPermit, async (req, res) => {
+  try {
+    const permit = await Permit.findOne({
+      where: { permitNumber: req.params.permitNumber }
+    });
+
+    if (!permit) {
+      return res.status(404).json({
+        error: 'Permit not found',
+        message: 'No permit found with that number'
+      });
+    }
+
+    res.json({
+      success: true,
+      permit: PermitIssuanceService.describe(permit)
+    });
+  } catch (error) {
+    console.error('Verify permit error:', error);
+
+    res.status(500).json({
+      error: 'Failed to verify permit',
+      message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/permits/:id
  * @desc    Delete permit (soft delete)
@@ -398,6 +839,7 @@ router.get('/search',
             { applicantName: { [Op.iLike]: `%${q}%` } },
             { applicantEmail: { [Op.iLike]: `%${q}%` } },
             { propertyAddress: { [Op.iLike]: `%${q}%` } },
+            { parcelNumber: { [Op.iLike]: `%${q}%` } },
             { type: { [Op.iLike]: `%${q}%` } }
           ]
         },
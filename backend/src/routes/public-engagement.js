@@ -4,6 +4,8 @@ const { Op } = require('sequelize');
 const config = require('../config/config');
 const { PublicComment, TownHallMeeting, Survey, Poll, User } = require('../models');
 const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+const { EVENTS } = require('../services/eventBus');
 
 // ============================================================================
 // PUBLIC COMMENTS ROUTES
@@ -142,6 +144,15 @@ router.post('/comments', optionalAuth, async (req, res) => {
         createdAt: comment.createdAt
       }
     });
+
+    // Trigger moderation workflows
+    eventBus.publish(EVENTS.PUBLIC_COMMENT_SUBMITTED, {
+      entity: comment,
+      entityType: 'public_comment',
+      entityId: comment.id,
+      actorId: comment.userId,
+      data: { referenceType: comment.referenceType, referenceId: comment.referenceId }
+    }).catch(err => console.error('Workflow trigger error:', err));
   } catch (error) {
     console.error('Submit comment error:', error);
     res.status(500).json({
@@ -4,11 +4,12 @@ const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const { Op } = require('sequelize');
 const config = require('../config/config');
-const { User, Permit, Inspection, Document, Payment } = require('../models');
+const { User, UserGroup, Permit, Inspection, Document, Payment } = require('../models');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { upload, handleUploadError } = require('../middleware/upload');
 const { uploadLimiter } = require('../middleware/rateLimiter');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
+const TaskService = require('../services/taskService');
 
 /**
  * @route   GET /api/users/profile
@@ -143,6 +144,105 @@ router.put('/profile',
   }
 );
 
+/**
+ * @route   PUT /api/users/profile/out-of-office
+ * @desc    Set an out-of-office window; new task assignments go to the delegate
+ * @access  Private
+ */
+router.put('/profile/out-of-office',
+  authMiddleware,
+  auditSensitiveOperation('UPDATE_OUT_OF_OFFICE'),
+  async (req, res) => {
+    try {
+      const { start, end, delegateId, message } = req.body;
+
+      const errors = await TaskService.validateOutOfOffice(req.user.id, { start, end, delegateId });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid out-of-office settings',
+          details: errors
+        });
+      }
+
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const outOfOffice = {
+        start: start ? new Date(start).toISOString() : null,
+        end: end ? new Date(end).toISOString() : null,
+        delegateId: delegateId || null,
+        message: message || null
+      };
+
+      await user.update({
+        preferences: {
+          ...user.preferences,
+          outOfOffice
+        }
+      });
+
+      console.log(`🏖️  Out of office set: ${user.email}${delegateId ? ` (delegate ${delegateId})` : ''}`);
+
+      res.json({
+        success: true,
+        message: 'Out-of-office settings saved',
+        outOfOffice,
+        active: !!TaskService.getOutOfOffice(user)
+      });
+    } catch (error) {
+      console.error('Update out of office error:', error);
+
+      res.status(500).json({
+        error: 'Failed to update out-of-office settings',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/profile/out-of-office
+ * @desc    Clear the out-of-office window
+ * @access  Private
+ */
+router.delete('/profile/out-of-office',
+  authMiddleware,
+  auditSensitiveOperation('CLEAR_OUT_OF_OFFICE'),
+  async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const { outOfOffice: _cleared, ...preferences } = user.preferences || {};
+      await user.update({ preferences });
+
+      console.log(`✅ Out of office cleared: ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Out-of-office settings cleared'
+      });
+    } catch (error) {
+      console.error('Clear out of office error:', error);
+
+      res.status(500).json({
+        error: 'Failed to clear out-of-office settings',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/users/change-password
  * @desc    Change current user's password
@@ -319,6 +419,216 @@ router.get('/',
   }
 );
 
+/**
+ * Check that every group member is an existing user
+ * @returns {Promise<String|null>} Error message, or null when valid
+ */
+async function validateGroupMembers(memberIds) {
+  if (!Array.isArray(memberIds)) {
+    return 'memberIds must be a list of user IDs';
+  }
+
+  const found = await User.count({ where: { id: { [Op.in]: memberIds } } });
+  return found === new Set(memberIds).size ? null : 'memberIds contains unknown users';
+}
+
+/**
+ * @route   GET /api/users/groups
+ * @desc    Get user groups used for workflow task assignment
+ * @access  Private (Admin/Staff)
+ */
+router.get('/groups',
+  authMiddleware,
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      const groups = await UserGroup.findAll({
+        order: [['name', 'ASC']]
+      });
+
+      const memberIds = [...new Set(groups.flatMap(g => g.memberIds || []))];
+      const members = await User.findAll({
+        where: { id: { [Op.in]: memberIds } },
+        attributes: ['id', 'name', 'email', 'role', 'status']
+      });
+      const byId = new Map(members.map(m => [m.id, m]));
+
+      res.json({
+        success: true,
+        groups: groups.map(group => ({
+          ...group.toJSON(),
+          members: (group.memberIds || []).map(id => byId.get(id)).filter(Boolean)
+        }))
+      });
+    } catch (error) {
+      console.error('Get user groups error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch user groups',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/users/groups
+ * @desc    Create a user group (admin only)
+ * @access  Private (Admin)
+ */
+router.post('/groups',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('CREATE_USER_GROUP'),
+  async (req, res) => {
+    try {
+      const { name, description, memberIds = [] } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          error: 'Name is required'
+        });
+      }
+
+      const memberError = await validateGroupMembers(memberIds);
+      if (memberError) {
+        return res.status(400).json({
+          error: memberError
+        });
+      }
+
+      const group = await UserGroup.create({
+        name,
+        description,
+        memberIds: [...new Set(memberIds)],
+        createdBy: req.user.id
+      });
+
+      console.log(`✅ User group created: ${group.name} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'User group created successfully',
+        group
+      });
+    } catch (error) {
+      console.error('Create user group error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to create user group',
+          message: 'A group with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create user group',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/users/groups/:groupId
+ * @desc    Update a user group's name, description or members (admin only)
+ * @access  Private (Admin)
+ */
+router.put('/groups/:groupId',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('UPDATE_USER_GROUP'),
+  async (req, res) => {
+    try {
+      const group = await UserGroup.findByPk(req.params.groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          error: 'User group not found'
+        });
+      }
+
+      const { name, description, memberIds } = req.body;
+
+      if (memberIds !== undefined) {
+        const memberError = await validateGroupMembers(memberIds);
+        if (memberError) {
+          return res.status(400).json({
+            error: memberError
+          });
+        }
+      }
+
+      const updateData = {};
+      if (name) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (memberIds !== undefined) updateData.memberIds = [...new Set(memberIds)];
+
+      await group.update(updateData);
+
+      console.log(`✅ User group updated: ${group.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User group updated successfully',
+        group
+      });
+    } catch (error) {
+      console.error('Update user group error:', error);
+
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: 'Failed to update user group',
+          message: 'A group with this name already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update user group',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/groups/:groupId
+ * @desc    Delete a user group (admin only)
+ * @access  Private (Admin)
+ */
+router.delete('/groups/:groupId',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('DELETE_USER_GROUP'),
+  async (req, res) => {
+    try {
+      const group = await UserGroup.findByPk(req.params.groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          error: 'User group not found'
+        });
+      }
+
+      await group.destroy();
+
+      console.log(`✅ User group deleted: ${group.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User group deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete user group error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delete user group',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID (admin/staff only)
@@ -376,7 +686,13 @@ router.put('/:id',
   auditSensitiveOperation('UPDATE_USER'),
   async (req, res) => {
     try {
-      const { name, email, phone, address, status } = req.body;
+      const { name, email, phone, address, status, department, skills } = req.body;
+
+      if (skills !== undefined && (!Array.isArray(skills) || skills.some(skill => typeof skill !== 'string'))) {
+        return res.status(400).json({
+          error: 'Skills must be a list of strings'
+        });
+      }
 
       const user = await User.findByPk(req.params.id);
 
@@ -404,6 +720,15 @@ router.put('/:id',
       if (address !== undefined) updateData.address = address;
       if (status) updateData.status = status;
 
+      // Department and skills drive workflow task assignment (TaskAssignmentService)
+      if (department !== undefined || skills !== undefined) {
+        updateData.preferences = {
+          ...(user.preferences || {}),
+          ...(department !== undefined ? { department } : {}),
+          ...(skills !== undefined ? { skills } : {})
+        };
+      }
+
       await user.update(updateData);
 
       console.log(`✅ User updated: ${user.email} by ${req.user.email}`);
@@ -416,7 +741,9 @@ router.put('/:id',
           email: user.email,
           name: user.name,
           role: user.role,
-          status: user.status
+          status: user.status,
+          department: user.preferences?.department || null,
+          skills: user.preferences?.skills || []
         }
       });
     } catch (error) {
@@ -2,10 +2,61 @@ const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
 const config = require('../config/config');
-const { Workflow, WorkflowStep, WorkflowExecution, Task, Permit, User } = require('../models');
+const { Workflow, WorkflowStep, WorkflowExecution, WorkflowJob, Task, Permit, User } = require('../models');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { auditSensitiveOperation } = require('../middleware/auditLog');
 const workflowService = require('../services/workflowService');
+const WorkflowVersionService = require('../services/workflowVersionService');
+const WorkflowEntityService = require('../services/workflowEntityService');
+const WorkflowSimulationService = require('../services/workflowSimulationService');
+const WorkflowBundleService = require('../services/workflowBundleService');
+const stepTypeRegistry = require('../services/stepTypeRegistry');
+const TaskAssignmentService = require('../services/taskAssignmentService');
+const TaskService = require('../services/taskService');
+const TaskFormService = require('../services/taskFormService');
+const BusinessCalendarService = require('../services/businessCalendarService');
+const WorkflowTimelineService = require('../services/workflowTimelineService');
+
+/**
+ * Load a task that can still change hands, responding with 404/400 otherwise
+ * @returns {Promise<Object|null>} Task instance, or null if the response was sent
+ */
+async function findOpenTask(id, res) {
+  const task = await Task.findByPk(id);
+
+  if (!task) {
+    res.status(404).json({
+      error: 'Task not found'
+    });
+    return null;
+  }
+
+  if (['completed', 'cancelled'].includes(task.status)) {
+    res.status(400).json({
+      error: 'Task is already closed',
+      message: `Task is ${task.status}`
+    });
+    return null;
+  }
+
+  return task;
+}
+
+/**
+ * Respond with 409 when a published (immutable) workflow version is edited
+ * @returns {Boolean} true if the response was sent
+ */
+function rejectPublishedEdit(workflow, res) {
+  if (!workflow.isPublished()) {
+    return false;
+  }
+
+  res.status(409).json({
+    error: 'Published workflow versions are immutable',
+    message: `Version ${workflow.version} is ${workflow.status}. Create a draft with POST /api/workflows/${workflow.id}/versions, edit it, then publish it.`
+  });
+  return true;
+}
 
 /**
  * @route   GET /api/workflows
@@ -56,6 +107,117 @@ router.get('/',
   }
 );
 
+/**
+ * @route   GET /api/workflows/tasks
+ * @desc    Get tasks (from workflow executions)
+ * @access  Private
+ *
+ * Must stay above GET /:id, which would otherwise treat "tasks" as a workflow ID.
+ */
+router.get('/tasks',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const { status, scope, page = 1, limit = 10 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+
+      // Filter by assignment; scope=unassigned lists the queue tasks can be claimed from
+      if (scope === 'unassigned') {
+        where.assignedTo = null;
+      } else if (req.user.role === 'staff' || req.user.role === 'inspector') {
+        where.assignedTo = req.user.id;
+      }
+
+      if (status) {
+        where.status = status;
+      }
+
+      const { count, rows: tasks } = await Task.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Permit,
+            as: 'permit',
+            attributes: ['id', 'permitNumber', 'type', 'applicantName']
+          },
+          {
+            model: User,
+            as: 'assignee',
+            attributes: ['id', 'name', 'email']
+          },
+          {
+            model: WorkflowExecution,
+            as: 'workflowExecution',
+            attributes: ['id', 'status']
+          },
+          {
+            model: WorkflowStep,
+            as: 'workflowStep',
+            attributes: ['id', 'name', 'stepType', 'formConfig']
+          }
+        ],
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.json({
+        success: true,
+        tasks,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get tasks error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch tasks',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/workflows/step-types
+ * @desc    List registered step types with their config schemas (for the workflow builder)
+ * @access  Private (Staff/Admin)
+ *
+ * Optional ?entityType= lists only the types that can run on that entity.
+ * Must stay above GET /:id, which would otherwise treat "step-types" as a workflow ID.
+ */
+router.get('/step-types',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  async (req, res) => {
+    try {
+      const { entityType } = req.query;
+
+      if (entityType && !WorkflowEntityService.isSupported(entityType)) {
+        return res.status(400).json({
+          error: `Unsupported workflow entity type: ${entityType}`
+        });
+      }
+
+      res.json({
+        stepTypes: stepTypeRegistry.list({ entityType })
+      });
+    } catch (error) {
+      console.error('Get step types error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch step types',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/workflows/:id
  * @desc    Get single workflow with steps
@@ -106,35 +268,107 @@ router.post('/',
   auditSensitiveOperation('CREATE_WORKFLOW'),
   async (req, res) => {
     try {
-      const { name, description, permitType, trigger, steps } = req.body;
+      const { name, description, type, permitType, entityType, triggerType, triggerConditions, config: workflowConfig, steps } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          error: 'Name is required'
+        });
+      }
+
+      const stepList = Array.isArray(steps) ? steps : [];
+      const conditionErrors = stepList.flatMap((step, i) => workflowService.validateConditions(step.conditions)
+        .map(message => `Step ${i + 1}: ${message}`));
+
+      if (conditionErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step conditions',
+          details: conditionErrors
+        });
+      }
+
+      const assignmentErrors = stepList.flatMap((step, i) => TaskAssignmentService.validateStep(step)
+        .map(message => `Step ${i + 1}: ${message}`));
+
+      if (assignmentErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step assignment',
+          details: assignmentErrors
+        });
+      }
+
+      const formErrors = stepList.flatMap((step, i) => TaskFormService.validateSchema(step.formConfig)
+        .map(message => `Step ${i + 1}: ${message}`));
+
+      if (formErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step form',
+          details: formErrors
+        });
+      }
+
+      const configErrors = workflowService.validateStepConfigs(
+        stepList.map((step, i) => ({ name: step.name || `Step ${i + 1}`, stepType: step.stepType || step.type, config: step.config }))
+      );
+
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step config',
+          details: configErrors
+        });
+      }
+
+      // The entity the workflow runs on lives in config.entityType (default permit)
+      const definitionConfig = {
+        ...(workflowConfig || {}),
+        ...(entityType ? { entityType } : {})
+      };
+      const entityErrors = workflowService.validateStepEntities(
+        stepList.map((step, i) => ({ name: step.name || `Step ${i + 1}`, stepType: step.stepType || step.type })),
+        WorkflowEntityService.getWorkflowEntityType({ config: definitionConfig })
+      );
 
-      if (!name || !permitType) {
+      if (entityErrors.length > 0) {
         return res.status(400).json({
-          error: 'Name and permit type are required'
+          error: 'Unsupported step types',
+          details: entityErrors
         });
       }
 
-      // Create workflow
+      const calendarError = await BusinessCalendarService.checkCalendarId(definitionConfig.calendarId);
+      if (calendarError) {
+        return res.status(400).json({
+          error: 'Invalid business calendar',
+          message: calendarError
+        });
+      }
+
+      // New workflows start as a draft and become version 1 when published
       const workflow = await Workflow.create({
         name,
         description,
-        permitType,
-        trigger: trigger || 'permit_submitted',
-        active: true
+        type: type || 'permit_review',
+        triggerType: triggerType || req.body.trigger || 'permit_submitted',
+        triggerConditions: triggerConditions || (permitType ? { permitType } : null),
+        config: definitionConfig,
+        status: 'draft',
+        createdBy: req.user.id
       });
 
       // Create workflow steps if provided
-      if (steps && Array.isArray(steps)) {
-        for (let i = 0; i < steps.length; i++) {
-          await WorkflowStep.create({
-            workflowId: workflow.id,
-            name: steps[i].name,
-            type: steps[i].type,
-            order: i,
-            config: steps[i].config || {},
-            conditions: steps[i].conditions || null
-          });
-        }
+      for (let i = 0; i < stepList.length; i++) {
+        await WorkflowStep.create({
+          workflowId: workflow.id,
+          name: stepList[i].name,
+          stepType: stepList[i].stepType || stepList[i].type,
+          order: i,
+          config: stepList[i].config || {},
+          conditions: stepList[i].conditions || null,
+          assignmentType: stepList[i].assignmentType || null,
+          assignedTo: stepList[i].assignedTo || null,
+          requiredApprovals: stepList[i].requiredApprovals || 1,
+          formConfig: stepList[i].formConfig || null
+        });
       }
 
       // Reload with steps
@@ -164,6 +398,47 @@ router.post('/',
   }
 );
 
+/**
+ * @route   POST /api/workflows/import
+ * @desc    Import a workflow bundle (JSON, or YAML sent as text) as a new draft
+ * @access  Private (Admin)
+ */
+router.post('/import',
+  authMiddleware,
+  requireRole('admin'),
+  express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '1mb' }),
+  auditSensitiveOperation('IMPORT_WORKFLOW'),
+  async (req, res) => {
+    try {
+      const bundle = WorkflowBundleService.parse(req.body);
+      const { workflow, warnings } = await WorkflowBundleService.import(bundle, req.user.id, {
+        name: req.query.name
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Workflow imported as a draft; publish it to start using it',
+        workflow,
+        warnings
+      });
+    } catch (error) {
+      console.error('Import workflow error:', error);
+
+      if (error.details) {
+        return res.status(400).json({
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to import workflow',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
 /**
  * @route   PUT /api/workflows/:id
  * @desc    Update a workflow
@@ -183,14 +458,44 @@ router.put('/:id',
         });
       }
 
-      const { name, description, permitType, trigger, active } = req.body;
+      const { name, description, status, priority, tags } = req.body;
+
+      // Changing behaviour requires a new version; labels and activation do not
+      const definitionFields = ['type', 'triggerType', 'triggerConditions', 'config'];
+      const definitionChanges = definitionFields.filter(field => req.body[field] !== undefined);
+
+      if (definitionChanges.length > 0 && rejectPublishedEdit(workflow, res)) {
+        return;
+      }
+
+      const calendarError = await BusinessCalendarService.checkCalendarId(req.body.config?.calendarId);
+      if (calendarError) {
+        return res.status(400).json({
+          error: 'Invalid business calendar',
+          message: calendarError
+        });
+      }
+
+      if (status !== undefined && status !== workflow.status) {
+        const allowed = workflow.isPublished() ? ['active', 'inactive'] : ['draft'];
+        if (!allowed.includes(status) || workflow.status === 'archived') {
+          return res.status(400).json({
+            error: 'Invalid status change',
+            message: workflow.isPublished()
+              ? 'Published versions can only be switched between active and inactive'
+              : 'Drafts become active through POST /api/workflows/:id/publish'
+          });
+        }
+      }
 
       await workflow.update({
         name: name !== undefined ? name : workflow.name,
         description: description !== undefined ? description : workflow.description,
-        permitType: permitType !== undefined ? permitType : workflow.permitType,
-        trigger: trigger !== undefined ? trigger : workflow.trigger,
-        active: active !== undefined ? active : workflow.active
+        status: status !== undefined ? status : workflow.status,
+        priority: priority !== undefined ? priority : workflow.priority,
+        tags: tags !== undefined ? tags : workflow.tags,
+        ...Object.fromEntries(definitionChanges.map(field => [field, req.body[field]])),
+        updatedBy: req.user.id
       });
 
       console.log(`✅ Workflow updated: ${workflow.id} by ${req.user.email}`);
@@ -230,7 +535,28 @@ router.delete('/:id',
         });
       }
 
-      // Soft delete
+      // Versions with executions are archived so those executions keep their steps
+      const executionCount = await WorkflowExecution.count({
+        where: { workflowId: workflow.id }
+      });
+
+      if (executionCount > 0) {
+        await workflow.update({
+          status: 'archived',
+          archivedAt: new Date(),
+          updatedBy: req.user.id
+        });
+
+        console.log(`✅ Workflow archived: ${workflow.id} by ${req.user.email}`);
+
+        return res.json({
+          success: true,
+          message: 'Workflow has executions and was archived instead of deleted',
+          archived: true
+        });
+      }
+
+      await WorkflowStep.destroy({ where: { workflowId: workflow.id } });
       await workflow.destroy();
 
       console.log(`✅ Workflow deleted: ${workflow.id} by ${req.user.email}`);
@@ -251,13 +577,13 @@ router.delete('/:id',
 );
 
 /**
- * @route   POST /api/workflows/:id/steps
- * @desc    Add a step to a workflow
- * @access  Private (Admin)
+ * @route   GET /api/workflows/:id/versions
+ * @desc    List all versions of a workflow
+ * @access  Private (Staff/Admin)
  */
-router.post('/:id/steps',
+router.get('/:id/versions',
   authMiddleware,
-  requireRole('admin'),
+  requireRole('staff', 'admin'),
   async (req, res) => {
     try {
       const workflow = await Workflow.findByPk(req.params.id);
@@ -268,40 +594,18 @@ router.post('/:id/steps',
         });
       }
 
-      const { name, type, config, conditions, order } = req.body;
-
-      if (!name || !type) {
-        return res.status(400).json({
-          error: 'Name and type are required'
-        });
-      }
-
-      // Get current max order
-      const maxOrder = await WorkflowStep.max('order', {
-        where: { workflowId: workflow.id }
-      }) || -1;
-
-      const step = await WorkflowStep.create({
-        workflowId: workflow.id,
-        name,
-        type,
-        order: order !== undefined ? order : maxOrder + 1,
-        config: config || {},
-        conditions: conditions || null
-      });
-
-      console.log(`✅ Workflow step added: ${step.name} to workflow ${workflow.id}`);
+      const versions = await WorkflowVersionService.listVersions(workflow);
 
-      res.status(201).json({
+      res.json({
         success: true,
-        message: 'Workflow step added successfully',
-        step
+        rootWorkflowId: workflow.rootWorkflowId || workflow.id,
+        versions
       });
     } catch (error) {
-      console.error('Add workflow step error:', error);
+      console.error('Get workflow versions error:', error);
 
       res.status(500).json({
-        error: 'Failed to add workflow step',
+        error: 'Failed to fetch workflow versions',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -309,50 +613,41 @@ router.post('/:id/steps',
 );
 
 /**
- * @route   PUT /api/workflows/:workflowId/steps/:stepId
- * @desc    Update a workflow step
- * @access  Private (Admin)
+ * @route   GET /api/workflows/:id/heatmap?from=&to=
+ * @desc    Where executions of a workflow version spend time and fail, per step
+ *          (executions started in the period; defaults to the last 30 days)
+ * @access  Private (Staff/Admin)
  */
-router.put('/:workflowId/steps/:stepId',
+router.get('/:id/heatmap',
   authMiddleware,
-  requireRole('admin'),
+  requireRole('staff', 'admin'),
   async (req, res) => {
     try {
-      const step = await WorkflowStep.findOne({
-        where: {
-          id: req.params.stepId,
-          workflowId: req.params.workflowId
-        }
-      });
+      const { from, to } = req.query;
 
-      if (!step) {
-        return res.status(404).json({
-          error: 'Workflow step not found'
+      if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+        return res.status(400).json({
+          error: 'from and to must be dates'
         });
       }
 
-      const { name, type, config, conditions, order } = req.body;
-
-      await step.update({
-        name: name !== undefined ? name : step.name,
-        type: type !== undefined ? type : step.type,
-        config: config !== undefined ? config : step.config,
-        conditions: conditions !== undefined ? conditions : step.conditions,
-        order: order !== undefined ? order : step.order
-      });
+      const heatmap = await WorkflowTimelineService.getHeatmap(req.params.id, { from, to });
 
-      console.log(`✅ Workflow step updated: ${step.id}`);
+      if (!heatmap) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
 
       res.json({
         success: true,
-        message: 'Workflow step updated successfully',
-        step
+        ...heatmap
       });
     } catch (error) {
-      console.error('Update workflow step error:', error);
+      console.error('Get workflow heatmap error:', error);
 
       res.status(500).json({
-        error: 'Failed to update workflow step',
+        error: 'Failed to build workflow heatmap',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -360,25 +655,608 @@ router.put('/:workflowId/steps/:stepId',
 );
 
 /**
- * @route   DELETE /api/workflows/:workflowId/steps/:stepId
- * @desc    Delete a workflow step
- * @access  Private (Admin)
+ * @route   GET /api/workflows/:id/versions/diff?from=1&to=2
+ * @desc    Diff two versions of a workflow
+ * @access  Private (Staff/Admin)
  */
-router.delete('/:workflowId/steps/:stepId',
+router.get('/:id/versions/diff',
   authMiddleware,
-  requireRole('admin'),
+  requireRole('staff', 'admin'),
   async (req, res) => {
     try {
-      const step = await WorkflowStep.findOne({
-        where: {
-          id: req.params.stepId,
-          workflowId: req.params.workflowId
-        }
-      });
+      const { from, to } = req.query;
 
-      if (!step) {
-        return res.status(404).json({
-          error: 'Workflow step not found'
+      if (!from || !to) {
+        return res.status(400).json({
+          error: 'Query parameters "from" and "to" (version numbers) are required'
+        });
+      }
+
+      const workflow = await Workflow.findByPk(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      const diff = await WorkflowVersionService.diffVersions(workflow, from, to);
+
+      res.json({
+        success: true,
+        diff
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Failed to diff workflow versions',
+          message: error.message
+        });
+      }
+
+      console.error('Diff workflow versions error:', error);
+
+      res.status(500).json({
+        error: 'Failed to diff workflow versions',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/:id/versions
+ * @desc    Create an editable draft version from this version
+ * @access  Private (Admin)
+ */
+router.post('/:id/versions',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('CREATE_WORKFLOW_DRAFT'),
+  async (req, res) => {
+    try {
+      const workflow = await Workflow.findByPk(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      const draft = await WorkflowVersionService.createDraft(workflow, req.user.id);
+
+      console.log(`✅ Workflow draft created: ${draft.id} (v${draft.version}) by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: `Draft version ${draft.version} created`,
+        workflow: draft
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Failed to create workflow draft',
+          message: error.message
+        });
+      }
+
+      console.error('Create workflow draft error:', error);
+
+      res.status(500).json({
+        error: 'Failed to create workflow draft',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/:id/publish
+ * @desc    Publish a draft as the active version
+ * @access  Private (Admin)
+ */
+router.post('/:id/publish',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('PUBLISH_WORKFLOW'),
+  async (req, res) => {
+    try {
+      const workflow = await Workflow.findByPk(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      if (workflow.status !== 'draft') {
+        return res.status(409).json({
+          error: 'Only draft versions can be published',
+          message: `Version ${workflow.version} is already ${workflow.status}`
+        });
+      }
+
+      const published = await WorkflowVersionService.publish(workflow, req.user.id);
+
+      console.log(`✅ Workflow published: ${published.id} (v${published.version}) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Version ${published.version} published`,
+        workflow: published
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Publish workflow error:', error);
+
+      res.status(500).json({
+        error: 'Failed to publish workflow',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/:id/rollback
+ * @desc    Republish an earlier version as the new active version
+ * @access  Private (Admin)
+ */
+router.post('/:id/rollback',
+  authMiddleware,
+  requireRole('admin'),
+  auditSensitiveOperation('ROLLBACK_WORKFLOW'),
+  async (req, res) => {
+    try {
+      const { version } = req.body;
+
+      if (version === undefined || !Number.isInteger(Number(version))) {
+        return res.status(400).json({
+          error: 'Target version number is required'
+        });
+      }
+
+      const workflow = await Workflow.findByPk(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      const published = await WorkflowVersionService.rollback(workflow, version, req.user.id);
+
+      console.log(`✅ Workflow rolled back to v${version} as v${published.version} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `Version ${version} restored as version ${published.version}`,
+        workflow: published
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Failed to roll back workflow',
+          message: error.message,
+          details: error.details
+        });
+      }
+
+      console.error('Rollback workflow error:', error);
+
+      res.status(500).json({
+        error: 'Failed to roll back workflow',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/:id/simulate
+ * @desc    Dry-run a workflow against a sample permit (or other entity) without side effects
+ * @access  Private (Admin)
+ */
+router.post('/:id/simulate',
+  authMiddleware,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { permit, entity, entityId, variables, mocks, outcomes } = req.body;
+
+      for (const [name, value] of Object.entries({ permit, entity, variables, mocks, outcomes })) {
+        if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+          return res.status(400).json({
+            error: `${name} must be an object`
+          });
+        }
+      }
+
+      const workflow = await WorkflowVersionService.getWithSteps(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      const simulation = await WorkflowSimulationService.simulate(workflow, {
+        permit,
+        entity,
+        entityId,
+        variables,
+        mocks,
+        outcomes
+      });
+
+      console.log(`🧪 Workflow simulated: ${workflow.id} (${simulation.path.length} steps) by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        simulation
+      });
+    } catch (error) {
+      console.error('Simulate workflow error:', error);
+
+      if (error.details) {
+        return res.status(400).json({
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      const notFound = error.message.endsWith('not found');
+      res.status(notFound ? 404 : 500).json({
+        error: 'Failed to simulate workflow',
+        message: notFound || config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/workflows/:id/export
+ * @desc    Download a workflow version as a portable bundle (?format=json|yaml)
+ * @access  Private (Admin)
+ */
+router.get('/:id/export',
+  authMiddleware,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+
+      if (!['json', 'yaml'].includes(format)) {
+        return res.status(400).json({
+          error: 'format must be json or yaml'
+        });
+      }
+
+      const workflow = await WorkflowVersionService.getWithSteps(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      const bundle = await WorkflowBundleService.export(workflow);
+      const filename = `${workflow.name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'workflow'}-v${workflow.version}.${format}`;
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+      res.send(WorkflowBundleService.serialize(bundle, format));
+    } catch (error) {
+      console.error('Export workflow error:', error);
+
+      res.status(500).json({
+        error: 'Failed to export workflow',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/:id/steps
+ * @desc    Add a step to a workflow
+ * @access  Private (Admin)
+ */
+router.post('/:id/steps',
+  authMiddleware,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const workflow = await Workflow.findByPk(req.params.id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          error: 'Workflow not found'
+        });
+      }
+
+      if (rejectPublishedEdit(workflow, res)) {
+        return;
+      }
+
+      const {
+        name, config, conditions, order, nextStepOnSuccess, nextStepOnFailure,
+        assignmentType, assignedTo, requiredApprovals, formConfig
+      } = req.body;
+      const stepType = req.body.stepType || req.body.type;
+
+      if (!name || !stepType) {
+        return res.status(400).json({
+          error: 'Name and type are required'
+        });
+      }
+
+      const existingSteps = await WorkflowStep.findAll({
+        where: { workflowId: workflow.id }
+      });
+
+      // Get current max order
+      const maxOrder = existingSteps.reduce((max, s) => Math.max(max, s.order), -1);
+
+      const step = WorkflowStep.build({
+        workflowId: workflow.id,
+        name,
+        stepType,
+        order: order !== undefined ? order : maxOrder + 1,
+        config: config || {},
+        conditions: conditions || null,
+        nextStepOnSuccess: nextStepOnSuccess || null,
+        nextStepOnFailure: nextStepOnFailure || null,
+        assignmentType: assignmentType || null,
+        assignedTo: assignedTo || null,
+        requiredApprovals: requiredApprovals || 1,
+        formConfig: formConfig || null
+      });
+
+      const conditionErrors = workflowService.validateConditions(step.conditions);
+      if (conditionErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step conditions',
+          details: conditionErrors
+        });
+      }
+
+      const assignmentErrors = TaskAssignmentService.validateStep(step);
+      if (assignmentErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step assignment',
+          details: assignmentErrors
+        });
+      }
+
+      const formErrors = TaskFormService.validateSchema(step.formConfig);
+      if (formErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step form',
+          details: formErrors
+        });
+      }
+
+      const configErrors = workflowService.validateStepConfigs([step]);
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step config',
+          details: configErrors
+        });
+      }
+
+      const entityErrors = workflowService.validateStepEntities([step], WorkflowEntityService.getWorkflowEntityType(workflow));
+      if (entityErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Unsupported step type',
+          details: entityErrors
+        });
+      }
+
+      // Reject cycles, dangling edges and unreachable steps
+      const graphErrors = workflowService.validateStepGraph([...existingSteps, step]);
+      if (graphErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid workflow graph',
+          details: graphErrors
+        });
+      }
+
+      await step.save();
+
+      console.log(`✅ Workflow step added: ${step.name} to workflow ${workflow.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workflow step added successfully',
+        step
+      });
+    } catch (error) {
+      console.error('Add workflow step error:', error);
+
+      res.status(500).json({
+        error: 'Failed to add workflow step',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/workflows/:workflowId/steps/:stepId
+ * @desc    Update a workflow step
+ * @access  Private (Admin)
+ */
+router.put('/:workflowId/steps/:stepId',
+  authMiddleware,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const step = await WorkflowStep.findOne({
+        where: {
+          id: req.params.stepId,
+          workflowId: req.params.workflowId
+        },
+        include: [{
+          model: Workflow,
+          as: 'workflow'
+        }]
+      });
+
+      if (!step) {
+        return res.status(404).json({
+          error: 'Workflow step not found'
+        });
+      }
+
+      if (rejectPublishedEdit(step.workflow, res)) {
+        return;
+      }
+
+      const {
+        name, config, conditions, order, nextStepOnSuccess, nextStepOnFailure,
+        assignmentType, assignedTo, requiredApprovals, formConfig
+      } = req.body;
+      const stepType = req.body.stepType || req.body.type;
+
+      step.set({
+        name: name !== undefined ? name : step.name,
+        stepType: stepType !== undefined ? stepType : step.stepType,
+        config: config !== undefined ? config : step.config,
+        conditions: conditions !== undefined ? conditions : step.conditions,
+        order: order !== undefined ? order : step.order,
+        nextStepOnSuccess: nextStepOnSuccess !== undefined ? nextStepOnSuccess : step.nextStepOnSuccess,
+        nextStepOnFailure: nextStepOnFailure !== undefined ? nextStepOnFailure : step.nextStepOnFailure,
+        assignmentType: assignmentType !== undefined ? assignmentType : step.assignmentType,
+        assignedTo: assignedTo !== undefined ? assignedTo : step.assignedTo,
+        requiredApprovals: requiredApprovals !== undefined ? requiredApprovals : step.requiredApprovals,
+        formConfig: formConfig !== undefined ? formConfig : step.formConfig
+      });
+
+      const conditionErrors = workflowService.validateConditions(step.conditions);
+      if (conditionErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step conditions',
+          details: conditionErrors
+        });
+      }
+
+      const assignmentErrors = TaskAssignmentService.validateStep(step);
+      if (assignmentErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step assignment',
+          details: assignmentErrors
+        });
+      }
+
+      const formErrors = TaskFormService.validateSchema(step.formConfig);
+      if (formErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step form',
+          details: formErrors
+        });
+      }
+
+      const configErrors = workflowService.validateStepConfigs([step]);
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid step config',
+          details: configErrors
+        });
+      }
+
+      const entityErrors = workflowService.validateStepEntities([step], WorkflowEntityService.getWorkflowEntityType(step.workflow));
+      if (entityErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Unsupported step type',
+          details: entityErrors
+        });
+      }
+
+      const siblings = await WorkflowStep.findAll({
+        where: {
+          workflowId: step.workflowId,
+          id: { [Op.ne]: step.id }
+        }
+      });
+
+      const graphErrors = workflowService.validateStepGraph([...siblings, step]);
+      if (graphErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid workflow graph',
+          details: graphErrors
+        });
+      }
+
+      await step.save();
+
+      console.log(`✅ Workflow step updated: ${step.id}`);
+
+      res.json({
+        success: true,
+        message: 'Workflow step updated successfully',
+        step
+      });
+    } catch (error) {
+      console.error('Update workflow step error:', error);
+
+      res.status(500).json({
+        error: 'Failed to update workflow step',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/workflows/:workflowId/steps/:stepId
+ * @desc    Delete a workflow step
+ * @access  Private (Admin)
+ */
+router.delete('/:workflowId/steps/:stepId',
+  authMiddleware,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const step = await WorkflowStep.findOne({
+        where: {
+          id: req.params.stepId,
+          workflowId: req.params.workflowId
+        },
+        include: [{
+          model: Workflow,
+          as: 'workflow'
+        }]
+      });
+
+      if (!step) {
+        return res.status(404).json({
+          error: 'Workflow step not found'
+        });
+      }
+
+      if (rejectPublishedEdit(step.workflow, res)) {
+        return;
+      }
+
+      const remaining = await WorkflowStep.findAll({
+        where: {
+          workflowId: step.workflowId,
+          id: { [Op.ne]: step.id }
+        }
+      });
+
+      const graphErrors = workflowService.validateStepGraph(remaining);
+      if (graphErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid workflow graph',
+          details: graphErrors
         });
       }
 
@@ -411,7 +1289,7 @@ router.get('/executions/list',
   requireRole('staff', 'admin'),
   async (req, res) => {
     try {
-      const { status, permitId, page = 1, limit = 10 } = req.query;
+      const { status, permitId, entityType, entityId, page = 1, limit = 10 } = req.query;
       const offset = (page - 1) * limit;
 
       const where = {};
@@ -424,13 +1302,21 @@ router.get('/executions/list',
         where.permitId = permitId;
       }
 
+      if (entityType) {
+        where.relatedEntity = entityType;
+      }
+
+      if (entityId) {
+        where.relatedEntityId = entityId;
+      }
+
       const { count, rows: executions } = await WorkflowExecution.findAndCountAll({
         where,
         include: [
           {
             model: Workflow,
             as: 'workflow',
-            attributes: ['id', 'name', 'permitType']
+            attributes: ['id', 'name', 'type', 'version']
           },
           {
             model: Permit,
@@ -488,25 +1374,110 @@ router.get('/executions/:id',
           {
             model: Permit,
             as: 'permit'
+          },
+          {
+            model: WorkflowJob,
+            as: 'jobs',
+            attributes: ['id', 'type', 'status', 'payload', 'attempts', 'maxAttempts', 'runAt', 'lastError', 'completedAt', 'createdAt']
+          },
+          {
+            model: WorkflowExecution,
+            as: 'parentExecution',
+            attributes: ['id', 'workflowId', 'status']
+          },
+          {
+            model: WorkflowExecution,
+            as: 'childExecutions',
+            attributes: ['id', 'workflowId', 'status', 'startedAt', 'completedAt', 'executionData']
           }
+        ],
+        order: [
+          [{ model: WorkflowJob, as: 'jobs' }, 'createdAt', 'ASC'],
+          [{ model: WorkflowExecution, as: 'childExecutions' }, 'createdAt', 'ASC']
         ]
       });
 
-      if (!execution) {
-        return res.status(404).json({
-          error: 'Workflow execution not found'
-        });
-      }
+      if (!execution) {
+        return res.status(404).json({
+          error: 'Workflow execution not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        execution
+      });
+    } catch (error) {
+      console.error('Get workflow execution error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch workflow execution',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/workflows/executions/:id/timeline
+ * @desc    Step-by-step timeline of an execution: when each step was entered
+ *          and left, who acted, tasks, condition results, AI outputs and errors
+ * @access  Private (Staff/Admin)
+ */
+router.get('/executions/:id/timeline',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  async (req, res) => {
+    try {
+      const timeline = await WorkflowTimelineService.getTimeline(req.params.id);
+
+      if (!timeline) {
+        return res.status(404).json({
+          error: 'Workflow execution not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...timeline
+      });
+    } catch (error) {
+      console.error('Get workflow execution timeline error:', error);
+
+      res.status(500).json({
+        error: 'Failed to fetch workflow execution timeline',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/workflows/executions/:id/resume
+ * @desc    Resume a paused workflow execution
+ * @access  Private (Staff/Admin)
+ */
+router.post('/executions/:id/resume',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  auditSensitiveOperation('RESUME_WORKFLOW'),
+  async (req, res) => {
+    try {
+      const { outcome, stepId } = req.body;
+      const execution = await workflowService.resumeWorkflow(req.params.id, outcome, stepId, req.user.id);
+
+      console.log(`▶️  Workflow resumed: ${req.params.id} by ${req.user.email}`);
 
       res.json({
         success: true,
+        message: 'Workflow resumed successfully',
         execution
       });
     } catch (error) {
-      console.error('Get workflow execution error:', error);
+      console.error('Resume workflow error:', error);
 
       res.status(500).json({
-        error: 'Failed to fetch workflow execution',
+        error: 'Failed to resume workflow',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -514,30 +1485,30 @@ router.get('/executions/:id',
 );
 
 /**
- * @route   POST /api/workflows/executions/:id/resume
- * @desc    Resume a paused workflow execution
+ * @route   POST /api/workflows/executions/:id/retry-step
+ * @desc    Retry a failed workflow execution from the step that failed
  * @access  Private (Staff/Admin)
  */
-router.post('/executions/:id/resume',
+router.post('/executions/:id/retry-step',
   authMiddleware,
   requireRole('staff', 'admin'),
-  auditSensitiveOperation('RESUME_WORKFLOW'),
+  auditSensitiveOperation('RETRY_WORKFLOW_STEP'),
   async (req, res) => {
     try {
-      const execution = await workflowService.resumeWorkflow(req.params.id);
+      const execution = await workflowService.retryFailedStep(req.params.id, req.user.id);
 
-      console.log(`▶️  Workflow resumed: ${req.params.id} by ${req.user.email}`);
+      console.log(`🔁 Workflow step retried: ${req.params.id} by ${req.user.email}`);
 
       res.json({
         success: true,
-        message: 'Workflow resumed successfully',
+        message: 'Workflow step queued for retry',
         execution
       });
     } catch (error) {
-      console.error('Resume workflow error:', error);
+      console.error('Retry workflow step error:', error);
 
       res.status(500).json({
-        error: 'Failed to resume workflow',
+        error: 'Failed to retry workflow step',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -581,30 +1552,149 @@ router.post('/executions/:id/cancel',
 );
 
 /**
- * @route   GET /api/workflows/tasks
- * @desc    Get tasks (from workflow executions)
+ * @route   PATCH /api/workflows/tasks/:id/complete
+ * @desc    Complete a task and resume workflow
  * @access  Private
+ *
+ * formData is validated against the step's formConfig; its values become execution variables.
+ * Approval tasks take result approve or reject; each approver votes once per step,
+ * except an escalation target casting the deciding vote on a timed-out step.
  */
-router.get('/tasks',
+router.patch('/tasks/:id/complete',
   authMiddleware,
   async (req, res) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
-      const offset = (page - 1) * limit;
+      const task = await Task.findByPk(req.params.id);
 
-      const where = {};
+      if (!task) {
+        return res.status(404).json({
+          error: 'Task not found'
+        });
+      }
 
-      // Filter by assignment
-      if (req.user.role === 'staff' || req.user.role === 'inspector') {
-        where.assignedTo = req.user.id;
+      // Check if user is assigned or is admin/staff
+      if (task.assignedTo !== req.user.id && !['admin', 'staff'].includes(req.user.role)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only complete tasks assigned to you'
+        });
       }
 
-      if (status) {
-        where.status = status;
+      if (['completed', 'cancelled'].includes(task.status)) {
+        return res.status(400).json({
+          error: 'Task is already closed',
+          message: `Task is ${task.status}`
+        });
       }
 
-      const { count, rows: tasks } = await Task.findAndCountAll({
-        where,
+      const { result, notes, formData } = req.body;
+      let outcome = result || 'completed';
+
+      // Approval votes: assigned tasks are the assignee's alone, unassigned
+      // ones go to staff who have not voted on the step yet
+      if (task.type === 'approval') {
+        outcome = workflowService.toApprovalVote(result);
+
+        if (!outcome) {
+          return res.status(400).json({
+            error: 'Invalid vote',
+            message: 'result must be approve or reject'
+          });
+        }
+
+        if (task.assignedTo && task.assignedTo !== req.user.id) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: 'Only the assigned approver can vote on this approval'
+          });
+        }
+
+        // An escalated step is decided by its target, who may have voted on it before
+        if (task.workflowStepId && !task.metadata?.decidesStep) {
+          const earlierVote = await Task.findOne({
+            where: {
+              id: { [Op.ne]: task.id },
+              workflowExecutionId: task.workflowExecutionId,
+              workflowStepId: task.workflowStepId,
+              type: 'approval',
+              status: 'completed',
+              completedBy: req.user.id
+            }
+          });
+
+          if (earlierVote) {
+            return res.status(409).json({
+              error: 'Already voted',
+              message: 'You have already voted on this approval'
+            });
+          }
+        }
+      }
+
+      // Validate the submitted form against the step's formConfig
+      const step = task.workflowStepId ? await WorkflowStep.findByPk(task.workflowStepId) : null;
+      const form = TaskFormService.validateSubmission(step?.formConfig, formData);
+
+      if (form.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid form data',
+          details: form.errors
+        });
+      }
+
+      await task.update({
+        status: 'completed',
+        outcome,
+        completedBy: req.user.id,
+        completedAt: new Date(),
+        notes: notes || task.notes,
+        formData: step?.formConfig ? form.values : task.formData,
+        history: TaskService.appendHistory(task, TaskService.historyEntry('completed', {
+          from: task.assignedTo,
+          by: req.user.id,
+          outcome
+        }))
+      });
+
+      console.log(`✅ Task completed: ${task.id} by ${req.user.email}`);
+
+      // Resume workflow if task has execution (approval steps wait for quorum)
+      let approval = null;
+      if (task.workflowExecutionId) {
+        try {
+          approval = await workflowService.handleTaskCompletion(task);
+        } catch (error) {
+          console.error('Error resuming workflow after task completion:', error);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Task completed successfully',
+        task,
+        approval
+      });
+    } catch (error) {
+      console.error('Complete task error:', error);
+
+      res.status(500).json({
+        error: 'Failed to complete task',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/workflows/tasks/:id
+ * @desc    Get a task with its hand-off history
+ * @access  Private
+ */
+router.get('/tasks/:id',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const task = await Task.findByPk(req.params.id, {
         include: [
           {
             model: Permit,
@@ -620,28 +1710,46 @@ router.get('/tasks',
             model: WorkflowExecution,
             as: 'workflowExecution',
             attributes: ['id', 'status']
+          },
+          {
+            model: WorkflowStep,
+            as: 'workflowStep',
+            attributes: ['id', 'name', 'stepType', 'formConfig']
           }
-        ],
-        order: [['createdAt', 'DESC']],
-        limit: parseInt(limit),
-        offset: parseInt(offset)
+        ]
+      });
+
+      if (!task) {
+        return res.status(404).json({
+          error: 'Task not found'
+        });
+      }
+
+      if (task.assignedTo !== req.user.id && !['admin', 'staff'].includes(req.user.role)) {
+        return res.status(403).json({
+          error: 'Access denied'
+        });
+      }
+
+      // Names for everyone who appears in the history
+      const userIds = [...new Set((task.history || [])
+        .flatMap(entry => [entry.from, entry.to, entry.by])
+        .filter(Boolean))];
+      const users = await User.findAll({
+        where: { id: { [Op.in]: userIds } },
+        attributes: ['id', 'name', 'email']
       });
 
       res.json({
         success: true,
-        tasks,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        task,
+        users
       });
     } catch (error) {
-      console.error('Get tasks error:', error);
+      console.error('Get task error:', error);
 
       res.status(500).json({
-        error: 'Failed to fetch tasks',
+        error: 'Failed to fetch task',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -649,61 +1757,212 @@ router.get('/tasks',
 );
 
 /**
- * @route   PATCH /api/workflows/tasks/:id/complete
- * @desc    Complete a task and resume workflow
- * @access  Private
+ * @route   PATCH /api/workflows/tasks/:id/claim
+ * @desc    Claim an unassigned task
+ * @access  Private (Staff/Admin/Inspector)
  */
-router.patch('/tasks/:id/complete',
+router.patch('/tasks/:id/claim',
   authMiddleware,
+  requireRole('staff', 'admin', 'inspector'),
+  auditSensitiveOperation('CLAIM_TASK'),
   async (req, res) => {
     try {
-      const task = await Task.findByPk(req.params.id);
+      const task = await findOpenTask(req.params.id, res);
+      if (!task) {
+        return;
+      }
+
+      if (task.assignedTo) {
+        return res.status(409).json({
+          error: 'Task is already assigned',
+          message: task.assignedTo === req.user.id
+            ? 'This task is already yours'
+            : 'Ask a supervisor to reassign it'
+        });
+      }
+
+      await TaskService.claim(task, req.user);
+
+      console.log(`✋ Task claimed: ${task.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Task claimed successfully',
+        task
+      });
+    } catch (error) {
+      console.error('Claim task error:', error);
+
+      res.status(500).json({
+        error: 'Failed to claim task',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
 
+/**
+ * @route   PATCH /api/workflows/tasks/:id/release
+ * @desc    Return a task to the unassigned queue
+ * @access  Private (Assignee/Admin)
+ */
+router.patch('/tasks/:id/release',
+  authMiddleware,
+  auditSensitiveOperation('RELEASE_TASK'),
+  async (req, res) => {
+    try {
+      const task = await findOpenTask(req.params.id, res);
       if (!task) {
-        return res.status(404).json({
-          error: 'Task not found'
+        return;
+      }
+
+      if (!task.assignedTo) {
+        return res.status(400).json({
+          error: 'Task is not assigned'
         });
       }
 
-      // Check if user is assigned or is admin/staff
-      if (task.assignedTo !== req.user.id && !['admin', 'staff'].includes(req.user.role)) {
+      if (task.assignedTo !== req.user.id && req.user.role !== 'admin') {
         return res.status(403).json({
           error: 'Access denied',
-          message: 'You can only complete tasks assigned to you'
+          message: 'You can only release tasks assigned to you'
         });
       }
 
-      const { result, notes } = req.body;
+      await TaskService.release(task, req.user, req.body.reason);
 
-      await task.update({
-        status: 'completed',
-        result: result || 'completed',
-        completedBy: req.user.id,
-        completedAt: new Date(),
-        notes: notes || task.notes
+      console.log(`↩️  Task released: ${task.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Task released successfully',
+        task
       });
+    } catch (error) {
+      console.error('Release task error:', error);
 
-      console.log(`✅ Task completed: ${task.id} by ${req.user.email}`);
+      res.status(500).json({
+        error: 'Failed to release task',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
 
-      // Resume workflow if task has execution
-      if (task.workflowExecutionId) {
-        try {
-          await workflowService.resumeWorkflow(task.workflowExecutionId);
-        } catch (error) {
-          console.error('Error resuming workflow after task completion:', error);
-        }
+/**
+ * @route   PATCH /api/workflows/tasks/:id/reassign
+ * @desc    Reassign a task to another user
+ * @access  Private (Staff/Admin)
+ */
+router.patch('/tasks/:id/reassign',
+  authMiddleware,
+  requireRole('staff', 'admin'),
+  auditSensitiveOperation('REASSIGN_TASK'),
+  async (req, res) => {
+    try {
+      const { assigneeId, reason } = req.body;
+
+      if (!assigneeId) {
+        return res.status(400).json({
+          error: 'assigneeId is required'
+        });
+      }
+
+      const task = await findOpenTask(req.params.id, res);
+      if (!task) {
+        return;
+      }
+
+      if (task.assignedTo === assigneeId) {
+        return res.status(400).json({
+          error: 'Task is already assigned to that user'
+        });
+      }
+
+      const assignee = await TaskService.findAssignableUser(assigneeId);
+      if (!assignee) {
+        return res.status(400).json({
+          error: 'Assignee must be an active staff member'
+        });
       }
 
+      await TaskService.handOff(task, assignee, req.user, 'reassigned', reason);
+
+      console.log(`🔀 Task reassigned: ${task.id} to ${task.assignedTo} by ${req.user.email}`);
+
       res.json({
         success: true,
-        message: 'Task completed successfully',
+        message: 'Task reassigned successfully',
         task
       });
     } catch (error) {
-      console.error('Complete task error:', error);
+      console.error('Reassign task error:', error);
 
       res.status(500).json({
-        error: 'Failed to complete task',
+        error: 'Failed to reassign task',
+        message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/workflows/tasks/:id/delegate
+ * @desc    Delegate your task to a colleague
+ * @access  Private (Assignee)
+ */
+router.patch('/tasks/:id/delegate',
+  authMiddleware,
+  auditSensitiveOperation('DELEGATE_TASK'),
+  async (req, res) => {
+    try {
+      const { delegateId, reason } = req.body;
+
+      if (!delegateId) {
+        return res.status(400).json({
+          error: 'delegateId is required'
+        });
+      }
+
+      const task = await findOpenTask(req.params.id, res);
+      if (!task) {
+        return;
+      }
+
+      if (task.assignedTo !== req.user.id) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only delegate tasks assigned to you'
+        });
+      }
+
+      if (delegateId === req.user.id) {
+        return res.status(400).json({
+          error: 'You cannot delegate a task to yourself'
+        });
+      }
+
+      const delegate = await TaskService.findAssignableUser(delegateId);
+      if (!delegate) {
+        return res.status(400).json({
+          error: 'Delegate must be an active staff member'
+        });
+      }
+
+      await TaskService.handOff(task, delegate, req.user, 'delegated', reason);
+
+      console.log(`🤝 Task delegated: ${task.id} to ${task.assignedTo} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Task delegated successfully',
+        task
+      });
+    } catch (error) {
+      console.error('Delegate task error:', error);
+
+      res.status(500).json({
+        error: 'Failed to delegate task',
         message: config.nodeEnv === 'development' ? error.message : 'An error occurred'
       });
     }
@@ -0,0 +1,285 @@
+/**
+ * Default Permit Type Catalog
+ * Loaded into the PermitTypes table the first time the server starts with
+ * an empty catalog (see PermitTypeService.seedDefaults). After that the
+ * catalog is managed through /api/permit-types.
+ */
+
+// Checklist used for inspections with no type-specific checklist
+const GENERIC_CHECKLIST = [
+  { item: 'Work matches approved plans', category: 'general', required: true },
+  { item: 'Code requirements met', category: 'general', required: true },
+  { item: 'Safety standards complied with', category: 'safety', required: true }
+];
+
+// Fees every type's schedule charges on top of its own
+const COMMON_FEES = [
+  { code: 'technology_fee', name: 'Technology Fee', type: 'percentage', percentage: 4 },
+  { code: 'reinspection_fee', name: 'Reinspection Fee', type: 'flat', amount: 75, trigger: 'reinspection' },
+  { code: 'late_penalty', name: 'Late Payment Penalty', type: 'percentage', percentage: 10, minimum: 25, trigger: 'late', afterDays: 30 }
+];
+
+/**
+ * Fee schedule in effect from the start of 2024
+ */
+const feeSchedule = fees => [{ effectiveFrom: '2024-01-01', fees: [...fees, ...COMMON_FEES] }];
+
+const permitTypes = [
+  {
+    code: 'building',
+    name: 'Building Permit',
+    description: 'New construction, additions and structural alterations',
+    validityDays: 365,
+    fields: [
+      { name: 'occupancyType', label: 'Occupancy type', type: 'select', options: ['residential', 'commercial', 'industrial', 'mixed_use'] },
+      { name: 'stories', label: 'Number of stories', type: 'number', min: 1, max: 100 }
+    ],
+    feeSchedule: feeSchedule([
+      {
+        code: 'building_fee',
+        name: 'Building Permit Fee',
+        type: 'valuation_tiers',
+        field: 'valuation',
+        minimum: 75,
+        tiers: [
+          { upTo: 2000, base: 75, ratePer1000: 0 },
+          { upTo: 25000, base: 75, ratePer1000: 14 },
+          { upTo: 100000, base: 397, ratePer1000: 10 },
+          { base: 1147, ratePer1000: 7 }
+        ]
+      },
+      { code: 'plan_review', name: 'Plan Review Fee', type: 'percentage', percentage: 65, of: ['building_fee'] }
+    ]),
+    requiredDocuments: [
+      { category: 'blueprint', name: 'Site Plan', description: 'Detailed site layout and building placement' },
+      { category: 'blueprint', name: 'Floor Plans', description: 'All floor layouts with dimensions' },
+      { category: 'blueprint', name: 'Elevation Drawings', description: 'Building elevations from all sides' }
+    ],
+    optionalDocuments: [
+      { category: 'report', name: 'Soil Report', description: 'Geotechnical soil analysis' },
+      { category: 'report', name: 'Energy Compliance', description: 'Energy efficiency calculations' },
+      { category: 'photo', name: 'Site Photos', description: 'Current site condition photographs' }
+    ],
+    inspections: [
+      {
+        type: 'initial',
+        name: 'Initial inspection',
+        checklist: [
+          { item: 'Foundation inspection complete', category: 'structural', required: true },
+          { item: 'Proper excavation depth and footings', category: 'structural', required: true },
+          { item: 'Rebar placement and spacing correct', category: 'structural', required: true },
+          { item: 'Forms are secure and level', category: 'structural', required: true },
+          { item: 'Site drainage adequate', category: 'site', required: true },
+          { item: 'Setback requirements met', category: 'zoning', required: true }
+        ]
+      },
+      {
+        type: 'framing',
+        name: 'Framing inspection',
+        checklist: [
+          { item: 'Framing dimensions match approved plans', category: 'structural', required: true },
+          { item: 'Structural members properly sized', category: 'structural', required: true },
+          { item: 'Load-bearing walls properly supported', category: 'structural', required: true },
+          { item: 'Window and door openings have proper headers', category: 'structural', required: true },
+          { item: 'Floor joists properly spaced and secured', category: 'structural', required: true },
+          { item: 'Fire blocking installed', category: 'safety', required: true }
+        ]
+      },
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: [
+          { item: 'All work completed per approved plans', category: 'general', required: true },
+          { item: 'Electrical fixtures installed and operational', category: 'electrical', required: true },
+          { item: 'Plumbing fixtures installed and tested', category: 'plumbing', required: true },
+          { item: 'HVAC system operational', category: 'mechanical', required: true },
+          { item: 'Smoke detectors installed and tested', category: 'safety', required: true },
+          { item: 'CO detectors installed', category: 'safety', required: true },
+          { item: 'Handrails and guardrails meet code', category: 'safety', required: true },
+          { item: 'Final grading and drainage complete', category: 'site', required: true },
+          { item: 'Certificate of Occupancy ready', category: 'general', required: true }
+        ]
+      }
+    ]
+  },
+  {
+    code: 'electrical',
+    name: 'Electrical Permit',
+    description: 'New circuits, panels and electrical service changes',
+    validityDays: 180,
+    fields: [
+      { name: 'serviceAmps', label: 'Service size (amps)', type: 'number', min: 0 },
+      { name: 'newCircuits', label: 'New circuits', type: 'number', min: 0 }
+    ],
+    feeSchedule: feeSchedule([
+      { code: 'electrical_fee', name: 'Electrical Permit Fee', type: 'flat', amount: 95 }
+    ]),
+    requiredDocuments: [
+      { category: 'blueprint', name: 'Electrical Plan', description: 'Single-line diagram and panel schedule' },
+      { category: 'report', name: 'Load Calculation', description: 'Electrical load calculations' }
+    ],
+    optionalDocuments: [
+      { category: 'certification', name: 'Electrician License', description: 'Licensed electrician certification' }
+    ],
+    inspections: [
+      {
+        type: 'rough',
+        name: 'Rough-in inspection',
+        checklist: [
+          { item: 'Panel installation meets code', category: 'electrical', required: true },
+          { item: 'Proper wire sizing for circuits', category: 'electrical', required: true },
+          { item: 'GFCI protection where required', category: 'safety', required: true },
+          { item: 'Proper grounding and bonding', category: 'safety', required: true },
+          { item: 'Box placement meets code requirements', category: 'electrical', required: true }
+        ]
+      },
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: [
+          { item: 'All fixtures installed and operational', category: 'electrical', required: true },
+          { item: 'Panel labeled correctly', category: 'electrical', required: true },
+          { item: 'AFCI protection where required', category: 'safety', required: true },
+          { item: 'Smoke alarm interconnection tested', category: 'safety', required: true },
+          { item: 'No open splices', category: 'safety', required: true }
+        ]
+      }
+    ]
+  },
+  {
+    code: 'plumbing',
+    name: 'Plumbing Permit',
+    description: 'Water supply, drainage and fixture installation',
+    validityDays: 180,
+    fields: [
+      { name: 'fixtureCount', label: 'Fixtures installed or replaced', type: 'number', min: 0 },
+      { name: 'waterHeater', label: 'Includes a water heater', type: 'boolean' }
+    ],
+    feeSchedule: feeSchedule([
+      { code: 'plumbing_fee', name: 'Plumbing Permit Fee', type: 'flat', amount: 95 }
+    ]),
+    requiredDocuments: [
+      { category: 'blueprint', name: 'Plumbing Plan', description: 'Water supply and drainage layout' },
+      { category: 'report', name: 'Fixture Schedule', description: 'List of all plumbing fixtures' }
+    ],
+    optionalDocuments: [
+      { category: 'certification', name: 'Plumber License', description: 'Licensed plumber certification' }
+    ],
+    inspections: [
+      {
+        type: 'rough',
+        name: 'Rough-in inspection',
+        checklist: [
+          { item: 'Water supply lines properly sized', category: 'plumbing', required: true },
+          { item: 'Proper slope on drain lines', category: 'plumbing', required: true },
+          { item: 'Vent system adequate', category: 'plumbing', required: true },
+          { item: 'Pressure test passed', category: 'plumbing', required: true },
+          { item: 'Gas lines properly sized and tested', category: 'gas', required: false }
+        ]
+      },
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: [
+          { item: 'All fixtures installed and leak-free', category: 'plumbing', required: true },
+          { item: 'Water heater installed correctly', category: 'plumbing', required: true },
+          { item: 'Backflow prevention installed', category: 'safety', required: true },
+          { item: 'Final pressure test passed', category: 'plumbing', required: true },
+          { item: 'Accessible cleanouts installed', category: 'plumbing', required: true }
+        ]
+      }
+    ]
+  },
+  {
+    code: 'demolition',
+    name: 'Demolition Permit',
+    description: 'Full or partial demolition of structures',
+    validityDays: 180,
+    fields: [
+      { name: 'structureType', label: 'Structure type', type: 'select', options: ['residential', 'commercial', 'accessory'] },
+      { name: 'asbestosSurvey', label: 'Asbestos survey completed', type: 'boolean' }
+    ],
+    feeSchedule: feeSchedule([
+      { code: 'demolition_fee', name: 'Demolition Permit Fee', type: 'flat', amount: 150 },
+      { code: 'area_fee', name: 'Demolition Area Fee', type: 'per_unit', field: 'squareFootage', rate: 0.05 }
+    ]),
+    requiredDocuments: [
+      { category: 'blueprint', name: 'Demolition Plan', description: 'What will be demolished' },
+      { category: 'report', name: 'Hazardous Materials Report', description: 'Asbestos, lead paint assessment' },
+      { category: 'report', name: 'Waste Disposal Plan', description: 'How debris will be handled' }
+    ],
+    optionalDocuments: [
+      { category: 'photo', name: 'Pre-Demolition Photos', description: 'Current structure photographs' }
+    ],
+    inspections: [
+      {
+        type: 'initial',
+        name: 'Initial inspection',
+        checklist: [
+          { item: 'Asbestos survey complete', category: 'safety', required: true },
+          { item: 'Lead paint assessment complete', category: 'safety', required: true },
+          { item: 'Utilities disconnected or capped', category: 'safety', required: true },
+          { item: 'Rodent baiting complete', category: 'safety', required: false },
+          { item: 'Site secured with fencing', category: 'site', required: true }
+        ]
+      },
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: [
+          { item: 'All debris removed from site', category: 'site', required: true },
+          { item: 'Foundation properly filled or removed', category: 'site', required: true },
+          { item: 'Site graded and stabilized', category: 'site', required: true },
+          { item: 'No hazardous materials remain', category: 'safety', required: true }
+        ]
+      }
+    ]
+  },
+  {
+    code: 'zoning',
+    name: 'Zoning Permit',
+    description: 'Land use changes and zoning variances',
+    validityDays: 365,
+    feeSchedule: feeSchedule([
+      { code: 'zoning_fee', name: 'Zoning Review Fee', type: 'flat', amount: 250 }
+    ]),
+    requiredDocuments: [
+      { category: 'blueprint', name: 'Site Plan', description: 'Property layout and use' },
+      { category: 'report', name: 'Variance Justification', description: 'Reason for zoning variance' }
+    ],
+    optionalDocuments: [
+      { category: 'report', name: 'Traffic Study', description: 'Traffic impact analysis' },
+      { category: 'report', name: 'Environmental Impact', description: 'Environmental assessment' }
+    ],
+    inspections: [
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: GENERIC_CHECKLIST
+      }
+    ]
+  },
+  {
+    code: 'general',
+    name: 'General Permit',
+    description: 'Work that no other permit type covers',
+    validityDays: 180,
+    feeSchedule: feeSchedule([
+      { code: 'permit_fee', name: 'Permit Fee', type: 'flat', amount: 50 }
+    ]),
+    requiredDocuments: [
+      { category: 'application', name: 'Permit Application', description: 'Completed permit application form' }
+    ],
+    optionalDocuments: [],
+    inspections: [
+      {
+        type: 'final',
+        name: 'Final inspection',
+        checklist: GENERIC_CHECKLIST
+      }
+    ]
+  }
+];
+
+module.exports = permitTypes;
+module.exports.GENERIC_CHECKLIST = GENERIC_CHECKLIST;
@@ -82,6 +82,8 @@ const paymentRoutes = require('./routes/payments');
 const notificationRoutes = require('./routes/notifications');
 const aiRoutes = require('./routes/ai');
 const workflowRoutes = require('./routes/workflows');
+const calendarRoutes = require('./routes/calendars');
+const permitTypeRoutes = require('./routes/permitTypes');
 const analyticsRoutes = require('./routes/analytics');
 const crmRoutes = require('./routes/crm');
 const grantRoutes = require('./routes/grants');
@@ -93,6 +95,10 @@ const demoRoutes = require('./routes/demo');
 // Service imports
 const aiService = require('./services/aiService');
 const ocrService = require('./services/ocrService');
+const workflowScheduler = require('./services/workflowScheduler');
+const workflowJobQueue = require('./services/workflowJobQueue');
+const workflowService = require('./services/workflowService');
+const PermitTypeService = require('./services/permitTypeService');
 
 // Routes
 // Auth routes get stricter rate limiting
@@ -106,6 +112,8 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/workflows', workflowRoutes);
+app.use('/api/calendars', calendarRoutes);
+app.use('/api/permit-types', permitTypeRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/crm', crmRoutes);
 app.use('/api/grants', grantRoutes);
@@ -176,6 +184,9 @@ async function initDatabase() {
     console.log(`✅ Database synced (${models.length} models)`);
     console.log(`   Models: ${models.join(', ')}`);
 
+    // Load the default permit type catalog on first start
+    await PermitTypeService.seedDefaults();
+
     // Create default admin user if it doesn't exist
     const adminExists = await User.findOne({ where: { email: 'admin@govli.ai' } });
     if (!adminExists) {
@@ -227,6 +238,19 @@ initDatabase().then(() => {
   app.listen(PORT, () => {
     console.log(`🚀 Govli AI Backend running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Start workflows from domain events (permit submitted, status changed, ...)
+    workflowService.subscribeToEvents();
+
+    // Run queued workflow steps (retried with backoff, resumed after restarts)
+    if (config.workflow.jobQueueEnabled) {
+      workflowJobQueue.start();
+    }
+
+    // Enforce workflow step timeouts and overdue tasks
+    if (config.workflow.schedulerEnabled) {
+      workflowScheduler.start();
+    }
   });
 });
 
@@ -127,22 +127,28 @@ class AIService {
    * Classify permit type from description
    * @param {string} description - Permit description
    * @param {string} additionalInfo - Additional context
+   * @param {Array} permitTypes - Categories to choose from ({ code, name, description }),
+   *   usually the permit type catalog; defaults to the built-in list
    * @returns {Promise<Object>} Classification result with type and confidence
    */
-  async classifyPermit(description, additionalInfo = '') {
+  async classifyPermit(description, additionalInfo = '', permitTypes = null) {
     if (!config.ai.features.enableClassification) {
       return { type: 'general', confidence: 0, aiGenerated: false };
     }
 
-    const prompt = `Classify the following permit request into one of these categories:
-- building: Construction, renovation, structural changes
+    const categories = permitTypes && permitTypes.length > 0
+      ? permitTypes.map(type => `- ${type.code}: ${type.description || type.name}`).join('\n')
+      : `- building: Construction, renovation, structural changes
 - electrical: Electrical work, wiring, installations
 - plumbing: Plumbing work, water, sewer
 - mechanical: HVAC, mechanical systems
 - demolition: Demolition work
 - sign: Sign installations
 - zoning: Zoning changes, variances
-- general: General permits or unclear
+- general: General permits or unclear`;
+
+    const prompt = `Classify the following permit request into one of these categories:
+${categories}
 
 Permit Description: ${description}
 ${additionalInfo ? `Additional Info: ${additionalInfo}` : ''}
@@ -15,6 +15,7 @@ const {
   Payment,
   sequelize
 } = require('../models');
+const BusinessCalendarService = require('./businessCalendarService');
 
 class AnalyticsService {
   /**
@@ -106,6 +107,12 @@ class AnalyticsService {
       ? Math.round(processingTimes[0].avg_seconds / 86400)
       : 0;
 
+    // Same turnaround in business days, which is what SLAs are set in
+    const avgProcessingBusinessDays = await this.getAverageBusinessTime(Permit, {
+      createdAt: { [Op.between]: [startDate, endDate] },
+      status: { [Op.in]: ['approved', 'rejected'] }
+    }, 'createdAt', 'updatedAt', 'days');
+
     // Approval rate
     const approvedCount = await Permit.count({
       where: {
@@ -150,6 +157,7 @@ class AnalyticsService {
         count: parseInt(item.count)
       })),
       avgProcessingDays,
+      avgProcessingBusinessDays,
       approvalRate,
       dailyTrend: dailyTrend.map(item => ({
         date: item.date,
@@ -220,6 +228,12 @@ class AnalyticsService {
       ? Math.round(executionTimes[0].avg_seconds / 60)
       : 0;
 
+    const avgExecutionBusinessHours = await this.getAverageBusinessTime(WorkflowExecution, {
+      createdAt: { [Op.between]: [startDate, endDate] },
+      status: 'completed',
+      completedAt: { [Op.ne]: null }
+    }, 'startedAt', 'completedAt', 'hours');
+
     // Top workflows by execution count
     const topWorkflows = await WorkflowExecution.findAll({
       where: {
@@ -249,6 +263,7 @@ class AnalyticsService {
       }, {}),
       successRate,
       avgExecutionMinutes,
+      avgExecutionBusinessHours,
       topWorkflows: topWorkflows.map(item => ({
         workflowId: item.workflowId,
         name: item.workflow.name,
@@ -314,6 +329,12 @@ class AnalyticsService {
       ? Math.round(completionTimes[0].avg_seconds / 3600)
       : 0;
 
+    const avgCompletionBusinessHours = await this.getAverageBusinessTime(Task, {
+      createdAt: { [Op.between]: [startDate, endDate] },
+      status: 'completed',
+      completedAt: { [Op.ne]: null }
+    }, 'createdAt', 'completedAt', 'hours');
+
     // Completion rate
     const completedTasks = await Task.count({
       where: {
@@ -337,6 +358,7 @@ class AnalyticsService {
         return acc;
       }, {}),
       avgCompletionHours,
+      avgCompletionBusinessHours,
       completionRate
     };
   }
@@ -672,6 +694,36 @@ class AnalyticsService {
     return [headers.join(','), ...rows].join('\n');
   }
 
+  /**
+   * Helper: Average time between two timestamps in business time
+   * Measured on the default business calendar; SQL cannot skip closed days
+   * and hours, so the timestamps are loaded and measured here.
+   * @param {Object} model - Model to measure
+   * @param {Object} where - Rows to include
+   * @param {String} fromField - Start timestamp attribute
+   * @param {String} toField - End timestamp attribute
+   * @param {String} unit - 'days' (working days) or 'hours'
+   * @returns {Promise<Number>} Average, rounded to one decimal (0 without rows)
+   */
+  async getAverageBusinessTime(model, where, fromField, toField, unit) {
+    const rows = await model.findAll({
+      where,
+      attributes: [fromField, toField],
+      raw: true
+    });
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const calendar = await BusinessCalendarService.getCalendar();
+    const total = rows.reduce((sum, row) => sum + (unit === 'days'
+      ? BusinessCalendarService.businessDaysBetween(row[fromField], row[toField], calendar)
+      : BusinessCalendarService.businessMinutesBetween(row[fromField], row[toField], calendar) / 60), 0);
+
+    return Math.round((total / rows.length) * 10) / 10;
+  }
+
   /**
    * Helper: Get date range based on time range string
    */
@@ -0,0 +1,411 @@
+const { BusinessCalendar } = require('../models');
+const config = require('../config/config');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const HOLIDAY_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Calendar days searched for a working day before giving up (a calendar
+// whose every day is a holiday would otherwise loop forever)
+const MAX_DAYS_SCANNED = 3 * 366;
+
+// Intl formatters are expensive to create, so one is kept per time zone
+const formatters = new Map();
+
+/**
+ * Business Calendar Service
+ * SLA arithmetic in business time: working days, working hours, time zone
+ * and holidays come from a BusinessCalendar (one per municipality), from
+ * the calendar marked as default, or from config.calendar when there is
+ * none. Used for task and execution due dates, step timeouts, timer steps,
+ * inspection scheduling and turnaround metrics.
+ *
+ * Methods take a normalized calendar (see normalize / getCalendar):
+ *   { id, name, timeZone, workingDays: Set, start, end (minutes since midnight), holidays: Set }
+ */
+class BusinessCalendarService {
+  /**
+   * Load a calendar
+   * Falls back to the default calendar, then to config.calendar, when the
+   * calendar is not given or no longer exists.
+   * @param {String} calendarId - BusinessCalendar ID (optional)
+   * @returns {Promise<Object>} Normalized calendar
+   */
+  static async getCalendar(calendarId = null) {
+    if (calendarId) {
+      const calendar = await BusinessCalendar.findByPk(calendarId);
+
+      if (calendar) {
+        return this.normalize(calendar);
+      }
+
+      console.warn(`⚠️  Business calendar ${calendarId} not found, using the default calendar`);
+    }
+
+    const defaultCalendar = await BusinessCalendar.findOne({ where: { isDefault: true } });
+
+    return this.normalize(defaultCalendar || { name: 'Default', ...config.calendar });
+  }
+
+  /**
+   * Calendar a workflow runs on (workflow.config.calendarId)
+   */
+  static forWorkflow(workflow) {
+    return this.getCalendar(workflow?.config?.calendarId || null);
+  }
+
+  /**
+   * Check a workflow's config.calendarId before it is saved
+   * @returns {Promise<String|null>} Error, or null when unset or the calendar exists
+   */
+  static async checkCalendarId(calendarId) {
+    if (calendarId === undefined || calendarId === null) {
+      return null;
+    }
+
+    const calendar = typeof calendarId === 'string' && UUID_PATTERN.test(calendarId)
+      ? await BusinessCalendar.findByPk(calendarId)
+      : null;
+
+    return calendar ? null : `Business calendar ${calendarId} does not exist`;
+  }
+
+  /**
+   * Turn a BusinessCalendar (or plain calendar settings) into the form the
+   * arithmetic below works on
+   */
+  static normalize(calendar) {
+    const data = typeof calendar.toJSON === 'function' ? calendar.toJSON() : calendar;
+    const hours = data.workingHours || config.calendar.workingHours;
+
+    return {
+      id: data.id || null,
+      name: data.name,
+      timeZone: data.timeZone || 'UTC',
+      workingDays: new Set(data.workingDays || config.calendar.workingDays),
+      start: this.parseTime(hours.start),
+      end: this.parseTime(hours.end),
+      holidays: new Set((data.holidays || []).map(holiday => (typeof holiday === 'string' ? holiday : holiday.date)))
+    };
+  }
+
+  /**
+   * Copy of a calendar with extra closed days (e.g. a timer step's own holidays)
+   */
+  static withHolidays(calendar, holidays = []) {
+    return { ...calendar, holidays: new Set([...calendar.holidays, ...holidays]) };
+  }
+
+  /**
+   * Validate calendar settings before they are saved
+   * @param {Object} data - { timeZone, workingDays, workingHours, holidays }
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (data.timeZone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: data.timeZone });
+      } catch (error) {
+        errors.push(`timeZone ${JSON.stringify(data.timeZone)} is not a known IANA time zone`);
+      }
+    }
+
+    if (data.workingDays !== undefined) {
+      const days = data.workingDays;
+      if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('workingDays must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)');
+      }
+    }
+
+    if (data.workingHours !== undefined) {
+      const { start, end } = data.workingHours || {};
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        errors.push('workingHours must have start and end times in HH:MM format');
+      } else if (this.parseTime(start) >= this.parseTime(end)) {
+        errors.push('workingHours must start before they end');
+      }
+    }
+
+    if (data.holidays !== undefined) {
+      const holidays = data.holidays;
+      if (!Array.isArray(holidays) || !holidays.every(holiday => HOLIDAY_PATTERN.test(holiday?.date || ''))) {
+        errors.push('holidays must be a list of { date, name } with dates in YYYY-MM-DD format, or MM-DD for every year');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether a date falls on a business day (in the calendar's time zone)
+   */
+  static isBusinessDay(date, calendar) {
+    return this.isWorkingDay(this.getLocalParts(new Date(date), calendar.timeZone), calendar);
+  }
+
+  /**
+   * Check whether a date falls within working hours of a business day
+   */
+  static isWorkingTime(date, calendar) {
+    const local = this.getLocalParts(new Date(date), calendar.timeZone);
+    return this.isWorkingDay(local, calendar) && local.minutes >= calendar.start && local.minutes < calendar.end;
+  }
+
+  /**
+   * Add business days to a date
+   * The local time of day is kept, so a task created on Friday at 10:00 with
+   * two business days is due on Tuesday at 10:00.
+   * @param {Date} start - Start date
+   * @param {Number} days - Business days to add
+   * @param {Object} calendar - Normalized calendar
+   * @returns {Date}
+   */
+  static addBusinessDays(start, days, calendar) {
+    const local = this.getLocalParts(new Date(start), calendar.timeZone);
+    let day = local;
+    let remaining = Math.max(0, Math.ceil(Number(days) || 0));
+    let scanned = 0;
+
+    while (remaining > 0) {
+      day = this.nextDay(day);
+      if (this.isWorkingDay(day, calendar)) {
+        remaining--;
+      }
+      this.guard(++scanned, calendar);
+    }
+
+    return this.toDate(day, local.minutes, calendar.timeZone);
+  }
+
+  /**
+   * Add business minutes to a date
+   * Only time within working hours counts, so 120 minutes added at 16:00 on
+   * a 08:00-17:00 calendar ends at 09:00 on the next business day.
+   * @param {Date} start - Start date
+   * @param {Number} minutes - Business minutes to add
+   * @param {Object} calendar - Normalized calendar
+   * @returns {Date}
+   */
+  static addBusinessMinutes(start, minutes, calendar) {
+    const cursor = new Date(start).getTime();
+    let remaining = Math.max(0, Number(minutes) || 0) * MINUTE_MS;
+
+    if (remaining === 0) {
+      return new Date(cursor);
+    }
+
+    let day = this.getLocalParts(new Date(cursor), calendar.timeZone);
+    let scanned = 0;
+
+    for (;;) {
+      if (this.isWorkingDay(day, calendar)) {
+        const opens = this.toDate(day, calendar.start, calendar.timeZone).getTime();
+        const closes = this.toDate(day, calendar.end, calendar.timeZone).getTime();
+        const from = Math.max(cursor, opens);
+
+        if (from < closes) {
+          if (from + remaining <= closes) {
+            return new Date(from + remaining);
+          }
+          remaining -= closes - from;
+        }
+      }
+
+      day = this.nextDay(day);
+      this.guard(++scanned, calendar);
+    }
+  }
+
+  /**
+   * Business minutes between two dates
+   * @returns {Number} Minutes within working hours (0 when to is not after from)
+   */
+  static businessMinutesBetween(from, to, calendar) {
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+
+    if (!(toTime > fromTime)) {
+      return 0;
+    }
+
+    let day = this.getLocalParts(new Date(fromTime), calendar.timeZone);
+    let total = 0;
+
+    for (;;) {
+      const midnight = this.toDate(day, 0, calendar.timeZone).getTime();
+      if (midnight >= toTime) {
+        break;
+      }
+
+      if (this.isWorkingDay(day, calendar)) {
+        const opens = Math.max(fromTime, this.toDate(day, calendar.start, calendar.timeZone).getTime());
+        const closes = Math.min(toTime, this.toDate(day, calendar.end, calendar.timeZone).getTime());
+        total += Math.max(0, closes - opens);
+      }
+
+      day = this.nextDay(day);
+    }
+
+    return total / MINUTE_MS;
+  }
+
+  /**
+   * Business days between two dates, as a fraction of full working days
+   * (a request handled in half a working day counts as 0.5)
+   */
+  static businessDaysBetween(from, to, calendar) {
+    return this.businessMinutesBetween(from, to, calendar) / (calendar.end - calendar.start);
+  }
+
+  /**
+   * The date itself when it is within working hours, otherwise the time the
+   * next business day opens
+   */
+  static nextWorkingTime(date, calendar) {
+    const time = new Date(date).getTime();
+    let day = this.getLocalParts(new Date(time), calendar.timeZone);
+    let scanned = 0;
+
+    for (;;) {
+      if (this.isWorkingDay(day, calendar)) {
+        const opens = this.toDate(day, calendar.start, calendar.timeZone).getTime();
+        const closes = this.toDate(day, calendar.end, calendar.timeZone).getTime();
+
+        if (time < closes) {
+          return new Date(Math.max(time, opens));
+        }
+      }
+
+      day = this.nextDay(day);
+      this.guard(++scanned, calendar);
+    }
+  }
+
+  /**
+   * Start and end of the local day a date falls on
+   * @returns {Object} { start: Date, end: Date }
+   */
+  static getDayBounds(date, calendar) {
+    const day = this.getLocalParts(new Date(date), calendar.timeZone);
+
+    return {
+      start: this.toDate(day, 0, calendar.timeZone),
+      end: new Date(this.toDate(this.nextDay(day), 0, calendar.timeZone).getTime() - 1)
+    };
+  }
+
+  /**
+   * Local date a date falls on, as 'YYYY-MM-DD'
+   */
+  static getLocalDate(date, calendar) {
+    return this.formatDay(this.getLocalParts(new Date(date), calendar.timeZone));
+  }
+
+  /**
+   * Public description of a normalized calendar (for API responses)
+   */
+  static describe(calendar) {
+    const format = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    return {
+      id: calendar.id,
+      name: calendar.name,
+      timeZone: calendar.timeZone,
+      workingDays: [...calendar.workingDays].sort(),
+      workingHours: { start: format(calendar.start), end: format(calendar.end) },
+      holidays: [...calendar.holidays].sort()
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Local date helpers
+  // A local day is { year, month, day, weekday, minutes } in the calendar's
+  // time zone; toDate turns a local day and time back into an instant.
+  // ---------------------------------------------------------------------------
+
+  static isWorkingDay(local, calendar) {
+    const date = this.formatDay(local);
+    return calendar.workingDays.has(local.weekday) &&
+      !calendar.holidays.has(date) &&
+      !calendar.holidays.has(date.slice(5));
+  }
+
+  static getLocalParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }));
+    }
+
+    const parts = {};
+    for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+      parts[type] = value;
+    }
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  static nextDay(local) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day) + DAY_MS);
+
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(),
+      minutes: 0
+    };
+  }
+
+  static toDate(local, minutes, timeZone) {
+    const wallClock = Date.UTC(local.year, local.month - 1, local.day, 0, minutes);
+
+    // Guess with the offset at the wall-clock time, then correct it once for
+    // days where the offset changes (daylight saving)
+    let instant = wallClock - this.getOffset(new Date(wallClock), timeZone);
+    instant = wallClock - this.getOffset(new Date(instant), timeZone);
+
+    return new Date(instant);
+  }
+
+  static getOffset(date, timeZone) {
+    const local = this.getLocalParts(date, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes);
+    return asUtc - Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS;
+  }
+
+  static formatDay(local) {
+    return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+  }
+
+  static parseTime(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  static guard(scanned, calendar) {
+    if (scanned > MAX_DAYS_SCANNED) {
+      throw new Error(`Business calendar ${calendar.name} has no working days within ${MAX_DAYS_SCANNED} days`);
+    }
+  }
+}
+
+module.exports = BusinessCalendarService;
@@ -2,6 +2,7 @@ const { Document, Permit, User } = require('../models');
 const { Op } = require('sequelize');
 const ocrService = require('./ocrService');
 const aiService = require('./aiService');
+const PermitTypeService = require('./permitTypeService');
 const config = require('../config/config');
 
 /**
@@ -10,86 +11,21 @@ const config = require('../config/config');
  */
 class DocumentService {
   /**
-   * Document templates per permit type
-   * Defines required and optional documents
-   */
-  static DOCUMENT_TEMPLATES = {
-    building: {
-      required: [
-        { category: 'blueprint', name: 'Site Plan', description: 'Detailed site layout and building placement' },
-        { category: 'blueprint', name: 'Floor Plans', description: 'All floor layouts with dimensions' },
-        { category: 'blueprint', name: 'Elevation Drawings', description: 'Building elevations from all sides' }
-      ],
-      optional: [
-        { category: 'report', name: 'Soil Report', description: 'Geotechnical soil analysis' },
-        { category: 'report', name: 'Energy Compliance', description: 'Energy efficiency calculations' },
-        { category: 'photo', name: 'Site Photos', description: 'Current site condition photographs' }
-      ]
-    },
-    electrical: {
-      required: [
-        { category: 'blueprint', name: 'Electrical Plan', description: 'Single-line diagram and panel schedule' },
-        { category: 'report', name: 'Load Calculation', description: 'Electrical load calculations' }
-      ],
-      optional: [
-        { category: 'certification', name: 'Electrician License', description: 'Licensed electrician certification' }
-      ]
-    },
-    plumbing: {
-      required: [
-        { category: 'blueprint', name: 'Plumbing Plan', description: 'Water supply and drainage layout' },
-        { category: 'report', name: 'Fixture Schedule', description: 'List of all plumbing fixtures' }
-      ],
-      optional: [
-        { category: 'certification', name: 'Plumber License', description: 'Licensed plumber certification' }
-      ]
-    },
-    demolition: {
-      required: [
-        { category: 'blueprint', name: 'Demolition Plan', description: 'What will be demolished' },
-        { category: 'report', name: 'Hazardous Materials Report', description: 'Asbestos, lead paint assessment' },
-        { category: 'report', name: 'Waste Disposal Plan', description: 'How debris will be handled' }
-      ],
-      optional: [
-        { category: 'photo', name: 'Pre-Demolition Photos', description: 'Current structure photographs' }
-      ]
-    },
-    zoning: {
-      required: [
-        { category: 'blueprint', name: 'Site Plan', description: 'Property layout and use' },
-        { category: 'report', name: 'Variance Justification', description: 'Reason for zoning variance' }
-      ],
-      optional: [
-        { category: 'report', name: 'Traffic Study', description: 'Traffic impact analysis' },
-        { category: 'report', name: 'Environmental Impact', description: 'Environmental assessment' }
-      ]
-    },
-    general: {
-      required: [
-        { category: 'application', name: 'Permit Application', description: 'Completed permit application form' }
-      ],
-      optional: []
-    }
-  };
-
-  /**
-   * Get required documents for permit type
+   * Get required documents for permit type (from the permit type catalog)
    * @param {string} permitType - Type of permit
-   * @returns {Array} Required documents
+   * @returns {Promise<Array>} Required documents
    */
-  static getRequiredDocuments(permitType) {
-    const template = this.DOCUMENT_TEMPLATES[permitType] || this.DOCUMENT_TEMPLATES.general;
-    return template.required;
+  static async getRequiredDocuments(permitType) {
+    return PermitTypeService.getRequiredDocuments(permitType);
   }
 
   /**
-   * Get optional documents for permit type
+   * Get optional documents for permit type (from the permit type catalog)
    * @param {string} permitType - Type of permit
-   * @returns {Array} Optional documents
+   * @returns {Promise<Array>} Optional documents
    */
-  static getOptionalDocuments(permitType) {
-    const template = this.DOCUMENT_TEMPLATES[permitType] || this.DOCUMENT_TEMPLATES.general;
-    return template.optional;
+  static async getOptionalDocuments(permitType) {
+    return PermitTypeService.getOptionalDocuments(permitType);
   }
 
   /**
@@ -109,7 +45,7 @@ class DocumentService {
         attributes: ['category', 'originalName', 'processed', 'ocrText']
       });
 
-      const requiredDocs = this.getRequiredDocuments(permit.type);
+      const requiredDocs = await this.getRequiredDocuments(permit.type);
       const missingDocs = [];
       const foundDocs = [];
 
@@ -127,7 +63,7 @@ class DocumentService {
       });
 
       const isComplete = missingDocs.length === 0;
-      const completionRate = (foundDocs.length / requiredDocs.length) * 100;
+      const completionRate = requiredDocs.length > 0 ? (foundDocs.length / requiredDocs.length) * 100 : 100;
 
       return {
         isComplete,
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+/**
+ * Domain events published by the API
+ * Workflows subscribe to these through Workflow.triggerType.
+ */
+const EVENTS = {
+  PERMIT_SUBMITTED: 'permit_submitted',
+  PERMIT_STATUS_CHANGED: 'permit_status_changed',
+  PAYMENT_COMPLETED: 'payment_completed',
+  INSPECTION_COMPLETED: 'inspection_completed',
+  DOCUMENT_UPLOADED: 'document_uploaded',
+  GRANT_APPLICATION_SUBMITTED: 'grant_application_submitted',
+  CONTACT_CREATED: 'contact_created',
+  PUBLIC_COMMENT_SUBMITTED: 'public_comment_submitted'
+};
+
+// Subscribe with this type to receive every event
+const ALL_EVENTS = '*';
+
+/**
+ * Event Bus
+ * In-process publish/subscribe for domain events. Handlers run
+ * asynchronously and a failing handler never affects the publisher
+ * or the other handlers.
+ */
+class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event type
+   * @param {string} type - Event type from EVENTS, or '*' for all events
+   * @param {Function} handler - async (event) => {}
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Publish an event to its subscribers
+   * @param {string} type - Event type from EVENTS
+   * @param {Object} payload - { permit, entity, entityType, entityId, actorId, data }
+   * @returns {Promise<Object>} The published event
+   */
+  async publish(type, payload = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      occurredAt: new Date().toISOString(),
+      permit: payload.permit || null,
+      entity: payload.entity || payload.permit || null,
+      entityType: payload.entityType || (payload.permit ? 'permit' : null),
+      entityId: payload.entityId || payload.permit?.id || null,
+      actorId: payload.actorId || null,
+      data: payload.data || {}
+    };
+
+    const handlers = [
+      ...(this.handlers.get(type) || []),
+      ...(this.handlers.get(ALL_EVENTS) || [])
+    ];
+
+    console.log(`📣 Event published: ${type} (${event.entityType || 'none'} ${event.entityId || ''})`);
+
+    const results = await Promise.allSettled(handlers.map(async handler => handler(event)));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error(`Event handler failed for ${type}:`, result.reason));
+
+    return event;
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EVENTS = EVENTS;
+module.exports.ALL_EVENTS = ALL_EVENTS;
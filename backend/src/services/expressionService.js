@@ -0,0 +1,625 @@
+/**
+ * Expression Service
+ * Safe, sandboxed expression language for workflow step conditions.
+ *
+ * Expressions are tokenized and parsed into an AST and then interpreted;
+ * nothing is ever passed to eval/Function. Only the whitelisted roots and
+ * functions below are reachable.
+ *
+ * Examples:
+ *   permit.type == 'building' and permit.estimatedCost >= 50000
+ *   permit.type in ['electrical', 'plumbing'] or not steps['Document Check'].passed
+ *   now() - permit.createdAt > days(30)
+ *   variables.zoning != null and lower(variables.zoning) == 'r1'
+ *   entity.requestedAmount > 100000   (the grant application, contact, ... a workflow runs on)
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Identifiers an expression may start from
+const ROOTS = ['permit', 'entity', 'variables', 'steps', 'execution'];
+
+// Property names that could reach the prototype chain
+const FORBIDDEN_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+
+/**
+ * Whitelisted functions: [minArgs, maxArgs, implementation]
+ */
+const FUNCTIONS = {
+  now: [0, 0, () => new Date()],
+  today: [0, 0, () => {
+    const d = new Date();
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }],
+  date: [1, 1, (value) => toDate(value)],
+  days: [1, 1, (n) => toNumber(n) * DAY_MS],
+  hours: [1, 1, (n) => toNumber(n) * 60 * 60 * 1000],
+  minutes: [1, 1, (n) => toNumber(n) * 60 * 1000],
+  daysBetween: [2, 2, (a, b) => {
+    const start = toDate(a);
+    const end = toDate(b);
+    return start && end ? Math.floor((end - start) / DAY_MS) : null;
+  }],
+  daysSince: [1, 1, (value) => {
+    const d = toDate(value);
+    return d ? Math.floor((Date.now() - d) / DAY_MS) : null;
+  }],
+  len: [1, 1, (value) => (value == null ? 0 : (typeof value === 'string' || Array.isArray(value) ? value.length : Object.keys(value).length))],
+  lower: [1, 1, (value) => (value == null ? null : String(value).toLowerCase())],
+  upper: [1, 1, (value) => (value == null ? null : String(value).toUpperCase())],
+  number: [1, 1, (value) => toNumber(value)],
+  contains: [2, 2, (haystack, needle) => {
+    if (Array.isArray(haystack)) return haystack.some(item => equals(item, needle));
+    if (typeof haystack === 'string') return needle != null && haystack.includes(String(needle));
+    return false;
+  }],
+  startsWith: [2, 2, (value, prefix) => typeof value === 'string' && prefix != null && value.startsWith(String(prefix))],
+  exists: [1, 1, (value) => value !== null && value !== undefined]
+};
+
+/**
+ * Error raised for invalid expression syntax or evaluation failures
+ */
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position !== null ? `${message} (at position ${position})` : message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+// ============================================================================
+// VALUE HELPERS
+// ============================================================================
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const d = new Date(value);
+    return isNaN(d) ? null : d;
+  }
+  if (typeof value === 'number') return new Date(value);
+  return null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Normalize a pair of operands so dates compare with dates and
+ * numeric strings (e.g. DECIMAL columns) compare with numbers
+ */
+function normalizePair(left, right) {
+  if (left instanceof Date || right instanceof Date) {
+    const l = toDate(left);
+    const r = toDate(right);
+    if (l && r) return [l.getTime(), r.getTime()];
+  }
+  if (typeof left === 'number' || typeof right === 'number') {
+    const l = toNumber(left);
+    const r = toNumber(right);
+    if (l !== null && r !== null) return [l, r];
+  }
+  return [left, right];
+}
+
+function equals(left, right) {
+  if (left == null || right == null) {
+    return left == null && right == null;
+  }
+  const [l, r] = normalizePair(left, right);
+  return l === r;
+}
+
+function compare(op, left, right) {
+  if (left == null || right == null) {
+    return false;
+  }
+  const [l, r] = normalizePair(left, right);
+  if (typeof l !== typeof r) {
+    return false;
+  }
+  switch (op) {
+    case '<': return l < r;
+    case '<=': return l <= r;
+    case '>': return l > r;
+    case '>=': return l >= r;
+    default: return false;
+  }
+}
+
+function arithmetic(op, left, right) {
+  if (left == null || right == null) {
+    return null;
+  }
+
+  if (op === '+' && (typeof left === 'string' || typeof right === 'string') &&
+      !(left instanceof Date) && !(right instanceof Date) && !ISO_DATE.test(left) && !ISO_DATE.test(right)) {
+    return String(left) + String(right);
+  }
+
+  // Date math: date +/- duration, date - date
+  const leftDate = left instanceof Date ? left : (typeof left === 'string' ? toDate(left) : null);
+  const rightDate = right instanceof Date ? right : (typeof right === 'string' ? toDate(right) : null);
+
+  if (leftDate && rightDate && op === '-') {
+    return leftDate - rightDate;
+  }
+  if (leftDate && !rightDate && (op === '+' || op === '-')) {
+    const ms = toNumber(right);
+    return ms === null ? null : new Date(leftDate.getTime() + (op === '+' ? ms : -ms));
+  }
+  if (rightDate && !leftDate && op === '+') {
+    const ms = toNumber(left);
+    return ms === null ? null : new Date(rightDate.getTime() + ms);
+  }
+
+  const l = toNumber(left);
+  const r = toNumber(right);
+  if (l === null || r === null) {
+    return null;
+  }
+
+  switch (op) {
+    case '+': return l + r;
+    case '-': return l - r;
+    case '*': return l * r;
+    case '/': return r === 0 ? null : l / r;
+    case '%': return r === 0 ? null : l % r;
+    default: return null;
+  }
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers
+    if (/[0-9]/.test(ch)) {
+      const match = /^\d+(\.\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Strings
+    if (ch === '\'' || ch === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new ExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const word = match[0];
+      tokens.push({ type: KEYWORDS.includes(word) ? 'keyword' : 'identifier', value: word, pos: i });
+      i += word.length;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => source.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'operator', value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${ch}"`, i);
+  }
+
+  tokens.push({ type: 'eof', pos: source.length });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER (recursive descent)
+// ============================================================================
+
+class Parser {
+  constructor(source, roots = ROOTS) {
+    this.roots = roots;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  match(type, value) {
+    const token = this.peek();
+    if (token.type === type && (value === undefined || token.value === value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(type, value) {
+    const token = this.match(type, value);
+    if (!token) {
+      const found = this.peek();
+      throw new ExpressionError(`Expected ${value || type} but found ${found.type === 'eof' ? 'end of expression' : `"${found.value}"`}`, found.pos);
+    }
+    return token;
+  }
+
+  enter() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new ExpressionError('Expression is nested too deeply', this.peek().pos);
+    }
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      throw new ExpressionError(`Unexpected "${token.value}"`, token.pos);
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.match('keyword', 'or') || this.match('operator', '||')) {
+      left = { type: 'logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.match('keyword', 'and') || this.match('operator', '&&')) {
+      left = { type: 'logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.match('keyword', 'not') || this.match('operator', '!')) {
+      this.enter();
+      const argument = this.parseNot();
+      this.depth--;
+      return { type: 'not', argument };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { type: 'compare', op: token.value, left, right: this.parseAdditive() };
+    }
+
+    if (this.match('keyword', 'in')) {
+      return { type: 'in', negate: false, left, right: this.parseAdditive() };
+    }
+
+    // "not in"
+    if (token.type === 'keyword' && token.value === 'not' && this.tokens[this.index + 1]?.value === 'in') {
+      this.index += 2;
+      return { type: 'in', negate: true, left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    let token;
+    while ((token = this.match('operator', '+') || this.match('operator', '-'))) {
+      left = { type: 'arithmetic', op: token.value, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    let token;
+    while ((token = this.match('operator', '*') || this.match('operator', '/') || this.match('operator', '%'))) {
+      left = { type: 'arithmetic', op: token.value, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.match('operator', '-')) {
+      this.enter();
+      const argument = this.parseUnary();
+      this.depth--;
+      return { type: 'negate', argument };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.match('operator', '.')) {
+        const name = this.expect('identifier');
+        this.checkProperty(name.value, name.pos);
+        node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+      } else if (this.peek().type === 'operator' && this.peek().value === '[') {
+        const open = this.next();
+        this.enter();
+        const property = this.parseOr();
+        this.depth--;
+        this.expect('operator', ']');
+        if (property.type === 'literal') {
+          this.checkProperty(String(property.value), open.pos);
+        }
+        node = { type: 'member', object: node, property };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'keyword':
+        if (token.value === 'true') return { type: 'literal', value: true };
+        if (token.value === 'false') return { type: 'literal', value: false };
+        if (token.value === 'null') return { type: 'literal', value: null };
+        throw new ExpressionError(`Unexpected "${token.value}"`, token.pos);
+
+      case 'identifier': {
+        // Function call
+        if (this.match('operator', '(')) {
+          const fn = FUNCTIONS[token.value];
+          if (!fn) {
+            throw new ExpressionError(`Unknown function "${token.value}"`, token.pos);
+          }
+          const args = [];
+          this.enter();
+          if (!this.match('operator', ')')) {
+            do {
+              args.push(this.parseOr());
+            } while (this.match('operator', ','));
+            this.expect('operator', ')');
+          }
+          this.depth--;
+          if (args.length < fn[0] || args.length > fn[1]) {
+            throw new ExpressionError(`${token.value}() expects ${fn[0] === fn[1] ? fn[0] : `${fn[0]}-${fn[1]}`} argument(s)`, token.pos);
+          }
+          return { type: 'call', name: token.value, args };
+        }
+
+        if (!this.roots.includes(token.value)) {
+          throw new ExpressionError(`Unknown identifier "${token.value}" (expected one of: ${this.roots.join(', ')})`, token.pos);
+        }
+        return { type: 'identifier', name: token.value };
+      }
+
+      case 'operator':
+        if (token.value === '(') {
+          this.enter();
+          const inner = this.parseOr();
+          this.depth--;
+          this.expect('operator', ')');
+          return inner;
+        }
+        if (token.value === '[') {
+          const items = [];
+          this.enter();
+          if (!this.match('operator', ']')) {
+            do {
+              items.push(this.parseOr());
+            } while (this.match('operator', ','));
+            this.expect('operator', ']');
+          }
+          this.depth--;
+          return { type: 'list', items };
+        }
+        throw new ExpressionError(`Unexpected "${token.value}"`, token.pos);
+
+      default:
+        throw new ExpressionError('Unexpected end of expression', token.pos);
+    }
+  }
+
+  checkProperty(name, pos) {
+    if (FORBIDDEN_PROPERTIES.includes(name)) {
+      throw new ExpressionError(`Access to "${name}" is not allowed`, pos);
+    }
+  }
+}
+
+// ============================================================================
+// INTERPRETER
+// ============================================================================
+
+function readProperty(object, key) {
+  if (object == null || typeof object !== 'object' || object instanceof Date) {
+    return null;
+  }
+  const name = String(key);
+  if (FORBIDDEN_PROPERTIES.includes(name) || !Object.prototype.hasOwnProperty.call(object, name)) {
+    return null;
+  }
+  const value = object[name];
+  return value === undefined || typeof value === 'function' ? null : value;
+}
+
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'identifier':
+      return readProperty(context, node.name);
+
+    case 'member':
+      return readProperty(evaluateNode(node.object, context), evaluateNode(node.property, context));
+
+    case 'list':
+      return node.items.map(item => evaluateNode(item, context));
+
+    case 'call':
+      return FUNCTIONS[node.name][2](...node.args.map(arg => evaluateNode(arg, context)));
+
+    case 'not':
+      return !truthy(evaluateNode(node.argument, context));
+
+    case 'negate': {
+      const value = toNumber(evaluateNode(node.argument, context));
+      return value === null ? null : -value;
+    }
+
+    case 'logical': {
+      const left = truthy(evaluateNode(node.left, context));
+      if (node.op === 'and') return left && truthy(evaluateNode(node.right, context));
+      return left || truthy(evaluateNode(node.right, context));
+    }
+
+    case 'compare': {
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      if (node.op === '==') return equals(left, right);
+      if (node.op === '!=') return !equals(left, right);
+      return compare(node.op, left, right);
+    }
+
+    case 'in': {
+      const left = evaluateNode(node.left, context);
+      const right = evaluateNode(node.right, context);
+      let found = false;
+      if (Array.isArray(right)) {
+        found = right.some(item => equals(item, left));
+      } else if (typeof right === 'string' && left != null) {
+        found = right.includes(String(left));
+      }
+      return node.negate ? !found : found;
+    }
+
+    case 'arithmetic':
+      return arithmetic(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+
+    default:
+      throw new ExpressionError(`Unsupported expression node "${node.type}"`);
+  }
+}
+
+/**
+ * Expression service
+ */
+class ExpressionService {
+  static ROOTS = ROOTS;
+  static FUNCTIONS = Object.keys(FUNCTIONS);
+
+  /**
+   * Parse an expression into an AST
+   * @param {string} source - Expression text
+   * @param {Object} options - { roots: extra identifiers the caller puts in the context }
+   * @returns {Object} AST
+   * @throws {ExpressionError} When the syntax is invalid
+   */
+  static parse(source, { roots = [] } = {}) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new ExpressionError('Expression must be a non-empty string');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+      throw new ExpressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    return new Parser(source, [...ROOTS, ...roots]).parse();
+  }
+
+  /**
+   * Evaluate an expression against a context
+   * @param {string|Object} expression - Expression text or a parsed AST
+   * @param {Object} context - Values for permit, variables, steps and execution
+   * @param {Object} options - Parse options (see parse)
+   * @returns {*} Result value
+   */
+  static evaluate(expression, context = {}, options = {}) {
+    const ast = typeof expression === 'string' ? this.parse(expression, options) : expression;
+    return evaluateNode(ast, context);
+  }
+
+  /**
+   * Evaluate an expression as a boolean condition
+   */
+  static test(expression, context = {}, options = {}) {
+    return truthy(this.evaluate(expression, context, options));
+  }
+
+  /**
+   * Check expression syntax
+   * @param {string} source - Expression text
+   * @param {Object} options - Parse options (see parse)
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(source, options = {}) {
+    try {
+      this.parse(source, options);
+      return null;
+    } catch (error) {
+      if (error instanceof ExpressionError) {
+        return error.message;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = ExpressionService;
+module.exports.ExpressionError = ExpressionError;
@@ -0,0 +1,551 @@
+const { Op } = require('sequelize');
+const { PermitFee, Permit, sequelize } = require('../models');
+const PermitTypeService = require('./permitTypeService');
+const BusinessCalendarService = require('./businessCalendarService');
+const ExpressionService = require('./expressionService');
+
+// Permits that no longer run up late penalties
+const PENALTY_FREE_STATUSES = ['rejected', 'revoked', 'closed'];
+
+// Field valuation_tiers rules read when they name none
+const DEFAULT_VALUATION_FIELD = 'valuation';
+
+const roundMoney = value => Math.round(Number(value) * 100) / 100;
+const sumAmounts = lines => roundMoney(lines.reduce((sum, line) => sum + Number(line.amount), 0));
+
+// Run in the caller's transaction, or in a new one
+const inTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+/**
+ * Fee Service
+ * Computes permit fees from the fee schedule of the permit's type
+ * (PermitType.feeSchedule) and keeps them as itemized PermitFee lines that
+ * payments are applied against.
+ *
+ * A fee schedule is a list of dated schedules; the one with the latest
+ * effectiveFrom on or before a date is in effect (effectiveTo, inclusive,
+ * ends one early):
+ *   [{ effectiveFrom: '2025-01-01', effectiveTo: null, fees: [rule, ...] }]
+ *
+ * Rules:
+ *   { code, name, type, trigger, condition, minimum, maximum, ... }
+ *   type flat:            amount
+ *   type per_unit:        field, rate (e.g. squareFootage x 0.15)
+ *   type valuation_tiers: field (default valuation), tiers: [{ upTo, base, ratePer1000 }]
+ *                         base of the tier the value falls in, plus ratePer1000
+ *                         for each started $1,000 above the previous tier
+ *   type percentage:      percentage, of: [codes] (default: every fee computed
+ *                         before it; for late fees, the overdue balance)
+ *   trigger application (default), reinspection, or late (afterDays: business
+ *   days a fee may stay unpaid)
+ *
+ * field names a permit attribute (dotted paths reach into JSON attributes);
+ * condition is an expression over permit. Application fees use the schedule
+ * in effect on the application date, reinspection and late fees the one in
+ * effect when they are charged.
+ */
+class FeeService {
+  /**
+   * Get the fee schedule of a permit type in effect on a date
+   * @param {string} permitType - Permit.type
+   * @param {Date} date - Date the fees are for
+   * @returns {Promise<Object|null>} { effectiveFrom, effectiveTo, fees }, or null when none is in effect
+   */
+  static async getSchedule(permitType, date = new Date()) {
+    const calendar = await BusinessCalendarService.getCalendar();
+    const definition = await PermitTypeService.resolve(permitType);
+
+    return this.selectSchedule(definition.feeSchedule || [], BusinessCalendarService.getLocalDate(date, calendar));
+  }
+
+  /**
+   * Pick the schedule in effect on a local date ('YYYY-MM-DD')
+   */
+  static selectSchedule(schedules, day) {
+    return schedules
+      .filter(schedule => schedule.effectiveFrom <= day && (!schedule.effectiveTo || day <= schedule.effectiveTo))
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+  }
+
+  /**
+   * Compute the fee lines a set of rules charges a permit
+   * Percentage rules are computed after the others, in schedule order.
+   * @param {Array} rules - Fee schedule rules
+   * @param {Object} permit - Permit (instance or plain attributes)
+   * @param {Object} options - { trigger, base (percentage basis when no codes are named), effectiveFrom }
+   * @returns {Array} [{ code, name, trigger, amount, calculation }] (lines of 0 are left out)
+   */
+  static calculate(rules, permit, { trigger = 'application', base = null, effectiveFrom = null } = {}) {
+    const attributes = typeof permit?.get === 'function' ? permit.get({ plain: true }) : (permit || {});
+    const applicable = rules.filter(rule =>
+      (rule.trigger || 'application') === trigger &&
+      (!rule.condition || ExpressionService.test(rule.condition, { permit: attributes }))
+    );
+    const ordered = [
+      ...applicable.filter(rule => rule.type !== 'percentage'),
+      ...applicable.filter(rule => rule.type === 'percentage')
+    ];
+    const lines = [];
+
+    for (const rule of ordered) {
+      const { amount, inputs } = this.calculateRule(rule, attributes, lines, base);
+      let total = amount;
+
+      if (typeof rule.minimum === 'number') total = Math.max(total, rule.minimum);
+      if (typeof rule.maximum === 'number') total = Math.min(total, rule.maximum);
+      total = roundMoney(total);
+
+      if (total > 0) {
+        lines.push({
+          code: rule.code,
+          name: rule.name,
+          trigger,
+          amount: total,
+          calculation: {
+            type: rule.type,
+            ...inputs,
+            minimum: rule.minimum ?? null,
+            maximum: rule.maximum ?? null,
+            scheduleEffectiveFrom: effectiveFrom
+          }
+        });
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Compute one rule before minimum/maximum
+   * @returns {Object} { amount, inputs }
+   */
+  static calculateRule(rule, attributes, lines, base) {
+    switch (rule.type) {
+      case 'flat':
+        return { amount: Number(rule.amount) || 0, inputs: {} };
+
+      case 'per_unit': {
+        const value = this.getValue(attributes, rule.field);
+        return { amount: value * rule.rate, inputs: { field: rule.field, value, rate: rule.rate } };
+      }
+
+      case 'valuation_tiers': {
+        const field = rule.field || DEFAULT_VALUATION_FIELD;
+        const value = this.getValue(attributes, field);
+        return { amount: this.tieredAmount(rule.tiers, value), inputs: { field, value } };
+      }
+
+      case 'percentage': {
+        const basis = rule.of?.length
+          ? sumAmounts(lines.filter(line => rule.of.includes(line.code)))
+          : (base ?? sumAmounts(lines));
+        return {
+          amount: basis * rule.percentage / 100,
+          inputs: { percentage: rule.percentage, of: rule.of || null, basis }
+        };
+      }
+
+      default:
+        throw new Error(`Unknown fee type ${rule.type} (fee ${rule.code})`);
+    }
+  }
+
+  /**
+   * Amount of a valuation table for a value
+   * @param {Array} tiers - [{ upTo, base, ratePer1000 }], upTo ascending, null on the last tier
+   * @param {Number} value - Valuation
+   */
+  static tieredAmount(tiers, value) {
+    let lower = 0;
+
+    for (const tier of tiers) {
+      if (tier.upTo === null || tier.upTo === undefined || value <= tier.upTo) {
+        return (tier.base || 0) + Math.ceil(Math.max(0, value - lower) / 1000) * (tier.ratePer1000 || 0);
+      }
+      lower = tier.upTo;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Read a numeric permit attribute (missing or non-numeric values count as 0)
+   */
+  static getValue(attributes, path) {
+    const value = String(path || '').split('.').reduce((current, key) => current?.[key], attributes);
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+  }
+
+  /**
+   * Quote the application fees of a permit type for a set of attributes
+   * @param {string} permitType - Permit type code
+   * @param {Object} attributes - Permit attributes the fees are computed from
+   * @param {Date} date - Application date (default today)
+   * @returns {Promise<Object>} { effectiveFrom, fees, total }
+   */
+  static async quote(permitType, attributes = {}, date = new Date()) {
+    const schedule = await this.getSchedule(permitType, date);
+
+    if (!schedule) {
+      return { effectiveFrom: null, fees: [], total: 0 };
+    }
+
+    const fees = this.calculate(schedule.fees || [], { ...attributes, type: permitType }, {
+      effectiveFrom: schedule.effectiveFrom
+    });
+
+    return { effectiveFrom: schedule.effectiveFrom, fees, total: sumAmounts(fees) };
+  }
+
+  /**
+   * Assess (or reassess) a permit's application fees
+   * Lines are matched by code: changed amounts are updated, new fees added
+   * and fees that no longer apply voided unless something was paid on them.
+   * Waived lines are left alone.
+   * @param {Object} permit - Permit instance
+   * @param {Object} options - { userId: who assessed (null when automatic) }
+   * @returns {Promise<Object>} Permit fees (see getPermitFees)
+   */
+  static async assess(permit, { userId = null } = {}) {
+    const schedule = await this.getSchedule(permit.type, permit.createdAt || new Date());
+    const lines = schedule
+      ? this.calculate(schedule.fees || [], permit, { effectiveFrom: schedule.effectiveFrom })
+      : [];
+
+    if (!schedule) {
+      console.log(`ℹ️  No fee schedule in effect for permit ${permit.permitNumber} (${permit.type})`);
+    }
+
+    const existing = await PermitFee.findAll({
+      where: { permitId: permit.id, trigger: 'application', status: { [Op.ne]: 'void' } }
+    });
+    const byCode = new Map(existing.map(fee => [fee.code, fee]));
+
+    for (const line of lines) {
+      const fee = byCode.get(line.code);
+      byCode.delete(line.code);
+
+      if (!fee) {
+        await PermitFee.create({ ...line, permitId: permit.id, assessedBy: userId });
+      } else if (fee.status !== 'waived' && Number(fee.amount) !== line.amount) {
+        await fee.update({
+          name: line.name,
+          amount: line.amount,
+          calculation: line.calculation,
+          status: Number(fee.amountPaid) >= line.amount ? 'paid' : 'due',
+          assessedAt: new Date(),
+          assessedBy: userId
+        });
+      }
+    }
+
+    for (const fee of byCode.values()) {
+      if (fee.status === 'due' && Number(fee.amountPaid) === 0) {
+        await fee.update({ status: 'void' });
+      }
+    }
+
+    console.log(`✅ Fees assessed for permit ${permit.permitNumber}: $${sumAmounts(lines).toFixed(2)}`);
+
+    return this.getPermitFees(permit.id);
+  }
+
+  /**
+   * Charge the fees a permit type's schedule sets for an event
+   * @param {Object} permit - Permit instance
+   * @param {string} trigger - 'reinspection'
+   * @param {Object} options - { inspectionId, userId, date }
+   * @returns {Promise<Array>} Created PermitFee lines
+   */
+  static async assessEvent(permit, trigger, { inspectionId = null, userId = null, date = new Date() } = {}) {
+    const schedule = await this.getSchedule(permit.type, date);
+
+    if (!schedule) {
+      return [];
+    }
+
+    const lines = this.calculate(schedule.fees || [], permit, { trigger, effectiveFrom: schedule.effectiveFrom });
+    const charged = inspectionId
+      ? new Set((await PermitFee.findAll({
+        where: { permitId: permit.id, inspectionId, status: { [Op.ne]: 'void' } },
+        attributes: ['code']
+      })).map(fee => fee.code))
+      : new Set();
+
+    const created = [];
+    for (const line of lines.filter(entry => !charged.has(entry.code))) {
+      created.push(await PermitFee.create({ ...line, permitId: permit.id, inspectionId, assessedBy: userId }));
+    }
+
+    if (created.length > 0) {
+      console.log(`✅ ${trigger} fee(s) charged on permit ${permit.permitNumber}: $${sumAmounts(created).toFixed(2)}`);
+    }
+
+    return created;
+  }
+
+  /**
+   * Charge late penalties on fees left unpaid past their schedule's afterDays
+   * Each late rule is charged once per permit, on the balance of the fees
+   * overdue at the time.
+   * @param {Date} now - Sweep time
+   * @returns {Promise<number>} Penalties charged
+   */
+  static async assessLatePenalties(now = new Date()) {
+    const dueFees = await PermitFee.findAll({
+      where: { status: 'due', trigger: { [Op.ne]: 'late' } }
+    });
+
+    const feesByPermit = new Map();
+    dueFees.forEach(fee => {
+      if (!feesByPermit.has(fee.permitId)) feesByPermit.set(fee.permitId, []);
+      feesByPermit.get(fee.permitId).push(fee);
+    });
+
+    const calendar = await BusinessCalendarService.getCalendar();
+    let charged = 0;
+
+    for (const [permitId, fees] of feesByPermit) {
+      try {
+        const permit = await Permit.findByPk(permitId);
+
+        if (!permit || PENALTY_FREE_STATUSES.includes(permit.status)) {
+          continue;
+        }
+
+        const schedule = await this.getSchedule(permit.type, now);
+        const lateRules = (schedule?.fees || []).filter(rule => rule.trigger === 'late');
+
+        if (lateRules.length === 0) {
+          continue;
+        }
+
+        const alreadyCharged = new Set((await PermitFee.findAll({
+          where: { permitId, trigger: 'late', status: { [Op.ne]: 'void' } },
+          attributes: ['code']
+        })).map(fee => fee.code));
+
+        for (const rule of lateRules.filter(entry => !alreadyCharged.has(entry.code))) {
+          const overdue = fees.filter(fee =>
+            BusinessCalendarService.addBusinessDays(fee.assessedAt, rule.afterDays || 0, calendar) <= now
+          );
+
+          if (overdue.length === 0) {
+            continue;
+          }
+
+          const balance = roundMoney(overdue.reduce((sum, fee) => sum + Number(fee.amount) - Number(fee.amountPaid), 0));
+          const [line] = this.calculate([rule], permit, { trigger: 'late', base: balance, effectiveFrom: schedule.effectiveFrom });
+
+          if (line) {
+            line.calculation.overdueFeeIds = overdue.map(fee => fee.id);
+            await PermitFee.create({ ...line, permitId });
+            charged++;
+
+            console.log(`⚠️  Late fee ${line.code} of $${line.amount.toFixed(2)} charged on permit ${permit.permitNumber}`);
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to assess late fees for permit ${permitId}:`, error);
+      }
+    }
+
+    return charged;
+  }
+
+  /**
+   * Get a permit's fee lines with totals
+   * @param {string} permitId - Permit ID
+   * @returns {Promise<Object>} { fees, totals: { assessed, paid, waived, balance } } (void lines are listed, not counted)
+   */
+  static async getPermitFees(permitId) {
+    const fees = await PermitFee.findAll({
+      where: { permitId },
+      order: [['assessedAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const counted = fees.filter(fee => fee.status !== 'void');
+    const due = counted.filter(fee => fee.status === 'due');
+
+    return {
+      fees,
+      totals: {
+        assessed: sumAmounts(counted),
+        paid: roundMoney(counted.reduce((sum, fee) => sum + Number(fee.amountPaid), 0)),
+        waived: sumAmounts(counted.filter(fee => fee.status === 'waived')),
+        balance: roundMoney(due.reduce((sum, fee) => sum + Number(fee.amount) - Number(fee.amountPaid), 0))
+      }
+    };
+  }
+
+  /**
+   * Get the unpaid fee lines of a permit, optionally limited to some lines
+   * @param {string} permitId - Permit ID
+   * @param {Array<string>} feeIds - Lines to pay (default: all due lines)
+   * @returns {Promise<Array>} [{ fee, remaining }]
+   */
+  static async getPayableFees(permitId, feeIds = null) {
+    const where = { permitId, status: 'due' };
+    if (feeIds) {
+      where.id = { [Op.in]: feeIds };
+    }
+
+    const fees = await PermitFee.findAll({ where, order: [['assessedAt', 'ASC']] });
+
+    return fees
+      .map(fee => ({ fee, remaining: roundMoney(Number(fee.amount) - Number(fee.amountPaid)) }))
+      .filter(entry => entry.remaining > 0);
+  }
+
+  /**
+   * Split a payment over payable fee lines, oldest line first
+   * @param {Array} payable - [{ fee, remaining }] (see getPayableFees)
+   * @param {Number} amount - Payment amount, at most what the lines owe
+   * @returns {Array} [{ feeId, amount }] for the lines the payment reaches
+   */
+  static allocatePayment(payable, amount) {
+    let left = roundMoney(amount);
+    const allocations = [];
+
+    for (const { fee, remaining } of payable) {
+      if (left <= 0) {
+        break;
+      }
+
+      const share = roundMoney(Math.min(left, remaining));
+      allocations.push({ feeId: fee.id, amount: share });
+      left = roundMoney(left - share);
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Apply a completed payment to the fee lines it was allocated to
+   * Lines paid off in the meantime take nothing; the part of the payment
+   * no line took is kept as unapplied on the payment.
+   * @param {Object} payment - Payment instance
+   * @param {Object} options - { transaction } to apply it together with the payment's completion
+   * @returns {Promise<Object>} { applied, unapplied }
+   */
+  static async applyPayment(payment, { transaction: outer = null } = {}) {
+    if (!payment.allocations?.length) {
+      return { applied: 0, unapplied: 0 };
+    }
+
+    return inTransaction(outer, async (transaction) => {
+      let applied = 0;
+
+      const allocations = [];
+      for (const allocation of payment.allocations) {
+        const fee = await PermitFee.findByPk(allocation.feeId, { transaction, lock: transaction.LOCK.UPDATE });
+        let amount = 0;
+
+        if (fee && fee.status === 'due') {
+          amount = roundMoney(Math.max(0, Math.min(
+            allocation.amount,
+            Number(fee.amount) - Number(fee.amountPaid),
+            Number(payment.amount) - applied
+          )));
+          const amountPaid = roundMoney(Number(fee.amountPaid) + amount);
+
+          await fee.update({
+            amountPaid,
+            status: amountPaid >= Number(fee.amount) ? 'paid' : 'due'
+          }, { transaction });
+        }
+
+        applied = roundMoney(applied + amount);
+        allocations.push({ ...allocation, applied: amount });
+      }
+
+      const unapplied = roundMoney(Number(payment.amount) - applied);
+      await payment.update({
+        allocations,
+        metadata: { ...payment.metadata, unappliedAmount: unapplied }
+      }, { transaction });
+
+      return { applied, unapplied };
+    });
+  }
+
+  /**
+   * Take a refund back off the fee lines a payment was applied to
+   * The most recently allocated lines are reopened first. Each allocation's
+   * applied amount stays net of what was refunded from it (refunded adds
+   * up), and so does the payment's unapplied amount, so a payment can be
+   * refunded in several parts.
+   * @param {Object} payment - Payment instance
+   * @param {Number} refundAmount - Amount refunded
+   * @param {Object} options - { transaction } to reverse it together with the refund
+   * @returns {Promise<number>} Amount taken off fee lines
+   */
+  static async reversePayment(payment, refundAmount, { transaction: outer = null } = {}) {
+    if (!payment.allocations?.length) {
+      return 0;
+    }
+
+    return inTransaction(outer, async (transaction) => {
+      // Refunds first come out of the part no fee line took
+      const unapplied = Number(payment.metadata?.unappliedAmount || 0);
+      const fromUnapplied = roundMoney(Math.min(unapplied, refundAmount));
+      let remaining = roundMoney(Math.max(0, refundAmount - fromUnapplied));
+      let reversed = 0;
+
+      const allocations = [...payment.allocations];
+      for (let i = allocations.length - 1; i >= 0 && remaining > 0; i--) {
+        const allocation = allocations[i];
+        const amount = roundMoney(Math.min(remaining, allocation.applied || 0));
+
+        if (amount <= 0) {
+          continue;
+        }
+
+        const fee = await PermitFee.findByPk(allocation.feeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+        if (fee) {
+          const amountPaid = roundMoney(Math.max(0, Number(fee.amountPaid) - amount));
+          await fee.update({
+            amountPaid,
+            status: fee.status === 'paid' && amountPaid < Number(fee.amount) ? 'due' : fee.status
+          }, { transaction });
+        }
+
+        allocations[i] = {
+          ...allocation,
+          applied: roundMoney(allocation.applied - amount),
+          refunded: roundMoney((allocation.refunded || 0) + amount)
+        };
+        remaining = roundMoney(remaining - amount);
+        reversed += amount;
+      }
+
+      await payment.update({
+        allocations,
+        metadata: { ...payment.metadata, unappliedAmount: roundMoney(unapplied - fromUnapplied) }
+      }, { transaction });
+
+      return roundMoney(reversed);
+    });
+  }
+
+  /**
+   * Waive a fee line
+   * @param {Object} fee - PermitFee instance (status due)
+   * @param {Object} options - { userId, reason }
+   */
+  static async waive(fee, { userId, reason }) {
+    await fee.update({
+      status: 'waived',
+      waivedBy: userId,
+      waiveReason: reason
+    });
+
+    console.log(`✅ Fee ${fee.code} waived on permit ${fee.permitId}`);
+
+    return fee;
+  }
+}
+
+module.exports = FeeService;
@@ -1,6 +1,11 @@
 const { Inspection, Permit, User, WorkflowExecution } = require('../models');
 const { Op } = require('sequelize');
 const NotificationService = require('./notificationService');
+const BusinessCalendarService = require('./businessCalendarService');
+const PermitTypeService = require('./permitTypeService');
+const FeeService = require('./feeService');
+const PermitLifecycleService = require('./permitLifecycleService');
+const { SYSTEM_ROLE } = require('./permitLifecycleService');
 
 /**
  * Inspection Service
@@ -8,133 +13,59 @@ const NotificationService = require('./notificationService');
  */
 class InspectionService {
   /**
-   * Inspection checklists by permit type and inspection type
+   * Get inspection checklist for permit and inspection type (from the permit type catalog)
+   * @param {string} permitType - Type of permit
+   * @param {string} inspectionType - Type of inspection
+   * @returns {Promise<Array>} Checklist items
    */
-  static INSPECTION_CHECKLISTS = {
-    building: {
-      initial: [
-        { item: 'Foundation inspection complete', category: 'structural', required: true },
-        { item: 'Proper excavation depth and footings', category: 'structural', required: true },
-        { item: 'Rebar placement and spacing correct', category: 'structural', required: true },
-        { item: 'Forms are secure and level', category: 'structural', required: true },
-        { item: 'Site drainage adequate', category: 'site', required: true },
-        { item: 'Setback requirements met', category: 'zoning', required: true }
-      ],
-      framing: [
-        { item: 'Framing dimensions match approved plans', category: 'structural', required: true },
-        { item: 'Structural members properly sized', category: 'structural', required: true },
-        { item: 'Load-bearing walls properly supported', category: 'structural', required: true },
-        { item: 'Window and door openings have proper headers', category: 'structural', required: true },
-        { item: 'Floor joists properly spaced and secured', category: 'structural', required: true },
-        { item: 'Fire blocking installed', category: 'safety', required: true }
-      ],
-      final: [
-        { item: 'All work completed per approved plans', category: 'general', required: true },
-        { item: 'Electrical fixtures installed and operational', category: 'electrical', required: true },
-        { item: 'Plumbing fixtures installed and tested', category: 'plumbing', required: true },
-        { item: 'HVAC system operational', category: 'mechanical', required: true },
-        { item: 'Smoke detectors installed and tested', category: 'safety', required: true },
-        { item: 'CO detectors installed', category: 'safety', required: true },
-        { item: 'Handrails and guardrails meet code', category: 'safety', required: true },
-        { item: 'Final grading and drainage complete', category: 'site', required: true },
-        { item: 'Certificate of Occupancy ready', category: 'general', required: true }
-      ]
-    },
-    electrical: {
-      rough: [
-        { item: 'Panel installation meets code', category: 'electrical', required: true },
-        { item: 'Proper wire sizing for circuits', category: 'electrical', required: true },
-        { item: 'GFCI protection where required', category: 'safety', required: true },
-        { item: 'Proper grounding and bonding', category: 'safety', required: true },
-        { item: 'Box placement meets code requirements', category: 'electrical', required: true }
-      ],
-      final: [
-        { item: 'All fixtures installed and operational', category: 'electrical', required: true },
-        { item: 'Panel labeled correctly', category: 'electrical', required: true },
-        { item: 'AFCI protection where required', category: 'safety', required: true },
-        { item: 'Smoke alarm interconnection tested', category: 'safety', required: true },
-        { item: 'No open splices', category: 'safety', required: true }
-      ]
-    },
-    plumbing: {
-      rough: [
-        { item: 'Water supply lines properly sized', category: 'plumbing', required: true },
-        { item: 'Proper slope on drain lines', category: 'plumbing', required: true },
-        { item: 'Vent system adequate', category: 'plumbing', required: true },
-        { item: 'Pressure test passed', category: 'plumbing', required: true },
-        { item: 'Gas lines properly sized and tested', category: 'gas', required: false }
-      ],
-      final: [
-        { item: 'All fixtures installed and leak-free', category: 'plumbing', required: true },
-        { item: 'Water heater installed correctly', category: 'plumbing', required: true },
-        { item: 'Backflow prevention installed', category: 'safety', required: true },
-        { item: 'Final pressure test passed', category: 'plumbing', required: true },
-        { item: 'Accessible cleanouts installed', category: 'plumbing', required: true }
-      ]
-    },
-    demolition: {
-      initial: [
-        { item: 'Asbestos survey complete', category: 'safety', required: true },
-        { item: 'Lead paint assessment complete', category: 'safety', required: true },
-        { item: 'Utilities disconnected or capped', category: 'safety', required: true },
-        { item: 'Rodent baiting complete', category: 'safety', required: false },
-        { item: 'Site secured with fencing', category: 'site', required: true }
-      ],
-      final: [
-        { item: 'All debris removed from site', category: 'site', required: true },
-        { item: 'Foundation properly filled or removed', category: 'site', required: true },
-        { item: 'Site graded and stabilized', category: 'site', required: true },
-        { item: 'No hazardous materials remain', category: 'safety', required: true }
-      ]
-    }
-  };
+  static async getChecklist(permitType, inspectionType) {
+    return PermitTypeService.getChecklist(permitType, inspectionType);
+  }
 
   /**
-   * Get inspection checklist for permit and inspection type
+   * Get required inspection types for permit type, in the order they happen
    * @param {string} permitType - Type of permit
-   * @param {string} inspectionType - Type of inspection
-   * @returns {Array} Checklist items
+   * @returns {Promise<Array>} Required inspection types
    */
-  static getChecklist(permitType, inspectionType) {
-    const permitChecklists = this.INSPECTION_CHECKLISTS[permitType];
-    if (!permitChecklists) {
-      // Return generic checklist for unknown permit types
-      return [
-        { item: 'Work matches approved plans', category: 'general', required: true },
-        { item: 'Code requirements met', category: 'general', required: true },
-        { item: 'Safety standards complied with', category: 'safety', required: true }
-      ];
-    }
-
-    return permitChecklists[inspectionType] || permitChecklists.final || [];
+  static async getRequiredInspections(permitType) {
+    return PermitTypeService.getRequiredInspections(permitType);
   }
 
   /**
-   * Get required inspection types for permit type
-   * @param {string} permitType - Type of permit
-   * @returns {Array} Required inspection types
+   * Check that an inspection falls within business hours
+   * @param {Date} scheduledDate - Proposed inspection date
+   * @returns {Promise<string|null>} Error message, or null when the date is fine
    */
-  static getRequiredInspections(permitType) {
-    const inspectionTypes = {
-      building: ['initial', 'framing', 'final'],
-      electrical: ['rough', 'final'],
-      plumbing: ['rough', 'final'],
-      demolition: ['initial', 'final'],
-      zoning: ['final'],
-      general: ['final']
-    };
-
-    return inspectionTypes[permitType] || ['final'];
+  static async checkScheduledDate(scheduledDate) {
+    if (isNaN(new Date(scheduledDate).getTime())) {
+      return 'Scheduled date is not a valid date';
+    }
+
+    const calendar = await BusinessCalendarService.getCalendar();
+
+    if (BusinessCalendarService.isWorkingTime(scheduledDate, calendar)) {
+      return null;
+    }
+
+    const next = BusinessCalendarService.nextWorkingTime(scheduledDate, calendar);
+    return `Inspections can only be scheduled within business hours (${calendar.name} calendar); the next available time is ${next.toISOString()}`;
   }
 
   /**
    * Find available inspectors for a date/time
+   * Nobody is available on days the business calendar is closed.
    * @param {Date} scheduledDate - Proposed inspection date
    * @param {string} inspectionType - Type of inspection
    * @returns {Promise<Array>} Available inspectors
    */
   static async findAvailableInspectors(scheduledDate, inspectionType = null) {
     try {
+      const calendar = await BusinessCalendarService.getCalendar();
+
+      if (!BusinessCalendarService.isBusinessDay(scheduledDate, calendar)) {
+        return [];
+      }
+
       // Get all inspectors
       const allInspectors = await User.findAll({
         where: { role: 'inspector' },
@@ -145,12 +76,8 @@ class InspectionService {
         return [];
       }
 
-      // Check which inspectors have conflicts on this date
-      const startOfDay = new Date(scheduledDate);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(scheduledDate);
-      endOfDay.setHours(23, 59, 59, 999);
+      // Check which inspectors have conflicts on this date (in the calendar's time zone)
+      const { start: startOfDay, end: endOfDay } = BusinessCalendarService.getDayBounds(scheduledDate, calendar);
 
       const busyInspectors = await Inspection.findAll({
         where: {
@@ -245,7 +172,7 @@ class InspectionService {
       }
 
       // Get checklist for this inspection type
-      const checklistTemplate = this.getChecklist(permit.type, type);
+      const checklistTemplate = await this.getChecklist(permit.type, type);
 
       // Initialize checklist with all items unchecked
       const checklist = {
@@ -374,28 +301,37 @@ class InspectionService {
    * @param {string} result - Inspection result
    */
   static async updatePermitStatus(permit, inspection, result) {
+    let toStatus = null;
+    if (result === 'passed') {
+      // Final inspection passed - approve permit; intermediate ones keep it in review
+      toStatus = inspection.type === 'final' ? 'approved' : 'under_review';
+    } else if (result === 'failed') {
+      toStatus = 'needs_info';
+    } else if (result === 'conditional') {
+      toStatus = 'under_review';
+    }
+
+    if (!toStatus || permit.status === toStatus) {
+      return;
+    }
+
+    const reason = `${inspection.type} inspection ${result}`;
+
     try {
-      if (result === 'passed') {
-        // Check if this is the final inspection
-        if (inspection.type === 'final') {
-          // Final inspection passed - approve permit
-          await permit.update({ status: 'approved' });
-          console.log(`✅ Permit ${permit.permitNumber} approved after final inspection`);
-        } else {
-          // Intermediate inspection passed - keep in review
-          if (permit.status !== 'under_review') {
-            await permit.update({ status: 'under_review' });
-          }
-        }
-      } else if (result === 'failed') {
-        // Inspection failed - set permit to needs revision
-        await permit.update({ status: 'needs_revision' });
-        console.log(`⚠️  Permit ${permit.permitNumber} needs revision after failed inspection`);
-      } else if (result === 'conditional') {
-        // Conditional pass - keep under review
-        await permit.update({ status: 'under_review' });
+      const { fromStatus } = await PermitLifecycleService.transition(permit, toStatus, { role: SYSTEM_ROLE, reason });
+      PermitLifecycleService.announce(permit, fromStatus, toStatus, { reason });
+
+      if (toStatus === 'approved') {
+        console.log(`✅ Permit ${permit.permitNumber} approved after final inspection`);
+      } else if (toStatus === 'needs_info') {
+        console.log(`⚠️  Permit ${permit.permitNumber} needs more information after failed inspection`);
       }
     } catch (error) {
+      // e.g. an issued permit stays issued after a later inspection
+      if (error.statusCode) {
+        console.log(`ℹ️  Permit ${permit.permitNumber} stays ${permit.status}: ${error.message}`);
+        return;
+      }
       console.error('Update permit status error:', error);
     }
   }
@@ -472,6 +408,12 @@ class InspectionService {
         createdBy: data.createdBy
       });
 
+      // Reinspections are charged per the permit type's fee schedule
+      await FeeService.assessEvent(originalInspection.permit, 'reinspection', {
+        inspectionId: reinspection.id,
+        userId: data.createdBy
+      });
+
       console.log(`✅ Re-inspection scheduled: ${reinspection.id} for permit ${originalInspection.permit.permitNumber}`);
 
       return reinspection;
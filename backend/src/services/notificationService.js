@@ -50,8 +50,9 @@ class NotificationService {
 
   /**
    * Notify user about permit status change
+   * reason (e.g. why more information is needed) is appended to the message
    */
-  static async notifyPermitStatusChange(permit, oldStatus, newStatus) {
+  static async notifyPermitStatusChange(permit, oldStatus, newStatus, reason = null) {
     try {
       // Find the applicant user
       const user = await User.findOne({ where: { email: permit.applicantEmail } });
@@ -64,14 +65,19 @@ class NotificationService {
       const statusMessages = {
         submitted: 'Your permit application has been submitted successfully',
         under_review: 'Your permit application is now under review',
+        needs_info: 'More information is needed for your permit application',
         approved: 'Congratulations! Your permit has been approved',
         rejected: 'Your permit application has been rejected',
+        issued: 'Your permit has been issued',
         expired: 'Your permit has expired',
-        revoked: 'Your permit has been revoked'
+        revoked: 'Your permit has been revoked',
+        closed: 'Your permit has been closed'
       };
 
       const priorityMap = {
+        needs_info: 'high',
         approved: 'high',
+        issued: 'high',
         rejected: 'high',
         revoked: 'urgent',
         expired: 'high'
@@ -81,7 +87,7 @@ class NotificationService {
         userId: user.id,
         type: 'permit_status',
         title: `Permit ${permit.permitNumber} - Status Update`,
-        message: statusMessages[newStatus] || `Permit status changed to ${newStatus}`,
+        message: (statusMessages[newStatus] || `Permit status changed to ${newStatus}`) + (reason ? `: ${reason}` : ''),
         priority: priorityMap[newStatus] || 'medium',
         channel: 'in_app',
         relatedEntity: 'permit',
@@ -90,6 +96,7 @@ class NotificationService {
           permitNumber: permit.permitNumber,
           oldStatus,
           newStatus,
+          reason,
           permitType: permit.type
         }
       });
@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const config = require('../config/config');
+const { Permit, Document, Inspection, User } = require('../models');
+const PermitLifecycleService = require('./permitLifecycleService');
+const { SYSTEM_ROLE } = require('./permitLifecycleService');
+const PermitTypeService = require('./permitTypeService');
+const BusinessCalendarService = require('./businessCalendarService');
+
+// Document category of generated placards
+const PLACARD_CATEGORY = 'permit_certificate';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Placard layout (US Letter, points)
+const PAGE_MARGIN = 48;
+const QR_SIZE = 110;
+const INSPECTION_COLUMNS = [
+  { title: 'Inspection', width: 150 },
+  { title: 'Result', width: 80 },
+  { title: 'Date', width: 80 },
+  { title: 'Inspector', width: 100 },
+  { title: 'Sign-off', width: 106 }
+];
+const ROW_HEIGHT = 22;
+
+const humanize = value => String(value).replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+
+const formatMoney = value => Number(value).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+/**
+ * Permit Issuance Service
+ * Issues approved permits: sets the issue and expiry dates (expiry from the
+ * permit type's validityDays) and stores a printable PDF placard as a
+ * Document on the permit. The placard carries the permit number, scope of
+ * work, conditions of approval, a QR code linking to the public
+ * verification endpoint, and an inspection record for the job site.
+ *
+ * Rendering uses pdfkit's built-in fonts and a locally generated QR code,
+ * so it needs no network access.
+ */
+class PermitIssuanceService {
+  /**
+   * Issue a permit
+   * @param {Object} permit - Permit instance
+   * @param {Object} options - { role: actor role or SYSTEM_ROLE, userId, conditions: [text], reason }
+   * @returns {Promise<Object>} { fromStatus, document } - document is null when no
+   *          user is given or the placard could not be rendered
+   * @throws {Error} With statusCode, guard and details when the lifecycle does not allow issuance
+   */
+  static async issue(permit, { role, userId = null, conditions, reason } = {}) {
+    const issuedAt = new Date();
+    const changes = {
+      issuedAt,
+      expiresAt: await this.getExpiryDate(permit, issuedAt)
+    };
+
+    if (conditions !== undefined) {
+      changes.conditions = conditions;
+    }
+
+    const { fromStatus } = await PermitLifecycleService.transition(permit, 'issued', { role, reason, changes });
+
+    if (!userId) {
+      return { fromStatus, document: null };
+    }
+
+    try {
+      return { fromStatus, document: await this.storePlacard(permit, userId) };
+    } catch (error) {
+      // The permit stays issued; the placard can be generated again
+      console.error(`Failed to generate placard for permit ${permit.permitNumber}:`, error);
+      return { fromStatus, document: null };
+    }
+  }
+
+  /**
+   * Expiry date of a permit issued at a date (null when its type sets no validity)
+   */
+  static async getExpiryDate(permit, issuedAt) {
+    const { validityDays } = await PermitTypeService.resolve(permit.type);
+
+    return validityDays ? new Date(issuedAt.getTime() + validityDays * DAY_MS) : null;
+  }
+
+  /**
+   * Public address that verifies a permit (encoded in the placard's QR code)
+   */
+  static getVerificationUrl(permit) {
+    return `${config.permits.verifyUrl.replace(/\/+$/, '')}/${encodeURIComponent(permit.permitNumber)}`;
+  }
+
+  /**
+   * What the public verification endpoint shows about a permit
+   * Leaves out applicant contact details.
+   */
+  static describe(permit, now = new Date()) {
+    return {
+      permitNumber: permit.permitNumber,
+      type: permit.type,
+      status: permit.status,
+      propertyAddress: permit.propertyAddress,
+      issuedAt: permit.issuedAt,
+      expiresAt: permit.expiresAt,
+      valid: permit.status === 'issued' && (!permit.expiresAt || new Date(permit.expiresAt) > now)
+    };
+  }
+
+  /**
+   * Render an issued permit's placard and store it as a Document on the permit
+   * Earlier placards are kept.
+   * @param {Object} permit - Issued permit instance
+   * @param {string} userId - User the document is recorded as uploaded by
+   * @returns {Promise<Object>} Document
+   */
+  static async storePlacard(permit, userId) {
+    const pdf = await this.renderPlacard(permit);
+
+    const directory = path.join(config.storage.path || './uploads', permit.id);
+    const fileName = `permit-${permit.permitNumber}-${Date.now()}.pdf`;
+    const filePath = path.join(directory, fileName);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(filePath, pdf);
+
+    const document = await Document.create({
+      permitId: permit.id,
+      fileName,
+      originalName: `${permit.permitNumber}.pdf`,
+      filePath,
+      fileType: 'application/pdf',
+      fileSize: pdf.length,
+      category: PLACARD_CATEGORY,
+      description: `Permit placard for ${permit.permitNumber}`,
+      uploadedBy: userId,
+      metadata: {
+        generated: true,
+        issuedAt: permit.issuedAt,
+        expiresAt: permit.expiresAt,
+        verificationUrl: this.getVerificationUrl(permit)
+      }
+    });
+
+    return document;
+  }
+
+  /**
+   * Render an issued permit's placard
+   * @param {Object} permit - Permit instance
+   * @returns {Promise<Buffer>} PDF
+   */
+  static async renderPlacard(permit) {
+    const definition = await PermitTypeService.resolve(permit.type);
+    const calendar = await BusinessCalendarService.getCalendar();
+    const inspections = await this.getInspectionRecord(permit, definition);
+    const verificationUrl = this.getVerificationUrl(permit);
+    const qrCode = await QRCode.toBuffer(verificationUrl, { type: 'png', margin: 1, width: QR_SIZE * 3 });
+    const formatDate = date => (date ? BusinessCalendarService.getLocalDate(date, calendar) : '—');
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Permit ${permit.permitNumber}`,
+        Author: config.permits.issuingAuthority,
+        Subject: definition.name || humanize(permit.type)
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const left = PAGE_MARGIN;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+
+    // Border on every page (long conditions or inspection records run over)
+    const drawBorder = () => doc.save().lineWidth(3)
+      .rect(PAGE_MARGIN / 2, PAGE_MARGIN / 2, doc.page.width - PAGE_MARGIN, doc.page.height - PAGE_MARGIN).stroke()
+      .restore();
+    drawBorder();
+    doc.on('pageAdded', drawBorder);
+
+    // Header
+    doc.font('Helvetica').fontSize(11).text(config.permits.issuingAuthority.toUpperCase(), left, PAGE_MARGIN, { width, align: 'center', characterSpacing: 1 });
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(24).text((definition.name || humanize(permit.type)).toUpperCase(), { width, align: 'center' });
+    doc.font('Helvetica-Oblique').fontSize(9).text('This permit must be posted on the job site, visible from the street, until the final inspection', { width, align: 'center' });
+    doc.moveDown(1);
+
+    // Permit number, dates and parties beside the QR code
+    const top = doc.y;
+    const textWidth = width - QR_SIZE - 20;
+    doc.image(qrCode, left + width - QR_SIZE, top, { fit: [QR_SIZE, QR_SIZE] });
+    doc.font('Helvetica').fontSize(7).text('Scan to verify', left + width - QR_SIZE, top + QR_SIZE + 2, { width: QR_SIZE, align: 'center' });
+
+    doc.font('Helvetica').fontSize(9).text('PERMIT NUMBER', left, top);
+    doc.font('Helvetica-Bold').fontSize(22).text(permit.permitNumber, { width: textWidth });
+    doc.moveDown(0.4);
+
+    const field = (label, value) => {
+      if (value === undefined || value === null || value === '') return;
+      doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true, width: textWidth })
+        .font('Helvetica').text(String(value));
+    };
+
+    const party = value => value && [value.name, value.company, value.license && `License ${value.license}`].filter(Boolean).join(', ');
+
+    field('Issued', formatDate(permit.issuedAt));
+    field('Expires', permit.expiresAt ? formatDate(permit.expiresAt) : 'Does not expire');
+    field('Property', permit.propertyAddress);
+    field('Parcel', permit.parcelNumber);
+    field(`Applicant (${humanize(permit.applicantRole || 'owner')})`, permit.applicantName);
+    field('Owner', party(permit.owner));
+    field('Contractor', party(permit.contractor));
+
+    doc.y = Math.max(doc.y, top + QR_SIZE + 14);
+    doc.x = left;
+
+    const heading = title => {
+      doc.moveDown(0.8);
+      doc.font('Helvetica-Bold').fontSize(12).text(title.toUpperCase(), left, doc.y, { width });
+      doc.lineWidth(0.5).moveTo(left, doc.y + 1).lineTo(left + width, doc.y + 1).stroke();
+      doc.moveDown(0.4);
+    };
+
+    // Scope of work
+    heading('Scope of work');
+    const workClasses = permit.workClasses || [];
+    if (workClasses.length) {
+      field('Work', workClasses.map(humanize).join(', '));
+    }
+    doc.font('Helvetica').fontSize(10).text(permit.projectDescription || 'No description given', left, doc.y, { width });
+    doc.moveDown(0.3);
+    if (permit.valuation !== null && permit.valuation !== undefined) {
+      field('Valuation', formatMoney(permit.valuation));
+    }
+    if (permit.squareFootage) {
+      field('Area', `${Number(permit.squareFootage).toLocaleString('en-US')} sq ft`);
+    }
+    const customFields = permit.customFields || {};
+    (definition.fields || [])
+      .filter(definitionField => customFields[definitionField.name] !== undefined && customFields[definitionField.name] !== null)
+      .forEach(definitionField => {
+        const value = customFields[definitionField.name];
+        field(definitionField.label || humanize(definitionField.name),
+          typeof value === 'boolean' ? (value ? 'Yes' : 'No') : Array.isArray(value) ? value.join(', ') : value);
+      });
+
+    // Conditions of approval
+    heading('Conditions of approval');
+    const conditions = permit.conditions || [];
+    if (conditions.length) {
+      conditions.forEach((condition, index) => {
+        doc.font('Helvetica').fontSize(10).text(`${index + 1}. ${condition}`, left, doc.y, { width, indent: 0 });
+        doc.moveDown(0.2);
+      });
+    } else {
+      doc.font('Helvetica').fontSize(10).text('None', left, doc.y, { width });
+    }
+
+    // Inspection record
+    heading('Inspection record');
+    this.drawInspectionTable(doc, inspections, formatDate);
+
+    // Footer
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(8).text(
+      `Verify this permit at ${verificationUrl}. Generated ${formatDate(new Date())}.`,
+      left, doc.y, { width, align: 'center' }
+    );
+
+    doc.end();
+
+    return finished;
+  }
+
+  /**
+   * Rows of the placard's inspection record: the permit type's required
+   * inspections in order, then any other inspections of the permit. Each
+   * row shows the latest completed inspection of its type.
+   */
+  static async getInspectionRecord(permit, definition) {
+    const inspections = await Inspection.findAll({
+      where: { permitId: permit.id },
+      include: [{ model: User, as: 'inspector', attributes: ['id', 'name'] }],
+      order: [['scheduledDate', 'ASC']]
+    });
+
+    const required = definition.inspections || [];
+    const types = [
+      ...required.map(inspection => inspection.type),
+      ...inspections.map(inspection => inspection.type)
+    ].filter((type, index, all) => all.indexOf(type) === index);
+
+    return types.map(type => {
+      const completed = inspections.filter(inspection => inspection.type === type && inspection.status === 'completed');
+      const latest = completed[completed.length - 1];
+      return {
+        name: required.find(inspection => inspection.type === type)?.name || humanize(type),
+        result: latest?.result || null,
+        completedDate: latest?.completedDate || null,
+        inspector: latest?.inspector?.name || null
+      };
+    });
+  }
+
+  /**
+   * Draw the inspection record table; rows without a result are left blank
+   * for inspectors to sign on site
+   */
+  static drawInspectionTable(doc, rows, formatDate) {
+    const left = PAGE_MARGIN;
+    const bottom = doc.page.height - PAGE_MARGIN;
+
+    const drawRow = (cells, bold) => {
+      if (doc.y + ROW_HEIGHT > bottom) {
+        doc.addPage();
+      }
+
+      const y = doc.y;
+      let x = left;
+
+      INSPECTION_COLUMNS.forEach((column, index) => {
+        doc.lineWidth(0.5).rect(x, y, column.width, ROW_HEIGHT).stroke();
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+          .text(cells[index] || '', x + 4, y + 7, { width: column.width - 8, height: ROW_HEIGHT - 8, ellipsis: true, lineBreak: false });
+        x += column.width;
+      });
+
+      doc.x = left;
+      doc.y = y + ROW_HEIGHT;
+    };
+
+    drawRow(INSPECTION_COLUMNS.map(column => column.title), true);
+
+    if (!rows.length) {
+      drawRow(['', '', '', '', '']);
+    }
+
+    rows.forEach(row => drawRow([
+      row.name,
+      row.result ? humanize(row.result) : '',
+      row.completedDate ? formatDate(row.completedDate) : '',
+      row.inspector || '',
+      ''
+    ]));
+  }
+
+  /**
+   * Expire issued permits whose expiry date has passed
+   * @returns {Promise<number>} Permits expired
+   */
+  static async expirePermits(now = new Date()) {
+    const permits = await Permit.findAll({
+      where: {
+        status: 'issued',
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+
+    let expired = 0;
+
+    for (const permit of permits) {
+      try {
+        const reason = 'Permit validity ended';
+        const { fromStatus } = await PermitLifecycleService.transition(permit, 'expired', { role: SYSTEM_ROLE, reason });
+        PermitLifecycleService.announce(permit, fromStatus, 'expired', { reason });
+        expired++;
+      } catch (error) {
+        console.error(`Failed to expire permit ${permit.permitNumber}:`, error);
+      }
+    }
+
+    return expired;
+  }
+}
+
+module.exports = PermitIssuanceService;
+module.exports.PLACARD_CATEGORY = PLACARD_CATEGORY;
@@ -0,0 +1,304 @@
+const { Inspection, Payment } = require('../models');
+const { Op } = require('sequelize');
+const PermitTypeService = require('./permitTypeService');
+const FeeService = require('./feeService');
+const NotificationService = require('./notificationService');
+const eventBus = require('./eventBus');
+const { EVENTS } = require('./eventBus');
+const { PERMIT_STATUSES } = require('../models/Permit');
+
+// Role of automated moves (workflow steps, inspection results)
+const SYSTEM_ROLE = 'system';
+
+const STAFF = ['staff', 'admin'];
+const APPLICANT_OR_STAFF = ['citizen', 'staff', 'admin'];
+
+/**
+ * Allowed moves: current status => next status => roles that may make it
+ * SYSTEM_ROLE may make any move listed here but is held to the guards
+ * like everyone else.
+ */
+const TRANSITIONS = {
+  draft: {
+    submitted: APPLICANT_OR_STAFF,
+    closed: APPLICANT_OR_STAFF
+  },
+  submitted: {
+    under_review: STAFF,
+    needs_info: STAFF,
+    approved: STAFF,
+    rejected: STAFF,
+    closed: APPLICANT_OR_STAFF
+  },
+  under_review: {
+    needs_info: [...STAFF, 'inspector'],
+    approved: STAFF,
+    rejected: STAFF,
+    closed: APPLICANT_OR_STAFF
+  },
+  needs_info: {
+    submitted: APPLICANT_OR_STAFF,
+    under_review: STAFF,
+    rejected: STAFF,
+    closed: APPLICANT_OR_STAFF
+  },
+  approved: {
+    issued: STAFF,
+    needs_info: [...STAFF, 'inspector'],
+    revoked: ['admin'],
+    closed: STAFF
+  },
+  rejected: {
+    // Reopened on appeal
+    under_review: ['admin'],
+    closed: STAFF
+  },
+  issued: {
+    expired: STAFF,
+    revoked: ['admin'],
+    closed: STAFF
+  },
+  expired: {
+    closed: STAFF
+  },
+  revoked: {
+    closed: STAFF
+  },
+  closed: {}
+};
+
+// Guards a permit must pass to enter a status, checked in this order
+const STATUS_GUARDS = {
+  submitted: ['application_complete'],
+  needs_info: ['reason_given'],
+  rejected: ['reason_given'],
+  issued: ['fees_paid', 'payments_settled', 'inspections_passed'],
+  revoked: ['reason_given'],
+  closed: ['inspections_finished']
+};
+
+/**
+ * Guard checks resolve to null when the guard holds, or to a message
+ * saying why it does not
+ */
+const GUARDS = {
+  // People explain rejections and requests for information to the applicant;
+  // automated moves are explained by the workflow or inspection behind them
+  reason_given: async (permit, { role, reason }) => (
+    role === SYSTEM_ROLE || (reason && reason.trim()) ? null : 'A reason is required'
+  ),
+
+  payments_settled: async (permit) => {
+    const pending = await Payment.count({
+      where: { permitId: permit.id, status: { [Op.in]: ['pending', 'processing'] } }
+    });
+
+    return pending > 0 ? `${pending} payment(s) still pending` : null;
+  },
+
+  // Drafts may be saved incomplete; submitting them needs every required field
+  application_complete: async (permit) => {
+    const { errors } = await PermitTypeService.validateApplication(permit.type, permit);
+    return errors.length > 0 ? errors.join('; ') : null;
+  },
+
+  fees_paid: async (permit) => {
+    const { totals } = await FeeService.getPermitFees(permit.id);
+
+    return totals.balance > 0 ? `Fees of $${totals.balance.toFixed(2)} are still due` : null;
+  },
+
+  inspections_passed: async (permit) => {
+    const passed = await Inspection.findAll({
+      where: { permitId: permit.id, status: 'completed', result: 'passed' },
+      attributes: ['type']
+    });
+    const passedTypes = new Set(passed.map(inspection => inspection.type));
+    const missing = (await PermitTypeService.getRequiredInspections(permit.type)).filter(type => !passedTypes.has(type));
+
+    return missing.length > 0 ? `Required inspection(s) not passed: ${missing.join(', ')}` : null;
+  },
+
+  inspections_finished: async (permit) => {
+    const open = await Inspection.count({
+      where: { permitId: permit.id, status: { [Op.in]: ['scheduled', 'in_progress'] } }
+    });
+
+    return open > 0 ? `${open} inspection(s) still scheduled or in progress` : null;
+  }
+};
+
+/**
+ * Permit Lifecycle Service
+ * The only way a permit's status should change: checks the move is in the
+ * lifecycle, that the actor's role may make it, and that the permit passes
+ * the guards of the new status (no issuing with pending payments, ...)
+ */
+class PermitLifecycleService {
+  /**
+   * Get the roles that may move a permit between two statuses
+   * @returns {Array|null} Roles, or null when the lifecycle has no such move
+   */
+  static getAllowedRoles(fromStatus, toStatus) {
+    return TRANSITIONS[fromStatus]?.[toStatus] || null;
+  }
+
+  /**
+   * Run the guards of a status against a permit
+   * @param {Object} permit - Permit instance
+   * @param {string} toStatus - Status the permit would move to
+   * @param {Object} options - { role, reason }
+   * @returns {Promise<Array>} Failed guards: [{ guard, message }]
+   */
+  static async checkGuards(permit, toStatus, options = {}) {
+    const failures = [];
+
+    for (const guard of STATUS_GUARDS[toStatus] || []) {
+      const message = await GUARDS[guard](permit, options);
+      if (message) {
+        failures.push({ guard, message });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Check whether a permit can move to a status
+   * @param {Object} permit - Permit instance
+   * @param {string} toStatus - Requested status
+   * @param {Object} options - { role: actor role or SYSTEM_ROLE, reason }
+   * @returns {Promise<Object>} { allowed, statusCode, message, guard, failures }
+   */
+  static async check(permit, toStatus, { role, reason } = {}) {
+    const fromStatus = permit.status;
+
+    if (!PERMIT_STATUSES.includes(toStatus)) {
+      return { allowed: false, statusCode: 400, message: `Unknown permit status: ${toStatus}`, failures: [] };
+    }
+
+    if (fromStatus === toStatus) {
+      return { allowed: false, statusCode: 409, message: `Permit is already ${toStatus}`, failures: [] };
+    }
+
+    const roles = this.getAllowedRoles(fromStatus, toStatus);
+
+    if (!roles) {
+      return { allowed: false, statusCode: 409, message: `A permit cannot move from ${fromStatus} to ${toStatus}`, failures: [] };
+    }
+
+    if (role !== SYSTEM_ROLE && !roles.includes(role)) {
+      return {
+        allowed: false,
+        statusCode: 403,
+        message: `Only ${roles.join(', ')} can move a permit from ${fromStatus} to ${toStatus}`,
+        failures: []
+      };
+    }
+
+    const failures = await this.checkGuards(permit, toStatus, { role, reason });
+
+    if (failures.length > 0) {
+      return {
+        allowed: false,
+        statusCode: 409,
+        message: `Cannot move permit to ${toStatus}: ${failures[0].guard} guard failed (${failures[0].message})`,
+        guard: failures[0].guard,
+        failures
+      };
+    }
+
+    return { allowed: true, failures: [] };
+  }
+
+  /**
+   * List the moves a role can make from the permit's current status
+   * @param {Object} permit - Permit instance
+   * @param {string} role - Actor role
+   * @returns {Promise<Array>} [{ status, requiresReason, allowed, failures }] - failures say which guards block the move
+   */
+  static async getAvailableTransitions(permit, role) {
+    const transitions = [];
+
+    for (const [status, roles] of Object.entries(TRANSITIONS[permit.status] || {})) {
+      if (role !== SYSTEM_ROLE && !roles.includes(role)) continue;
+
+      // The reason comes with the move itself, so only requiresReason flags it here
+      const failures = await this.checkGuards(permit, status, { role: SYSTEM_ROLE });
+      transitions.push({
+        status,
+        requiresReason: (STATUS_GUARDS[status] || []).includes('reason_given'),
+        allowed: failures.length === 0,
+        failures
+      });
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Move a permit to a new status
+   * @param {Object} permit - Permit instance
+   * @param {string} toStatus - Requested status
+   * @param {Object} options - { role: actor role or SYSTEM_ROLE, reason, changes: other fields saved with the status }
+   * @returns {Promise<Object>} { fromStatus, toStatus }
+   * @throws {Error} With statusCode, guard and details (failed guards) when the move is not allowed
+   */
+  static async transition(permit, toStatus, options = {}) {
+    const check = await this.check(permit, toStatus, options);
+
+    if (!check.allowed) {
+      const error = new Error(check.message);
+      error.statusCode = check.statusCode;
+      error.guard = check.guard;
+      error.details = check.failures;
+      throw error;
+    }
+
+    const fromStatus = permit.status;
+    await permit.update({ ...options.changes, status: toStatus });
+
+    return { fromStatus, toStatus };
+  }
+
+  /**
+   * Tell the applicant and subscribed workflows about a status change
+   * Every move, by a person or automated, is announced after transition.
+   * @param {Object} permit - Permit instance
+   * @param {string} fromStatus - Status before the move
+   * @param {string} toStatus - Status after the move
+   * @param {Object} options - { actorId: user who made the move (null for automated moves), reason }
+   */
+  static announce(permit, fromStatus, toStatus, { actorId = null, reason = null } = {}) {
+    NotificationService.notifyPermitStatusChange(permit, fromStatus, toStatus, reason)
+      .catch(err => console.error('Failed to send permit status notification:', err));
+
+    eventBus.publish(EVENTS.PERMIT_STATUS_CHANGED, {
+      permit,
+      actorId,
+      data: { fromStatus, toStatus, reason: reason || null }
+    }).catch(err => console.error('Workflow trigger error:', err));
+
+    if (toStatus === 'submitted') {
+      this.announceSubmission(permit, { actorId, firstSubmission: fromStatus === 'draft' });
+    }
+  }
+
+  /**
+   * Assess a submitted permit's application fees, then (for first
+   * submissions) start the workflows that run on submission, so they
+   * see the fees
+   * @param {Object} permit - Permit instance
+   * @param {Object} options - { actorId, firstSubmission }
+   */
+  static announceSubmission(permit, { actorId = null, firstSubmission = true } = {}) {
+    FeeService.assess(permit)
+      .catch(err => console.error('Fee assessment error:', err))
+      .then(() => firstSubmission && eventBus.publish(EVENTS.PERMIT_SUBMITTED, { permit, actorId }))
+      .catch(err => console.error('Workflow trigger error:', err));
+  }
+}
+
+module.exports = PermitLifecycleService;
+module.exports.SYSTEM_ROLE = SYSTEM_ROLE;
+module.exports.TRANSITIONS = TRANSITIONS;
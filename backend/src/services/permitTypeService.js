@@ -0,0 +1,402 @@
+const { PermitType, Workflow } = require('../models');
+const { FEE_TRIGGERS } = require('../models/PermitFee');
+const TaskFormService = require('./taskFormService');
+const ExpressionService = require('./expressionService');
+const defaultPermitTypes = require('../seeds/permitTypes');
+const { GENERIC_CHECKLIST } = require('../seeds/permitTypes');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Fee rule types (computed by FeeService)
+const FEE_TYPES = ['flat', 'per_unit', 'valuation_tiers', 'percentage'];
+
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// A calendar date written YYYY-MM-DD
+const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+// Catalog entry used for permit types that are not in the catalog
+const FALLBACK_CODE = 'general';
+
+/**
+ * Permit Type Service
+ * Reads the permit type catalog (PermitType): application fields, fees,
+ * document requirements, the required inspection sequence, validity and
+ * default workflow of each type. Permit.type holds the type's code; types
+ * missing from the catalog get the requirements of the 'general' type.
+ */
+class PermitTypeService {
+  /**
+   * Turn a permit type as entered ('Business License') into a catalog code ('business_license')
+   */
+  static normalizeCode(value) {
+    return String(value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Find the catalog entry of a permit type
+   * @param {string} permitType - Permit.type or a catalog code
+   * @returns {Promise<Object|null>} PermitType instance
+   */
+  static async findByCode(permitType) {
+    const code = this.normalizeCode(permitType);
+    return code ? PermitType.findOne({ where: { code } }) : null;
+  }
+
+  /**
+   * Get the types open for applications
+   * @returns {Promise<Array>} PermitType instances, by name
+   */
+  static async getActiveTypes() {
+    return PermitType.findAll({ where: { isActive: true }, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get the definition a permit type's requirements come from: its own
+   * catalog entry, else the 'general' entry, else the built-in general type
+   * @param {string} permitType - Permit.type
+   * @returns {Promise<Object>} Plain permit type definition
+   */
+  static async resolve(permitType) {
+    const type = await this.findByCode(permitType) || await this.findByCode(FALLBACK_CODE);
+
+    if (type) {
+      return type.get({ plain: true });
+    }
+
+    return defaultPermitTypes.find(definition => definition.code === FALLBACK_CODE);
+  }
+
+  /**
+   * Get required documents for permit type
+   * @param {string} permitType - Type of permit
+   * @returns {Promise<Array>} [{ category, name, description }]
+   */
+  static async getRequiredDocuments(permitType) {
+    return (await this.resolve(permitType)).requiredDocuments || [];
+  }
+
+  /**
+   * Get optional documents for permit type
+   * @param {string} permitType - Type of permit
+   * @returns {Promise<Array>} [{ category, name, description }]
+   */
+  static async getOptionalDocuments(permitType) {
+    return (await this.resolve(permitType)).optionalDocuments || [];
+  }
+
+  /**
+   * Get required inspection types for permit type, in the order they happen
+   * @param {string} permitType - Type of permit
+   * @returns {Promise<Array>} Inspection types
+   */
+  static async getRequiredInspections(permitType) {
+    return ((await this.resolve(permitType)).inspections || []).map(inspection => inspection.type);
+  }
+
+  /**
+   * Get the checklist of an inspection of a permit type
+   * Inspection types outside the sequence use the final inspection's checklist.
+   * @param {string} permitType - Type of permit
+   * @param {string} inspectionType - Type of inspection
+   * @returns {Promise<Array>} Checklist items
+   */
+  static async getChecklist(permitType, inspectionType) {
+    const inspections = (await this.resolve(permitType)).inspections || [];
+    const inspection = inspections.find(entry => entry.type === inspectionType) ||
+      inspections.find(entry => entry.type === 'final');
+
+    return inspection?.checklist?.length ? inspection.checklist : GENERIC_CHECKLIST;
+  }
+
+  /**
+   * Check that new applications can be made for a permit type
+   * Types missing from the catalog are accepted (as 'general'); inactive ones are not.
+   * @returns {Promise<String|null>} Error, or null when the type is accepted
+   */
+  static async checkApplicationType(permitType) {
+    const type = await this.findByCode(permitType);
+    return type && !type.isActive ? `Permit type ${type.name} is not accepting applications` : null;
+  }
+
+  /**
+   * Validate a permit application against its type
+   * customFields are checked and coerced against the type's application
+   * fields; unknown fields are rejected. Unless partial (drafts and edits),
+   * required fields must be filled and an applicant who is not the owner
+   * (or is the contractor) must name the owner (or contractor).
+   * @param {string} permitType - Permit.type
+   * @param {Object} data - Permit fields (customFields, applicantRole, owner, contractor)
+   * @param {Object} options - { partial }
+   * @returns {Promise<Object>} { errors, customFields }
+   */
+  static async validateApplication(permitType, data, { partial = false } = {}) {
+    const definition = await this.resolve(permitType);
+    const fields = (definition.fields || []).map(field => (partial ? { ...field, required: false } : field));
+    const input = data.customFields ?? {};
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { errors: ['customFields must be an object'], customFields: {} };
+    }
+
+    const known = new Set(fields.map(field => field.name));
+    const unknown = Object.keys(input).filter(name => !known.has(name));
+    const { errors, values } = TaskFormService.validateSubmission({ fields }, input);
+
+    if (unknown.length > 0) {
+      errors.unshift(`${definition.name} has no field(s): ${unknown.join(', ')}`);
+    }
+
+    if (!partial) {
+      const applicantRole = data.applicantRole || 'owner';
+
+      if (applicantRole !== 'owner' && !data.owner?.name) {
+        errors.push('Property owner is required when the applicant is not the owner');
+      }
+      if (applicantRole === 'contractor' && !data.contractor?.name) {
+        errors.push('Contractor is required when the contractor applies');
+      }
+    }
+
+    return { errors, customFields: values };
+  }
+
+  /**
+   * Check a permit type's defaultWorkflowId before it is saved
+   * @returns {Promise<String|null>} Error, or null when unset or the workflow exists
+   */
+  static async checkDefaultWorkflowId(workflowId) {
+    if (workflowId === undefined || workflowId === null) {
+      return null;
+    }
+
+    const workflow = typeof workflowId === 'string' && UUID_PATTERN.test(workflowId)
+      ? await Workflow.findByPk(workflowId)
+      : null;
+
+    return workflow ? null : `Workflow ${workflowId} does not exist`;
+  }
+
+  /**
+   * Validate permit type fields (only the ones present, so updates can be partial)
+   * @param {Object} data - PermitType fields
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (data.code !== undefined && !CODE_PATTERN.test(data.code || '')) {
+      errors.push('code must start with a letter and contain only lowercase letters, digits and underscores');
+    }
+
+    if (data.name !== undefined && !(typeof data.name === 'string' && data.name.trim())) {
+      errors.push('name cannot be empty');
+    }
+
+    if (data.fields !== undefined) {
+      if (!Array.isArray(data.fields)) {
+        errors.push('fields must be a list');
+      } else {
+        errors.push(...TaskFormService.validateSchema({ fields: data.fields }).map(error => `fields: ${error}`));
+      }
+    }
+
+    if (data.feeSchedule !== undefined) {
+      errors.push(...this.validateFeeSchedule(data.feeSchedule).map(error => `feeSchedule: ${error}`));
+    }
+
+    ['requiredDocuments', 'optionalDocuments'].forEach(field => {
+      const documents = data[field];
+      if (documents !== undefined && (!Array.isArray(documents) || !documents.every(doc => doc?.category && doc?.name))) {
+        errors.push(`${field} must be a list of { category, name, description }`);
+      }
+    });
+
+    if (data.inspections !== undefined) {
+      const inspections = data.inspections;
+      if (!Array.isArray(inspections) || !inspections.every(inspection => inspection?.type)) {
+        errors.push('inspections must be a list of { type, name, checklist }');
+      } else {
+        const types = inspections.map(inspection => inspection.type);
+        const duplicates = types.filter((type, i) => types.indexOf(type) !== i);
+        if (duplicates.length > 0) {
+          errors.push(`inspections lists ${[...new Set(duplicates)].join(', ')} more than once`);
+        }
+
+        inspections.forEach(inspection => {
+          const checklist = inspection.checklist;
+          if (checklist !== undefined && (!Array.isArray(checklist) || !checklist.every(item => item?.item))) {
+            errors.push(`inspections: checklist of ${inspection.type} must be a list of { item, category, required }`);
+          }
+        });
+      }
+    }
+
+    if (data.validityDays !== undefined && data.validityDays !== null &&
+        !(Number.isInteger(data.validityDays) && data.validityDays > 0)) {
+      errors.push('validityDays must be a whole number of days, or null when permits do not expire');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a fee schedule (see FeeService for the format)
+   * @param {Array} schedules - [{ effectiveFrom, effectiveTo, fees }]
+   * @returns {Array<String>} Validation errors
+   */
+  static validateFeeSchedule(schedules) {
+    if (!Array.isArray(schedules)) {
+      return ['must be a list of { effectiveFrom, effectiveTo, fees }'];
+    }
+
+    const errors = [];
+    const starts = new Set();
+
+    schedules.forEach((schedule, index) => {
+      if (!isDate(schedule?.effectiveFrom)) {
+        errors.push(`schedule ${index + 1}: effectiveFrom must be a date (YYYY-MM-DD)`);
+        return;
+      }
+
+      const label = `schedule ${schedule.effectiveFrom}`;
+
+      if (starts.has(schedule.effectiveFrom)) {
+        errors.push(`more than one schedule takes effect on ${schedule.effectiveFrom}`);
+      }
+      starts.add(schedule.effectiveFrom);
+
+      if (schedule.effectiveTo !== undefined && schedule.effectiveTo !== null &&
+          !(isDate(schedule.effectiveTo) && schedule.effectiveTo >= schedule.effectiveFrom)) {
+        errors.push(`${label}: effectiveTo must be a date on or after effectiveFrom`);
+      }
+
+      if (!Array.isArray(schedule.fees)) {
+        errors.push(`${label}: fees must be a list`);
+        return;
+      }
+
+      const codes = schedule.fees.map(fee => fee?.code);
+      const duplicates = codes.filter((code, i) => code && codes.indexOf(code) !== i);
+      if (duplicates.length > 0) {
+        errors.push(`${label}: fees list ${[...new Set(duplicates)].join(', ')} more than once`);
+      }
+
+      schedule.fees.forEach((fee, feeIndex) => {
+        errors.push(...this.validateFeeRule(fee, schedule.fees).map(error => `${label}: ${fee?.code || `fee ${feeIndex + 1}`} ${error}`));
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate one fee rule of a schedule
+   * @returns {Array<String>} Validation errors
+   */
+  static validateFeeRule(fee, fees) {
+    if (!fee || typeof fee !== 'object') {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    const trigger = fee.trigger || 'application';
+
+    if (!CODE_PATTERN.test(fee.code || '')) {
+      errors.push('code must start with a letter and contain only lowercase letters, digits and underscores');
+    }
+    if (!(typeof fee.name === 'string' && fee.name.trim())) {
+      errors.push('name cannot be empty');
+    }
+    if (!FEE_TRIGGERS.includes(trigger)) {
+      errors.push(`trigger must be one of: ${FEE_TRIGGERS.join(', ')}`);
+    }
+
+    switch (fee.type) {
+      case 'flat':
+        if (!isNonNegative(fee.amount)) errors.push('amount must be 0 or more');
+        break;
+
+      case 'per_unit':
+        if (!(typeof fee.field === 'string' && fee.field)) errors.push('field is required');
+        if (!isNonNegative(fee.rate)) errors.push('rate must be 0 or more');
+        break;
+
+      case 'valuation_tiers': {
+        const tiers = fee.tiers;
+        if (!Array.isArray(tiers) || tiers.length === 0 ||
+            !tiers.every(tier => tier && isNonNegative(tier.base ?? 0) && isNonNegative(tier.ratePer1000 ?? 0))) {
+          errors.push('tiers must be a list of { upTo, base, ratePer1000 } with amounts of 0 or more');
+          break;
+        }
+
+        const bounds = tiers.slice(0, -1).map(tier => tier.upTo);
+        if (!bounds.every((upTo, i) => isNonNegative(upTo) && (i === 0 || upTo > bounds[i - 1])) ||
+            (tiers[tiers.length - 1].upTo ?? null) !== null) {
+          errors.push('tiers must have ascending upTo values and leave upTo out of the last tier');
+        }
+        break;
+      }
+
+      case 'percentage': {
+        if (!isNonNegative(fee.percentage)) errors.push('percentage must be 0 or more');
+
+        if (fee.of !== undefined) {
+          const codes = new Set(fees.filter(other => other !== fee && (other?.trigger || 'application') === trigger)
+            .map(other => other?.code));
+          if (!Array.isArray(fee.of) || !fee.of.every(code => codes.has(code))) {
+            errors.push(`of must list codes of other ${trigger} fees in the schedule`);
+          }
+        }
+        break;
+      }
+
+      default:
+        errors.push(`type must be one of: ${FEE_TYPES.join(', ')}`);
+    }
+
+    ['minimum', 'maximum'].forEach(limit => {
+      if (fee[limit] !== undefined && fee[limit] !== null && !isNonNegative(fee[limit])) {
+        errors.push(`${limit} must be 0 or more`);
+      }
+    });
+    if (isNonNegative(fee.minimum) && isNonNegative(fee.maximum) && fee.minimum > fee.maximum) {
+      errors.push('minimum cannot be more than maximum');
+    }
+
+    if (fee.condition !== undefined && fee.condition !== null) {
+      const conditionError = ExpressionService.validate(fee.condition);
+      if (conditionError) errors.push(`condition: ${conditionError}`);
+    }
+
+    if (trigger === 'late' && !(Number.isInteger(fee.afterDays) && fee.afterDays >= 0)) {
+      errors.push('afterDays must be a whole number of business days for late fees');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load the default catalog into an empty PermitTypes table
+   * @returns {Promise<number>} Number of types created
+   */
+  static async seedDefaults() {
+    if (await PermitType.count() > 0) {
+      return 0;
+    }
+
+    await PermitType.bulkCreate(defaultPermitTypes);
+    console.log(`✅ Permit type catalog seeded (${defaultPermitTypes.length} types)`);
+
+    return defaultPermitTypes.length;
+  }
+}
+
+module.exports = PermitTypeService;
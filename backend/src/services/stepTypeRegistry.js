@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const ExpressionService = require('./expressionService');
+
+/**
+ * Config field types a step type can declare in its configSchema
+ * - text, textarea, number, boolean, date: single values
+ * - select / multiselect: one / several of field.options
+ * - list: list of strings (or a single string when field.allowString is set)
+ * - user / steps: user ID / list of step IDs in the same workflow
+ * - expression: condition expression (see ExpressionService)
+ * - object: key/value map; with valueType 'expression' every value is an expression
+ *   (field.roots lists identifiers the executor adds to the expression context)
+ * - json: any JSON value (edited as raw JSON)
+ */
+const CONFIG_FIELD_TYPES = [
+  'text', 'textarea', 'number', 'boolean', 'date', 'select', 'multiselect',
+  'list', 'user', 'steps', 'expression', 'object', 'json'
+];
+
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Step Type Registry
+ * Every step type the workflow engine can run is registered here with its
+ * executor and a description the workflow builder uses to render config
+ * editors. Built-in types live in stepTypes/builtIn.js; any other module in
+ * stepTypes/ is loaded at startup and may export one definition or a list.
+ *
+ * Definition format:
+ *   {
+ *     type: 'http_request',              // stored in WorkflowStep.stepType
+ *     label: 'HTTP request',
+ *     description: 'Calls an external API',
+ *     category: 'integration',
+ *     entityTypes: '*',                  // or a list such as ['permit']
+ *     waits: false,                      // true when the execution pauses until something resumes it
+ *     configSchema: [{ name, label, type, required, options, default, description, min, max }],
+ *     validate: (config) => errors,      // optional, checks the schema cannot express
+ *     execute: async ({ step, config, execution, subject, idempotencyKey, attempt, engine }) => result,  // attempt: { number, max } of the step's job; throwing retries it
+ *     onWait: async ({ step, result, execution, idempotencyKey, engine }) => {},  // optional, runs once a waiting step has paused
+ *     simulate: async ({ step, config, subject, run, mock, outcome, engine }) => result  // optional, for dry runs
+ *   }
+ *
+ * Control types (fork/join) are registered with control: true and no
+ * executor; the engine handles them itself.
+ */
+class StepTypeRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  /**
+   * Register a step type
+   * Registering a type again replaces the earlier definition.
+   * @param {Object} definition - Step type definition (see above)
+   * @returns {Object} Registered definition
+   */
+  register(definition) {
+    const errors = this.validateDefinition(definition);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid step type ${definition?.type || '(unnamed)'}: ${errors.join('; ')}`);
+    }
+
+    const registered = {
+      label: definition.type,
+      description: '',
+      category: 'general',
+      entityTypes: '*',
+      waits: false,
+      control: false,
+      configSchema: [],
+      ...definition
+    };
+
+    if (this.types.has(definition.type)) {
+      console.warn(`⚠️  Step type ${definition.type} registered again; replacing the earlier definition`);
+    }
+
+    this.types.set(definition.type, registered);
+    return registered;
+  }
+
+  /**
+   * Check a definition before it is registered
+   * @returns {Array<String>} Problems with the definition
+   */
+  validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return ['definition must be an object'];
+    }
+
+    const errors = [];
+
+    if (!TYPE_NAME_PATTERN.test(definition.type || '')) {
+      errors.push('type must be lower case letters, digits or underscores');
+    }
+
+    if (!definition.control && typeof definition.execute !== 'function') {
+      errors.push('execute must be a function');
+    }
+
+    const { entityTypes } = definition;
+    if (entityTypes !== undefined && entityTypes !== '*' && !Array.isArray(entityTypes)) {
+      errors.push("entityTypes must be '*' or a list of entity types");
+    }
+
+    for (const field of definition.configSchema || []) {
+      if (!field?.name || !CONFIG_FIELD_TYPES.includes(field.type)) {
+        errors.push(`config field ${field?.name || '(unnamed)'} needs a name and one of the types ${CONFIG_FIELD_TYPES.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load every step type module in a directory
+   * @param {String} dir - Directory of step type modules
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return;
+    }
+
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+    for (const file of files) {
+      const exported = require(path.join(dir, file));
+      const definitions = Array.isArray(exported) ? exported : [exported];
+
+      definitions.forEach(definition => this.register(definition));
+    }
+
+    console.log(`🧩 ${this.types.size} workflow step types registered`);
+  }
+
+  /**
+   * Get a step type definition
+   * @param {String} type - Step type
+   * @returns {Object|null} Definition, or null when the type is unknown
+   */
+  get(type) {
+    return this.types.get(type) || null;
+  }
+
+  has(type) {
+    return this.types.has(type);
+  }
+
+  /**
+   * List step types for the workflow builder
+   * @param {Object} filters - { entityType: only types that can run on this entity }
+   * @returns {Array<Object>} Public descriptions (no executors)
+   */
+  list({ entityType } = {}) {
+    return [...this.types.values()]
+      .filter(definition => !entityType || this.supportsEntity(definition.type, entityType))
+      .map(definition => ({
+        type: definition.type,
+        label: definition.label,
+        description: definition.description,
+        category: definition.category,
+        entityTypes: definition.entityTypes,
+        waits: definition.waits,
+        control: definition.control,
+        configSchema: definition.configSchema
+      }));
+  }
+
+  /**
+   * Check whether a step type can run on an entity type
+   */
+  supportsEntity(type, entityType) {
+    const supported = this.get(type)?.entityTypes;
+    return supported === '*' || (Array.isArray(supported) && supported.includes(entityType));
+  }
+
+  /**
+   * Validate a step config against its type's configSchema
+   * Keys that are not in the schema are left alone.
+   * @param {String} type - Step type
+   * @param {Object} config - WorkflowStep.config
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  validateConfig(type, config) {
+    const definition = this.get(type);
+
+    if (!definition) {
+      return [`unknown step type "${type}"`];
+    }
+
+    if (config === null || config === undefined) {
+      config = {};
+    } else if (typeof config !== 'object' || Array.isArray(config)) {
+      return ['config must be an object'];
+    }
+
+    const errors = [];
+
+    for (const field of definition.configSchema) {
+      const value = config[field.name];
+      const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+      if (empty) {
+        if (field.required) {
+          errors.push(`${field.name} is required`);
+        }
+        continue;
+      }
+
+      const error = this.checkValue(field, value);
+      if (error) {
+        errors.push(`${field.name} ${error}`);
+      }
+    }
+
+    if (typeof definition.validate === 'function') {
+      errors.push(...(definition.validate(config) || []));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check one config value against its field
+   * @returns {String|null} Error, or null when valid
+   */
+  checkValue(field, value) {
+    const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+
+    switch (field.type) {
+      case 'number': {
+        // Builder forms may post numbers as strings; executors coerce them
+        const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          return 'must be a number';
+        }
+        if (field.min !== undefined && number < field.min) {
+          return `must be at least ${field.min}`;
+        }
+        if (field.max !== undefined && number > field.max) {
+          return `must be at most ${field.max}`;
+        }
+        return null;
+      }
+
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+
+      case 'date':
+        return isNaN(new Date(value).getTime()) ? 'must be a date' : null;
+
+      case 'select':
+        return this.getOptionValues(field).includes(value)
+          ? null
+          : `must be one of: ${this.getOptionValues(field).join(', ')}`;
+
+      case 'multiselect': {
+        const options = this.getOptionValues(field);
+        return Array.isArray(value) && value.every(item => options.includes(item))
+          ? null
+          : `must be a list of: ${options.join(', ')}`;
+      }
+
+      case 'list':
+        return isStringList(value) || (field.allowString && typeof value === 'string')
+          ? null
+          : 'must be a list of strings';
+
+      case 'steps':
+        return isStringList(value) ? null : 'must be a list of step IDs';
+
+      case 'expression':
+        return this.checkExpression(value, field.roots);
+
+      case 'object': {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          return 'must be an object';
+        }
+        if (field.valueType === 'expression') {
+          for (const [key, source] of Object.entries(value)) {
+            const error = this.checkExpression(source, field.roots);
+            if (error) {
+              return `value for ${key} ${error}`;
+            }
+          }
+        }
+        return null;
+      }
+
+      case 'json':
+        return null;
+
+      default:
+        // text, textarea, user
+        return typeof value === 'string' ? null : 'must be a string';
+    }
+  }
+
+  checkExpression(source, roots = []) {
+    if (typeof source !== 'string') {
+      return 'must be an expression';
+    }
+    const error = ExpressionService.validate(source, { roots });
+    return error ? `is not a valid expression: ${error}` : null;
+  }
+
+  getOptionValues(field) {
+    return (field.options || []).map(option => (option && typeof option === 'object' ? option.value : option));
+  }
+}
+
+module.exports = new StepTypeRegistry();
+module.exports.CONFIG_FIELD_TYPES = CONFIG_FIELD_TYPES;
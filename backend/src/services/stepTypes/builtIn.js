@@ -0,0 +1,176 @@
+const { WorkflowExecution } = require('../../models');
+const { ASSIGNMENT_STRATEGIES } = require('../taskAssignmentService');
+
+/**
+ * Built-in workflow step types
+ * Executors delegate to WorkflowService (passed in as engine); permit-only
+ * types receive the permit itself.
+ */
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Task settings shared by the step types that create tasks
+const TASK_FIELDS = [
+  { name: 'taskTitle', label: 'Task title', type: 'text' },
+  { name: 'taskDescription', label: 'Task description', type: 'textarea' },
+  { name: 'priority', label: 'Priority', type: 'select', options: PRIORITIES, default: 'medium' },
+  { name: 'dueDays', label: 'Due in (business days)', type: 'number', min: 0 },
+  { name: 'assignTo', label: 'Assign to', type: 'user', description: 'Skip the assignment strategy and give the task to this user' },
+  { name: 'assignmentStrategy', label: 'Assignment strategy', type: 'select', options: ASSIGNMENT_STRATEGIES, default: 'least_loaded' },
+  { name: 'department', label: 'Department', type: 'text' },
+  { name: 'requiredSkills', label: 'Required skills', type: 'list', allowString: true }
+];
+
+module.exports = [
+  {
+    type: 'automatic_review',
+    label: 'Automatic review',
+    description: 'AI review that can auto-approve a permit application',
+    category: 'ai',
+    entityTypes: ['permit'],
+    configSchema: [
+      { name: 'criteria', label: 'Approval criteria', type: 'textarea' },
+      { name: 'minConfidence', label: 'Minimum confidence', type: 'number', min: 0, max: 1, default: 0.8 }
+    ],
+    execute: ({ config, subject, engine }) => engine.executeAutomaticReview(subject.entity, config)
+  },
+  {
+    type: 'ai_classification',
+    label: 'AI classification',
+    description: 'Classifies the permit and corrects its type when the AI is confident',
+    category: 'ai',
+    entityTypes: ['permit'],
+    execute: ({ config, subject, engine }) => engine.executeAIClassification(subject.entity, config)
+  },
+  {
+    type: 'document_check',
+    label: 'Document check',
+    description: 'Checks that enough documents are uploaded',
+    category: 'check',
+    entityTypes: ['permit'],
+    configSchema: [
+      { name: 'requiredDocuments', label: 'Required documents', type: 'number', min: 0, default: 1 }
+    ],
+    execute: ({ config, subject, engine }) => engine.executeDocumentCheck(subject.entity, config)
+  },
+  {
+    type: 'payment_check',
+    label: 'Payment check',
+    description: 'Checks that the permit fees are paid (or, with no fees assessed, that it has a completed payment)',
+    category: 'check',
+    entityTypes: ['permit'],
+    execute: ({ config, subject, engine }) => engine.executePaymentCheck(subject.entity, config)
+  },
+  {
+    type: 'inspection',
+    label: 'Schedule inspection',
+    description: 'Schedules an inspection with an available inspector',
+    category: 'action',
+    entityTypes: ['permit'],
+    configSchema: [
+      { name: 'inspectionType', label: 'Inspection type', type: 'text', default: 'general' },
+      { name: 'daysFromNow', label: 'Business days from now', type: 'number', min: 0, default: 7 },
+      { name: 'notes', label: 'Notes', type: 'textarea' }
+    ],
+    execute: ({ config, execution, subject, engine }) => engine.executeInspectionSchedule(subject.entity, config, execution)
+  },
+  {
+    type: 'notification',
+    label: 'Notification',
+    description: 'Notifies the applicant (or a configured user)',
+    category: 'action',
+    configSchema: [
+      { name: 'userId', label: 'Recipient', type: 'user', description: 'Defaults to the owner of the entity' },
+      { name: 'title', label: 'Title', type: 'text' },
+      { name: 'message', label: 'Message', type: 'textarea' },
+      { name: 'notificationType', label: 'Notification type', type: 'text', default: 'workflow_update' },
+      { name: 'priority', label: 'Priority', type: 'select', options: PRIORITIES, default: 'medium' }
+    ],
+    execute: ({ config, subject, engine }) => engine.executeNotification(subject, config)
+  },
+  {
+    type: 'manual_review',
+    label: 'Manual review',
+    description: 'Creates a review task and waits for it to be completed',
+    category: 'human',
+    waits: true,
+    configSchema: [
+      ...TASK_FIELDS,
+      { name: 'type', label: 'Task type', type: 'text', default: 'review' }
+    ],
+    execute: ({ step, config, execution, subject, idempotencyKey, engine }) =>
+      engine.executeManualReview(subject, config, execution, step, idempotencyKey)
+  },
+  {
+    type: 'approval',
+    label: 'Approval',
+    description: 'Creates approval tasks and waits until the approval rule is decided',
+    category: 'human',
+    waits: true,
+    configSchema: [
+      ...TASK_FIELDS,
+      { name: 'approvalRule', label: 'Approval rule', type: 'select', options: ['quorum', 'unanimous', 'any_rejects_all'], default: 'quorum' },
+      { name: 'approvers', label: 'Approvers', type: 'list', description: 'One approval task per listed user' }
+    ],
+    execute: ({ step, config, execution, subject, idempotencyKey, engine }) =>
+      engine.executeApproval(subject, config, execution, step, idempotencyKey)
+  },
+  {
+    type: 'update_status',
+    label: 'Update status',
+    description: 'Sets the status of the entity',
+    category: 'action',
+    configSchema: [
+      { name: 'status', label: 'Status', type: 'text', required: true, description: 'Permits only move along their lifecycle' }
+    ],
+    execute: ({ config, execution, subject, engine }) => engine.executeStatusUpdate(subject, config, execution)
+  },
+  {
+    type: 'subworkflow',
+    label: 'Sub-workflow',
+    description: 'Runs another workflow on the same entity and waits for it to end',
+    category: 'flow',
+    waits: true,
+    configSchema: [
+      { name: 'workflowId', label: 'Workflow', type: 'text', description: 'Any version; the active one runs' },
+      { name: 'workflowName', label: 'Workflow name', type: 'text', description: 'Used when no workflow is selected' },
+      { name: 'inputs', label: 'Inputs', type: 'object', valueType: 'expression', description: 'Child variable => expression over the parent context' },
+      { name: 'outputs', label: 'Outputs', type: 'object', valueType: 'expression', description: 'Parent variable => expression over the child context' }
+    ],
+    validate: config => (config.workflowId || config.workflowName ? [] : ['workflowId or workflowName is required']),
+    execute: ({ step, execution, subject, idempotencyKey, engine }) =>
+      engine.executeSubworkflow(step, execution, subject, idempotencyKey),
+    // Children only run once the parent is waiting, so they can always resume it
+    onWait: async ({ result, engine }) => {
+      const child = result.childExecutionId ? await WorkflowExecution.findByPk(result.childExecutionId) : null;
+      if (child?.status === 'in_progress') {
+        await engine.processNextStep(child);
+      }
+    }
+  },
+  {
+    type: 'fork',
+    label: 'Fork',
+    description: 'Splits the execution into parallel branches',
+    category: 'flow',
+    control: true,
+    configSchema: [
+      { name: 'branches', label: 'Branches', type: 'steps', description: 'First step of each branch' }
+    ]
+  },
+  {
+    type: 'join',
+    label: 'Join',
+    description: 'Waits for parallel branches to arrive',
+    category: 'flow',
+    control: true,
+    // waitFor is 'all' (default), 'any', a number of branches or a list of
+    // branch step IDs, which no single config field type covers
+    validate: ({ waitFor }) => {
+      const valid = waitFor === undefined || waitFor === null || ['all', 'any'].includes(waitFor) ||
+        (Number.isInteger(waitFor) && waitFor > 0) ||
+        (Array.isArray(waitFor) && waitFor.every(id => typeof id === 'string'));
+      return valid ? [] : ["waitFor must be 'all', 'any', a number of branches or a list of branch step IDs"];
+    }
+  }
+];
@@ -0,0 +1,468 @@
+const config = require('../../config/config');
+const ExpressionService = require('../expressionService');
+
+/**
+ * HTTP request step type
+ * Calls an external system (GIS lookup, assessor database, county system)
+ * and maps fields of its response into the execution variables.
+ *
+ * url, headers, query and body are templates: {{ expression }} is replaced
+ * with the expression evaluated against the condition context (permit,
+ * entity, variables, steps, execution) plus secrets. A string that is only
+ * one {{ expression }} keeps the value's type, so JSON bodies can carry
+ * numbers, lists and objects.
+ *
+ * Credentials are never stored on the step: {{ secrets.NAME }} reads the
+ * WORKFLOW_SECRET_<NAME> environment variable, and secret values are masked
+ * in the step result. A secret is only sent to the hosts listed in
+ * WORKFLOW_SECRET_<NAME>_HOST, so a step that uses one must name its host
+ * in the URL rather than template it.
+ *
+ * responseMapping maps variable names to expressions over the condition context
+ * plus response ({ status, headers, body }), e.g.
+ *   { zoning: 'response.body.parcel.zoning', floodZone: 'response.body.flood == true' }
+ *
+ * Each job attempt sends the request once. Network errors, timeouts, 429
+ * and 5xx responses throw, so the workflow job queue retries the step with
+ * its own backoff (WORKFLOW_JOB_BACKOFF_MS), for up to config.retries more
+ * attempts within the job's maxAttempts. A request that still fails, or any
+ * other non-2xx response, follows the step's failure edge.
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+const MAX_RETRIES = 10;
+
+// Extra expression roots: templates can read secrets, response mappings the response
+const TEMPLATE_ROOTS = ['secrets'];
+const MAPPING_ROOTS = ['response'];
+
+// Request failures; retryable ones are sent again
+class RequestError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Render a template string (or every string in a JSON value)
+ * @param {*} template - Template
+ * @param {Object} context - Expression context
+ * @param {Function} format - Turns an interpolated value into text
+ */
+function render(template, context, format = value => (value === undefined || value === null ? '' : String(value))) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\s\S]+?)\s*\}\}$/);
+    if (whole && !whole[1].includes('}}')) {
+      return ExpressionService.evaluate(whole[1], context, { roots: TEMPLATE_ROOTS });
+    }
+    return template.replace(TEMPLATE_PATTERN, (match, expression) =>
+      format(ExpressionService.evaluate(expression, context, { roots: TEMPLATE_ROOTS })));
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => render(item, context, format));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, context, format)]));
+  }
+
+  return template;
+}
+
+/**
+ * Expressions used in the templates of a step config
+ */
+function templateExpressions(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(TEMPLATE_PATTERN)].map(match => match[1]);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(templateExpressions);
+  }
+  return [];
+}
+
+/**
+ * Secrets the templates of a step config read
+ * Only secrets.NAME is a reference by name; any other use of secrets (a
+ * computed key, or the whole object) is reported as dynamic, since it could
+ * put every secret into the request.
+ * @returns {Object} { names, dynamic }
+ */
+function secretReferences(stepConfig) {
+  const names = new Set();
+  let dynamic = false;
+
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.type === 'member' && node.object.type === 'identifier' && node.object.name === 'secrets') {
+      if (node.property.type === 'literal' && typeof node.property.value === 'string') {
+        names.add(node.property.value);
+      } else {
+        dynamic = true;
+      }
+      return;
+    }
+    if (node.type === 'identifier' && node.name === 'secrets') {
+      dynamic = true;
+      return;
+    }
+    Object.values(node).forEach(value => (Array.isArray(value) ? value.forEach(walk) : walk(value)));
+  };
+
+  for (const expression of templateExpressions([stepConfig.url, stepConfig.headers, stepConfig.query, stepConfig.body])) {
+    try {
+      walk(ExpressionService.parse(expression, { roots: TEMPLATE_ROOTS }));
+    } catch (error) {
+      // Syntax errors are reported by validate
+    }
+  }
+
+  return { names: [...names], dynamic };
+}
+
+/**
+ * Host a URL template names without templates, or null when any part of
+ * the host comes from a template
+ */
+function templateHost(url) {
+  const match = String(url || '').trim().match(/^https?:\/\/([^/?#]*)/i);
+
+  if (!match || match[1].includes('{{')) {
+    return null;
+  }
+
+  try {
+    return new URL(`http://${match[1]}`).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Secrets that may not be sent to a host (WORKFLOW_SECRET_<NAME>_HOST)
+ */
+function secretHostErrors(names, host) {
+  return names
+    .filter(name => !(config.workflow.secretHosts[name] || []).includes(host))
+    .map(name => `secrets.${name} may only be sent to the hosts in WORKFLOW_SECRET_${name}_HOST, not ${host}`);
+}
+
+/**
+ * Check where a step's secrets would be sent
+ * A step that uses secrets must name its host in the URL, and every secret
+ * must be allowed on that host; otherwise a workflow (or an imported bundle)
+ * could send credentials to any server.
+ * @param {Object} stepConfig - Step config
+ * @param {String|null} host - Host the request goes to (default: the host the URL template names)
+ * @returns {Array<String>} Errors
+ */
+function checkSecrets(stepConfig, host = templateHost(stepConfig.url)) {
+  const { names, dynamic } = secretReferences(stepConfig);
+  const errors = [];
+
+  if (dynamic) {
+    errors.push('secrets can only be read by name ({{ secrets.NAME }})');
+  }
+
+  if (names.length > 0) {
+    if (!host) {
+      errors.push('url must name its host without templates when the step uses secrets');
+    } else {
+      errors.push(...secretHostErrors(names, host));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Secrets the templates of a step config refer to that are not configured
+ */
+function missingSecrets(stepConfig) {
+  return secretReferences(stepConfig).names
+    .filter(name => !Object.prototype.hasOwnProperty.call(config.workflow.secrets, name));
+}
+
+/**
+ * Replace secret values in text so they never reach step results or logs
+ */
+function mask(text) {
+  return Object.values(config.workflow.secrets)
+    .filter(secret => secret && secret.length >= 4)
+    .reduce((masked, secret) => masked.split(secret).join('***'), String(text));
+}
+
+/**
+ * Build the request described by a step config
+ * @returns {Object} { method, url, headers, body }
+ */
+function buildRequest(stepConfig, conditionContext) {
+  const missing = missingSecrets(stepConfig);
+  if (missing.length > 0) {
+    throw new Error(`secrets not configured: ${missing.map(name => `WORKFLOW_SECRET_${name}`).join(', ')}`);
+  }
+
+  const context = { ...conditionContext, secrets: config.workflow.secrets };
+  const method = (stepConfig.method || 'GET').toUpperCase();
+  const url = new URL(render(stepConfig.url, context, value => encodeURIComponent(value ?? '')));
+
+  // Checked again on the rendered URL, in case the allowed hosts changed since the step was saved
+  const secretErrors = checkSecrets(stepConfig, url.hostname);
+  if (secretErrors.length > 0) {
+    throw new Error(secretErrors.join('; '));
+  }
+
+  for (const [name, value] of Object.entries(render(stepConfig.query || {}, context))) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(name, value);
+    }
+  }
+
+  const headers = Object.fromEntries(Object.entries(render(stepConfig.headers || {}, context))
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value)]));
+
+  let body;
+  if (stepConfig.body !== undefined && stepConfig.body !== null && !['GET', 'DELETE'].includes(method)) {
+    const rendered = render(stepConfig.body, context);
+    const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+
+    if (typeof rendered === 'string') {
+      body = rendered;
+    } else {
+      body = JSON.stringify(rendered);
+      if (!hasContentType) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+  }
+
+  return { method, url: url.toString(), headers, body };
+}
+
+/**
+ * Send a request once
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function send(request, timeoutMs) {
+  let response;
+  let text;
+
+  try {
+    response = await fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    text = await response.text();
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    throw new RequestError(
+      timedOut ? `Request timed out after ${timeoutMs}ms` : `Request failed: ${error.cause?.message || error.message}`,
+      { retryable: true }
+    );
+  }
+
+  let body = text;
+
+  if ((response.headers.get('content-type') || '').includes('json') && text) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      throw new RequestError(`Response is not valid JSON (status ${response.status})`, { status: response.status });
+    }
+  }
+
+  return {
+    status: response.status,
+    headers: Object.fromEntries(response.headers.entries()),
+    body
+  };
+}
+
+/**
+ * Send a request once, treating 429 and 5xx responses as transient failures
+ * @returns {Promise<Object>} { response } or { error }
+ */
+async function sendOnce(request, stepConfig) {
+  const timeoutMs = parseInt(stepConfig.timeoutMs) || config.workflow.httpTimeoutMs;
+
+  try {
+    const response = await send(request, timeoutMs);
+
+    if (response.status !== 429 && response.status < 500) {
+      return { response };
+    }
+    return { error: new RequestError(`Server responded with status ${response.status}`, { status: response.status, retryable: true }) };
+  } catch (error) {
+    return { error };
+  }
+}
+
+/**
+ * Map response fields to variables (secrets are not in scope)
+ */
+function mapResponse(engine, stepConfig, conditionContext, response) {
+  return engine.mapVariables(stepConfig.responseMapping, { ...conditionContext, response }, { roots: MAPPING_ROOTS });
+}
+
+module.exports = {
+  type: 'http_request',
+  label: 'HTTP request',
+  description: 'Calls an external system and maps its response into workflow variables',
+  category: 'integration',
+  configSchema: [
+    { name: 'url', label: 'URL', type: 'text', required: true, description: 'Template, e.g. https://gis.example.gov/parcels/{{ permit.parcelNumber }}' },
+    { name: 'method', label: 'Method', type: 'select', options: METHODS, default: 'GET' },
+    { name: 'headers', label: 'Headers', type: 'object', description: 'Header => template; use {{ secrets.NAME }} for credentials (sent only to WORKFLOW_SECRET_<NAME>_HOST)' },
+    { name: 'query', label: 'Query parameters', type: 'object', description: 'Parameter => template' },
+    { name: 'body', label: 'Body', type: 'json', description: 'JSON (strings are templates) or a text template' },
+    { name: 'responseMapping', label: 'Response mapping', type: 'object', valueType: 'expression', roots: MAPPING_ROOTS, description: 'Variable => expression over response and the workflow context' },
+    { name: 'timeoutMs', label: 'Timeout (ms)', type: 'number', min: 100, max: 120000, description: 'Defaults to WORKFLOW_HTTP_TIMEOUT_MS' },
+    { name: 'retries', label: 'Retries', type: 'number', min: 0, max: MAX_RETRIES, default: 2, description: 'Job retries for network errors, timeouts, 429 and 5xx (limited by WORKFLOW_JOB_MAX_ATTEMPTS)' }
+  ],
+
+  validate: (stepConfig) => {
+    const errors = [];
+
+    if (typeof stepConfig.url === 'string' && !/^https?:\/\//i.test(stepConfig.url.trim())) {
+      errors.push('url must start with http:// or https://');
+    }
+
+    for (const field of ['headers', 'query']) {
+      const values = stepConfig[field] && typeof stepConfig[field] === 'object' ? Object.values(stepConfig[field]) : [];
+      if (values.some(value => typeof value === 'object' && value !== null)) {
+        errors.push(`${field} values must be strings or templates`);
+      }
+    }
+
+    // Credentials belong in secrets, not in the workflow definition
+    const headers = Object.keys(stepConfig.headers || {});
+    for (const name of headers.filter(header => ['authorization', 'x-api-key', 'api-key'].includes(header.toLowerCase()))) {
+      if (!/\{\{\s*secrets\./.test(String(stepConfig.headers[name]))) {
+        errors.push(`${name} header must reference a secret ({{ secrets.NAME }}) instead of an inline credential`);
+      }
+    }
+
+    for (const expression of templateExpressions([stepConfig.url, stepConfig.headers, stepConfig.query, stepConfig.body])) {
+      const error = ExpressionService.validate(expression, { roots: TEMPLATE_ROOTS });
+      if (error) {
+        errors.push(`template {{ ${expression} }} is not a valid expression: ${error}`);
+      }
+    }
+
+    errors.push(...checkSecrets(stepConfig));
+
+    return errors;
+  },
+
+  async execute({ config: stepConfig, execution, subject, idempotencyKey, attempt = { number: 1, max: 1 }, engine }) {
+    const context = engine.buildConditionContext(execution, subject);
+
+    let request;
+    try {
+      request = buildRequest(stepConfig, context);
+    } catch (error) {
+      return { success: false, error: mask(`Cannot build request: ${error.message}`) };
+    }
+
+    // Lets the receiving system drop a request repeated by a job retry
+    if (idempotencyKey && request.method !== 'GET' &&
+      !Object.keys(request.headers).some(name => name.toLowerCase() === 'idempotency-key')) {
+      request.headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    const startedAt = Date.now();
+    const { response, error } = await sendOnce(request, stepConfig);
+    const summary = {
+      request: { method: request.method, url: mask(request.url) },
+      attempts: attempt.number,
+      durationMs: Date.now() - startedAt
+    };
+
+    // Transient failures throw so the job queue retries the step later
+    const retries = Math.min(Math.max(parseInt(stepConfig.retries ?? 2) || 0, 0), MAX_RETRIES);
+    if (error?.retryable && attempt.number <= retries && attempt.number < attempt.max) {
+      console.warn(`⚠️  ${request.method} ${mask(request.url)}: ${mask(error.message)}; retrying (${attempt.number}/${retries})`);
+      throw new RequestError(mask(error.message), { status: error.status, retryable: true });
+    }
+
+    if (error) {
+      console.error(`❌ HTTP request step failed: ${request.method} ${mask(request.url)}: ${mask(error.message)}`);
+      return { success: false, ...summary, status: error.status, error: mask(error.message) };
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      return { success: false, ...summary, status: response.status, error: `Server responded with status ${response.status}` };
+    }
+
+    let variables;
+    try {
+      variables = mapResponse(engine, stepConfig, context, response);
+    } catch (mappingError) {
+      return { success: false, ...summary, status: response.status, error: mask(mappingError.message) };
+    }
+
+    if (Object.keys(variables).length > 0) {
+      await execution.update({
+        variables: { ...(execution.variables || {}), ...variables }
+      });
+    }
+
+    return { success: true, ...summary, status: response.status, variables };
+  },
+
+  /**
+   * Dry runs never call the external system: the request is rendered and
+   * recorded, and the mock ({ status, headers, body }) stands in for the response.
+   */
+  async simulate({ step, config: stepConfig, subject, run, mock, engine }) {
+    const context = engine.buildConditionContext(run.execution, subject);
+
+    let request;
+    try {
+      request = buildRequest(stepConfig, context);
+    } catch (error) {
+      run.warnings.push(`Step "${step.name}": ${mask(`Cannot build request: ${error.message}`)}`);
+      return { success: false, error: mask(error.message) };
+    }
+
+    run.changes.push({
+      stepName: step.name,
+      change: 'http_request',
+      method: request.method,
+      url: mask(request.url)
+    });
+
+    if (mock === undefined) {
+      run.warnings.push(`No mocked response for HTTP request step "${step.name}"; assumed success without mapped variables`);
+      return { success: true, mocked: true };
+    }
+
+    const response = { status: mock.status ?? 200, headers: mock.headers || {}, body: mock.body ?? null };
+
+    let variables;
+    try {
+      variables = mapResponse(engine, stepConfig, context, response);
+    } catch (error) {
+      run.warnings.push(`Step "${step.name}": ${error.message}`);
+      return { success: false, status: response.status, error: error.message, mocked: true };
+    }
+
+    // Later conditions see the mapped variables
+    Object.assign(run.execution.variables, variables);
+
+    return { success: response.status >= 200 && response.status < 300, status: response.status, variables, mocked: true };
+  }
+};
@@ -0,0 +1,146 @@
+const BusinessCalendarService = require('../businessCalendarService');
+const ExpressionService = require('../expressionService');
+const { EVENTS } = require('../eventBus');
+
+/**
+ * Waiting step types
+ * - timer: waits until a date, for a duration, or for a number of business
+ *   days on the workflow's calendar; a persisted resume_step job continues
+ *   the execution
+ * - wait_for_event: waits until a matching domain event arrives for the
+ *   entity the execution runs on (see WorkflowService.resumeOnEvent)
+ *
+ * Both can give up through the step's timeoutDuration/timeoutAction, and
+ * both are skipped like any other step when their conditions do not hold
+ * (e.g. the payment was already made before the step was reached).
+ */
+
+const DURATION_UNITS = { minutes: 60 * 1000, hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+
+const TIMER_MODES = ['until', 'untilExpression', 'duration', 'businessDays'];
+
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Work out when a timer step ends
+ * @param {Object} stepConfig - Timer step config
+ * @param {Object} context - Condition context (for untilExpression)
+ * @param {Object} calendar - Business calendar of the execution (for businessDays)
+ * @param {Date} now - Time the step started
+ * @returns {Date}
+ */
+function getResumeAt(stepConfig, context, calendar, now = new Date()) {
+  if (stepConfig.until || stepConfig.untilExpression) {
+    const value = stepConfig.until || ExpressionService.evaluate(stepConfig.untilExpression, context);
+    const date = new Date(value);
+
+    if (value === null || value === undefined || isNaN(date.getTime())) {
+      throw new Error(`Timer date ${JSON.stringify(value)} is not a date`);
+    }
+    return date;
+  }
+
+  if (stepConfig.businessDays !== undefined) {
+    return BusinessCalendarService.addBusinessDays(
+      now,
+      Number(stepConfig.businessDays),
+      BusinessCalendarService.withHolidays(calendar, stepConfig.holidays || [])
+    );
+  }
+
+  const unit = DURATION_UNITS[stepConfig.unit || 'days'];
+  return new Date(now.getTime() + Number(stepConfig.duration) * unit);
+}
+
+module.exports = [
+  {
+    type: 'timer',
+    label: 'Timer',
+    description: 'Waits until a date, for a duration, or for a number of business days',
+    category: 'flow',
+    waits: true,
+    configSchema: [
+      { name: 'until', label: 'Until', type: 'date', description: 'Absolute date and time' },
+      { name: 'untilExpression', label: 'Until (expression)', type: 'expression', description: 'e.g. variables.hearingDate' },
+      { name: 'duration', label: 'Duration', type: 'number', min: 0 },
+      { name: 'unit', label: 'Duration unit', type: 'select', options: Object.keys(DURATION_UNITS), default: 'days' },
+      { name: 'businessDays', label: 'Business days', type: 'number', min: 0, description: "Skips closed days of the workflow's business calendar" },
+      { name: 'holidays', label: 'Extra holidays', type: 'list', description: 'Dates (YYYY-MM-DD) skipped as well as the calendar holidays' }
+    ],
+
+    validate: (stepConfig) => {
+      const modes = TIMER_MODES.filter(mode => stepConfig[mode] !== undefined && stepConfig[mode] !== null && stepConfig[mode] !== '');
+      const errors = [];
+
+      if (modes.length !== 1) {
+        errors.push(`set exactly one of ${TIMER_MODES.join(', ')}`);
+      }
+
+      if (Array.isArray(stepConfig.holidays) && stepConfig.holidays.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        errors.push('holidays must be dates in YYYY-MM-DD format');
+      }
+
+      return errors;
+    },
+
+    execute: async ({ config: stepConfig, execution, subject, engine }) => {
+      try {
+        const calendar = await engine.getCalendar(execution);
+        const resumeAt = getResumeAt(stepConfig, engine.buildConditionContext(execution, subject), calendar);
+        return { success: true, waiting: true, resumeAt: resumeAt.toISOString() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    // A timer that cannot be set follows the failure edge straight away
+    onWait: async ({ step, result, execution, idempotencyKey, engine }) => {
+      if (!result.success) {
+        await engine.resumeWorkflow(execution.id, 'failed', step.id);
+        return;
+      }
+
+      await engine.scheduleResume(execution, step, new Date(result.resumeAt), idempotencyKey);
+    },
+
+    simulate: async ({ config: stepConfig, subject, run, engine }) => {
+      try {
+        const calendar = await engine.getCalendar(run.execution);
+        const resumeAt = getResumeAt(stepConfig, engine.buildConditionContext(run.execution, subject), calendar);
+        return { success: true, waited: true, resumeAt: resumeAt.toISOString() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+  },
+  {
+    type: 'wait_for_event',
+    label: 'Wait for event',
+    description: 'Waits until a domain event (e.g. payment completed) arrives for this entity',
+    category: 'flow',
+    waits: true,
+    configSchema: [
+      { name: 'event', label: 'Event', type: 'select', options: Object.values(EVENTS), required: true },
+      { name: 'condition', label: 'Condition', type: 'expression', roots: ['event'], description: "e.g. event.data.result == 'passed'" },
+      { name: 'variable', label: 'Store event data in variable', type: 'text' }
+    ],
+
+    validate: (stepConfig) => (stepConfig.variable && !VARIABLE_PATTERN.test(stepConfig.variable)
+      ? ['variable must be a valid identifier']
+      : []),
+
+    execute: async ({ config: stepConfig }) => ({ success: true, waiting: true, event: stepConfig.event }),
+
+    /**
+     * outcome is 'received' (default) or 'timeout'; the mock is the event data
+     */
+    simulate: async ({ config: stepConfig, run, mock, outcome = 'received', engine }) => {
+      if (outcome === 'received' && stepConfig.variable) {
+        // Later conditions see the event data
+        run.execution.variables[stepConfig.variable] = mock ?? {};
+      }
+
+      return { success: engine.isOutcomeSuccessful(outcome), outcome, event: stepConfig.event };
+    }
+  }
+];
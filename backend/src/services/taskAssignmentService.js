@@ -0,0 +1,278 @@
+const { Task, User, UserGroup } = require('../models');
+const { Op, fn, col } = require('sequelize');
+const TaskService = require('./taskService');
+
+// Task statuses that count towards an assignee's workload
+const OPEN_TASK_STATUSES = ['pending', 'assigned', 'in_progress', 'overdue'];
+
+/**
+ * How an assignee is picked from the candidate pool (step.config.assignmentStrategy)
+ * - least_loaded: fewest open tasks (default)
+ * - round_robin: whoever was given a task from this step longest ago
+ * - first_available: longest-standing user in the pool
+ */
+const ASSIGNMENT_STRATEGIES = ['least_loaded', 'round_robin', 'first_available'];
+
+const ASSIGNMENT_TYPES = ['user', 'role', 'group', 'auto'];
+
+// Candidates listed in a decision's explanation
+const MAX_EXPLAINED_CANDIDATES = 10;
+
+/**
+ * Task Assignment Service
+ * Picks assignees for workflow tasks from the step's candidate pool
+ * (WorkflowStep.assignmentType / assignedTo), narrowed by department and
+ * skills (User.preferences.department / skills), and explains every
+ * decision so it can be stored on the task and audited later.
+ */
+class TaskAssignmentService {
+  /**
+   * Pick assignees for a step's task(s)
+   * @param {Object} step - WorkflowStep (may be null for ad hoc tasks)
+   * @param {Object} config - Step config (assignTo, assignmentStrategy, department, requiredSkills)
+   * @param {Object} options - { count: number of assignees, defaultRoles: pool roles when assignmentType is auto }
+   * @returns {Promise<Object>} { assigneeIds, explanation }
+   */
+  static async assign(step, config = {}, { count = 1, defaultRoles = ['staff'] } = {}) {
+    const decidedAt = new Date().toISOString();
+
+    if (config.assignTo) {
+      return {
+        assigneeIds: [config.assignTo],
+        explanation: {
+          strategy: 'fixed',
+          reason: 'Assigned to the user configured on the step (config.assignTo)',
+          selected: [config.assignTo],
+          decidedAt
+        }
+      };
+    }
+
+    const strategy = config.assignmentStrategy || 'least_loaded';
+    const pool = await this.getCandidatePool(step, defaultRoles);
+
+    // Users who are out of office only get work when everyone is away
+    // (createStepTask then reroutes it to their delegate)
+    const away = pool.users.filter(user => TaskService.getOutOfOffice(user));
+    const present = away.length < pool.users.length
+      ? pool.users.filter(user => !away.includes(user))
+      : pool.users;
+
+    const { candidates, filters } = this.applyFilters(present, config);
+    const ranked = await this.rank(strategy, candidates, step);
+    const selected = ranked.slice(0, count);
+    const assigneeIds = selected.map(c => c.user.id);
+
+    return {
+      assigneeIds,
+      explanation: {
+        strategy,
+        assignmentType: pool.assignmentType,
+        pool: { source: pool.source, size: pool.users.length },
+        filters,
+        ...(away.length > 0 ? { outOfOffice: away.map(user => user.id) } : {}),
+        candidates: ranked.slice(0, MAX_EXPLAINED_CANDIDATES).map(c => ({
+          userId: c.user.id,
+          name: c.user.name,
+          ...c.metrics
+        })),
+        selected: assigneeIds,
+        reason: this.describeDecision(strategy, selected, pool, filters),
+        decidedAt
+      }
+    };
+  }
+
+  /**
+   * Load the active users a step's tasks may go to
+   * @returns {Promise<Object>} { assignmentType, source, users }
+   */
+  static async getCandidatePool(step, defaultRoles) {
+    const assignmentType = step?.assignmentType || 'auto';
+    const targets = this.toList(step?.assignedTo);
+    const active = { status: 'active' };
+    const order = [['createdAt', 'ASC']];
+
+    if (assignmentType === 'user' && targets.length > 0) {
+      const users = await User.findAll({ where: { ...active, id: { [Op.in]: targets } }, order });
+      return { assignmentType, source: `users ${targets.join(', ')}`, users };
+    }
+
+    if (assignmentType === 'role' && targets.length > 0) {
+      const users = await User.findAll({ where: { ...active, role: { [Op.in]: targets } }, order });
+      return { assignmentType, source: `role ${targets.join(', ')}`, users };
+    }
+
+    if (assignmentType === 'group' && targets.length > 0) {
+      const groups = await this.findGroups(targets);
+      const memberIds = [...new Set(groups.flatMap(g => g.memberIds || []))];
+      const users = memberIds.length > 0
+        ? await User.findAll({ where: { ...active, id: { [Op.in]: memberIds } }, order })
+        : [];
+      return { assignmentType, source: `group ${groups.map(g => g.name).join(', ') || targets.join(', ')}`, users };
+    }
+
+    const users = await User.findAll({ where: { ...active, role: { [Op.in]: defaultRoles } }, order });
+    return { assignmentType: 'auto', source: `role ${defaultRoles.join(', ')}`, users };
+  }
+
+  /**
+   * Find groups by ID or name
+   */
+  static async findGroups(targets) {
+    const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const ids = targets.filter(t => uuid.test(t));
+
+    return await UserGroup.findAll({
+      where: {
+        [Op.or]: [
+          ...(ids.length > 0 ? [{ id: { [Op.in]: ids } }] : []),
+          { name: { [Op.in]: targets } }
+        ]
+      }
+    });
+  }
+
+  /**
+   * Narrow the pool to users in config.department with all config.requiredSkills
+   * Falls back to the whole pool when nobody matches, so work is never left unassigned.
+   * @returns {Object} { candidates, filters }
+   */
+  static applyFilters(users, config) {
+    const department = config.department ? String(config.department).toLowerCase() : null;
+    const requiredSkills = this.toList(config.requiredSkills).map(s => s.toLowerCase());
+
+    if (!department && requiredSkills.length === 0) {
+      return { candidates: users, filters: null };
+    }
+
+    const matched = users.filter(user => {
+      const prefs = user.preferences || {};
+      const skills = this.toList(prefs.skills).map(s => s.toLowerCase());
+
+      return (!department || String(prefs.department || '').toLowerCase() === department) &&
+        requiredSkills.every(skill => skills.includes(skill));
+    });
+
+    return {
+      candidates: matched.length > 0 ? matched : users,
+      filters: {
+        department: config.department || null,
+        requiredSkills: this.toList(config.requiredSkills),
+        matched: matched.length,
+        fallback: matched.length === 0
+      }
+    };
+  }
+
+  /**
+   * Order candidates by the strategy, best first
+   * @returns {Promise<Array>} [{ user, metrics }]
+   */
+  static async rank(strategy, users, step) {
+    if (users.length === 0) {
+      return [];
+    }
+
+    const ids = users.map(u => u.id);
+
+    if (strategy === 'round_robin') {
+      const rows = step?.id
+        ? await Task.findAll({
+          attributes: ['assignedTo', [fn('MAX', col('createdAt')), 'lastAssignedAt']],
+          where: { assignedTo: { [Op.in]: ids }, workflowStepId: step.id },
+          group: ['assignedTo'],
+          raw: true
+        })
+        : [];
+      const last = new Map(rows.map(r => [r.assignedTo, new Date(r.lastAssignedAt)]));
+
+      // Users never given a task from this step go first, in pool order
+      return users
+        .map((user, i) => ({ user, i, metrics: { lastAssignedAt: last.get(user.id) || null } }))
+        .sort((a, b) => (a.metrics.lastAssignedAt || 0) - (b.metrics.lastAssignedAt || 0) || a.i - b.i);
+    }
+
+    if (strategy === 'least_loaded') {
+      const rows = await Task.findAll({
+        attributes: ['assignedTo', [fn('COUNT', col('id')), 'openTasks']],
+        where: { assignedTo: { [Op.in]: ids }, status: { [Op.in]: OPEN_TASK_STATUSES } },
+        group: ['assignedTo'],
+        raw: true
+      });
+      const load = new Map(rows.map(r => [r.assignedTo, parseInt(r.openTasks)]));
+
+      return users
+        .map((user, i) => ({ user, i, metrics: { openTasks: load.get(user.id) || 0 } }))
+        .sort((a, b) => a.metrics.openTasks - b.metrics.openTasks || a.i - b.i);
+    }
+
+    return users.map(user => ({ user, metrics: {} }));
+  }
+
+  /**
+   * One-line summary of an assignment decision
+   */
+  static describeDecision(strategy, selected, pool, filters) {
+    if (selected.length === 0) {
+      return `No active users in ${pool.source}; task left unassigned`;
+    }
+
+    const names = selected.map(c => c.user.name || c.user.email).join(', ');
+    const scope = filters && !filters.fallback
+      ? `${filters.matched} of ${pool.users.length} users in ${pool.source} matching ${[
+        filters.department && `department ${filters.department}`,
+        filters.requiredSkills.length > 0 && `skills ${filters.requiredSkills.join(', ')}`
+      ].filter(Boolean).join(' and ')}`
+      : `${pool.users.length} users in ${pool.source}${filters?.fallback ? ' (nobody matched the department/skill filters)' : ''}`;
+
+    switch (strategy) {
+      case 'least_loaded':
+        return `${names}: fewest open tasks (${selected.map(c => c.metrics.openTasks).join(', ')}) among ${scope}`;
+      case 'round_robin':
+        return `${names}: next in rotation among ${scope}`;
+      default:
+        return `${names}: first available among ${scope}`;
+    }
+  }
+
+  /**
+   * Validate a step's assignment settings before they are saved
+   * @param {Object} step - { assignmentType, assignedTo, config }
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  static validateStep({ assignmentType, assignedTo, config }) {
+    const errors = [];
+
+    if (assignmentType && !ASSIGNMENT_TYPES.includes(assignmentType)) {
+      errors.push(`assignmentType must be one of: ${ASSIGNMENT_TYPES.join(', ')}`);
+    }
+
+    if (['user', 'role', 'group'].includes(assignmentType) && this.toList(assignedTo).length === 0) {
+      errors.push(`assignedTo must list at least one ${assignmentType}`);
+    }
+
+    const strategy = config?.assignmentStrategy;
+    if (strategy && !ASSIGNMENT_STRATEGIES.includes(strategy)) {
+      errors.push(`assignmentStrategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+    }
+
+    if (config?.requiredSkills !== undefined && !Array.isArray(config.requiredSkills) && typeof config.requiredSkills !== 'string') {
+      errors.push('requiredSkills must be a list of skills');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Normalize a string or array setting to a list of non-empty strings
+   */
+  static toList(value) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    return list.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+  }
+}
+
+module.exports = TaskAssignmentService;
+module.exports.OPEN_TASK_STATUSES = OPEN_TASK_STATUSES;
+module.exports.ASSIGNMENT_STRATEGIES = ASSIGNMENT_STRATEGIES;
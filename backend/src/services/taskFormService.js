@@ -0,0 +1,277 @@
+/**
+ * Task Form Service
+ * Validates the forms attached to workflow steps (WorkflowStep.formConfig)
+ * and the data submitted with them when a task is completed.
+ *
+ * formConfig format:
+ *   {
+ *     fields: [
+ *       { name: 'zoning', label: 'Zoning district', type: 'select', required: true,
+ *         options: ['R1', 'R2', { value: 'C1', label: 'Commercial' }] },
+ *       { name: 'variance', label: 'Variance needed', type: 'boolean' },
+ *       { name: 'varianceReason', type: 'textarea', required: true, maxLength: 2000,
+ *         visibleWhen: { field: 'variance', equals: true } },
+ *       { name: 'setback', type: 'number', min: 0, variable: 'setbackFeet' }
+ *     ]
+ *   }
+ *
+ * visibleWhen is one condition or a list that must all hold; a condition is
+ * { field, equals } | { field, notEquals } | { field, in: [...] }. Hidden
+ * fields are never required and their values are dropped. Submitted values
+ * are stored in WorkflowExecution.variables under field.variable (default
+ * field.name) so later step conditions can use them.
+ */
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'boolean', 'select', 'multiselect', 'date', 'email'];
+
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class TaskFormService {
+  /**
+   * Get the fields of a form config (empty when the step has no form)
+   */
+  static getFields(formConfig) {
+    return Array.isArray(formConfig?.fields) ? formConfig.fields : [];
+  }
+
+  /**
+   * Validate a form config before it is saved on a step
+   * @param {Object} formConfig - WorkflowStep.formConfig
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  static validateSchema(formConfig) {
+    if (formConfig === null || formConfig === undefined) {
+      return [];
+    }
+
+    if (typeof formConfig !== 'object' || Array.isArray(formConfig) || !Array.isArray(formConfig.fields)) {
+      return ['formConfig must be an object with a fields list'];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    formConfig.fields.forEach((field, i) => {
+      const label = `Field ${i + 1}${field?.name ? ` (${field.name})` : ''}`;
+
+      if (!field || typeof field !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      if (!FIELD_NAME_PATTERN.test(field.name || '')) {
+        errors.push(`${label}: name must be a letter or underscore followed by letters, digits or underscores`);
+      } else if (names.has(field.name)) {
+        errors.push(`${label}: duplicate field name`);
+      }
+      names.add(field.name);
+
+      if (!FIELD_TYPES.includes(field.type)) {
+        errors.push(`${label}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+
+      if (['select', 'multiselect'].includes(field.type) && this.getOptionValues(field).length === 0) {
+        errors.push(`${label}: ${field.type} fields need options`);
+      }
+
+      if (field.pattern !== undefined) {
+        try {
+          new RegExp(field.pattern);
+        } catch (error) {
+          errors.push(`${label}: pattern is not a valid regular expression`);
+        }
+      }
+
+      if (field.variable !== undefined && !FIELD_NAME_PATTERN.test(field.variable)) {
+        errors.push(`${label}: variable must be a valid identifier`);
+      }
+    });
+
+    // Conditions can only point at fields declared earlier in the form
+    formConfig.fields.forEach((field, i) => {
+      const conditions = this.getConditions(field);
+      const earlier = new Set(formConfig.fields.slice(0, i).map(f => f?.name));
+
+      for (const condition of conditions) {
+        if (!condition || typeof condition !== 'object' || !earlier.has(condition.field)) {
+          errors.push(`Field ${i + 1} (${field.name}): visibleWhen must refer to a field declared before it`);
+        } else if (!['equals', 'notEquals', 'in'].some(key => key in condition)) {
+          errors.push(`Field ${i + 1} (${field.name}): visibleWhen needs equals, notEquals or in`);
+        } else if ('in' in condition && !Array.isArray(condition.in)) {
+          errors.push(`Field ${i + 1} (${field.name}): visibleWhen.in must be a list`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate submitted form data against a form config
+   * Values are coerced to their field type; unknown and hidden fields are dropped.
+   * @param {Object} formConfig - WorkflowStep.formConfig
+   * @param {Object} data - Submitted values keyed by field name
+   * @returns {Object} { errors, values }
+   */
+  static validateSubmission(formConfig, data = {}) {
+    const errors = [];
+    const values = {};
+    const input = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+
+    for (const field of this.getFields(formConfig)) {
+      if (!this.isVisible(field, values)) {
+        continue;
+      }
+
+      const label = field.label || field.name;
+      const raw = input[field.name];
+      const empty = raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0);
+
+      if (empty) {
+        if (field.required) {
+          errors.push(`${label} is required`);
+        } else if (field.default !== undefined) {
+          values[field.name] = field.default;
+        }
+        continue;
+      }
+
+      const { value, error } = this.coerce(field, raw);
+
+      if (error) {
+        errors.push(`${label} ${error}`);
+      } else {
+        values[field.name] = value;
+      }
+    }
+
+    return { errors, values };
+  }
+
+  /**
+   * Convert a submitted value to its field type and check its constraints
+   * @returns {Object} { value } or { error }
+   */
+  static coerce(field, raw) {
+    switch (field.type) {
+      case 'number': {
+        const value = Number(raw);
+        if (typeof raw === 'boolean' || !Number.isFinite(value)) {
+          return { error: 'must be a number' };
+        }
+        if (field.min !== undefined && value < field.min) {
+          return { error: `must be at least ${field.min}` };
+        }
+        if (field.max !== undefined && value > field.max) {
+          return { error: `must be at most ${field.max}` };
+        }
+        return { value };
+      }
+
+      case 'boolean':
+        if (typeof raw === 'boolean') {
+          return { value: raw };
+        }
+        if (['true', 'false'].includes(String(raw))) {
+          return { value: String(raw) === 'true' };
+        }
+        return { error: 'must be true or false' };
+
+      case 'select': {
+        // Keep the option's configured type (e.g. numbers) for later conditions
+        const value = this.getOptionValues(field).find(option => String(option) === String(raw));
+        return value === undefined
+          ? { error: 'is not one of the allowed options' }
+          : { value };
+      }
+
+      case 'multiselect': {
+        const list = Array.isArray(raw) ? raw : [raw];
+        const options = this.getOptionValues(field);
+        const value = list.map(item => options.find(option => String(option) === String(item)));
+        return value.some(item => item === undefined)
+          ? { error: 'contains an option that is not allowed' }
+          : { value };
+      }
+
+      case 'date': {
+        const date = new Date(raw);
+        return isNaN(date.getTime())
+          ? { error: 'must be a date' }
+          : { value: typeof raw === 'string' && raw.length === 10 ? raw : date.toISOString() };
+      }
+
+      case 'email':
+        return EMAIL_PATTERN.test(String(raw))
+          ? { value: String(raw).trim() }
+          : { error: 'must be an email address' };
+
+      default: {
+        const value = String(raw);
+        if (field.minLength !== undefined && value.length < field.minLength) {
+          return { error: `must be at least ${field.minLength} characters` };
+        }
+        if (field.maxLength !== undefined && value.length > field.maxLength) {
+          return { error: `must be at most ${field.maxLength} characters` };
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(value)) {
+          return { error: field.patternMessage || 'is not in the expected format' };
+        }
+        return { value };
+      }
+    }
+  }
+
+  /**
+   * Check a field's visibleWhen conditions against the values collected so far
+   */
+  static isVisible(field, values) {
+    return this.getConditions(field).every(condition => {
+      const actual = values[condition.field];
+
+      if ('equals' in condition) {
+        return actual === condition.equals;
+      }
+      if ('notEquals' in condition) {
+        return actual !== condition.notEquals;
+      }
+      if ('in' in condition) {
+        return Array.isArray(condition.in) && condition.in.includes(actual);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Map validated form values to execution variables (field.variable or field.name)
+   */
+  static toVariables(formConfig, values = {}) {
+    const variables = {};
+
+    for (const field of this.getFields(formConfig)) {
+      if (Object.prototype.hasOwnProperty.call(values, field.name)) {
+        variables[field.variable || field.name] = values[field.name];
+      }
+    }
+
+    return variables;
+  }
+
+  static getConditions(field) {
+    if (!field?.visibleWhen) {
+      return [];
+    }
+    return Array.isArray(field.visibleWhen) ? field.visibleWhen : [field.visibleWhen];
+  }
+
+  static getOptionValues(field) {
+    return (Array.isArray(field.options) ? field.options : [])
+      .map(option => (option && typeof option === 'object' ? option.value : option))
+      .filter(option => option !== undefined && option !== null);
+  }
+}
+
+module.exports = TaskFormService;
+module.exports.FIELD_TYPES = FIELD_TYPES;
@@ -0,0 +1,216 @@
+const { User } = require('../models');
+const NotificationService = require('./notificationService');
+
+// Roles that can be handed workflow tasks
+const ASSIGNABLE_ROLES = ['staff', 'admin', 'inspector'];
+
+// Out-of-office delegates are followed at most this many hops
+const MAX_DELEGATION_DEPTH = 5;
+
+/**
+ * Task Service
+ * Task hand-offs (claim, release, reassign, delegate) and out-of-office
+ * routing. Every change of hands is appended to Task.history.
+ */
+class TaskService {
+  /**
+   * Build a task history entry
+   * @param {String} action - created, claimed, released, reassigned, delegated, rerouted, escalated, completed
+   * @param {Object} details - { from, to, by, reason, ... }
+   */
+  static historyEntry(action, { from = null, to = null, by = null, reason = null, ...extra } = {}) {
+    return {
+      action,
+      from,
+      to,
+      by,
+      reason,
+      ...extra,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Task history with entries appended
+   */
+  static appendHistory(task, ...entries) {
+    return [...(task.history || []), ...entries];
+  }
+
+  /**
+   * Get a user's out-of-office settings if they are away at the given time
+   * Stored in User.preferences.outOfOffice as { start, end, delegateId, message };
+   * a missing start or end leaves that side of the window open.
+   * @returns {Object|null} Active out-of-office settings
+   */
+  static getOutOfOffice(user, at = new Date()) {
+    const ooo = user?.preferences?.outOfOffice;
+
+    if (!ooo) {
+      return null;
+    }
+
+    const startsBefore = !ooo.start || new Date(ooo.start) <= at;
+    const endsAfter = !ooo.end || new Date(ooo.end) > at;
+
+    return startsBefore && endsAfter ? ooo : null;
+  }
+
+  /**
+   * Validate out-of-office settings before they are saved
+   * @returns {Promise<Array<String>>} Validation errors (empty when valid)
+   */
+  static async validateOutOfOffice(userId, { start, end, delegateId }) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries({ start, end })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        errors.push(`${name} must be a date`);
+      }
+    }
+
+    if (start && end && new Date(end) <= new Date(start)) {
+      errors.push('end must be after start');
+    }
+
+    if (delegateId) {
+      if (delegateId === userId) {
+        errors.push('You cannot delegate to yourself');
+      } else if (!await this.findAssignableUser(delegateId)) {
+        errors.push('Delegate must be an active staff member');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Follow out-of-office delegates from the intended assignee
+   * Stops at the first user who is in, has no delegate, or would close a loop.
+   * @param {String} userId - Intended assignee
+   * @returns {Promise<Object>} { assigneeId, reroutes: history entries for each hop }
+   */
+  static async routeAssignee(userId, at = new Date()) {
+    const reroutes = [];
+    const seen = new Set();
+    let assigneeId = userId;
+
+    while (assigneeId && reroutes.length < MAX_DELEGATION_DEPTH) {
+      seen.add(assigneeId);
+
+      const user = await User.findByPk(assigneeId);
+      const ooo = this.getOutOfOffice(user, at);
+
+      if (!ooo?.delegateId || seen.has(ooo.delegateId)) {
+        break;
+      }
+
+      const delegate = await this.findAssignableUser(ooo.delegateId);
+      if (!delegate) {
+        break;
+      }
+
+      reroutes.push(this.historyEntry('rerouted', {
+        from: assigneeId,
+        to: delegate.id,
+        reason: `Out of office${ooo.end ? ` until ${ooo.end}` : ''}`
+      }));
+      assigneeId = delegate.id;
+    }
+
+    return { assigneeId, reroutes };
+  }
+
+  /**
+   * Find an active user who can be handed tasks
+   */
+  static async findAssignableUser(userId) {
+    const user = await User.findByPk(userId);
+    return user && user.status === 'active' && ASSIGNABLE_ROLES.includes(user.role) ? user : null;
+  }
+
+  /**
+   * Take an unassigned task
+   * @param {Object} task - Task instance
+   * @param {Object} user - Claiming user
+   */
+  static async claim(task, user) {
+    await task.update({
+      assignedTo: user.id,
+      assignedBy: user.id,
+      assignedAt: new Date(),
+      status: 'in_progress',
+      startedAt: new Date(),
+      history: this.appendHistory(task, this.historyEntry('claimed', { to: user.id, by: user.id }))
+    });
+
+    return task;
+  }
+
+  /**
+   * Give a task back to the unassigned pool
+   * @param {Object} task - Task instance
+   * @param {Object} user - User releasing the task
+   * @param {String} reason - Optional reason
+   */
+  static async release(task, user, reason = null) {
+    await task.update({
+      assignedTo: null,
+      assignedBy: user.id,
+      assignedAt: null,
+      status: 'pending',
+      startedAt: null,
+      history: this.appendHistory(task, this.historyEntry('released', {
+        from: task.assignedTo,
+        by: user.id,
+        reason
+      }))
+    });
+
+    return task;
+  }
+
+  /**
+   * Hand a task to another user (reassigned by a supervisor, or delegated by its assignee)
+   * Out-of-office targets are rerouted to their delegate.
+   * @param {Object} task - Task instance
+   * @param {Object} target - User the task goes to
+   * @param {Object} actor - User making the change
+   * @param {String} action - 'reassigned' or 'delegated'
+   * @param {String} reason - Optional reason
+   */
+  static async handOff(task, target, actor, action, reason = null) {
+    const from = task.assignedTo;
+    const { assigneeId, reroutes } = await this.routeAssignee(target.id);
+
+    await task.update({
+      assignedTo: assigneeId,
+      assignedBy: actor.id,
+      assignedAt: new Date(),
+      status: 'assigned',
+      startedAt: null,
+      metadata: action === 'delegated'
+        ? { ...task.metadata, delegatedBy: from }
+        : task.metadata,
+      history: this.appendHistory(task,
+        this.historyEntry(action, { from, to: target.id, by: actor.id, reason }),
+        ...reroutes
+      )
+    });
+
+    await NotificationService.create({
+      userId: assigneeId,
+      type: 'task_assigned',
+      title: action === 'delegated' ? 'Task Delegated to You' : 'Task Reassigned to You',
+      message: `${actor.name || actor.email} ${action} "${task.title}" to you${reason ? `: ${reason}` : ''}`,
+      priority: task.priority === 'urgent' ? 'urgent' : 'high',
+      relatedEntity: 'task',
+      relatedEntityId: task.id
+    });
+
+    return task;
+  }
+}
+
+module.exports = TaskService;
+module.exports.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
@@ -0,0 +1,447 @@
+const { Workflow, WorkflowStep, User, UserGroup, BusinessCalendar, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const YAML = require('yaml');
+const workflowService = require('./workflowService');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const WorkflowVersionService = require('./workflowVersionService');
+const WorkflowEntityService = require('./workflowEntityService');
+const TaskAssignmentService = require('./taskAssignmentService');
+const TaskFormService = require('./taskFormService');
+const { WORKFLOW_DIFF_FIELDS, STEP_FIELDS } = WorkflowVersionService;
+
+// Identifies a workflow bundle; BUNDLE_VERSION changes when the format does
+const BUNDLE_FORMAT = 'govli.workflow';
+const BUNDLE_VERSION = 1;
+
+const WORKFLOW_FIELDS = [...WORKFLOW_DIFF_FIELDS, 'estimatedDuration'];
+
+// Bundle steps use their key instead of order; order is rebuilt from the list
+const BUNDLE_STEP_FIELDS = STEP_FIELDS.filter(field => field !== 'order');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Workflow Bundle Service
+ * Exports workflow versions as portable bundles (JSON or YAML) and imports
+ * them as new drafts. Installation-specific IDs never leave the system:
+ * steps refer to each other by key, users by email, and groups,
+ * sub-workflows and the business calendar (config.calendarName) by name.
+ *
+ * Bundle format (version 1):
+ *   {
+ *     format: 'govli.workflow', version: 1, exportedAt,
+ *     workflow: { name, description, type, triggerType, triggerConditions, config, ... },
+ *     steps: [{ key: 'step-1', name, stepType, config, conditions, formConfig,
+ *               assignmentType, assignedTo, requiredApprovals, nextStepOnSuccess: 'step-3', ... }]
+ *   }
+ */
+class WorkflowBundleService {
+  /**
+   * Build a bundle from a workflow version
+   * @param {Object} workflow - Workflow with steps (WorkflowVersionService.getWithSteps)
+   * @returns {Promise<Object>} Bundle
+   */
+  static async export(workflow) {
+    const steps = workflowService.sortSteps(workflow.steps || []);
+    const keys = new Map(steps.map((step, i) => [step.id, `step-${i + 1}`]));
+    const toKey = id => (id ? keys.get(id) || null : null);
+    const refs = await this.loadReferences(steps);
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      workflow: {
+        ...Object.fromEntries(WORKFLOW_FIELDS.map(field => [field, workflow[field] ?? null])),
+        config: await this.exportCalendar(workflow.config)
+      },
+      steps: steps.map(step => {
+        const exported = Object.fromEntries(BUNDLE_STEP_FIELDS.map(field => [field, step[field] ?? null]));
+
+        return {
+          key: keys.get(step.id),
+          ...exported,
+          ...this.mapAssignees(step, {
+            users: id => refs.users.get(id) || id,
+            groups: id => refs.groups.get(id) || id
+          }),
+          config: this.mapSubworkflow(
+            step.stepType,
+            this.mapConfigUsers(workflowService.mapStepReferences(step, toKey), id => refs.users.get(id) || id),
+            refs.workflows
+          ),
+          nextStepOnSuccess: toKey(step.nextStepOnSuccess),
+          nextStepOnFailure: toKey(step.nextStepOnFailure)
+        };
+      })
+    };
+  }
+
+  /**
+   * Serialize a bundle
+   * @param {Object} bundle - Bundle
+   * @param {String} format - 'json' or 'yaml'
+   * @returns {String}
+   */
+  static serialize(bundle, format = 'json') {
+    return format === 'yaml'
+      ? YAML.stringify(bundle)
+      : JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * Parse a bundle from a request body
+   * @param {Object|String} body - Parsed JSON, or JSON/YAML text
+   * @returns {Object} Bundle
+   */
+  static parse(body) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+
+    try {
+      return YAML.parse(body);  // YAML is a superset of JSON
+    } catch (error) {
+      const parseError = new Error('Bundle is not valid JSON or YAML');
+      parseError.details = [error.message];
+      throw parseError;
+    }
+  }
+
+  /**
+   * Import a bundle as a new draft workflow
+   * Step keys are remapped to new IDs, users are matched by email and
+   * groups by name. Nothing is created if any check fails.
+   * @param {Object} bundle - Parsed bundle
+   * @param {String} userId - User importing the bundle
+   * @param {Object} options - { name: override the workflow name }
+   * @returns {Promise<Object>} { workflow, warnings }
+   */
+  static async import(bundle, userId, { name } = {}) {
+    const structureErrors = this.validateBundle(bundle);
+
+    if (structureErrors.length > 0) {
+      throw this.invalid(structureErrors);
+    }
+
+    const workflowData = {
+      ...Object.fromEntries(WORKFLOW_FIELDS.map(field => [field, bundle.workflow[field] ?? undefined])),
+      ...(name ? { name } : {})
+    };
+    const { users, warnings, errors } = await this.resolveReferences(bundle.steps);
+    workflowData.config = await this.importCalendar(workflowData.config, warnings);
+
+    // Build the steps up front so their new IDs can replace the bundle keys
+    const steps = bundle.steps.map((step, i) => WorkflowStep.build({
+      ...Object.fromEntries(BUNDLE_STEP_FIELDS.filter(field => step[field] !== undefined && step[field] !== null)
+        .map(field => [field, step[field]])),
+      order: i
+    }));
+    const ids = new Map(bundle.steps.map((step, i) => [step.key, steps[i].id]));
+    const toId = key => (key ? ids.get(key) || null : null);
+
+    steps.forEach((step, i) => {
+      const source = bundle.steps[i];
+      step.set({
+        ...this.mapAssignees(source, { users: email => users.get(email) || email, groups: group => group }),
+        config: this.mapConfigUsers(
+          workflowService.mapStepReferences({ stepType: source.stepType, config: source.config || {} }, toId),
+          email => users.get(email) || email
+        ),
+        nextStepOnSuccess: toId(source.nextStepOnSuccess),
+        nextStepOnFailure: toId(source.nextStepOnFailure)
+      });
+    });
+
+    errors.push(
+      ...workflowService.validateStepGraph(steps),
+      ...workflowService.validateStepEntities(steps, WorkflowEntityService.getWorkflowEntityType(workflowData)),
+      ...steps.flatMap(step => [
+        ...workflowService.validateConditions(step.conditions),
+        ...TaskAssignmentService.validateStep(step),
+        ...TaskFormService.validateSchema(step.formConfig)
+      ].map(message => `Step "${step.name}": ${message}`))
+    );
+
+    if (errors.length > 0) {
+      throw this.invalid(errors);
+    }
+
+    const workflow = await sequelize.transaction(async (transaction) => {
+      const created = await Workflow.create({
+        ...workflowData,
+        version: 1,
+        status: 'draft',
+        createdBy: userId
+      }, { transaction });
+
+      for (const step of steps) {
+        step.workflowId = created.id;
+        await step.save({ transaction });
+      }
+
+      return created;
+    });
+
+    console.log(`📦 Workflow imported as draft: ${workflow.name} (${steps.length} steps)`);
+
+    return {
+      workflow: await WorkflowVersionService.getWithSteps(workflow.id),
+      warnings
+    };
+  }
+
+  /**
+   * Check a bundle's format, step keys, step types and key references
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  static validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      return ['Bundle must be an object'];
+    }
+
+    if (bundle.format !== BUNDLE_FORMAT) {
+      return [`Bundle format must be "${BUNDLE_FORMAT}"`];
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+      return [`Unsupported bundle version ${bundle.version} (supported: 1-${BUNDLE_VERSION})`];
+    }
+
+    const errors = [];
+
+    if (!bundle.workflow || typeof bundle.workflow !== 'object' || !bundle.workflow.name) {
+      errors.push('workflow.name is required');
+    }
+
+    if (!Array.isArray(bundle.steps)) {
+      return [...errors, 'steps must be a list'];
+    }
+
+    const keys = new Set();
+
+    bundle.steps.forEach((step, i) => {
+      const label = `Step ${i + 1}${step?.name ? ` ("${step.name}")` : ''}`;
+
+      if (!step || typeof step !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+
+      if (!step.key || typeof step.key !== 'string') {
+        errors.push(`${label}: key is required`);
+      } else if (keys.has(step.key)) {
+        errors.push(`${label}: duplicate key "${step.key}"`);
+      }
+      keys.add(step.key);
+
+      if (!step.name) {
+        errors.push(`${label}: name is required`);
+      }
+
+      if (!workflowService.isKnownStepType(step.stepType)) {
+        errors.push(`${label}: unknown step type "${step.stepType}"`);
+      } else {
+        errors.push(...stepTypeRegistry.validateConfig(step.stepType, step.config)
+          .map(message => `${label}: ${message}`));
+      }
+    });
+
+    bundle.steps.forEach((step, i) => {
+      if (!step || typeof step !== 'object') {
+        return;
+      }
+
+      const label = `Step ${i + 1}${step.name ? ` ("${step.name}")` : ''}`;
+      const references = [step.nextStepOnSuccess, step.nextStepOnFailure];
+      workflowService.mapStepReferences({ stepType: step.stepType, config: step.config || {} }, key => {
+        references.push(key);
+        return key;
+      });
+
+      for (const key of references.filter(Boolean)) {
+        if (!keys.has(key)) {
+          errors.push(`${label}: refers to unknown step "${key}"`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Match the users and groups a bundle refers to against this installation
+   * Users must exist (matched by email); missing groups only warn, since
+   * groups are looked up by name when tasks are assigned.
+   * @returns {Promise<Object>} { users: Map email -> ID, warnings, errors }
+   */
+  static async resolveReferences(steps) {
+    const emails = new Set();
+    const groups = new Set();
+    const warnings = [];
+
+    for (const step of steps) {
+      if (step.stepType === 'subworkflow' && step.config?.workflowName) {
+        const workflow = await Workflow.findOne({ where: { name: step.config.workflowName, status: 'active' } });
+        if (!workflow) {
+          warnings.push(`Step "${step.name}": sub-workflow "${step.config.workflowName}" has no active version yet`);
+        }
+      } else if (step.stepType === 'subworkflow' && step.config?.workflowId) {
+        warnings.push(`Step "${step.name}": sub-workflow is referenced by ID; use config.workflowName to share it`);
+      }
+
+      this.mapAssignees(step, {
+        users: email => emails.add(email),
+        groups: group => groups.add(group)
+      });
+      this.mapConfigUsers(step.config, email => emails.add(email));
+    }
+
+    const found = emails.size > 0
+      ? await User.findAll({ where: { email: { [Op.in]: [...emails] } }, attributes: ['id', 'email'] })
+      : [];
+    const users = new Map(found.map(user => [user.email, user.id]));
+    const errors = [...emails]
+      .filter(email => !users.has(email))
+      .map(email => `Unknown user "${email}"`);
+
+    const existingGroups = groups.size > 0
+      ? await UserGroup.findAll({ where: { name: { [Op.in]: [...groups] } }, attributes: ['name'] })
+      : [];
+    warnings.push(...[...groups]
+      .filter(group => !existingGroups.some(g => g.name === group))
+      .map(group => `Group "${group}" does not exist yet; create it before publishing`));
+
+    return { users, warnings, errors };
+  }
+
+  /**
+   * Load the emails and group names for the IDs steps refer to
+   * @returns {Promise<Object>} { users: Map ID -> email, groups: Map ID -> name, workflows: Map ID -> name }
+   */
+  static async loadReferences(steps) {
+    const userIds = new Set();
+    const groupIds = new Set();
+    const workflowIds = steps
+      .filter(step => step.stepType === 'subworkflow' && step.config?.workflowId)
+      .map(step => step.config.workflowId);
+
+    for (const step of steps) {
+      this.mapAssignees(step, {
+        users: id => userIds.add(id),
+        groups: id => {
+          if (UUID_PATTERN.test(id)) {
+            groupIds.add(id);
+          }
+        }
+      });
+      this.mapConfigUsers(step.config, id => userIds.add(id));
+    }
+
+    const [users, groups, workflows] = await Promise.all([
+      userIds.size > 0 ? User.findAll({ where: { id: { [Op.in]: [...userIds] } }, attributes: ['id', 'email'] }) : [],
+      groupIds.size > 0 ? UserGroup.findAll({ where: { id: { [Op.in]: [...groupIds] } }, attributes: ['id', 'name'] }) : [],
+      workflowIds.length > 0 ? Workflow.findAll({ where: { id: { [Op.in]: workflowIds } }, attributes: ['id', 'name'] }) : []
+    ]);
+
+    return {
+      users: new Map(users.map(user => [user.id, user.email])),
+      groups: new Map(groups.map(group => [group.id, group.name])),
+      workflows: new Map(workflows.map(workflow => [workflow.id, workflow.name]))
+    };
+  }
+
+  /**
+   * Map a step's assignedTo when it holds users or groups (roles are portable as-is)
+   * @param {Object} step - Step or bundle step
+   * @param {Object} mappers - { users: fn, groups: fn }
+   * @returns {Object} { assignedTo } or {}
+   */
+  static mapAssignees(step, mappers) {
+    const mapper = { user: mappers.users, group: mappers.groups }[step.assignmentType];
+
+    if (!mapper || !step.assignedTo) {
+      return {};
+    }
+
+    return {
+      assignedTo: Array.isArray(step.assignedTo)
+        ? step.assignedTo.map(mapper)
+        : mapper(step.assignedTo)
+    };
+  }
+
+  /**
+   * Replace config.calendarId with the calendar's name
+   */
+  static async exportCalendar(config) {
+    if (!config?.calendarId) {
+      return config ?? null;
+    }
+
+    const { calendarId, ...rest } = config;
+    const calendar = await BusinessCalendar.findByPk(calendarId, { attributes: ['name'] });
+
+    return calendar ? { ...rest, calendarName: calendar.name } : rest;
+  }
+
+  /**
+   * Turn config.calendarName back into a calendarId on this installation
+   * Workflows whose calendar is missing here use the default calendar.
+   */
+  static async importCalendar(config, warnings) {
+    if (!config?.calendarName) {
+      return config;
+    }
+
+    const { calendarName, calendarId, ...rest } = config;
+    const calendar = await BusinessCalendar.findOne({ where: { name: calendarName }, attributes: ['id'] });
+
+    if (!calendar) {
+      warnings.push(`Business calendar "${calendarName}" does not exist; the workflow uses the default calendar`);
+      return rest;
+    }
+
+    return { ...rest, calendarId: calendar.id };
+  }
+
+  /**
+   * Map the user references held in a step's config (assignTo, approvers)
+   */
+  static mapConfigUsers(config, mapUser) {
+    if (!config || typeof config !== 'object') {
+      return config;
+    }
+
+    return {
+      ...config,
+      ...(config.assignTo ? { assignTo: mapUser(config.assignTo) } : {}),
+      ...(Array.isArray(config.approvers) ? { approvers: config.approvers.map(mapUser) } : {})
+    };
+  }
+
+  /**
+   * Refer to a subworkflow step's workflow by name instead of ID
+   */
+  static mapSubworkflow(stepType, config, workflows) {
+    if (stepType !== 'subworkflow' || !config?.workflowId || !workflows.has(config.workflowId)) {
+      return config;
+    }
+
+    const { workflowId, ...rest } = config;
+    return { ...rest, workflowName: workflows.get(workflowId) };
+  }
+
+  /**
+   * Error carrying validation details for a 400 response
+   */
+  static invalid(details) {
+    const error = new Error('Invalid workflow bundle');
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = WorkflowBundleService;
+module.exports.BUNDLE_FORMAT = BUNDLE_FORMAT;
+module.exports.BUNDLE_VERSION = BUNDLE_VERSION;
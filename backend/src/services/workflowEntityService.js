@@ -0,0 +1,177 @@
+const { Permit, GrantApplication, Contact, PublicComment, User } = require('../models');
+
+/**
+ * Entity types a workflow can run on
+ * Each adapter tells the engine how to load an entity, name it in task
+ * titles and notifications, find the user who owns it and, optionally,
+ * record a newly started execution on the entity (onStart).
+ */
+const ENTITY_ADAPTERS = {
+  permit: {
+    model: Permit,
+    label: 'permit',
+    title: 'Permit',
+    describe: (permit) => `permit ${permit.permitNumber}`,
+    subtype: (permit) => permit.type,
+    getOwner: (permit) => User.findOne({ where: { email: permit.applicantEmail } })
+  },
+  grant_application: {
+    model: GrantApplication,
+    label: 'grant application',
+    title: 'Grant Application',
+    describe: (application) => `grant application ${application.applicationNumber}`,
+    subtype: () => null,
+    getOwner: (application) => User.findByPk(application.applicantId),
+    // GrantApplication.workflowExecutionId points at the review workflow
+    onStart: (application, execution) => application.update({ workflowExecutionId: execution.id })
+  },
+  contact: {
+    model: Contact,
+    label: 'contact',
+    title: 'Contact',
+    describe: (contact) => `contact ${contact.fullName || contact.email || contact.id}`,
+    subtype: (contact) => contact.contactType,
+    getOwner: (contact) => contact.linkedUserId ? User.findByPk(contact.linkedUserId) : null
+  },
+  public_comment: {
+    model: PublicComment,
+    label: 'public comment',
+    title: 'Public Comment',
+    describe: (comment) => `public comment ${comment.subject ? `"${comment.subject}"` : `from ${comment.commenterName}`}`,
+    subtype: (comment) => comment.referenceType,
+    getOwner: (comment) => comment.userId ? User.findByPk(comment.userId) : null
+  }
+};
+
+const ENTITY_TYPES = Object.keys(ENTITY_ADAPTERS);
+
+/**
+ * Workflow Entity Service
+ * Lets the workflow engine drive any supported entity, not only permits
+ */
+class WorkflowEntityService {
+  /**
+   * Get the adapter for an entity type
+   * @param {String} entityType - One of ENTITY_TYPES
+   * @returns {Object} Entity adapter
+   */
+  static getAdapter(entityType) {
+    const adapter = ENTITY_ADAPTERS[entityType];
+
+    if (!adapter) {
+      throw new Error(`Unsupported workflow entity type: ${entityType}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Check whether workflows can run on an entity type
+   */
+  static isSupported(entityType) {
+    return Object.prototype.hasOwnProperty.call(ENTITY_ADAPTERS, entityType);
+  }
+
+  /**
+   * Get the entity type a workflow runs on (config.entityType, default permit)
+   * @param {Object} workflow - Workflow instance
+   * @returns {String} Entity type
+   */
+  static getWorkflowEntityType(workflow) {
+    return workflow?.config?.entityType || 'permit';
+  }
+
+  /**
+   * Get the entity type and ID an execution runs on
+   * Executions created before non-permit workflows only have permitId.
+   * @param {Object} execution - WorkflowExecution instance
+   * @returns {Object} { entityType, entityId }
+   */
+  static getExecutionEntity(execution) {
+    if (execution.relatedEntity && execution.relatedEntityId) {
+      return { entityType: execution.relatedEntity, entityId: execution.relatedEntityId };
+    }
+
+    return { entityType: 'permit', entityId: execution.permitId };
+  }
+
+  /**
+   * Build the subject a workflow step acts on
+   * @param {String} entityType - Entity type
+   * @param {Object} entity - Entity instance
+   * @returns {Object} { entityType, entityId, entity, description, subtype }
+   */
+  static toSubject(entityType, entity) {
+    const adapter = this.getAdapter(entityType);
+
+    return {
+      entityType,
+      entityId: entity.id,
+      entity,
+      description: adapter.describe(entity),
+      subtype: adapter.subtype(entity) || null
+    };
+  }
+
+  /**
+   * Load the subject an execution runs on
+   * @param {Object} execution - WorkflowExecution instance (permit may already be included)
+   * @returns {Promise<Object|null>} Subject, or null when the entity no longer exists
+   */
+  static async loadSubject(execution) {
+    const { entityType, entityId } = this.getExecutionEntity(execution);
+    const entity = entityType === 'permit' && execution.permit
+      ? execution.permit
+      : await this.getAdapter(entityType).model.findByPk(entityId);
+
+    return entity ? this.toSubject(entityType, entity) : null;
+  }
+
+  /**
+   * Find the user who owns a subject (applicant, commenter, linked user)
+   * @param {Object} subject - Subject from toSubject
+   * @returns {Promise<Object|null>} User instance
+   */
+  static async getOwner(subject) {
+    return await this.getAdapter(subject.entityType).getOwner(subject.entity) || null;
+  }
+
+  /**
+   * Columns linking an execution or task to its subject
+   * Permits keep filling permitId so existing permit queries still work.
+   */
+  static getLinkFields(subject) {
+    return {
+      permitId: subject.entityType === 'permit' ? subject.entityId : null,
+      relatedEntity: subject.entityType,
+      relatedEntityId: subject.entityId
+    };
+  }
+
+  /**
+   * Let the entity record an execution that was started for it
+   * @param {Object} subject - Subject from toSubject
+   * @param {Object} execution - New WorkflowExecution instance
+   */
+  static async linkExecution(subject, execution) {
+    const { onStart } = this.getAdapter(subject.entityType);
+
+    if (onStart) {
+      await onStart(subject.entity, execution);
+    }
+  }
+
+  /**
+   * Plain copy of the entity for condition expressions
+   */
+  static toPlain(subject) {
+    if (!subject) {
+      return null;
+    }
+
+    return subject.entity?.get ? subject.entity.get({ plain: true }) : subject.entity;
+  }
+}
+
+module.exports = WorkflowEntityService;
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
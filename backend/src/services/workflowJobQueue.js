@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const os = require('os');
+const { WorkflowJob, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+
+/**
+ * Workflow Job Queue
+ * Persists units of workflow work in the WorkflowJobs table so they survive
+ * restarts and are retried with exponential backoff when they throw.
+ * Handlers are registered by type; jobs for the same execution never run
+ * at the same time.
+ */
+class WorkflowJobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {String} type - Job type
+   * @param {Object} handler - { run: async (job) => {}, onFailure: async (job, error, { final }) => {} }
+   *   onFailure is called after every failed attempt; final is true once no retry is left
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * Enqueuing an idempotency key that already exists returns the existing job.
+   * @param {String} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { idempotencyKey, workflowExecutionId, runAt, maxAttempts }
+   * @returns {Promise<Object>} WorkflowJob instance
+   */
+  async enqueue(type, payload, options = {}) {
+    const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+
+    const [job, created] = await WorkflowJob.findOrCreate({
+      where: { idempotencyKey },
+      defaults: {
+        type,
+        payload,
+        workflowExecutionId: options.workflowExecutionId || null,
+        runAt: options.runAt || new Date(),
+        maxAttempts: options.maxAttempts || config.workflow.jobMaxAttempts
+      }
+    });
+
+    if (!created) {
+      console.log(`ℹ️  Job ${idempotencyKey} already queued (${job.status})`);
+      return job;
+    }
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (this.started) {
+      setImmediate(() => this.runOnce().catch(err => console.error('Workflow job queue error:', err)));
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for due jobs
+   * @param {Number} intervalMs - Time between polls in milliseconds
+   */
+  start(intervalMs = config.workflow.jobPollIntervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    this.started = true;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('Workflow job queue error:', err));
+    }, intervalMs);
+
+    // Don't keep the process alive just for the queue
+    this.timer.unref();
+
+    console.log(`📬 Workflow job queue started (every ${Math.round(intervalMs / 1000)}s, worker ${this.workerId})`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Run due jobs until none are left; overlapping runs are skipped
+   * @returns {Promise<Object|null>} Counts of handled jobs, or null if a run is already in progress
+   */
+  async runOnce() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const counts = {
+        recovered: await this.recoverStaleJobs(),
+        completed: 0,
+        retried: 0,
+        failed: 0
+      };
+
+      let job;
+      while ((job = await this.claimNextJob())) {
+        const outcome = await this.runJob(job);
+        counts[outcome]++;
+      }
+
+      return counts;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claim the next due job, skipping executions that already have a running job
+   * @returns {Promise<Object|null>} Claimed WorkflowJob instance
+   */
+  async claimNextJob() {
+    return await sequelize.transaction(async (transaction) => {
+      const job = await WorkflowJob.findOne({
+        where: {
+          status: 'queued',
+          runAt: { [Op.lte]: new Date() },
+          [Op.or]: [
+            { workflowExecutionId: null },
+            {
+              workflowExecutionId: {
+                [Op.notIn]: sequelize.literal(
+                  '(SELECT workflow_execution_id FROM "WorkflowJobs" WHERE status = \'running\' AND workflow_execution_id IS NOT NULL)'
+                )
+              }
+            }
+          ]
+        },
+        order: [['runAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (!job) {
+        return null;
+      }
+
+      await job.update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        lockedAt: new Date(),
+        lockedBy: this.workerId
+      }, { transaction });
+
+      return job;
+    });
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed WorkflowJob instance
+   * @returns {Promise<String>} 'completed', 'retried' or 'failed'
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      await handler.run(job);
+
+      await job.update({
+        status: 'completed',
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null
+      });
+
+      return 'completed';
+    } catch (error) {
+      return await this.handleJobError(job, handler, error);
+    }
+  }
+
+  /**
+   * Schedule a retry with exponential backoff, or fail the job once it
+   * has used all of its attempts
+   */
+  async handleJobError(job, handler, error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    console.error(`❌ Workflow job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error.message);
+
+    await job.update({
+      status: exhausted ? 'failed' : 'queued',
+      runAt: exhausted ? job.runAt : new Date(Date.now() + this.getBackoffDelay(job.attempts)),
+      lastError: error.message,
+      lockedAt: null,
+      lockedBy: null
+    });
+
+    if (handler?.onFailure) {
+      try {
+        await handler.onFailure(job, error, { final: exhausted });
+      } catch (hookError) {
+        console.error(`Failure handler for job ${job.id} failed:`, hookError);
+      }
+    }
+
+    return exhausted ? 'failed' : 'retried';
+  }
+
+  /**
+   * Delay before the next attempt: jobBackoffMs doubled for every failed attempt
+   * @param {Number} attempts - Attempts made so far
+   * @returns {Number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return config.workflow.jobBackoffMs * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  /**
+   * Requeue jobs left running by a worker that died (e.g. a restart mid-step)
+   * @returns {Promise<Number>} Number of jobs requeued
+   */
+  async recoverStaleJobs() {
+    const [count] = await WorkflowJob.update(
+      {
+        status: 'queued',
+        runAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: 'Worker stopped while the job was running'
+      },
+      {
+        where: {
+          status: 'running',
+          lockedAt: { [Op.lt]: new Date(Date.now() - config.workflow.jobLockTimeoutMs) }
+        }
+      }
+    );
+
+    if (count > 0) {
+      console.log(`♻️  Requeued ${count} stale workflow job(s)`);
+    }
+
+    return count;
+  }
+}
+
+module.exports = new WorkflowJobQueue();
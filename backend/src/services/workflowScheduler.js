@@ -0,0 +1,160 @@
+const { WorkflowExecution, Task } = require('../models');
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const workflowService = require('./workflowService');
+const FeeService = require('./feeService');
+const PermitIssuanceService = require('./permitIssuanceService');
+
+/**
+ * Workflow Scheduler
+ * Background sweep that enforces step timeouts, execution due dates
+ * and overdue tasks, charges late fee penalties and expires permits
+ */
+class WorkflowScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the periodic sweep
+   * @param {Number} intervalMs - Time between sweeps in milliseconds
+   */
+  start(intervalMs = config.workflow.schedulerIntervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(err => console.error('Workflow scheduler error:', err));
+    }, intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`⏰ Workflow scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single sweep; overlapping runs are skipped
+   * @returns {Promise<Object|null>} Counts of handled items, or null if a sweep is already running
+   */
+  async runOnce() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const now = new Date();
+
+      return {
+        stepTimeouts: await this.checkStepTimeouts(now),
+        executionTimeouts: await this.checkExecutionDeadlines(now),
+        overdueTasks: await this.checkOverdueTasks(now),
+        lateFees: await FeeService.assessLatePenalties(now),
+        expiredPermits: await PermitIssuanceService.expirePermits(now)
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Apply timeoutAction to paused steps whose timeout has elapsed
+   * Executions running parallel branches stay in progress while one branch
+   * waits on a step, so those are checked as well (currentStepDueAt holds
+   * the earliest branch timeout).
+   */
+  async checkStepTimeouts(now) {
+    const executions = await WorkflowExecution.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'in_progress'] },
+        currentStepId: { [Op.ne]: null },
+        executionData: {
+          currentStepDueAt: { [Op.lte]: now.toISOString() }
+        }
+      },
+      attributes: ['id']
+    });
+
+    let handled = 0;
+
+    for (const execution of executions) {
+      try {
+        if (await workflowService.applyStepTimeout(execution.id)) {
+          handled++;
+        }
+      } catch (error) {
+        console.error(`Failed to apply step timeout for execution ${execution.id}:`, error);
+      }
+    }
+
+    return handled;
+  }
+
+  /**
+   * Time out executions that are past their overall dueDate
+   */
+  async checkExecutionDeadlines(now) {
+    const executions = await WorkflowExecution.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'in_progress'] },
+        dueDate: { [Op.lt]: now }
+      },
+      attributes: ['id']
+    });
+
+    let handled = 0;
+
+    for (const execution of executions) {
+      try {
+        if (await workflowService.timeoutExecution(execution.id)) {
+          handled++;
+        }
+      } catch (error) {
+        console.error(`Failed to time out execution ${execution.id}:`, error);
+      }
+    }
+
+    return handled;
+  }
+
+  /**
+   * Mark open tasks past their dueDate as overdue
+   */
+  async checkOverdueTasks(now) {
+    const tasks = await Task.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'assigned', 'in_progress'] },
+        dueDate: { [Op.lt]: now }
+      }
+    });
+
+    let handled = 0;
+
+    for (const task of tasks) {
+      try {
+        await workflowService.markTaskOverdue(task);
+        handled++;
+      } catch (error) {
+        console.error(`Failed to mark task ${task.id} overdue:`, error);
+      }
+    }
+
+    return handled;
+  }
+}
+
+module.exports = new WorkflowScheduler();
@@ -1,7 +1,42 @@
+const path = require('path');
 const { Workflow, WorkflowStep, WorkflowExecution, Task, Permit, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const NotificationService = require('./notificationService');
 const aiService = require('./aiService');
+const ExpressionService = require('./expressionService');
+const WorkflowEntityService = require('./workflowEntityService');
+const TaskAssignmentService = require('./taskAssignmentService');
+const TaskService = require('./taskService');
+const TaskFormService = require('./taskFormService');
+const BusinessCalendarService = require('./businessCalendarService');
+const PermitLifecycleService = require('./permitLifecycleService');
+const PermitTypeService = require('./permitTypeService');
+const FeeService = require('./feeService');
+const PermitIssuanceService = require('./permitIssuanceService');
+const { SYSTEM_ROLE } = require('./permitLifecycleService');
+const { OPEN_TASK_STATUSES } = require('./taskAssignmentService');
+const workflowJobQueue = require('./workflowJobQueue');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const eventBus = require('./eventBus');
+const { ALL_EVENTS, EVENTS } = require('./eventBus');
+
+// Task and child execution outcomes that follow a step's failure edge
+const FAILED_OUTCOMES = ['rejected', 'failed', 'timeout', 'cancelled'];
+
+// Subworkflow steps can nest child executions at most this deep
+const MAX_SUBWORKFLOW_DEPTH = 5;
+
+// Job type that runs one workflow step
+const PROCESS_STEP_JOB = 'process_step';
+
+// Job type that resumes a waiting step at a set time (timer steps)
+const RESUME_STEP_JOB = 'resume_step';
+
+// Step config keys that hold step IDs (remapped when steps are copied)
+const STEP_ID_REFERENCES = {
+  fork: 'branches',
+  join: 'waitFor'
+};
 
 /**
  * Workflow Execution Service
@@ -9,65 +44,77 @@ const aiService = require('./aiService');
  */
 class WorkflowService {
   /**
-   * Start a new workflow execution for a permit
+   * Start the workflows a permit event triggers
    * @param {Object} permit - Permit instance
    * @param {String} trigger - What triggered the workflow (e.g., 'permit_submitted')
-   * @returns {Object} WorkflowExecution instance
+   * @returns {Object|null} First WorkflowExecution started, or null when none matched
    */
   async startWorkflow(permit, trigger = 'permit_submitted') {
+    const executions = await this.handleEvent({
+      type: trigger,
+      permit,
+      entityType: 'permit',
+      entityId: permit.id,
+      data: {}
+    });
+
+    return executions[0] || null;
+  }
+
+  /**
+   * Subscribe the workflow engine to domain events on the event bus
+   */
+  subscribeToEvents() {
+    eventBus.subscribe(ALL_EVENTS, (event) => this.handleEvent(event));
+    console.log('📡 Workflow engine subscribed to domain events');
+  }
+
+  /**
+   * Start every active workflow whose triggerType and triggerConditions match an event
+   * @param {Object} event - Event from the event bus ({ type, permit, entityType, entityId, actorId, data })
+   * @returns {Array} Started WorkflowExecution instances
+   */
+  async handleEvent(event) {
     try {
-      console.log(`🔄 Starting workflow for permit ${permit.permitNumber}, trigger: ${trigger}`);
+      await this.resumeOnEvent(event).catch(error => console.error('Error resuming waiting workflows:', error));
 
-      // Find applicable workflow for this permit type and trigger
-      const workflow = await Workflow.findOne({
+      const workflows = await Workflow.findAll({
         where: {
-          triggerType: trigger,
-          status: 'active',
-          [Op.or]: [
-            { triggerConditions: { permitType: permit.type } },
-            { triggerConditions: null }
-          ]
+          triggerType: event.type,
+          status: 'active'
         },
-        include: [{
-          model: WorkflowStep,
-          as: 'steps'
-        }],
-        order: [[{ model: WorkflowStep, as: 'steps' }, 'order', 'ASC']]
+        order: [['priority', 'DESC'], ['createdAt', 'ASC']]
       });
 
-      if (!workflow) {
-        console.log(`ℹ️  No active workflow found for permit type: ${permit.type}, trigger: ${trigger}`);
-        return null;
+      const entityType = event.entityType || 'permit';
+      const matching = workflows.filter(workflow =>
+        WorkflowEntityService.getWorkflowEntityType(workflow) === entityType &&
+        this.matchesTrigger(workflow.triggerConditions, event)
+      );
+
+      // Permit types can name a workflow for submissions no trigger picks up
+      if (matching.length === 0 && entityType === 'permit' && event.type === EVENTS.PERMIT_SUBMITTED && event.permit) {
+        const defaultWorkflow = await this.getDefaultWorkflow(event.permit);
+        if (defaultWorkflow) {
+          matching.push(defaultWorkflow);
+        }
       }
 
-      // Get the user who initiated this workflow (permit applicant)
-      const applicant = await User.findOne({ where: { email: permit.applicantEmail } });
-      if (!applicant) {
-        throw new Error(`User not found for applicant email: ${permit.applicantEmail}`);
+      if (matching.length === 0) {
+        console.log(`ℹ️  No active ${entityType} workflow subscribed to ${event.type}${event.permit ? ` for permit type: ${event.permit.type}` : ''}`);
+        return [];
       }
 
-      // Create workflow execution
-      const execution = await WorkflowExecution.create({
-        workflowId: workflow.id,
-        permitId: permit.id,
-        initiatedBy: applicant.id,
-        status: 'in_progress',
-        currentStepOrder: 0,
-        startedAt: new Date(),
-        executionData: {
-          permitType: permit.type,
-          permitNumber: permit.permitNumber,
-          trigger
-        },
-        variables: {}
-      });
-
-      console.log(`✅ Workflow execution created: ${execution.id}`);
+      const executions = [];
 
-      // Start processing the first step
-      await this.processNextStep(execution);
+      for (const workflow of matching) {
+        const execution = await this.startExecution(workflow, event);
+        if (execution) {
+          executions.push(execution);
+        }
+      }
 
-      return execution;
+      return executions;
     } catch (error) {
       console.error('Error starting workflow:', error);
       throw error;
@@ -75,13 +122,347 @@ class WorkflowService {
   }
 
   /**
-   * Process the next step in a workflow execution
-   * @param {Object} execution - WorkflowExecution instance
+   * Get the active version of the default workflow of a permit's type
+   * @param {Object} permit - Permit instance
+   * @returns {Promise<Object|null>} Workflow instance
+   */
+  async getDefaultWorkflow(permit) {
+    const permitType = await PermitTypeService.findByCode(permit.type);
+
+    if (!permitType?.defaultWorkflowId) {
+      return null;
+    }
+
+    try {
+      return await this.resolveSubworkflow({ workflowId: permitType.defaultWorkflowId });
+    } catch (error) {
+      console.warn(`⚠️  Default workflow of permit type ${permitType.code} has no active version`);
+      return null;
+    }
+  }
+
+  /**
+   * Check an event against a workflow's triggerConditions
+   * permitType matches the permit, expression is evaluated with the permit,
+   * entity and variables.event, and any other key must equal the event data
+   * value (or be one of an array of values), e.g. { toStatus: 'approved' }.
+   * @returns {Boolean}
+   */
+  matchesTrigger(triggerConditions, event) {
+    if (!triggerConditions || typeof triggerConditions !== 'object') {
+      return true;
+    }
+
+    const { permitType, expression, ...dataConditions } = triggerConditions;
+
+    if (permitType && event.permit?.type !== permitType) {
+      return false;
+    }
+
+    for (const [key, expected] of Object.entries(dataConditions)) {
+      const actual = event.data?.[key];
+      const matches = Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+      if (!matches) {
+        return false;
+      }
+    }
+
+    if (expression) {
+      try {
+        const toPlain = (instance) => instance?.get ? instance.get({ plain: true }) : (instance || null);
+        return ExpressionService.test(expression, {
+          permit: toPlain(event.permit),
+          entity: toPlain(event.entity),
+          variables: { event: event.data }
+        });
+      } catch (error) {
+        console.error(`Invalid trigger expression "${expression}":`, error.message);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Create and start an execution of a workflow for an event
+   * @param {Object} workflow - Workflow instance
+   * @param {Object} event - Triggering event
+   * @returns {Object|null} WorkflowExecution instance, or null when skipped
+   */
+  async startExecution(workflow, event) {
+    const subject = await this.getEventSubject(event);
+
+    if (!subject) {
+      console.log(`ℹ️  Skipping workflow ${workflow.name}: ${event.type} has no ${event.entityType || 'permit'} to process`);
+      return null;
+    }
+
+    // Don't start a second run of the same workflow while one is still open
+    const running = await WorkflowExecution.findOne({
+      where: {
+        workflowId: workflow.id,
+        ...(subject.entityType === 'permit'
+          ? { permitId: subject.entityId }
+          : { relatedEntity: subject.entityType, relatedEntityId: subject.entityId }),
+        status: { [Op.in]: ['pending', 'in_progress'] }
+      }
+    });
+
+    if (running) {
+      console.log(`ℹ️  Workflow ${workflow.name} already running for ${subject.description}`);
+      return null;
+    }
+
+    console.log(`🔄 Starting workflow ${workflow.name} for ${subject.description}, trigger: ${event.type}`);
+
+    // Attribute the execution to the entity's owner (e.g. permit applicant), then
+    // to whoever caused the event; anonymous submissions fall back to the workflow owner
+    const owner = await WorkflowEntityService.getOwner(subject);
+    const initiatedBy = owner?.id || event.actorId || workflow.createdBy;
+
+    // Create workflow execution
+    const execution = await WorkflowExecution.create({
+      workflowId: workflow.id,
+      ...WorkflowEntityService.getLinkFields(subject),
+      initiatedBy,
+      status: 'in_progress',
+      currentStepOrder: 0,
+      startedAt: new Date(),
+      dueDate: await this.getExecutionDueDate(workflow),
+      executionData: {
+        entityType: subject.entityType,
+        entityDescription: subject.description,
+        ...(subject.entityType === 'permit'
+          ? { permitType: subject.entity.type, permitNumber: subject.entity.permitNumber }
+          : {}),
+        trigger: event.type,
+        eventId: event.id || null
+      },
+      variables: {
+        event: event.data || {}
+      }
+    });
+
+    await WorkflowEntityService.linkExecution(subject, execution);
+
+    console.log(`✅ Workflow execution created: ${execution.id}`);
+
+    // Start processing the first step
+    await this.processNextStep(execution);
+
+    return execution;
+  }
+
+  /**
+   * Resolve the entity an event is about
+   * @param {Object} event - Event from the event bus
+   * @returns {Promise<Object|null>} Subject (see WorkflowEntityService.toSubject)
+   */
+  async getEventSubject(event) {
+    const entityType = event.entityType || 'permit';
+
+    if (!WorkflowEntityService.isSupported(entityType)) {
+      return null;
+    }
+
+    const entity = event.entity || (entityType === 'permit' ? event.permit : null) ||
+      (event.entityId ? await WorkflowEntityService.getAdapter(entityType).model.findByPk(event.entityId) : null);
+
+    return entity ? WorkflowEntityService.toSubject(entityType, entity) : null;
+  }
+
+  /**
+   * Queue the next step of a workflow execution
+   * Steps run as persisted jobs (see runStep) so they are retried with
+   * backoff and survive restarts. The idempotency key is the step the
+   * execution points at, so queueing the same step twice is a no-op.
+   * @param {Object} execution - WorkflowExecution instance (current state)
+   * @param {String} branchId - Branch to advance (ID of the branch's first step)
+   * @param {String} keySuffix - Appended to the idempotency key to run a step again (retries)
+   * @returns {Promise<Object>} WorkflowJob instance
+   */
+  async processNextStep(execution, branchId = null, keySuffix = '') {
+    const pointer = this.getPointerKey(execution, branchId);
+
+    return await workflowJobQueue.enqueue(PROCESS_STEP_JOB, {
+      executionId: execution.id,
+      branchId,
+      pointer
+    }, {
+      idempotencyKey: `${execution.id}:${pointer}${keySuffix}`,
+      workflowExecutionId: execution.id
+    });
+  }
+
+  /**
+   * Business calendar an execution's SLAs are measured on
+   * (workflow.config.calendarId, else the default calendar)
+   * @param {Object} execution - WorkflowExecution, with its workflow loaded or not
+   * @returns {Promise<Object>} Normalized calendar (see BusinessCalendarService)
+   */
+  async getCalendar(execution) {
+    const workflow = execution.workflow || await Workflow.findByPk(execution.workflowId, { attributes: ['id', 'config'] });
+    return BusinessCalendarService.forWorkflow(workflow);
+  }
+
+  /**
+   * Due date of a new execution: workflow.config.timeoutMinutes of business time
+   */
+  async getExecutionDueDate(workflow) {
+    if (!workflow.config?.timeoutMinutes) {
+      return null;
+    }
+
+    const calendar = await BusinessCalendarService.forWorkflow(workflow);
+    return BusinessCalendarService.addBusinessMinutes(new Date(), workflow.config.timeoutMinutes, calendar);
+  }
+
+  /**
+   * Resume a waiting step at a set time
+   * The resume is a persisted job, so it survives restarts; it does nothing
+   * if the step was resumed some other way in the meantime (see resumeScheduledStep).
+   * @param {Object} execution - WorkflowExecution waiting on the step
+   * @param {Object} step - Waiting step
+   * @param {Date} runAt - When to resume
+   * @param {String} key - Idempotency key of the job that ran the step
+   * @returns {Promise<Object>} WorkflowJob instance
+   */
+  async scheduleResume(execution, step, runAt, key) {
+    return await workflowJobQueue.enqueue(RESUME_STEP_JOB, {
+      executionId: execution.id,
+      stepId: step.id
+    }, {
+      idempotencyKey: `resume:${key}`,
+      workflowExecutionId: execution.id,
+      runAt
+    });
+  }
+
+  /**
+   * Resume a step when its scheduled time comes (resume_step job handler)
+   * @param {Object} job - WorkflowJob with payload { executionId, stepId }
+   */
+  async resumeScheduledStep(job) {
+    const { executionId, stepId } = job.payload;
+    const execution = await WorkflowExecution.findByPk(executionId);
+
+    if (!execution || !this.isWaitingOn(execution, stepId)) {
+      console.log(`ℹ️  Scheduled resume skipped; execution ${executionId} is no longer waiting on step ${stepId}`);
+      return;
+    }
+
+    await this.resumeWorkflow(executionId, 'completed', stepId);
+  }
+
+  /**
+   * Resume executions whose wait_for_event step is waiting for an event
+   * Only executions running on the event's entity are considered. The
+   * step's config.condition is evaluated with an extra root, event
+   * ({ type, data, actorId, occurredAt }), and config.variable stores the
+   * event data in the execution variables.
+   * @param {Object} event - Event from the event bus
+   * @returns {Promise<Number>} Steps resumed
+   */
+  async resumeOnEvent(event) {
+    const entityType = event.entityType || 'permit';
+
+    if (!event.entityId) {
+      return 0;
+    }
+
+    const executions = await WorkflowExecution.findAll({
+      where: {
+        status: { [Op.in]: ['pending', 'in_progress'] },
+        [Op.or]: [
+          { relatedEntity: entityType, relatedEntityId: event.entityId },
+          ...(entityType === 'permit' ? [{ permitId: event.entityId }] : [])
+        ]
+      },
+      include: [{ model: Workflow, as: 'workflow', include: [{ model: WorkflowStep, as: 'steps' }] }]
+    });
+
+    let resumed = 0;
+
+    for (const execution of executions) {
+      const waiting = (execution.workflow?.steps || []).filter(step =>
+        step.stepType === 'wait_for_event' &&
+        step.config?.event === event.type &&
+        this.isWaitingOn(execution, step.id)
+      );
+
+      for (const step of waiting) {
+        try {
+          if (!(await this.matchesWaitCondition(step, execution, event))) {
+            continue;
+          }
+
+          if (step.config.variable) {
+            await execution.update({
+              variables: { ...(execution.variables || {}), [step.config.variable]: event.data }
+            });
+          }
+
+          await this.resumeWorkflow(execution.id, 'completed', step.id, event.actorId || null);
+          console.log(`📬 ${event.type} resumed execution ${execution.id} at ${step.name}`);
+          resumed++;
+        } catch (error) {
+          console.error(`Failed to resume execution ${execution.id} on ${event.type}:`, error);
+        }
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Check an event against a wait_for_event step's config.condition
+   * @returns {Promise<Boolean>}
+   */
+  async matchesWaitCondition(step, execution, event) {
+    if (!step.config?.condition) {
+      return true;
+    }
+
+    const subject = await WorkflowEntityService.loadSubject(execution);
+    const context = {
+      ...this.buildConditionContext(execution, subject),
+      event: { type: event.type, data: event.data, actorId: event.actorId, occurredAt: event.occurredAt }
+    };
+
+    try {
+      return ExpressionService.test(step.config.condition, context, { roots: ['event'] });
+    } catch (error) {
+      console.error(`Invalid wait condition on step "${step.name}":`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Identify the step the main line or a branch is positioned on
+   * @returns {String} e.g. "main:<stepId>" or "<branchId>:<stepId>"
+   */
+  getPointerKey(execution, branchId = null) {
+    if (branchId) {
+      const branch = execution.executionData?.parallel?.branches.find(b => b.id === branchId);
+      return `${branchId}:${branch?.currentStepId || 'end'}`;
+    }
+
+    return `main:${execution.currentStepId || `#${execution.currentStepOrder || 0}`}`;
+  }
+
+  /**
+   * Run one workflow step (process_step job handler)
+   * Runs the main line, or a single parallel branch when the job has a
+   * branchId. Errors are thrown so the job queue can retry the step.
+   * @param {Object} job - WorkflowJob with payload { executionId, branchId, pointer }
    */
-  async processNextStep(execution) {
+  async runStep(job) {
+    const { executionId, branchId = null, pointer } = job.payload;
+
     try {
       // Reload execution with all associations
-      const exec = await WorkflowExecution.findByPk(execution.id, {
+      const exec = await WorkflowExecution.findByPk(executionId, {
         include: [
           {
             model: Workflow,
@@ -100,177 +481,710 @@ class WorkflowService {
       });
 
       if (!exec || (exec.status !== 'in_progress' && exec.status !== 'pending')) {
-        console.log(`⚠️  Workflow execution ${execution.id} is not running (status: ${exec?.status})`);
+        console.log(`⚠️  Workflow execution ${executionId} is not running (status: ${exec?.status})`);
+        return;
+      }
+
+      // The execution moved on since this job was queued (e.g. a job that is
+      // re-run after a restart). Make sure its current step is queued instead.
+      if (this.getPointerKey(exec, branchId) !== pointer) {
+        console.log(`ℹ️  Skipping stale step job ${job.id} for execution ${executionId}`);
+        await this.processNextStep(exec, branchId);
+        return;
+      }
+
+      const steps = this.sortSteps(exec.workflow.steps);
+      const parallel = exec.executionData?.parallel || null;
+      const branch = branchId ? parallel?.branches.find(b => b.id === branchId) : null;
+
+      // Branch was cancelled by its join or is waiting on a task
+      if (branchId && branch?.status !== 'active') {
+        return;
+      }
+
+      // Main line is paused on a task or parked on its fork while branches run
+      if (!branchId && (exec.status === 'pending' || parallel)) {
         return;
       }
 
-      const steps = exec.workflow.steps;
-      const currentStepIndex = exec.currentStepOrder;
+      const step = branch
+        ? steps.find(s => s.id === branch.currentStepId) || null
+        : this.getCurrentStep(exec, steps);
+
+      // A branch is done once it reaches its join or runs out of steps
+      if (branch && (!step || step.id === parallel.joinStepId)) {
+        await this.finishBranch(exec, branch.id, steps);
+        return;
+      }
 
       // Check if workflow is complete
-      if (currentStepIndex >= steps.length) {
+      if (!step) {
         await this.completeWorkflow(exec);
         return;
       }
 
-      const step = steps[currentStepIndex];
-      console.log(`🔄 Processing step ${currentStepIndex + 1}/${steps.length}: ${step.name} (${step.stepType})`);
+      const subject = await WorkflowEntityService.loadSubject(exec);
+      if (!subject) {
+        throw new Error(`${WorkflowEntityService.getExecutionEntity(exec).entityType} for workflow execution ${exec.id} no longer exists`);
+      }
+
+      const branchLabel = branch ? ` [branch ${steps.find(s => s.id === branch.id)?.name}]` : '';
+      console.log(`🔄 Processing step ${steps.indexOf(step) + 1}/${steps.length}${branchLabel}: ${step.name} (${step.stepType})`);
+
+      // The condition result is kept so the execution timeline can show why a step ran or was skipped
+      const conditionExpression = this.conditionsToExpression(step.conditions);
+      const conditionsMet = this.evaluateConditions(step.conditions, exec, subject);
+
+      const historyEntry = {
+        stepId: step.id,
+        stepName: step.name,
+        stepType: step.stepType,
+        ...(branch ? { branchId: branch.id } : {}),
+        ...(conditionExpression ? { conditions: { expression: conditionExpression, met: conditionsMet } } : {}),
+        startedAt: new Date().toISOString()
+      };
 
       // Evaluate conditions
-      if (step.conditions && !this.evaluateConditions(step.conditions, exec)) {
+      if (!conditionsMet) {
         console.log(`⏭️  Step conditions not met, skipping: ${step.name}`);
-        await exec.update({
-          currentStepOrder: currentStepIndex + 1,
-          stepHistory: [...(exec.stepHistory || []), {
-            stepId: step.id,
-            stepName: step.name,
-            stepType: step.stepType,
-            skipped: true,
-            timestamp: new Date().toISOString()
-          }]
+        // Skipped steps are pass-through, so they follow their success edge
+        await this.moveToStep(exec, branchId, this.resolveNextStep(step, steps, true), steps, {
+          ...historyEntry,
+          skipped: true,
+          timestamp: new Date().toISOString()
         });
         // Process next step
-        await this.processNextStep(exec);
+        await this.processNextStep(exec, branchId);
         return;
       }
 
-      // Execute step based on type
-      const result = await this.executeStep(step, exec);
+      if (step.stepType === 'fork') {
+        await this.startBranches(exec, step, steps);
+        return;
+      }
 
-      // Update execution step history
-      const updatedHistory = [...(exec.stepHistory || []), {
-        stepId: step.id,
-        stepName: step.name,
-        stepType: step.stepType,
+      // A join reached outside of a fork has nothing to wait for
+      const result = step.stepType === 'join'
+        ? { success: true, passThrough: true }
+        : await this.executeStep(step, exec, subject, job.idempotencyKey, { number: job.attempts, max: job.maxAttempts });
+
+      const entry = {
+        ...historyEntry,
         result,
         timestamp: new Date().toISOString()
-      }];
+      };
 
-      // Check if step requires manual intervention
-      if (step.stepType === 'manual_review' || step.stepType === 'approval') {
-        await exec.update({
-          status: 'pending',
-          stepHistory: updatedHistory
-        });
-        console.log(`⏸️  Workflow paused, waiting for manual intervention: ${step.name}`);
+      // Check if step requires manual intervention (or waits on a child execution, timer or event)
+      const definition = stepTypeRegistry.get(step.stepType);
+
+      if (definition?.waits) {
+        await this.pauseAtStep(exec, branchId, step, steps, entry);
+        console.log(`⏸️  Workflow paused, waiting on ${definition.label.toLowerCase()}: ${step.name}`);
+
+        // Whatever resumes the step (child executions, timers) only starts once the execution is waiting
+        if (definition.onWait) {
+          await definition.onWait({ step, result, execution: exec, idempotencyKey: job.idempotencyKey, engine: this });
+        }
       } else {
-        // Move to next step
-        await exec.update({
-          currentStepOrder: currentStepIndex + 1,
-          stepHistory: updatedHistory
-        });
-        console.log(`✅ Step completed: ${step.name}`);
+        // Follow the success/failure edge to the next step
+        const nextStep = this.resolveNextStep(step, steps, this.isStepSuccessful(result));
+
+        await this.moveToStep(exec, branchId, nextStep, steps, entry);
+        console.log(`✅ Step completed: ${step.name}${nextStep ? ` → ${nextStep.name}` : ''}`);
 
         // Continue to next step
-        await this.processNextStep(exec);
+        await this.processNextStep(exec, branchId);
       }
     } catch (error) {
       console.error('Error processing workflow step:', error);
-
-      // Mark execution as failed
-      await execution.update({
-        status: 'failed',
-        context: {
-          ...execution.context,
-          error: error.message,
-          failedAt: new Date().toISOString()
-        }
-      });
+      throw error;
     }
   }
 
   /**
-   * Execute a workflow step
-   * @param {Object} step - WorkflowStep instance
-   * @param {Object} execution - WorkflowExecution instance
-   * @returns {Object} Step execution result
+   * Record a failed step attempt in the execution's errors log
+   * Once the job has no retries left the execution (or branch) is marked
+   * failed; it can be restarted from the failed step with retryFailedStep.
+   * @param {Object} job - Failed WorkflowJob
+   * @param {Error} error - Error thrown by the step
+   * @param {Object} options - { final } true when no retry is left
    */
-  async executeStep(step, execution) {
-    const { permit } = execution;
-    const config = step.config || {};
-
-    switch (step.stepType) {
-      case 'automatic_review':
-        return await this.executeAutomaticReview(permit, config);
-
-      case 'ai_classification':
-        return await this.executeAIClassification(permit, config);
-
-      case 'document_check':
-        return await this.executeDocumentCheck(permit, config);
-
-      case 'payment_check':
-        return await this.executePaymentCheck(permit, config);
-
-      case 'notification':
-        return await this.executeNotification(permit, config);
+  async recordStepError(job, error, { final }) {
+    const { executionId, branchId = null } = job.payload;
+    const execution = await WorkflowExecution.findByPk(executionId, {
+      include: [{ model: WorkflowStep, as: 'currentStep' }]
+    });
 
-      case 'manual_review':
-        return await this.executeManualReview(permit, config, execution);
+    if (!execution) {
+      return;
+    }
 
-      case 'approval':
-        return await this.executeApproval(permit, config, execution);
+    const branch = branchId ? execution.executionData?.parallel?.branches.find(b => b.id === branchId) : null;
+    const stepId = branch ? branch.currentStepId : execution.currentStepId;
+    const step = branch ? await WorkflowStep.findByPk(stepId) : execution.currentStep;
+
+    const errors = [...(execution.errors || []), {
+      jobId: job.id,
+      stepId: stepId || null,
+      stepName: step?.name || null,
+      ...(branchId ? { branchId } : {}),
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      message: error.message,
+      final,
+      nextAttemptAt: final ? null : job.runAt,
+      timestamp: new Date().toISOString()
+    }];
+
+    if (!final) {
+      await execution.update({ errors });
+      return;
+    }
 
-      case 'inspection':
-        return await this.executeInspectionSchedule(permit, config);
+    await execution.update({
+      status: 'failed',
+      failedAt: new Date(),
+      errors,
+      executionData: branch
+        ? this.updateBranch(execution.executionData, branchId, { status: 'failed' })
+        : execution.executionData
+    });
 
-      case 'update_status':
-        return await this.executeStatusUpdate(permit, config);
+    console.log(`❌ Workflow execution ${executionId} failed at ${step?.name || 'unknown step'} after ${job.attempts} attempts`);
 
-      default:
-        console.warn(`⚠️  Unknown step type: ${step.stepType}`);
-        return { success: false, message: 'Unknown step type' };
-    }
+    await this.resumeParent(execution, 'failed');
   }
 
   /**
-   * Execute automatic review step using AI
+   * Retry a failed execution from the step that failed
+   * Branches that were still running when the execution failed are
+   * restarted as well.
+   * @param {String} executionId - WorkflowExecution ID
+   * @param {String} userId - User retrying the step
+   * @returns {Promise<Object>} WorkflowExecution instance
    */
-  async executeAutomaticReview(permit, config) {
+  async retryFailedStep(executionId, userId) {
     try {
-      if (!aiService.isAvailable()) {
-        return { success: false, message: 'AI service not available', skipped: true };
+      const execution = await WorkflowExecution.findByPk(executionId);
+
+      if (!execution) {
+        throw new Error('Workflow execution not found');
       }
 
-      const prompt = `Review this permit application and determine if it can be automatically approved:
+      if (execution.status !== 'failed') {
+        throw new Error(`Only failed executions can be retried (status: ${execution.status})`);
+      }
 
-Permit Type: ${permit.type}
-Description: ${permit.description || 'N/A'}
-Property Address: ${permit.propertyAddress}
-Estimated Cost: $${permit.estimatedCost || 'N/A'}
+      const retryCount = (execution.executionData?.retryCount || 0) + 1;
+      const failure = [...(execution.errors || [])].reverse().find(e => e.final) || {};
+      const parallel = execution.executionData?.parallel;
 
-Criteria for automatic approval:
-${config.criteria || '- All required information provided\n- Cost under threshold\n- No red flags'}
+      // Branches to restart: the failed one plus any that never got to run
+      const branchIds = parallel
+        ? parallel.branches.filter(b => ['failed', 'active'].includes(b.status)).map(b => b.id)
+        : [];
 
-Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence": 0.0-1.0 }`;
+      let executionData = { ...execution.executionData, retryCount };
+      for (const id of branchIds) {
+        executionData = this.updateBranch(executionData, id, { status: 'active' });
+      }
 
-      const response = await aiService.complete(prompt, { temperature: 0.3 });
-      const result = JSON.parse(response.match(/\{[\s\S]*\}/)[0]);
+      await execution.update({
+        status: 'in_progress',
+        failedAt: null,
+        executionData,
+        stepHistory: [...(execution.stepHistory || []), {
+          stepId: failure.stepId || execution.currentStepId,
+          stepName: failure.stepName,
+          ...(failure.branchId ? { branchId: failure.branchId } : {}),
+          retried: true,
+          retriedBy: userId,
+          timestamp: new Date().toISOString()
+        }]
+      });
 
-      return {
-        success: true,
-        aiReview: result,
-        autoApproved: result.approved && result.confidence > (config.minConfidence || 0.8)
-      };
+      console.log(`🔁 Retrying workflow execution ${executionId} from ${failure.stepName || 'its current step'}`);
+
+      if (parallel) {
+        for (const id of branchIds) {
+          await this.processNextStep(execution, id, `:retry-${retryCount}`);
+        }
+      } else {
+        await this.processNextStep(execution, null, `:retry-${retryCount}`);
+      }
+
+      return execution;
     } catch (error) {
-      console.error('Automatic review error:', error);
-      return { success: false, error: error.message };
+      console.error('Error retrying workflow step:', error);
+      throw error;
     }
   }
 
   /**
-   * Execute AI classification step
+   * Point the main line or a branch at its next step and record history
+   * @param {Object} exec - WorkflowExecution instance
+   * @param {String|null} branchId - Branch being advanced, or null for the main line
+   * @param {Object|null} nextStep - Step to move to (null when finished)
+   * @param {Array} steps - Steps sorted by order
+   * @param {Object} historyEntry - stepHistory entry for the step just handled
    */
-  async executeAIClassification(permit, config) {
-    try {
-      if (!aiService.isAvailable()) {
-        return { success: false, message: 'AI service not available', skipped: true };
-      }
+  async moveToStep(exec, branchId, nextStep, steps, historyEntry) {
+    const stepHistory = [...(exec.stepHistory || []), historyEntry];
 
-      const classification = await aiService.classifyPermit(permit.description, {
-        currentType: permit.type,
-        propertyAddress: permit.propertyAddress
+    if (!branchId) {
+      await exec.update({
+        ...this.getStepPointer(nextStep, steps),
+        stepHistory
       });
+      return;
+    }
+
+    await exec.update({
+      executionData: this.updateBranch(exec.executionData, branchId, {
+        currentStepId: nextStep ? nextStep.id : null
+      }),
+      stepHistory
+    });
+  }
+
+  /**
+   * Pause the main line or a branch on a step that waits for people
+   * The execution only becomes pending once no branch can make progress.
+   */
+  async pauseAtStep(exec, branchId, step, steps, historyEntry) {
+    // Picked up by the workflow scheduler to apply step.timeoutAction;
+    // the timeout counts business minutes only
+    const dueAt = step.timeoutDuration
+      ? BusinessCalendarService.addBusinessMinutes(new Date(), step.timeoutDuration, await this.getCalendar(exec)).toISOString()
+      : null;
+    const stepHistory = [...(exec.stepHistory || []), historyEntry];
+
+    if (!branchId) {
+      await exec.update({
+        status: 'pending',
+        currentStepId: step.id,
+        currentStepOrder: steps.indexOf(step),
+        stepHistory,
+        executionData: {
+          ...exec.executionData,
+          currentStepDueAt: dueAt
+        }
+      });
+      return;
+    }
+
+    const executionData = this.updateBranch(exec.executionData, branchId, { status: 'waiting', dueAt });
+
+    await exec.update({
+      status: this.getParallelStatus(executionData.parallel),
+      stepHistory,
+      executionData: {
+        ...executionData,
+        currentStepDueAt: this.getNextBranchDueAt(executionData.parallel)
+      }
+    });
+  }
+
+  /**
+   * Split the execution into the parallel branches of a fork step
+   * Each branch starts at one of fork.config.branches (step IDs) and runs
+   * until it reaches the join step shared by all branches.
+   * @param {Object} exec - WorkflowExecution instance
+   * @param {Object} fork - Fork step
+   * @param {Array} steps - Steps sorted by order
+   */
+  async startBranches(exec, fork, steps) {
+    const branchIds = (fork.config?.branches || []).filter(id => steps.some(s => s.id === id));
+    const join = this.findJoinStep(fork, steps);
+
+    if (branchIds.length === 0) {
+      throw new Error(`Fork step "${fork.name}" has no branches`);
+    }
+
+    const parallel = {
+      forkStepId: fork.id,
+      joinStepId: join ? join.id : null,
+      waitFor: join?.config?.waitFor || 'all',
+      startedAt: new Date().toISOString(),
+      branches: branchIds.map(id => ({
+        id,
+        currentStepId: id,
+        status: 'active',
+        dueAt: null,
+        finishedAt: null
+      }))
+    };
+
+    await exec.update({
+      status: 'in_progress',
+      ...this.getStepPointer(fork, steps),
+      executionData: {
+        ...exec.executionData,
+        parallel
+      },
+      stepHistory: [...(exec.stepHistory || []), {
+        stepId: fork.id,
+        stepName: fork.name,
+        stepType: fork.stepType,
+        result: { success: true, branches: branchIds, joinStepId: parallel.joinStepId },
+        timestamp: new Date().toISOString()
+      }]
+    });
+
+    console.log(`🔀 Forked into ${branchIds.length} branches at ${fork.name}${join ? `, joining at ${join.name}` : ''}`);
+
+    for (const branch of parallel.branches) {
+      await this.processNextStep(exec, branch.id);
+    }
+  }
+
+  /**
+   * Mark a branch as finished and continue past the join once enough
+   * branches have arrived (join config.waitFor)
+   * @param {Object} exec - WorkflowExecution instance
+   * @param {String} branchId - Finished branch
+   * @param {Array} steps - Steps sorted by order
+   */
+  async finishBranch(exec, branchId, steps) {
+    const executionData = this.updateBranch(exec.executionData, branchId, {
+      status: 'finished',
+      dueAt: null,
+      finishedAt: new Date().toISOString()
+    });
+    const { parallel } = executionData;
+
+    if (!this.isJoinSatisfied(parallel)) {
+      await exec.update({
+        status: this.getParallelStatus(parallel),
+        executionData: {
+          ...executionData,
+          currentStepDueAt: this.getNextBranchDueAt(parallel)
+        }
+      });
+
+      const finished = parallel.branches.filter(b => b.status === 'finished').length;
+      console.log(`⏳ Branch finished (${finished}/${parallel.branches.length}), waiting at join`);
+      return;
+    }
+
+    // Branches the join no longer waits for are cancelled with their tasks
+    const abandoned = parallel.branches.filter(b => b.status !== 'finished');
+    if (abandoned.length > 0) {
+      await Task.update(
+        { status: 'cancelled' },
+        {
+          where: {
+            workflowExecutionId: exec.id,
+            workflowStepId: { [Op.in]: abandoned.map(b => b.currentStepId).filter(Boolean) },
+            status: { [Op.in]: OPEN_TASK_STATUSES }
+          }
+        }
+      );
+    }
+
+    const join = steps.find(s => s.id === parallel.joinStepId) || null;
+    const nextStep = join ? this.resolveNextStep(join, steps, true) : null;
+    const { parallel: _joined, ...rest } = executionData;
+
+    await exec.update({
+      status: 'in_progress',
+      ...this.getStepPointer(nextStep, steps),
+      executionData: {
+        ...rest,
+        currentStepDueAt: null
+      },
+      stepHistory: [...(exec.stepHistory || []), {
+        stepId: join?.id || parallel.forkStepId,
+        stepName: join?.name,
+        stepType: 'join',
+        result: {
+          success: true,
+          waitFor: parallel.waitFor,
+          branches: parallel.branches.map(b => ({
+            id: b.id,
+            status: b.status === 'finished' ? 'finished' : 'cancelled',
+            finishedAt: b.finishedAt
+          }))
+        },
+        timestamp: new Date().toISOString()
+      }]
+    });
+
+    console.log(`🔗 Branches joined${join ? ` at ${join.name}` : ''}${abandoned.length > 0 ? `, ${abandoned.length} cancelled` : ''}`);
+
+    await this.processNextStep(exec);
+  }
+
+  /**
+   * Check whether enough branches have finished for the join to continue
+   * waitFor is 'all' (default), 'any', a number of branches, or a list of
+   * branch IDs that must all finish.
+   * @param {Object} parallel - executionData.parallel
+   * @returns {Boolean}
+   */
+  isJoinSatisfied(parallel) {
+    const finished = new Set(parallel.branches.filter(b => b.status === 'finished').map(b => b.id));
+    const { waitFor } = parallel;
+
+    if (Array.isArray(waitFor)) {
+      return waitFor.every(id => finished.has(id));
+    }
+
+    if (waitFor === 'any') {
+      return finished.size >= 1;
+    }
+
+    if (Number.isInteger(waitFor) && waitFor > 0) {
+      return finished.size >= Math.min(waitFor, parallel.branches.length);
+    }
+
+    return finished.size === parallel.branches.length;
+  }
+
+  /**
+   * Copy executionData with one branch's state changed
+   * JSONB columns are only saved when given a new object.
+   */
+  updateBranch(executionData, branchId, changes) {
+    const { parallel } = executionData;
+
+    return {
+      ...executionData,
+      parallel: {
+        ...parallel,
+        branches: parallel.branches.map(b => (b.id === branchId ? { ...b, ...changes } : b))
+      }
+    };
+  }
+
+  /**
+   * Execution status while branches are running
+   * Pending once every unfinished branch is waiting on a task.
+   */
+  getParallelStatus(parallel) {
+    return parallel.branches.some(b => b.status === 'active') ? 'in_progress' : 'pending';
+  }
+
+  /**
+   * Earliest timeout among waiting branches, for the workflow scheduler
+   */
+  getNextBranchDueAt(parallel) {
+    const dueDates = parallel.branches
+      .filter(b => b.status === 'waiting' && b.dueAt)
+      .map(b => b.dueAt)
+      .sort();
+
+    return dueDates[0] || null;
+  }
+
+  /**
+   * Find the join step a fork's branches lead to
+   * @param {Object} fork - Fork step
+   * @param {Array} steps - Steps sorted by order
+   * @returns {Object|null} First join step reachable from the branches
+   */
+  findJoinStep(fork, steps) {
+    const queue = [...(fork.config?.branches || [])];
+    const seen = new Set(queue);
+
+    while (queue.length > 0) {
+      const stepId = queue.shift();
+      const step = steps.find(s => s.id === stepId);
+
+      if (!step) {
+        continue;
+      }
+
+      if (step.stepType === 'join') {
+        return step;
+      }
+
+      for (const nextId of this.getSuccessorIds(step, steps)) {
+        if (!seen.has(nextId)) {
+          seen.add(nextId);
+          queue.push(nextId);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a function to the step IDs held in a step's config
+   * (fork branches and join waitFor lists)
+   * @param {Object} step - WorkflowStep instance or plain step object
+   * @param {Function} mapId - (stepId) => new value
+   * @returns {Object} Config with the references mapped
+   */
+  mapStepReferences(step, mapId) {
+    const key = STEP_ID_REFERENCES[step.stepType];
+    const value = key ? step.config?.[key] : null;
+
+    if (!Array.isArray(value)) {
+      return step.config;
+    }
+
+    return { ...step.config, [key]: value.map(mapId) };
+  }
+
+  /**
+   * Execute a workflow step
+   * @param {Object} step - WorkflowStep instance
+   * @param {Object} execution - WorkflowExecution instance
+   * @param {Object} subject - Entity the execution runs on (see WorkflowEntityService)
+   * @param {String} idempotencyKey - Key of the job running the step; stops retries from creating duplicate tasks
+   * @param {Object} attempt - { number, max } attempt of the job running the step
+   * @returns {Object} Step execution result
+   */
+  async executeStep(step, execution, subject, idempotencyKey = null, attempt = { number: 1, max: 1 }) {
+    const definition = stepTypeRegistry.get(step.stepType);
+
+    if (!definition || definition.control) {
+      console.warn(`⚠️  Unknown step type: ${step.stepType}`);
+      return { success: false, message: 'Unknown step type' };
+    }
+
+    if (!this.supportsEntity(step.stepType, subject.entityType)) {
+      return { success: false, message: `Step type ${step.stepType} does not support ${subject.entityType}` };
+    }
+
+    return await definition.execute({
+      step,
+      config: step.config || {},
+      execution,
+      subject,
+      idempotencyKey,
+      attempt,
+      engine: this
+    });
+  }
+
+  /**
+   * Check whether the engine can run a step type
+   * @param {String} stepType - Step type
+   * @returns {Boolean}
+   */
+  isKnownStepType(stepType) {
+    return stepTypeRegistry.has(stepType);
+  }
+
+  /**
+   * Check whether a step type can run on an entity type
+   * @param {String} stepType - Step type
+   * @param {String} entityType - Workflow entity type
+   * @returns {Boolean}
+   */
+  supportsEntity(stepType, entityType) {
+    return stepTypeRegistry.supportsEntity(stepType, entityType);
+  }
+
+  /**
+   * Check that every step can run on the workflow's entity type
+   * @param {Array} steps - WorkflowStep instances or plain step objects
+   * @param {String} entityType - Workflow entity type
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  validateStepEntities(steps, entityType) {
+    if (!WorkflowEntityService.isSupported(entityType)) {
+      return [`Unsupported workflow entity type: ${entityType}`];
+    }
+
+    return (steps || [])
+      .filter(step => stepTypeRegistry.has(step.stepType) && !this.supportsEntity(step.stepType, entityType))
+      .map(step => `Step "${step.name}" (${step.stepType}) does not support ${entityType} workflows`);
+  }
+
+  /**
+   * Check that every step has a registered type and a config matching its schema
+   * @param {Array} steps - WorkflowStep instances or plain step objects
+   * @returns {Array<String>} Validation errors (empty when valid)
+   */
+  validateStepConfigs(steps) {
+    return (steps || []).flatMap(step => stepTypeRegistry.validateConfig(step.stepType, step.config)
+      .map(message => `Step "${step.name}": ${message}`));
+  }
+
+  /**
+   * Execute automatic review step using AI
+   */
+  async executeAutomaticReview(permit, config) {
+    try {
+      if (!aiService.isAvailable()) {
+        return { success: false, message: 'AI service not available', skipped: true };
+      }
+
+      const prompt = `Review this permit application and determine if it can be automatically approved:
+
+Permit Type: ${permit.type}
+Description: ${permit.description || 'N/A'}
+Property Address: ${permit.propertyAddress}
+Estimated Cost: $${permit.estimatedCost || 'N/A'}
+
+Criteria for automatic approval:
+${config.criteria || '- All required information provided\n- Cost under threshold\n- No red flags'}
+
+Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence": 0.0-1.0 }`;
+
+      const response = await aiService.complete(prompt, { temperature: 0.3 });
+      const result = this.parseAIReview(response);
+
+      // Asking again will not fix a malformed reply: fail the step so its
+      // failure edge (usually a manual review) takes over
+      if (!result) {
+        console.warn(`⚠️  Unparsable AI review reply for permit ${permit.permitNumber}, failing the step`);
+        return {
+          success: false,
+          error: 'AI review reply could not be parsed',
+          aiResponse: String(response).slice(0, 500)
+        };
+      }
+
+      return {
+        success: true,
+        aiReview: result,
+        autoApproved: result.approved && result.confidence > (config.minConfidence || 0.8)
+      };
+    } catch (error) {
+      console.error('Automatic review error:', error);
+      // Rethrow so the step job is retried (AI outages are usually transient)
+      throw error;
+    }
+  }
+
+  /**
+   * Read the { approved, reason, confidence } object from an AI review reply
+   * @param {String} response - AI reply text
+   * @returns {Object|null} Review, or null when the reply holds none
+   */
+  parseAIReview(response) {
+    const json = String(response || '').match(/\{[\s\S]*\}/);
+
+    if (!json) {
+      return null;
+    }
+
+    try {
+      const review = JSON.parse(json[0]);
+      return review && typeof review === 'object' && typeof review.approved === 'boolean' ? review : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Execute AI classification step
+   */
+  async executeAIClassification(permit, config) {
+    try {
+      if (!aiService.isAvailable()) {
+        return { success: false, message: 'AI service not available', skipped: true };
+      }
+
+      const classification = await aiService.classifyPermit(permit.description, {
+        currentType: permit.type,
+        propertyAddress: permit.propertyAddress
+      }, await PermitTypeService.getActiveTypes());
 
       // Update permit type if different and confidence is high
       if (classification.type !== permit.type && classification.confidence > 0.9) {
@@ -296,7 +1210,7 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
       };
     } catch (error) {
       console.error('AI classification error:', error);
-      return { success: false, error: error.message };
+      throw error;
     }
   }
 
@@ -328,6 +1242,21 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
   async executePaymentCheck(permit, config) {
     const { Payment } = require('../models');
 
+    // Permits with assessed fees pass once nothing is left due
+    const { fees, totals } = await FeeService.getPermitFees(permit.id);
+
+    if (fees.length > 0) {
+      const paid = totals.balance <= 0;
+
+      return {
+        success: true,
+        passed: paid,
+        paymentCompleted: paid,
+        balance: totals.balance,
+        message: paid ? 'Fees paid' : `Fees of $${totals.balance.toFixed(2)} are still due`
+      };
+    }
+
     const completedPayment = await Payment.findOne({
       where: {
         permitId: permit.id,
@@ -346,179 +1275,1035 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
   /**
    * Execute notification step
    */
-  async executeNotification(permit, config) {
+  async executeNotification(subject, config) {
     try {
-      const user = await User.findOne({ where: { email: permit.applicantEmail } });
+      const user = config.userId
+        ? await User.findByPk(config.userId)
+        : await WorkflowEntityService.getOwner(subject);
 
       if (!user) {
         return { success: false, message: 'User not found' };
       }
 
+      const { title } = WorkflowEntityService.getAdapter(subject.entityType);
+
       await NotificationService.create({
         userId: user.id,
         type: config.notificationType || 'workflow_update',
-        title: config.title || 'Permit Update',
-        message: config.message || `Your permit ${permit.permitNumber} has been updated.`,
+        title: config.title || `${title} Update`,
+        message: config.message || `Your ${subject.description} has been updated.`,
         priority: config.priority || 'medium',
-        relatedEntity: 'permit',
-        relatedEntityId: permit.id
+        relatedEntity: subject.entityType,
+        relatedEntityId: subject.entityId
       });
 
       return { success: true, notificationSent: true };
     } catch (error) {
       console.error('Notification error:', error);
-      return { success: false, error: error.message };
+      throw error;
     }
   }
 
   /**
    * Execute manual review step (create task for staff)
    */
-  async executeManualReview(permit, config, execution) {
+  async executeManualReview(subject, config, execution, step = null, idempotencyKey = null) {
+    try {
+      const { assigneeIds, explanation } = await TaskAssignmentService.assign(step, config);
+
+      const task = await this.createStepTask(subject, config, execution, step, assigneeIds[0] || null, {
+        idempotencyKey,
+        assignment: explanation
+      });
+
+      return { success: true, taskCreated: true, taskId: task.id };
+    } catch (error) {
+      console.error('Manual review error:', error);
+      // The step waits on the task, so it cannot pause without one: rethrow
+      // to retry the job (the idempotency key reuses a task already created)
+      throw error;
+    }
+  }
+
+  /**
+   * Execute approval step
+   * Creates one approval task per approver so step.requiredApprovals can be
+   * reached as a quorum. config.approvalRule selects how votes are counted:
+   * 'quorum' (default), 'unanimous' or 'any_rejects_all'.
+   */
+  async executeApproval(subject, config, execution, step = null, idempotencyKey = null) {
     try {
-      // Find available staff or use configured assignee
-      let assigneeId = config.assignTo;
+      const requiredApprovals = Math.max(step?.requiredApprovals || 1, 1);
+      const approvalRule = config.approvalRule || 'quorum';
+      const { assigneeIds: approvers, explanation } = await this.findApprovers(config, step, requiredApprovals);
+
+      // The quorum stays as configured: missing approvers get unassigned tasks
+      // that staff can pick up
+      const missing = Math.max(requiredApprovals - approvers.length, 0);
+      if (missing > 0) {
+        console.warn(`⚠️  Only ${approvers.length} approvers available for ${requiredApprovals} required approvals, leaving ${missing} approval task(s) unassigned`);
+      }
+
+      const taskConfig = {
+        ...config,
+        taskTitle: config.taskTitle || `Approve ${subject.description}`,
+        taskDescription: config.taskDescription || `Approval required for ${this.describeKind(subject)}`,
+        type: 'approval'
+      };
 
-      if (!assigneeId) {
-        const staff = await User.findOne({
-          where: { role: 'staff', status: 'active' },
-          order: [['createdAt', 'ASC']]
+      const taskIds = [];
+      for (const [i, approverId] of [...approvers, ...Array(missing).fill(null)].entries()) {
+        const task = await this.createStepTask(subject, taskConfig, execution, step, approverId, {
+          requiredApprovals,
+          approvalRule,
+          assignment: explanation,
+          idempotencyKey: idempotencyKey ? `${idempotencyKey}:approver-${i}` : null
         });
-        assigneeId = staff?.id;
+        taskIds.push(task.id);
+      }
+
+      return {
+        success: true,
+        taskCreated: true,
+        taskIds,
+        requiredApprovals,
+        approvalRule
+      };
+    } catch (error) {
+      console.error('Approval step error:', error);
+      // Without its tasks nobody could ever vote on the step; retry the job
+      throw error;
+    }
+  }
+
+  /**
+   * Find approvers for an approval step
+   * config.approvers and steps assigned to specific users get one task per
+   * listed user; otherwise requiredApprovals approvers are picked from the
+   * step's pool (staff and admins by default) with TaskAssignmentService.
+   * @returns {Promise<Object>} { assigneeIds, explanation }
+   */
+  async findApprovers(config, step, requiredApprovals) {
+    const listed = Array.isArray(config.approvers) && config.approvers.length > 0
+      ? config.approvers
+      : (step?.assignmentType === 'user' && !config.assignmentStrategy ? TaskAssignmentService.toList(step.assignedTo) : []);
+
+    if (listed.length > 0) {
+      return {
+        assigneeIds: listed,
+        explanation: {
+          strategy: 'fixed',
+          reason: `Every listed approver gets a task (${listed.length})`,
+          selected: listed,
+          decidedAt: new Date().toISOString()
+        }
+      };
+    }
+
+    return await TaskAssignmentService.assign(step, { ...config, assignTo: null }, {
+      count: requiredApprovals,
+      defaultRoles: ['staff', 'admin']
+    });
+  }
+
+  /**
+   * Create a task for a paused step and notify the assignee
+   * metadata.idempotencyKey returns the task created by an earlier attempt
+   * of the same job instead of creating a duplicate. Assignees who are out
+   * of office are rerouted to their delegate.
+   */
+  async createStepTask(subject, config, execution, step, assigneeId, metadata = {}) {
+    if (metadata.idempotencyKey) {
+      const existing = await Task.findOne({
+        where: {
+          workflowExecutionId: execution.id,
+          metadata: { idempotencyKey: metadata.idempotencyKey }
+        }
+      });
+
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const { assigneeId: routedId, reroutes } = assigneeId
+      ? await TaskService.routeAssignee(assigneeId)
+      : { assigneeId: null, reroutes: [] };
+
+    const dueDate = config.dueDays
+      ? BusinessCalendarService.addBusinessDays(new Date(), config.dueDays, await this.getCalendar(execution))
+      : null;
+
+    const task = await Task.create({
+      workflowExecutionId: execution.id,
+      workflowStepId: step?.id || null,
+      ...WorkflowEntityService.getLinkFields(subject),
+      assignedTo: routedId,
+      assignedAt: routedId ? new Date() : null,
+      title: config.taskTitle || `Review ${subject.description}`,
+      description: config.taskDescription || `Manual review required for ${this.describeKind(subject)}`,
+      type: config.type || 'review',
+      priority: config.priority || 'medium',
+      status: 'pending',
+      dueDate,
+      metadata,
+      history: [
+        TaskService.historyEntry('created', {
+          to: assigneeId,
+          reason: metadata.assignment?.reason || null
+        }),
+        ...reroutes
+      ]
+    });
+
+    // Notify assigned staff
+    if (routedId) {
+      await NotificationService.create({
+        userId: routedId,
+        type: 'task_assigned',
+        title: 'New Task Assigned',
+        message: `You have been assigned to ${task.type === 'approval' ? 'approve' : 'review'} ${subject.description}`,
+        priority: 'high',
+        relatedEntity: 'task',
+        relatedEntityId: task.id
+      });
+    }
+
+    return task;
+  }
+
+  /**
+   * Describe the kind of entity a subject is, e.g. "building permit"
+   */
+  describeKind(subject) {
+    const { label } = WorkflowEntityService.getAdapter(subject.entityType);
+    return subject.subtype && subject.entityType === 'permit' ? `${subject.subtype} ${label}` : label;
+  }
+
+  /**
+   * Normalize the result of an approval task to the vote it casts
+   * @param {string} result - approve(d) or reject(ed)
+   * @returns {string|null} 'approved', 'rejected', or null when the result is not a vote
+   */
+  toApprovalVote(result) {
+    if (['approve', 'approved'].includes(result)) return 'approved';
+    if (['reject', 'rejected'].includes(result)) return 'rejected';
+    return null;
+  }
+
+  /**
+   * Count approval votes for a step against its quorum rule
+   * A user's later votes on the same step are ignored (vote 'duplicate') and
+   * only an 'approved' outcome approves. Once a timed-out step is escalated,
+   * the escalation target's task (metadata.decidesStep) decides it alone.
+   * @param {Array} tasks - Approval tasks created for the step
+   * @returns {Object} Vote breakdown with decision 'approved', 'rejected' or null (still waiting)
+   */
+  tallyApprovals(tasks) {
+    const live = tasks.filter(t => t.status !== 'cancelled');
+    const meta = live[0]?.metadata || {};
+    const rule = meta.approvalRule || 'quorum';
+    const required = rule === 'unanimous'
+      ? live.length
+      : Math.max(meta.requiredApprovals || 1, 1);
+
+    // Only a user's first vote counts; only an explicit approval approves
+    const voters = new Set();
+    const duplicates = new Set();
+    tasks.filter(t => t.status === 'completed' && !t.metadata?.decidesStep)
+      .sort((a, b) => new Date(a.completedAt || 0) - new Date(b.completedAt || 0))
+      .forEach(t => {
+        if (voters.has(t.completedBy)) duplicates.add(t.id);
+        voters.add(t.completedBy);
+      });
+
+    const votes = tasks.map(t => ({
+      taskId: t.id,
+      userId: t.completedBy || t.assignedTo,
+      vote: t.status !== 'completed'
+        ? t.status
+        : duplicates.has(t.id) ? 'duplicate' : (t.outcome === 'approved' ? 'approved' : 'rejected'),
+      completedAt: t.completedAt
+    }));
+
+    const approved = votes.filter(v => v.vote === 'approved').length;
+    const rejected = votes.filter(v => v.vote === 'rejected').length;
+    const outstanding = live.filter(t => OPEN_TASK_STATUSES.includes(t.status)).length;
+
+    // A step escalated on timeout waits for the escalation target's vote alone
+    const decider = live.find(t => t.metadata?.decidesStep);
+
+    let decision = null;
+    if (decider) {
+      if (decider.status === 'completed') {
+        decision = decider.outcome === 'approved' ? 'approved' : 'rejected';
+      }
+    } else if (rejected > 0 && rule !== 'quorum') {
+      decision = 'rejected';
+    } else if (approved >= required) {
+      decision = 'approved';
+    } else if (approved + outstanding < required) {
+      decision = 'rejected';
+    }
+
+    return { rule, required, approved, rejected, outstanding, decision, votes };
+  }
+
+  /**
+   * Copy a completed task's form values into its execution's variables
+   * so later step conditions can use them (variables.<field.variable || field.name>)
+   * @param {Object} task - Completed Task instance with validated formData
+   */
+  async applyFormVariables(task) {
+    if (!task.workflowStepId || !task.formData || Object.keys(task.formData).length === 0) {
+      return;
+    }
+
+    const step = await WorkflowStep.findByPk(task.workflowStepId);
+    const variables = TaskFormService.toVariables(step?.formConfig, task.formData);
+
+    if (Object.keys(variables).length === 0) {
+      return;
+    }
+
+    const execution = await WorkflowExecution.findByPk(task.workflowExecutionId);
+    await execution.update({
+      variables: { ...(execution.variables || {}), ...variables }
+    });
+  }
+
+  /**
+   * Handle a completed workflow task
+   * Form values are merged into the execution variables first. Review tasks
+   * resume the execution immediately; approval tasks only resume it once
+   * the step's quorum is decided.
+   * @param {Object} task - Completed Task instance
+   * @returns {Object|null} Approval tally for approval tasks
+   */
+  async handleTaskCompletion(task) {
+    await this.applyFormVariables(task);
+
+    if (task.type !== 'approval' || !task.workflowStepId) {
+      await this.resumeWorkflow(task.workflowExecutionId, task.outcome, task.workflowStepId, task.completedBy);
+      return null;
+    }
+
+    const tasks = await Task.findAll({
+      where: {
+        workflowExecutionId: task.workflowExecutionId,
+        workflowStepId: task.workflowStepId,
+        type: 'approval'
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    const tally = this.tallyApprovals(tasks);
+
+    if (!tally.decision) {
+      console.log(`🗳️  Approval vote recorded (${tally.approved}/${tally.required} approvals), waiting for more`);
+      return tally;
+    }
+
+    // Remaining votes can no longer change the outcome
+    await Task.update(
+      { status: 'cancelled' },
+      {
+        where: {
+          id: { [Op.in]: tasks.map(t => t.id) },
+          status: { [Op.in]: OPEN_TASK_STATUSES }
+        }
       }
+    );
+
+    const execution = await WorkflowExecution.findByPk(task.workflowExecutionId);
+    await execution.update({
+      stepHistory: [...(execution.stepHistory || []), {
+        stepId: task.workflowStepId,
+        approvalTally: tally,
+        result: { success: tally.decision === 'approved', outcome: tally.decision },
+        timestamp: new Date().toISOString()
+      }]
+    });
 
-      const task = await Task.create({
-        workflowExecutionId: execution.id,
+    await this.resumeWorkflow(task.workflowExecutionId, tally.decision, task.workflowStepId, task.completedBy);
+
+    return tally;
+  }
+
+  /**
+   * Execute inspection schedule step
+   * daysFromNow counts business days; the inspection is booked within
+   * working hours of the workflow's calendar.
+   */
+  async executeInspectionSchedule(permit, config, execution) {
+    const { Inspection } = require('../models');
+
+    try {
+      // Find available inspector
+      const inspector = await User.findOne({
+        where: { role: 'inspector', status: 'active' }
+      });
+
+      const calendar = await this.getCalendar(execution);
+      const scheduledDate = BusinessCalendarService.nextWorkingTime(
+        BusinessCalendarService.addBusinessDays(new Date(), config.daysFromNow || 7, calendar),
+        calendar
+      );
+
+      const inspection = await Inspection.create({
         permitId: permit.id,
-        assignedTo: assigneeId,
-        title: config.taskTitle || `Review permit ${permit.permitNumber}`,
-        description: config.taskDescription || `Manual review required for ${permit.type} permit`,
-        type: 'review',
-        priority: config.priority || 'medium',
-        status: 'pending',
-        dueDate: config.dueDays ? new Date(Date.now() + config.dueDays * 24 * 60 * 60 * 1000) : null
+        inspectorId: inspector?.id,
+        type: config.inspectionType || 'general',
+        scheduledDate,
+        status: 'scheduled',
+        notes: config.notes || `Scheduled via workflow automation`
       });
 
-      // Notify assigned staff
-      if (assigneeId) {
-        await NotificationService.create({
-          userId: assigneeId,
-          type: 'task_assigned',
-          title: 'New Task Assigned',
-          message: `You have been assigned to review permit ${permit.permitNumber}`,
-          priority: 'high',
-          relatedEntity: 'task',
-          relatedEntityId: task.id
-        });
+      return { success: true, inspectionScheduled: true, inspectionId: inspection.id };
+    } catch (error) {
+      console.error('Inspection schedule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute status update step
+   * A permit issued by the step gets its placard, recorded as uploaded by
+   * the user the execution acts for (see getActingUserId).
+   */
+  async executeStatusUpdate(subject, config, execution = null) {
+    try {
+      const newStatus = config.status;
+
+      if (!newStatus) {
+        return { success: false, message: 'No status specified' };
+      }
+
+      // Permits only move along their lifecycle; a failed guard fails the step
+      if (subject.entityType === 'permit') {
+        if (subject.entity.status === newStatus) {
+          return { success: true, statusUpdated: false, newStatus };
+        }
+
+        let fromStatus;
+        let document = null;
+
+        try {
+          ({ fromStatus, document = null } = newStatus === 'issued'
+            ? await PermitIssuanceService.issue(subject.entity, {
+              role: SYSTEM_ROLE,
+              userId: execution ? this.getActingUserId(execution) : null
+            })
+            : await PermitLifecycleService.transition(subject.entity, newStatus, { role: SYSTEM_ROLE }));
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          return { success: false, error: error.message, guard: error.guard };
+        }
+
+        // Same notification and events as a move made through the API
+        PermitLifecycleService.announce(subject.entity, fromStatus, newStatus);
+
+        return { success: true, statusUpdated: true, newStatus, ...(document ? { placardDocumentId: document.id } : {}) };
+      }
+
+      await subject.entity.update({ status: newStatus });
+
+      return { success: true, statusUpdated: true, newStatus };
+    } catch (error) {
+      console.error('Status update error:', error);
+      // Lifecycle guards fail the step above; anything else is retried
+      throw error;
+    }
+  }
+
+  /**
+   * User an execution acts for when a record needs one: whoever last
+   * resumed it (e.g. the final approver), else the user it was started for
+   */
+  getActingUserId(execution) {
+    const lastActor = [...(execution.stepHistory || [])].reverse().find(entry => entry.actorId);
+    return lastActor?.actorId || execution.initiatedBy || null;
+  }
+
+  /**
+   * Start the child execution of a subworkflow step
+   * The child runs the active version of config.workflowId (any version of
+   * the workflow) or config.workflowName on the same entity, with variables
+   * mapped from the parent by config.inputs. The parent waits on the step
+   * until the child ends (see resumeParent). Retries of the step reuse the
+   * child created by the first attempt.
+   * @returns {Promise<Object>} Step result with childExecutionId
+   */
+  async executeSubworkflow(step, execution, subject, idempotencyKey = null) {
+    const config = step.config || {};
+
+    if (idempotencyKey) {
+      const children = await WorkflowExecution.findAll({ where: { parentExecutionId: execution.id } });
+      const existing = children.find(c => c.executionData?.parent?.key === idempotencyKey);
+
+      if (existing) {
+        return { success: true, childExecutionId: existing.id, childWorkflowId: existing.workflowId, reused: true };
+      }
+    }
+
+    const workflow = await this.resolveSubworkflow(config);
+    const entityType = WorkflowEntityService.getWorkflowEntityType(workflow);
+
+    if (entityType !== subject.entityType) {
+      throw new Error(`Sub-workflow ${workflow.name} runs on ${entityType}, not ${subject.entityType}`);
+    }
+
+    // Workflows (by root ID) of every execution above the child, to stop recursion
+    const parentRootId = execution.workflow
+      ? execution.workflow.rootWorkflowId || execution.workflow.id
+      : execution.workflowId;
+    const subworkflowPath = [...(execution.executionData?.subworkflowPath || []), parentRootId];
+
+    if (subworkflowPath.includes(workflow.rootWorkflowId || workflow.id)) {
+      throw new Error(`Sub-workflow ${workflow.name} would start itself recursively`);
+    }
+
+    if (subworkflowPath.length > MAX_SUBWORKFLOW_DEPTH) {
+      throw new Error(`Sub-workflows cannot be nested more than ${MAX_SUBWORKFLOW_DEPTH} deep`);
+    }
+
+    const variables = this.mapVariables(config.inputs, this.buildConditionContext(execution, subject));
+
+    const child = await WorkflowExecution.create({
+      workflowId: workflow.id,
+      parentExecutionId: execution.id,
+      ...WorkflowEntityService.getLinkFields(subject),
+      initiatedBy: execution.initiatedBy,
+      status: 'in_progress',
+      currentStepOrder: 0,
+      startedAt: new Date(),
+      dueDate: await this.getExecutionDueDate(workflow),
+      executionData: {
+        entityType: subject.entityType,
+        entityDescription: subject.description,
+        ...(subject.entityType === 'permit'
+          ? { permitType: subject.entity.type, permitNumber: subject.entity.permitNumber }
+          : {}),
+        trigger: 'subworkflow',
+        parent: {
+          executionId: execution.id,
+          stepId: step.id,
+          stepName: step.name,
+          key: idempotencyKey
+        },
+        subworkflowPath
+      },
+      variables
+    });
+
+    console.log(`🧩 Sub-workflow ${workflow.name} v${workflow.version} started from ${step.name}: ${child.id}`);
+
+    return {
+      success: true,
+      childExecutionId: child.id,
+      childWorkflowId: workflow.id,
+      childWorkflowName: workflow.name,
+      inputs: Object.keys(variables)
+    };
+  }
+
+  /**
+   * Find the workflow a subworkflow step starts
+   * @param {Object} config - Step config ({ workflowId } or { workflowName })
+   * @returns {Promise<Object>} Active Workflow version
+   */
+  async resolveSubworkflow(config) {
+    let workflow = null;
+
+    if (config.workflowId) {
+      const target = await Workflow.findByPk(config.workflowId);
+      const rootId = target ? target.rootWorkflowId || target.id : null;
+
+      workflow = rootId
+        ? await Workflow.findOne({
+          where: {
+            [Op.or]: [{ id: rootId }, { rootWorkflowId: rootId }],
+            status: 'active'
+          }
+        })
+        : null;
+    } else if (config.workflowName) {
+      workflow = await Workflow.findOne({
+        where: { name: config.workflowName, status: 'active' },
+        order: [['version', 'DESC']]
+      });
+    } else {
+      throw new Error('Sub-workflow step needs config.workflowId or config.workflowName');
+    }
+
+    if (!workflow) {
+      throw new Error(`No active version of sub-workflow ${config.workflowId || config.workflowName}`);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Evaluate a variable mapping against a condition context
+   * e.g. { permitNumber: 'permit.permitNumber', cleared: 'variables.siteCleared' }
+   * @param {Object} mapping - { variableName: expression }
+   * @param {Object} context - See buildConditionContext
+   * @param {Object} options - Expression parse options (e.g. { roots: ['response'] })
+   * @returns {Object} Mapped variables
+   */
+  mapVariables(mapping, context, options = {}) {
+    if (!mapping) {
+      return {};
+    }
+
+    return Object.fromEntries(Object.entries(mapping).map(([name, expression]) => {
+      try {
+        return [name, ExpressionService.evaluate(expression, context, options)];
+      } catch (error) {
+        throw new Error(`Cannot map variable "${name}": ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Resume the execution waiting on a child started by a subworkflow step
+   * Completed children map their results into the parent's variables
+   * (step config.outputs, evaluated against the child) and follow the
+   * step's success edge; failed, timed-out and cancelled children follow
+   * its failure edge.
+   * @param {Object} child - Child WorkflowExecution that just ended
+   * @param {String} outcome - completed, failed, timeout or cancelled
+   */
+  async resumeParent(child, outcome) {
+    const link = child.executionData?.parent;
+
+    if (!child.parentExecutionId || !link) {
+      return null;
+    }
+
+    const parent = await WorkflowExecution.findByPk(child.parentExecutionId);
+
+    if (!parent || !this.isWaitingOn(parent, link.stepId)) {
+      console.log(`ℹ️  Execution ${child.parentExecutionId} is no longer waiting on sub-workflow ${child.id}`);
+      return null;
+    }
+
+    let parentOutcome = outcome;
+
+    if (outcome === 'completed') {
+      try {
+        const step = await WorkflowStep.findByPk(link.stepId);
+        const subject = await WorkflowEntityService.loadSubject(child);
+        const outputs = this.mapVariables(step?.config?.outputs, this.buildConditionContext(child, subject));
+
+        await parent.update({
+          variables: { ...(parent.variables || {}), ...outputs }
+        });
+      } catch (error) {
+        console.error(`Error mapping sub-workflow ${child.id} outputs:`, error.message);
+        parentOutcome = 'failed';
+      }
+    }
+
+    console.log(`🧩 Sub-workflow ${child.id} ${outcome}, resuming execution ${parent.id}`);
+
+    return await this.resumeWorkflow(parent.id, parentOutcome, link.stepId);
+  }
+
+  /**
+   * Check whether an execution (or one of its branches) is paused on a step
+   */
+  isWaitingOn(execution, stepId) {
+    if (!['pending', 'in_progress'].includes(execution.status)) {
+      return false;
+    }
+
+    const parallel = execution.executionData?.parallel;
+
+    if (parallel) {
+      return parallel.branches.some(b => b.status === 'waiting' && b.currentStepId === stepId);
+    }
+
+    return execution.status === 'pending' && execution.currentStepId === stepId;
+  }
+
+  /**
+   * Whether a task or child execution outcome follows the success edge
+   */
+  isOutcomeSuccessful(outcome) {
+    return !FAILED_OUTCOMES.includes(outcome);
+  }
+
+  /**
+   * Sort workflow steps by their order field
+   * @param {Array} steps - WorkflowStep instances or plain step objects
+   * @returns {Array} New array sorted ascending by order
+   */
+  sortSteps(steps) {
+    return [...(steps || [])].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Get the step an execution is currently positioned on
+   * Executions created before graph branching only track currentStepOrder,
+   * so fall back to the step at that index.
+   * @param {Object} execution - WorkflowExecution instance
+   * @param {Array} steps - Steps sorted by order
+   * @returns {Object|null} Current step, or null when the workflow is finished
+   */
+  getCurrentStep(execution, steps) {
+    if (execution.currentStepId) {
+      return steps.find(s => s.id === execution.currentStepId) || null;
+    }
+
+    return steps[execution.currentStepOrder || 0] || null;
+  }
+
+  /**
+   * Build the execution fields that point at a step
+   * @param {Object|null} step - Step to move to (null when the workflow is finished)
+   * @param {Array} steps - Steps sorted by order
+   * @returns {Object} currentStepId / currentStepOrder values
+   */
+  getStepPointer(step, steps) {
+    return {
+      currentStepId: step ? step.id : null,
+      currentStepOrder: step ? steps.indexOf(step) : steps.length
+    };
+  }
+
+  /**
+   * Determine whether a step result counts as success for branching
+   * @param {Object} result - Step execution result
+   * @returns {Boolean}
+   */
+  isStepSuccessful(result) {
+    return !!result && result.success !== false && result.passed !== false;
+  }
+
+  /**
+   * Resolve the step that follows a completed step
+   * Uses nextStepOnSuccess / nextStepOnFailure when set, otherwise falls
+   * through to the next step by order.
+   * @param {Object} step - Completed step
+   * @param {Array} steps - Steps sorted by order
+   * @param {Boolean} succeeded - Whether the step succeeded
+   * @returns {Object|null} Next step, or null when the workflow is finished
+   */
+  resolveNextStep(step, steps, succeeded) {
+    const targetId = succeeded ? step.nextStepOnSuccess : step.nextStepOnFailure;
+
+    if (targetId) {
+      const target = steps.find(s => s.id === targetId);
+      if (!target) {
+        throw new Error(`Step "${step.name}" points to missing step ${targetId}`);
+      }
+      return target;
+    }
+
+    return steps[steps.indexOf(step) + 1] || null;
+  }
+
+  /**
+   * Get the IDs of the steps that can follow a step
+   * Fork steps lead to their branches; other steps follow their edges or
+   * fall through to the next step by order.
+   * @param {Object} step - Step
+   * @param {Array} steps - Steps sorted by order
+   * @returns {Array<String>} Successor step IDs
+   */
+  getSuccessorIds(step, steps) {
+    if (step.stepType === 'fork') {
+      const branches = Array.isArray(step.config?.branches) ? step.config.branches : [];
+      return branches.filter(id => steps.some(s => s.id === id));
+    }
+
+    const fallthrough = steps[steps.indexOf(step) + 1]?.id || null;
+    const targets = [step.nextStepOnSuccess || fallthrough, step.nextStepOnFailure || fallthrough];
+
+    return [...new Set(targets.filter(id => id && steps.some(s => s.id === id)))];
+  }
+
+  /**
+   * Validate the step graph formed by order fall-through and branch edges
+   * Rejects edges to unknown steps, duplicate orders, cycles, steps that
+   * can never be reached from the first step and malformed fork/join blocks.
+   * @param {Array} steps - WorkflowStep instances or plain step objects
+   * @returns {Array<String>} Validation errors (empty when the graph is valid)
+   */
+  validateStepGraph(steps) {
+    const errors = [];
+    const ordered = this.sortSteps(steps);
+
+    if (ordered.length === 0) {
+      return errors;
+    }
+
+    const byId = new Map(ordered.map(s => [s.id, s]));
+    const successors = new Map();
+
+    ordered.forEach((step, index) => {
+      if (index > 0 && ordered[index - 1].order === step.order) {
+        errors.push(`Steps "${ordered[index - 1].name}" and "${step.name}" share order ${step.order}`);
+      }
+
+      for (const edge of ['nextStepOnSuccess', 'nextStepOnFailure']) {
+        if (step[edge] && !byId.has(step[edge])) {
+          errors.push(`Step "${step.name}" ${edge} references unknown step ${step[edge]}`);
+        }
+      }
+
+      successors.set(step.id, this.getSuccessorIds(step, ordered));
+    });
+
+    ordered
+      .filter(step => step.stepType === 'fork')
+      .forEach(fork => errors.push(...this.validateFork(fork, ordered, successors)));
+
+    // Depth-first search from the first step for cycles and reachability
+    const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+    const path = [];
+
+    const visit = (stepId) => {
+      state.set(stepId, 1);
+      path.push(stepId);
+
+      for (const nextId of successors.get(stepId)) {
+        if (state.get(nextId) === 1) {
+          const cycle = path.slice(path.indexOf(nextId)).concat(nextId);
+          errors.push(`Cycle detected: ${cycle.map(id => byId.get(id).name).join(' → ')}`);
+        } else if (!state.has(nextId)) {
+          visit(nextId);
+        }
+      }
+
+      path.pop();
+      state.set(stepId, 2);
+    };
+
+    visit(ordered[0].id);
+
+    ordered
+      .filter(step => !state.has(step.id))
+      .forEach(step => errors.push(`Step "${step.name}" is unreachable`));
+
+    return errors;
+  }
+
+  /**
+   * Validate a fork step and the branches leading to its join
+   * Every branch must reach the same join step, branches may not share
+   * steps (use nextStepOnSuccess to jump to the join instead of falling
+   * through into the next branch) and forks cannot be nested.
+   * @returns {Array<String>} Validation errors
+   */
+  validateFork(fork, steps, successors) {
+    const errors = [];
+    const branches = fork.config?.branches;
+
+    if (!Array.isArray(branches) || branches.length < 2) {
+      return [`Fork step "${fork.name}" needs at least two branches in config.branches`];
+    }
+
+    const byId = new Map(steps.map(s => [s.id, s]));
+    const unknown = branches.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      return [`Fork step "${fork.name}" references unknown branch steps: ${unknown.join(', ')}`];
+    }
+
+    const owners = new Map();
+    const joins = new Set();
+
+    for (const branchId of branches) {
+      const queue = [branchId];
+      const seen = new Set(queue);
+
+      while (queue.length > 0) {
+        const step = byId.get(queue.shift());
+
+        if (step.stepType === 'join') {
+          joins.add(step.id);
+          continue;
+        }
+
+        if (step.stepType === 'fork') {
+          errors.push(`Fork step "${fork.name}" has a nested fork "${step.name}", which is not supported`);
+          continue;
+        }
+
+        if (owners.has(step.id) && owners.get(step.id) !== branchId) {
+          errors.push(`Step "${step.name}" is reachable from more than one branch of fork "${fork.name}"; point branch steps at the join with nextStepOnSuccess`);
+        }
+        owners.set(step.id, branchId);
+
+        for (const nextId of successors.get(step.id) || []) {
+          if (!seen.has(nextId)) {
+            seen.add(nextId);
+            queue.push(nextId);
+          }
+        }
       }
+    }
 
-      return { success: true, taskCreated: true, taskId: task.id };
-    } catch (error) {
-      console.error('Manual review error:', error);
-      return { success: false, error: error.message };
+    if (joins.size === 0) {
+      errors.push(`Branches of fork step "${fork.name}" never reach a join step`);
+    } else if (joins.size > 1) {
+      errors.push(`Branches of fork step "${fork.name}" must meet at a single join step`);
+    } else {
+      const join = byId.get([...joins][0]);
+      const waitFor = join.config?.waitFor;
+
+      if (Array.isArray(waitFor)) {
+        waitFor
+          .filter(id => !branches.includes(id))
+          .forEach(id => errors.push(`Join step "${join.name}" waits for ${id}, which is not a branch of fork "${fork.name}"`));
+      } else if (waitFor !== undefined && waitFor !== null && !['all', 'any'].includes(waitFor) &&
+        !(Number.isInteger(waitFor) && waitFor > 0 && waitFor <= branches.length)) {
+        errors.push(`Join step "${join.name}" waitFor must be 'all', 'any', a branch count between 1 and ${branches.length} or a list of branch step IDs`);
+      }
     }
+
+    return [...new Set(errors)];
   }
 
   /**
-   * Execute approval step
+   * Evaluate step conditions
+   * @param {Object|String} conditions - Step conditions (see conditionsToExpression)
+   * @param {Object} execution - WorkflowExecution instance with permit loaded
+   * @param {Object} subject - Entity the execution runs on (optional)
+   * @returns {Boolean} Whether the step should run
    */
-  async executeApproval(permit, config, execution) {
-    // Similar to manual review, creates approval task
-    return await this.executeManualReview(permit, {
-      ...config,
-      taskTitle: `Approve permit ${permit.permitNumber}`,
-      taskDescription: `Approval required for ${permit.type} permit`,
-      type: 'approval'
-    }, execution);
+  evaluateConditions(conditions, execution, subject = null) {
+    const expression = this.conditionsToExpression(conditions);
+
+    if (!expression) {
+      return true;
+    }
+
+    return ExpressionService.test(expression, this.buildConditionContext(execution, subject));
   }
 
   /**
-   * Execute inspection schedule step
+   * Convert step conditions into a single expression
+   * Conditions may be an expression string, { expression }, or the legacy
+   * permitType / minCost / maxCost / requireStepResult keys, which are
+   * translated and combined with AND.
+   * @returns {String|null} Expression, or null when there is nothing to check
    */
-  async executeInspectionSchedule(permit, config) {
-    const { Inspection } = require('../models');
-
-    try {
-      // Find available inspector
-      const inspector = await User.findOne({
-        where: { role: 'inspector', status: 'active' }
-      });
+  conditionsToExpression(conditions) {
+    if (typeof conditions === 'string') {
+      return conditions.trim() || null;
+    }
 
-      const scheduledDate = new Date(Date.now() + (config.daysFromNow || 7) * 24 * 60 * 60 * 1000);
+    if (!conditions || typeof conditions !== 'object') {
+      return null;
+    }
 
-      const inspection = await Inspection.create({
-        permitId: permit.id,
-        inspectorId: inspector?.id,
-        type: config.inspectionType || 'general',
-        scheduledDate,
-        status: 'scheduled',
-        notes: config.notes || `Scheduled via workflow automation`
-      });
+    const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    const clauses = [];
 
-      return { success: true, inspectionScheduled: true, inspectionId: inspection.id };
-    } catch (error) {
-      console.error('Inspection schedule error:', error);
-      return { success: false, error: error.message };
+    if (conditions.permitType) {
+      clauses.push(`permit.type == ${quote(conditions.permitType)}`);
     }
-  }
 
-  /**
-   * Execute status update step
-   */
-  async executeStatusUpdate(permit, config) {
-    try {
-      const newStatus = config.status;
+    if (conditions.minCost !== undefined && conditions.minCost !== null) {
+      clauses.push(`permit.estimatedCost >= ${Number(conditions.minCost)}`);
+    }
 
-      if (!newStatus) {
-        return { success: false, message: 'No status specified' };
-      }
+    if (conditions.maxCost !== undefined && conditions.maxCost !== null) {
+      clauses.push(`permit.estimatedCost <= ${Number(conditions.maxCost)}`);
+    }
 
-      await permit.update({ status: newStatus });
+    if (conditions.requireStepResult) {
+      clauses.push(`steps[${quote(conditions.requireStepResult)}].success == true`);
+    }
 
-      return { success: true, statusUpdated: true, newStatus };
-    } catch (error) {
-      console.error('Status update error:', error);
-      return { success: false, error: error.message };
+    if (conditions.expression) {
+      clauses.push(`(${conditions.expression})`);
     }
+
+    return clauses.length > 0 ? clauses.join(' and ') : null;
   }
 
   /**
-   * Evaluate step conditions
+   * Validate step conditions before they are saved
+   * @returns {Array<String>} Validation errors (empty when valid)
    */
-  evaluateConditions(conditions, execution) {
-    // Simple condition evaluation
-    // Can be extended to support complex logic
+  validateConditions(conditions) {
+    if (conditions === null || conditions === undefined) {
+      return [];
+    }
 
-    if (!conditions || typeof conditions !== 'object') {
-      return true;
+    if (typeof conditions !== 'string' && (typeof conditions !== 'object' || Array.isArray(conditions))) {
+      return ['Conditions must be an expression string or an object'];
     }
 
-    const permit = execution.permit;
-    const stepHistory = execution.stepHistory || [];
+    const errors = [];
 
-    // Check permit field conditions
-    if (conditions.permitType && permit && permit.type !== conditions.permitType) {
-      return false;
-    }
+    if (typeof conditions === 'object') {
+      for (const key of ['minCost', 'maxCost']) {
+        if (conditions[key] !== undefined && conditions[key] !== null && !Number.isFinite(Number(conditions[key]))) {
+          errors.push(`${key} must be a number`);
+        }
+      }
 
-    if (conditions.minCost && permit && permit.estimatedCost < conditions.minCost) {
-      return false;
+      if (conditions.expression !== undefined && typeof conditions.expression !== 'string') {
+        errors.push('expression must be a string');
+      }
     }
 
-    if (conditions.maxCost && permit && permit.estimatedCost > conditions.maxCost) {
-      return false;
+    if (errors.length === 0) {
+      // Check a user-written expression on its own so error positions match what was typed
+      const expression = typeof conditions === 'string' || !conditions.expression
+        ? this.conditionsToExpression(conditions)
+        : conditions.expression;
+      const syntaxError = expression ? ExpressionService.validate(expression) : null;
+
+      if (syntaxError) {
+        errors.push(`Invalid condition expression: ${syntaxError}`);
+      }
     }
 
-    // Check previous step results
-    if (conditions.requireStepResult) {
-      const requiredStep = stepHistory.find(s => s.stepName === conditions.requireStepResult);
+    return errors;
+  }
 
-      if (!requiredStep || !requiredStep.result?.success) {
-        return false;
+  /**
+   * Build the values condition expressions can see
+   * steps is keyed by step name and holds the latest result of each step.
+   * entity is whatever the workflow runs on; permit is also set for permit workflows.
+   */
+  buildConditionContext(execution, subject = null) {
+    const entity = WorkflowEntityService.toPlain(subject);
+    const permit = execution.permit?.get
+      ? execution.permit.get({ plain: true })
+      : (execution.permit || (subject?.entityType === 'permit' ? entity : null));
+    const steps = {};
+
+    for (const entry of execution.stepHistory || []) {
+      if (!entry.stepName) {
+        continue;
       }
+
+      steps[entry.stepName] = {
+        ...(entry.result || {}),
+        success: entry.skipped ? false : this.isStepSuccessful(entry.result),
+        skipped: !!entry.skipped,
+        completedAt: entry.timestamp
+      };
     }
 
-    return true;
+    return {
+      permit,
+      entity,
+      variables: execution.variables || {},
+      steps,
+      execution: {
+        id: execution.id,
+        status: execution.status,
+        startedAt: execution.startedAt,
+        dueDate: execution.dueDate
+      }
+    };
   }
 
   /**
@@ -537,19 +2322,23 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
 
       console.log(`✅ Workflow execution completed: ${execution.id}`);
 
-      // Notify permit owner
-      const permit = await Permit.findByPk(execution.permitId);
-      const user = await User.findOne({ where: { email: permit.applicantEmail } });
+      await this.resumeParent(execution, 'completed');
+
+      // Notify the entity's owner
+      const subject = await WorkflowEntityService.loadSubject(execution);
+      const user = subject ? await WorkflowEntityService.getOwner(subject) : null;
 
       if (user) {
+        const { title } = WorkflowEntityService.getAdapter(subject.entityType);
+
         await NotificationService.create({
           userId: user.id,
           type: 'workflow_completed',
-          title: 'Permit Processing Complete',
-          message: `Processing workflow for permit ${permit.permitNumber} has been completed.`,
+          title: `${title} Processing Complete`,
+          message: `Processing workflow for ${subject.description} has been completed.`,
           priority: 'medium',
-          relatedEntity: 'permit',
-          relatedEntityId: permit.id
+          relatedEntity: subject.entityType,
+          relatedEntityId: subject.entityId
         });
       }
     } catch (error) {
@@ -560,19 +2349,58 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
 
   /**
    * Resume a paused workflow execution (after manual task completion)
+   * @param {String} executionId - WorkflowExecution ID
+   * @param {String} outcome - Task or child execution outcome; rejected, failed, timeout and cancelled follow the failure edge
+   * @param {String} stepId - Step the task belonged to; picks the branch to resume while branches run in parallel
+   * @param {String} actorId - User whose action resumed the step (recorded in stepHistory)
    */
-  async resumeWorkflow(executionId) {
+  async resumeWorkflow(executionId, outcome = 'completed', stepId = null, actorId = null) {
     try {
-      const execution = await WorkflowExecution.findByPk(executionId);
+      const execution = await WorkflowExecution.findByPk(executionId, {
+        include: [{
+          model: Workflow,
+          as: 'workflow',
+          include: [{
+            model: WorkflowStep,
+            as: 'steps'
+          }]
+        }]
+      });
 
-      if (!execution || execution.status !== 'waiting') {
+      // While branches run, one can wait on a step as the others carry on
+      const waitingBranch = execution?.executionData?.parallel?.branches.some(b => b.status === 'waiting');
+
+      if (!execution || !(execution.status === 'pending' || (execution.status === 'in_progress' && waitingBranch))) {
         throw new Error('Workflow execution is not waiting');
       }
 
+      const steps = this.sortSteps(execution.workflow.steps);
+      const succeeded = this.isOutcomeSuccessful(outcome);
+
+      if (execution.executionData?.parallel) {
+        return await this.resumeBranch(execution, steps, outcome, stepId, actorId);
+      }
+
+      const step = this.getCurrentStep(execution, steps);
+      const nextStep = step ? this.resolveNextStep(step, steps, succeeded) : null;
+
       // Update status and move to next step
       await execution.update({
-        status: 'running',
-        currentStepOrder: execution.currentStepOrder + 1
+        status: 'in_progress',
+        ...this.getStepPointer(nextStep, steps),
+        executionData: {
+          ...execution.executionData,
+          currentStepDueAt: null
+        },
+        stepHistory: [...(execution.stepHistory || []), {
+          stepId: step?.id,
+          stepName: step?.name,
+          stepType: step?.stepType,
+          resumed: true,
+          ...(actorId ? { actorId } : {}),
+          result: { success: succeeded, outcome },
+          timestamp: new Date().toISOString()
+        }]
       });
 
       console.log(`▶️  Resuming workflow execution: ${executionId}`);
@@ -587,8 +2415,388 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
     }
   }
 
+  /**
+   * Resume the parallel branch that is waiting on a step
+   * @param {Object} execution - Pending WorkflowExecution instance
+   * @param {Array} steps - Steps sorted by order
+   * @param {String} outcome - Task or child execution outcome (see isOutcomeSuccessful)
+   * @param {String} stepId - Step the branch is waiting on
+   * @param {String} actorId - User whose action resumed the step
+   */
+  async resumeBranch(execution, steps, outcome, stepId, actorId = null) {
+    const waiting = execution.executionData.parallel.branches.filter(b => b.status === 'waiting');
+    const branch = stepId ? waiting.find(b => b.currentStepId === stepId) : waiting[0];
+
+    if (!branch || (!stepId && waiting.length > 1)) {
+      throw new Error(stepId
+        ? 'No parallel branch is waiting on that step'
+        : 'Several parallel branches are waiting; specify the step to resume');
+    }
+
+    const step = steps.find(s => s.id === branch.currentStepId);
+    const succeeded = this.isOutcomeSuccessful(outcome);
+    const nextStep = this.resolveNextStep(step, steps, succeeded);
+    const executionData = this.updateBranch(execution.executionData, branch.id, {
+      status: 'active',
+      currentStepId: nextStep ? nextStep.id : null,
+      dueAt: null
+    });
+
+    await execution.update({
+      status: 'in_progress',
+      executionData: {
+        ...executionData,
+        currentStepDueAt: this.getNextBranchDueAt(executionData.parallel)
+      },
+      stepHistory: [...(execution.stepHistory || []), {
+        stepId: step.id,
+        stepName: step.name,
+        stepType: step.stepType,
+        branchId: branch.id,
+        resumed: true,
+        ...(actorId ? { actorId } : {}),
+        result: { success: succeeded, outcome },
+        timestamp: new Date().toISOString()
+      }]
+    });
+
+    console.log(`▶️  Resuming branch ${branch.id} of workflow execution: ${execution.id}`);
+
+    await this.processNextStep(execution, branch.id);
+
+    return execution;
+  }
+
+  /**
+   * Apply the configured timeoutAction to a paused step that is past due
+   * @param {String} executionId - WorkflowExecution ID
+   * @returns {Object} Timeout outcome recorded in stepHistory
+   */
+  async applyStepTimeout(executionId) {
+    try {
+      const execution = await WorkflowExecution.findByPk(executionId, {
+        include: [{
+          model: WorkflowStep,
+          as: 'currentStep'
+        }]
+      });
+
+      // While branches run in parallel, time out the branch that is most
+      // overdue (the others may still be running)
+      const parallel = execution?.executionData?.parallel;
+
+      if (!execution || !(execution.status === 'pending' || (execution.status === 'in_progress' && parallel))) {
+        return null;
+      }
+
+      const branch = parallel
+        ? parallel.branches
+          .filter(b => b.status === 'waiting' && b.dueAt && new Date(b.dueAt) <= new Date())
+          .sort((a, b) => a.dueAt.localeCompare(b.dueAt))[0]
+        : null;
+
+      if (parallel && !branch) {
+        return null;
+      }
+
+      const step = branch ? await WorkflowStep.findByPk(branch.currentStepId) : execution.currentStep;
+
+      if (!step) {
+        return null;
+      }
+
+      const action = step.timeoutAction || 'notify';
+      const openTasks = await Task.findAll({
+        where: {
+          workflowExecutionId: execution.id,
+          ...(branch ? { workflowStepId: step.id } : {}),
+          status: { [Op.in]: OPEN_TASK_STATUSES }
+        }
+      });
+
+      const result = { action, taskIds: openTasks.map(t => t.id) };
+
+      switch (action) {
+        case 'auto_approve':
+        case 'auto_reject': {
+          result.outcome = action === 'auto_approve' ? 'approved' : 'rejected';
+
+          for (const task of openTasks) {
+            await task.update({
+              status: 'completed',
+              outcome: result.outcome,
+              completedAt: new Date(),
+              metadata: { ...task.metadata, completedByTimeout: true }
+            });
+          }
+          break;
+        }
+
+        case 'escalate': {
+          const escalateTo = await this.getEscalationTarget(step);
+          result.escalatedTo = escalateTo?.id || null;
+
+          // A user votes once per step, so the escalation target decides an
+          // approval step alone: one task goes to them, the others are cancelled
+          let escalated = openTasks;
+          const decidesStep = Boolean(escalateTo) && step.stepType === 'approval';
+
+          if (decidesStep && openTasks.length > 0) {
+            const decider = openTasks.find(t => t.assignedTo === escalateTo.id) || openTasks[0];
+            escalated = [decider];
+            result.cancelledTaskIds = [];
+
+            for (const task of openTasks.filter(t => t !== decider)) {
+              await task.update({
+                status: 'cancelled',
+                history: TaskService.appendHistory(task, TaskService.historyEntry('cancelled', {
+                  from: task.assignedTo,
+                  reason: `Approval escalated to ${escalateTo.id} after the step exceeded its ${step.timeoutDuration} minute timeout`
+                }))
+              });
+              result.cancelledTaskIds.push(task.id);
+            }
+          }
+
+          for (const task of escalated) {
+            await task.update({
+              status: 'overdue',
+              priority: 'urgent',
+              assignedTo: escalateTo ? escalateTo.id : task.assignedTo,
+              assignedAt: escalateTo ? new Date() : task.assignedAt,
+              metadata: {
+                ...task.metadata,
+                escalatedFrom: task.assignedTo,
+                escalatedAt: new Date().toISOString(),
+                ...(decidesStep ? { decidesStep: true } : {})
+              },
+              history: escalateTo
+                ? TaskService.appendHistory(task, TaskService.historyEntry('escalated', {
+                  from: task.assignedTo,
+                  to: escalateTo.id,
+                  reason: `Step exceeded its ${step.timeoutDuration} minute timeout`
+                }))
+                : task.history
+            });
+          }
+
+          if (escalateTo) {
+            await NotificationService.create({
+              userId: escalateTo.id,
+              type: 'task_escalated',
+              title: 'Workflow Step Escalated',
+              message: `"${step.name}" exceeded its ${step.timeoutDuration} minute timeout and has been escalated to you${decidesStep ? '; your vote decides the approval' : ''}`,
+              priority: 'urgent',
+              relatedEntity: 'workflow_execution',
+              relatedEntityId: execution.id
+            });
+          }
+          break;
+        }
+
+        case 'notify':
+        default: {
+          const recipients = new Set(openTasks.map(t => t.assignedTo).filter(Boolean));
+
+          if (recipients.size === 0) {
+            const fallback = await this.getEscalationTarget(step);
+            if (fallback) {
+              recipients.add(fallback.id);
+            }
+          }
+
+          for (const task of openTasks) {
+            await task.update({ status: 'overdue' });
+          }
+
+          for (const userId of recipients) {
+            await NotificationService.create({
+              userId,
+              type: 'task_overdue',
+              title: 'Workflow Step Overdue',
+              message: `"${step.name}" has exceeded its ${step.timeoutDuration} minute timeout`,
+              priority: 'high',
+              relatedEntity: 'workflow_execution',
+              relatedEntityId: execution.id
+            });
+          }
+          result.notified = [...recipients];
+          break;
+        }
+      }
+
+      const executionData = branch
+        ? this.updateBranch(execution.executionData, branch.id, { dueAt: null })
+        : execution.executionData;
+
+      await execution.update({
+        executionData: {
+          ...executionData,
+          currentStepDueAt: branch ? this.getNextBranchDueAt(executionData.parallel) : null
+        },
+        stepHistory: [...(execution.stepHistory || []), {
+          stepId: step.id,
+          stepName: step.name,
+          stepType: step.stepType,
+          ...(branch ? { branchId: branch.id } : {}),
+          timeout: true,
+          result,
+          timestamp: new Date().toISOString()
+        }]
+      });
+
+      console.log(`⏰ Step timeout (${action}) applied: ${step.name} on execution ${execution.id}`);
+
+      if (result.outcome) {
+        await this.resumeWorkflow(execution.id, result.outcome, step.id);
+
+        // The step no longer waits on the sub-workflow it started
+        if (step.stepType === 'subworkflow') {
+          const children = await WorkflowExecution.findAll({
+            where: {
+              parentExecutionId: execution.id,
+              status: { [Op.in]: ['pending', 'in_progress'] }
+            }
+          });
+
+          for (const child of children.filter(c => c.executionData?.parent?.stepId === step.id)) {
+            await this.cancelWorkflow(child.id, `Step "${step.name}" timed out (${action})`);
+          }
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error applying step timeout:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a workflow execution as timed out once it passes its dueDate
+   * Sub-workflows it started are cancelled, as in cancelWorkflow.
+   * @param {String} executionId - WorkflowExecution ID
+   */
+  async timeoutExecution(executionId) {
+    try {
+      const execution = await WorkflowExecution.findByPk(executionId);
+
+      if (!execution || !['pending', 'in_progress'].includes(execution.status)) {
+        return null;
+      }
+
+      await Task.update(
+        { status: 'cancelled' },
+        {
+          where: {
+            workflowExecutionId: execution.id,
+            status: { [Op.in]: OPEN_TASK_STATUSES }
+          }
+        }
+      );
+
+      await execution.update({
+        status: 'timeout',
+        executionData: {
+          ...execution.executionData,
+          currentStepDueAt: null
+        },
+        stepHistory: [...(execution.stepHistory || []), {
+          stepId: execution.currentStepId,
+          timeout: true,
+          result: { scope: 'execution', dueDate: execution.dueDate },
+          timestamp: new Date().toISOString()
+        }]
+      });
+
+      console.log(`⏰ Workflow execution timed out: ${execution.id}`);
+
+      const children = await WorkflowExecution.findAll({
+        where: {
+          parentExecutionId: execution.id,
+          status: { [Op.in]: ['pending', 'in_progress'] }
+        }
+      });
+
+      for (const child of children) {
+        await this.cancelWorkflow(child.id, 'Parent execution timed out');
+      }
+
+      await this.resumeParent(execution, 'timeout');
+
+      return execution;
+    } catch (error) {
+      console.error('Error timing out workflow execution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a task as overdue and notify its assignee
+   * @param {Object} task - Task instance past its dueDate
+   */
+  async markTaskOverdue(task) {
+    try {
+      await task.update({ status: 'overdue' });
+
+      if (task.assignedTo) {
+        await NotificationService.create({
+          userId: task.assignedTo,
+          type: 'task_overdue',
+          title: 'Task Overdue',
+          message: `Task "${task.title}" is past its due date`,
+          priority: 'high',
+          relatedEntity: 'task',
+          relatedEntityId: task.id
+        });
+      }
+
+      if (task.workflowExecutionId) {
+        const execution = await WorkflowExecution.findByPk(task.workflowExecutionId);
+
+        if (execution) {
+          await execution.update({
+            stepHistory: [...(execution.stepHistory || []), {
+              stepId: task.workflowStepId,
+              taskOverdue: true,
+              result: { taskId: task.id, dueDate: task.dueDate },
+              timestamp: new Date().toISOString()
+            }]
+          });
+        }
+      }
+
+      return task;
+    } catch (error) {
+      console.error('Error marking task overdue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find who a timed-out step escalates to
+   * Uses step.config.escalateTo when set, otherwise the first active admin.
+   */
+  async getEscalationTarget(step) {
+    const escalateTo = step.config?.escalateTo;
+
+    if (escalateTo) {
+      const user = await User.findByPk(escalateTo);
+      if (user) {
+        return user;
+      }
+    }
+
+    return await User.findOne({
+      where: { role: 'admin', status: 'active' },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
   /**
    * Cancel a workflow execution
+   * Open tasks and running sub-workflow executions are cancelled with it. A
+   * cancelled sub-workflow resumes its parent on the step's failure edge.
    */
   async cancelWorkflow(executionId, reason = 'User cancelled') {
     try {
@@ -600,15 +2808,35 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
 
       await execution.update({
         status: 'cancelled',
-        context: {
-          ...execution.context,
-          cancelledAt: new Date().toISOString(),
-          cancelReason: reason
-        }
+        cancelledAt: new Date(),
+        cancellationReason: reason
       });
 
+      await Task.update(
+        { status: 'cancelled' },
+        {
+          where: {
+            workflowExecutionId: execution.id,
+            status: { [Op.in]: OPEN_TASK_STATUSES }
+          }
+        }
+      );
+
       console.log(`❌ Workflow execution cancelled: ${executionId}`);
 
+      const children = await WorkflowExecution.findAll({
+        where: {
+          parentExecutionId: execution.id,
+          status: { [Op.in]: ['pending', 'in_progress'] }
+        }
+      });
+
+      for (const child of children) {
+        await this.cancelWorkflow(child.id, `Parent execution cancelled: ${reason}`);
+      }
+
+      await this.resumeParent(execution, 'cancelled');
+
       return execution;
     } catch (error) {
       console.error('Error cancelling workflow:', error);
@@ -617,4 +2845,18 @@ Respond with JSON: { "approved": boolean, "reason": "explanation", "confidence":
   }
 }
 
-module.exports = new WorkflowService();
+const workflowService = new WorkflowService();
+
+workflowJobQueue.registerHandler(PROCESS_STEP_JOB, {
+  run: (job) => workflowService.runStep(job),
+  onFailure: (job, error, options) => workflowService.recordStepError(job, error, options)
+});
+
+workflowJobQueue.registerHandler(RESUME_STEP_JOB, {
+  run: (job) => workflowService.resumeScheduledStep(job)
+});
+
+module.exports = workflowService;
+
+// Step type modules get the engine passed in, so they load once it is exported
+stepTypeRegistry.loadDirectory(path.join(__dirname, 'stepTypes'));
@@ -0,0 +1,511 @@
+const { WorkflowExecution, User } = require('../models');
+const workflowService = require('./workflowService');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const WorkflowEntityService = require('./workflowEntityService');
+const TaskAssignmentService = require('./taskAssignmentService');
+const TaskService = require('./taskService');
+const PermitLifecycleService = require('./permitLifecycleService');
+const { SYSTEM_ROLE } = require('./permitLifecycleService');
+
+// Step types whose real executors only read from the database
+const READ_ONLY_STEP_TYPES = ['document_check', 'payment_check'];
+
+// Step types that call the AI service; simulations use mocked or cached results
+const AI_STEP_TYPES = ['automatic_review', 'ai_classification'];
+
+// Stop runaway walks over graphs that slipped past validation
+const MAX_SIMULATED_STEPS = 500;
+
+/**
+ * Workflow Simulation Service
+ * Dry-runs a workflow against a sample entity. Conditions, branching and
+ * assignment rules are evaluated exactly as the engine would, but nothing
+ * is written: no executions, tasks, notifications or status changes, and
+ * the AI service is never called.
+ */
+class WorkflowSimulationService {
+  /**
+   * Simulate a workflow
+   * @param {Object} workflow - Workflow instance with steps loaded
+   * @param {Object} input - { entity | permit, entityId, variables, mocks, outcomes }
+   *   entity/permit: sample field values (merged over the stored entity when entityId is given)
+   *   mocks: step results keyed by step ID or name (AI, document, payment and module-registered steps),
+   *     or the child's final variables for subworkflow steps
+   *   outcomes: task outcomes keyed by step ID or name, 'approved' (default) or 'rejected';
+   *     for subworkflow steps 'completed' (default), 'failed', 'timeout' or 'cancelled';
+   *     for wait_for_event steps 'received' (default) or 'timeout'
+   * @returns {Promise<Object>} { path, tasks, notifications, changes, warnings }
+   */
+  static async simulate(workflow, input = {}) {
+    const entityType = WorkflowEntityService.getWorkflowEntityType(workflow);
+    const steps = workflowService.sortSteps(workflow.steps);
+
+    const graphErrors = [
+      ...workflowService.validateStepGraph(steps),
+      ...workflowService.validateStepEntities(steps, entityType)
+    ];
+    if (graphErrors.length > 0) {
+      const error = new Error('Workflow steps are invalid');
+      error.details = graphErrors;
+      throw error;
+    }
+
+    const { subject, cachedResults } = await this.buildSubject(entityType, input);
+
+    const run = {
+      steps,
+      subject,
+      mocks: input.mocks || {},
+      outcomes: input.outcomes || {},
+      cachedResults,
+      execution: {
+        id: null,
+        workflowId: workflow.id,
+        status: 'in_progress',
+        permit: entityType === 'permit' ? subject.entity : null,
+        stepHistory: [],
+        variables: { ...(input.variables || {}) },
+        startedAt: new Date()
+      },
+      path: [],
+      tasks: [],
+      notifications: [],
+      changes: [],
+      warnings: [],
+      visited: 0
+    };
+
+    await this.walk(run, steps[0] || null, null);
+
+    return {
+      workflow: {
+        id: workflow.id,
+        name: workflow.name,
+        version: workflow.version,
+        status: workflow.status,
+        entityType
+      },
+      entity: {
+        entityType,
+        entityId: input.entityId || null,
+        description: subject.description
+      },
+      path: run.path,
+      tasks: run.tasks,
+      notifications: run.notifications,
+      changes: run.changes,
+      warnings: run.warnings
+    };
+  }
+
+  /**
+   * Build the in-memory subject the simulation acts on
+   * A stored entity (input.entityId) is loaded read-only and its latest
+   * AI step results are reused so simulations don't call the AI service.
+   */
+  static async buildSubject(entityType, input) {
+    const adapter = WorkflowEntityService.getAdapter(entityType);
+    const sample = input.entity || input.permit || {};
+    let entity;
+    let cachedResults = {};
+
+    if (input.entityId) {
+      entity = await adapter.model.findByPk(input.entityId);
+
+      if (!entity) {
+        throw new Error(`${adapter.title} ${input.entityId} not found`);
+      }
+
+      // Only changes the in-memory copy; the simulation never saves
+      entity.set(sample);
+      cachedResults = await this.loadCachedResults(entityType, entity.id);
+    } else {
+      entity = adapter.model.build(sample);
+
+      if (entityType === 'permit' && !entity.permitNumber) {
+        entity.permitNumber = 'SIMULATION';
+      }
+    }
+
+    return { subject: WorkflowEntityService.toSubject(entityType, entity), cachedResults };
+  }
+
+  /**
+   * Latest AI step results recorded for an entity, keyed by step name
+   */
+  static async loadCachedResults(entityType, entityId) {
+    const executions = await WorkflowExecution.findAll({
+      where: { relatedEntity: entityType, relatedEntityId: entityId },
+      attributes: ['id', 'stepHistory'],
+      order: [['createdAt', 'ASC']]
+    });
+    const results = {};
+
+    for (const execution of executions) {
+      for (const entry of execution.stepHistory || []) {
+        if (AI_STEP_TYPES.includes(entry.stepType) && entry.result?.success) {
+          results[entry.stepName] = entry.result;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Follow the step graph from a step until the workflow (or branch) ends
+   * @param {Object} run - Simulation state
+   * @param {Object|null} step - Step to start from
+   * @param {Object|null} branch - { id, name, joinStepId } when walking a parallel branch
+   */
+  static async walk(run, step, branch) {
+    const { steps } = run;
+
+    while (step) {
+      if (branch && step.id === branch.joinStepId) {
+        return;
+      }
+
+      if (++run.visited > MAX_SIMULATED_STEPS) {
+        run.warnings.push(`Stopped after ${MAX_SIMULATED_STEPS} steps`);
+        return;
+      }
+
+      const entry = {
+        stepId: step.id,
+        stepName: step.name,
+        stepType: step.stepType,
+        ...(branch ? { branchId: branch.id, branchName: branch.name } : {})
+      };
+
+      if (step.conditions && !workflowService.evaluateConditions(step.conditions, run.execution, run.subject)) {
+        this.record(run, { ...entry, skipped: true, conditionsMet: false });
+        step = workflowService.resolveNextStep(step, steps, true);
+        continue;
+      }
+
+      if (step.stepType === 'fork') {
+        step = await this.walkBranches(run, step, entry);
+        continue;
+      }
+
+      const result = step.stepType === 'join'
+        ? { success: true, passThrough: true }
+        : await this.simulateStep(run, step);
+
+      this.record(run, { ...entry, conditionsMet: true, result });
+
+      const succeeded = result.outcome
+        ? workflowService.isOutcomeSuccessful(result.outcome)
+        : workflowService.isStepSuccessful(result);
+      step = workflowService.resolveNextStep(step, steps, succeeded);
+    }
+  }
+
+  /**
+   * Walk every branch of a fork, then continue after its join
+   * Each branch is assumed to finish, so the join is always satisfied.
+   * @returns {Promise<Object|null>} Step that follows the join
+   */
+  static async walkBranches(run, fork, entry) {
+    const { steps } = run;
+    const join = workflowService.findJoinStep(fork, steps);
+    const branchIds = fork.config?.branches || [];
+
+    this.record(run, { ...entry, conditionsMet: true, result: { success: true, branches: branchIds } });
+
+    for (const branchId of branchIds) {
+      const start = steps.find(s => s.id === branchId);
+      await this.walk(run, start, { id: branchId, name: start?.name, joinStepId: join?.id || null });
+    }
+
+    if (!join) {
+      return null;
+    }
+
+    this.record(run, {
+      stepId: join.id,
+      stepName: join.name,
+      stepType: 'join',
+      conditionsMet: true,
+      result: { success: true, waitFor: join.config?.waitFor || 'all', branches: branchIds }
+    });
+
+    return workflowService.resolveNextStep(join, steps, true);
+  }
+
+  /**
+   * Work out what a step would do without doing it
+   * @returns {Promise<Object>} Simulated step result
+   */
+  static async simulateStep(run, step) {
+    const { subject } = run;
+    const config = step.config || {};
+    const mock = [...AI_STEP_TYPES, ...READ_ONLY_STEP_TYPES].includes(step.stepType)
+      ? this.lookup(run.mocks, step)
+      : undefined;
+
+    if (mock !== undefined) {
+      return { success: true, ...mock, mocked: true };
+    }
+
+    switch (step.stepType) {
+      case 'automatic_review':
+      case 'ai_classification': {
+        const cached = run.cachedResults[step.name];
+        if (cached) {
+          return { ...cached, cached: true };
+        }
+        run.warnings.push(`No mock or cached result for AI step "${step.name}"; assumed success`);
+        return { success: true, mocked: true };
+      }
+
+      case 'document_check':
+        return subject.entity.isNewRecord
+          ? { success: true, passed: false, message: 'Sample permit has no stored documents; mock this step to change the result' }
+          : await workflowService.executeDocumentCheck(subject.entity, config);
+
+      case 'payment_check':
+        return subject.entity.isNewRecord
+          ? { success: true, passed: false, message: 'Sample permit has no stored payments; mock this step to change the result' }
+          : await workflowService.executePaymentCheck(subject.entity, config);
+
+      case 'notification':
+        return await this.simulateNotification(run, step, config);
+
+      case 'manual_review': {
+        const { assigneeIds, explanation } = await TaskAssignmentService.assign(step, config);
+        await this.addTask(run, step, config, assigneeIds[0] || null, explanation);
+        return this.taskOutcome(run, step);
+      }
+
+      case 'approval': {
+        const requiredApprovals = Math.max(step.requiredApprovals || 1, 1);
+        const { assigneeIds: approvers, explanation } = await workflowService.findApprovers(config, step, requiredApprovals);
+
+        const missing = Math.max(requiredApprovals - approvers.length, 0);
+        if (missing > 0) {
+          run.warnings.push(`Step "${step.name}" needs ${requiredApprovals} approvals but only ${approvers.length} approvers are available; ${missing} approval task(s) would be unassigned`);
+        }
+
+        const taskConfig = {
+          ...config,
+          taskTitle: config.taskTitle || `Approve ${subject.description}`,
+          type: 'approval'
+        };
+        for (const approverId of [...approvers, ...Array(missing).fill(null)]) {
+          await this.addTask(run, step, taskConfig, approverId, explanation);
+        }
+        return { ...this.taskOutcome(run, step), requiredApprovals, approvalRule: config.approvalRule || 'quorum' };
+      }
+
+      case 'inspection': {
+        const inspector = await User.findOne({ where: { role: 'inspector', status: 'active' } });
+        run.changes.push({
+          stepName: step.name,
+          change: 'schedule_inspection',
+          inspectionType: config.inspectionType || 'general',
+          inspector: this.describeUser(inspector)
+        });
+        return { success: true, inspectionScheduled: true };
+      }
+
+      case 'update_status': {
+        if (!config.status) {
+          return { success: false, message: 'No status specified' };
+        }
+
+        // Permits only move along their lifecycle, as in WorkflowService.executeStatusUpdate
+        if (subject.entityType === 'permit' && subject.entity.status !== config.status) {
+          const check = await PermitLifecycleService.check(subject.entity, config.status, { role: SYSTEM_ROLE });
+          if (!check.allowed) {
+            return { success: false, error: check.message, guard: check.guard };
+          }
+        }
+        run.changes.push({
+          stepName: step.name,
+          change: 'update_status',
+          from: subject.entity.status || null,
+          to: config.status
+        });
+        // Later conditions see the new status
+        subject.entity.status = config.status;
+        return { success: true, statusUpdated: true, newStatus: config.status };
+      }
+
+      case 'subworkflow':
+        return await this.simulateSubworkflow(run, step, config);
+
+      default:
+        return await this.simulateRegisteredStep(run, step, config);
+    }
+  }
+
+  /**
+   * Work out what a step type from a step type module would do
+   * The module's own simulate() gets the step's mock and outcome, if any. Without a
+   * simulate() the mock is the result; without either the step is assumed
+   * to succeed, since its executor may have side effects.
+   */
+  static async simulateRegisteredStep(run, step, config) {
+    const definition = stepTypeRegistry.get(step.stepType);
+
+    if (!definition || definition.control) {
+      run.warnings.push(`Unknown step type ${step.stepType} in step "${step.name}"`);
+      return { success: false, message: 'Unknown step type' };
+    }
+
+    const mock = this.lookup(run.mocks, step);
+
+    if (typeof definition.simulate === 'function') {
+      const outcome = this.lookup(run.outcomes, step);
+      return await definition.simulate({ step, config, subject: run.subject, run, mock, outcome, engine: workflowService });
+    }
+
+    if (mock !== undefined) {
+      return { success: true, ...mock, mocked: true };
+    }
+
+    run.warnings.push(`No mock for ${step.stepType} step "${step.name}"; assumed success`);
+    return { success: true, mocked: true };
+  }
+
+  /**
+   * Record who a notification step would notify
+   */
+  static async simulateNotification(run, step, config) {
+    const user = config.userId
+      ? await User.findByPk(config.userId)
+      : await WorkflowEntityService.getOwner(run.subject);
+
+    if (!user) {
+      return { success: false, message: 'User not found' };
+    }
+
+    const { title } = WorkflowEntityService.getAdapter(run.subject.entityType);
+    run.notifications.push({
+      stepName: step.name,
+      recipient: this.describeUser(user),
+      title: config.title || `${title} Update`,
+      message: config.message || `Your ${run.subject.description} has been updated.`
+    });
+
+    return { success: true, notificationSent: true };
+  }
+
+  /**
+   * Record a task a step would create
+   */
+  static async addTask(run, step, config, assigneeId, assignment) {
+    // Out-of-office assignees hand new tasks to their delegate
+    const { assigneeId: routedId, reroutes } = assigneeId
+      ? await TaskService.routeAssignee(assigneeId)
+      : { assigneeId: null, reroutes: [] };
+    const assignee = routedId ? await User.findByPk(routedId) : null;
+
+    if (!assignee) {
+      run.warnings.push(`Step "${step.name}" would create a task with no assignee`);
+    }
+
+    run.tasks.push({
+      stepId: step.id,
+      stepName: step.name,
+      type: config.type || 'review',
+      title: config.taskTitle || `Review ${run.subject.description}`,
+      priority: config.priority || 'medium',
+      dueDays: config.dueDays || null,
+      assignee: this.describeUser(assignee) || (routedId ? { id: routedId } : null),
+      ...(reroutes.length > 0 ? { reroutedFrom: reroutes.map(r => r.from) } : {}),
+      assignment
+    });
+  }
+
+  /**
+   * Record the child execution a subworkflow step would start
+   * The child is not walked; its outcome comes from input.outcomes and its
+   * final variables from input.mocks, which config.outputs maps back.
+   */
+  static async simulateSubworkflow(run, step, config) {
+    let workflow;
+    try {
+      workflow = await workflowService.resolveSubworkflow(config);
+    } catch (error) {
+      run.warnings.push(`Step "${step.name}": ${error.message}`);
+      return { success: false, outcome: 'failed', message: error.message };
+    }
+
+    const inputs = workflowService.mapVariables(config.inputs, workflowService.buildConditionContext(run.execution, run.subject));
+    const outcome = this.lookup(run.outcomes, step) || 'completed';
+
+    run.changes.push({
+      stepName: step.name,
+      change: 'start_subworkflow',
+      workflow: { id: workflow.id, name: workflow.name, version: workflow.version },
+      inputs
+    });
+
+    if (outcome === 'completed') {
+      const childVariables = this.lookup(run.mocks, step) || {};
+      const outputs = workflowService.mapVariables(config.outputs, { variables: childVariables, steps: {} });
+
+      if (config.outputs && Object.keys(childVariables).length === 0) {
+        run.warnings.push(`No mocked variables for sub-workflow step "${step.name}"; its outputs are undefined`);
+      }
+
+      // Later conditions see the mapped outputs
+      Object.assign(run.execution.variables, outputs);
+    }
+
+    return {
+      success: workflowService.isOutcomeSuccessful(outcome),
+      outcome,
+      childWorkflowId: workflow.id,
+      childWorkflowName: workflow.name
+    };
+  }
+
+  /**
+   * Outcome a paused step resumes with (from input.outcomes, default approved)
+   */
+  static taskOutcome(run, step) {
+    const outcome = this.lookup(run.outcomes, step) || 'approved';
+    return { success: outcome !== 'rejected', taskCreated: true, outcome };
+  }
+
+  /**
+   * Add a simulated step to the path and to the history conditions read
+   */
+  static record(run, entry) {
+    run.path.push(entry);
+    run.execution.stepHistory.push({
+      stepId: entry.stepId,
+      stepName: entry.stepName,
+      stepType: entry.stepType,
+      skipped: !!entry.skipped,
+      result: entry.result,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find a per-step input value by step ID, then by step name
+   */
+  static lookup(values, step) {
+    if (Object.prototype.hasOwnProperty.call(values, step.id)) {
+      return values[step.id];
+    }
+    if (Object.prototype.hasOwnProperty.call(values, step.name)) {
+      return values[step.name];
+    }
+    return undefined;
+  }
+
+  /**
+   * Public fields of a user for simulation output
+   */
+  static describeUser(user) {
+    return user ? { id: user.id, name: user.name, email: user.email, role: user.role } : null;
+  }
+}
+
+module.exports = WorkflowSimulationService;
@@ -0,0 +1,533 @@
+const { Op } = require('sequelize');
+const { Workflow, WorkflowStep, WorkflowExecution, Task, User } = require('../models');
+const workflowService = require('./workflowService');
+const stepTypeRegistry = require('./stepTypeRegistry');
+const BusinessCalendarService = require('./businessCalendarService');
+
+// Executions a heatmap is built from (most recent first)
+const MAX_HEATMAP_EXECUTIONS = 500;
+
+// Default heatmap period
+const DEFAULT_HEATMAP_DAYS = 30;
+
+// Execution statuses that close a step still waiting when the execution ended
+const ENDED_STATUSES = ['completed', 'failed', 'cancelled', 'timeout'];
+
+// Tasks are created while their step runs; allow for clock skew between the two
+const TASK_MATCH_SLACK_MS = 1000;
+
+const USER_ATTRIBUTES = ['id', 'name', 'email', 'role'];
+
+/**
+ * Workflow Timeline Service
+ * Turns an execution's raw stepHistory, errors and tasks into step visits
+ * for the workflow canvas, and aggregates visits across executions into a
+ * heatmap of where a workflow version spends time and where it fails.
+ *
+ * A visit is one pass through a step:
+ *   { stepId, stepName, stepType, branchId, enteredAt, exitedAt, durationMs, businessMinutes,
+ *     status, outcome, actor, conditions, tasks, ai, errors, timedOut, childExecutionId }
+ * status is completed, failed, skipped, waiting, retrying, cancelled or timed_out.
+ * Older history entries have no startedAt; their enteredAt is the time the
+ * previous step on the same branch finished (enteredAtRecorded: false).
+ * Visits rebuilt from the errors log alone have fromErrors: true.
+ */
+class WorkflowTimelineService {
+  /**
+   * Build the timeline of an execution
+   * @param {String} executionId - WorkflowExecution ID
+   * @returns {Promise<Object|null>} { execution, steps, events, summary }, or null when not found
+   */
+  static async getTimeline(executionId) {
+    const execution = await WorkflowExecution.findByPk(executionId, {
+      include: [{
+        model: Workflow,
+        as: 'workflow',
+        include: [{ model: WorkflowStep, as: 'steps' }]
+      }]
+    });
+
+    if (!execution) {
+      return null;
+    }
+
+    const tasks = await Task.findAll({
+      where: { workflowExecutionId: execution.id },
+      include: [
+        { model: User, as: 'assignee', attributes: USER_ATTRIBUTES },
+        { model: User, as: 'completer', attributes: USER_ATTRIBUTES }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const now = new Date();
+    const steps = workflowService.sortSteps(execution.workflow?.steps || []);
+    const { visits, events } = this.buildVisits(execution, steps, now);
+
+    this.attachTasks(visits, tasks);
+
+    const calendar = await BusinessCalendarService.forWorkflow(execution.workflow);
+    visits.forEach(visit => {
+      visit.businessMinutes = Math.round(BusinessCalendarService.businessMinutesBetween(
+        visit.enteredAt, visit.exitedAt || now, calendar
+      ));
+    });
+
+    await this.resolveActors(visits, events);
+
+    const ended = ENDED_STATUSES.includes(execution.status);
+    const endedAt = execution.completedAt || execution.failedAt || execution.cancelledAt || (ended ? execution.updatedAt : null);
+
+    return {
+      execution: {
+        id: execution.id,
+        workflowId: execution.workflowId,
+        workflowName: execution.workflow?.name,
+        workflowVersion: execution.workflow?.version,
+        status: execution.status,
+        startedAt: execution.startedAt,
+        endedAt,
+        dueDate: execution.dueDate,
+        calendar: calendar.name
+      },
+      steps: visits,
+      events,
+      summary: {
+        durationMs: execution.startedAt ? new Date(endedAt || now) - new Date(execution.startedAt) : null,
+        businessMinutes: execution.startedAt
+          ? Math.round(BusinessCalendarService.businessMinutesBetween(execution.startedAt, endedAt || now, calendar))
+          : null,
+        visits: visits.length,
+        failed: visits.filter(visit => visit.status === 'failed').length,
+        errors: visits.reduce((count, visit) => count + visit.errors.length, 0),
+        tasks: tasks.length,
+        // Step the execution spent the most time in
+        slowestStepId: visits.reduce((slowest, visit) =>
+          (!slowest || visit.durationMs > slowest.durationMs ? visit : slowest), null)?.stepId || null
+      }
+    };
+  }
+
+  /**
+   * Build a heatmap of a workflow version
+   * @param {String} workflowId - Workflow (version) ID
+   * @param {Object} options - { from, to }: executions started in this period (default: last 30 days)
+   * @returns {Promise<Object|null>} { workflow, period, executions, steps }, or null when not found
+   */
+  static async getHeatmap(workflowId, { from, to } = {}) {
+    const workflow = await Workflow.findByPk(workflowId, {
+      include: [{ model: WorkflowStep, as: 'steps' }]
+    });
+
+    if (!workflow) {
+      return null;
+    }
+
+    const now = new Date();
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_HEATMAP_DAYS * 24 * 60 * 60 * 1000);
+
+    const executions = await WorkflowExecution.findAll({
+      where: {
+        workflowId: workflow.id,
+        createdAt: { [Op.between]: [start, end] }
+      },
+      attributes: [
+        'id', 'status', 'startedAt', 'completedAt', 'failedAt', 'cancelledAt', 'updatedAt',
+        'stepHistory', 'errors'
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: MAX_HEATMAP_EXECUTIONS
+    });
+
+    const steps = workflowService.sortSteps(workflow.steps || []);
+    const calendar = await BusinessCalendarService.forWorkflow(workflow);
+    const stats = new Map(steps.map(step => [step.id, {
+      stepId: step.id,
+      stepName: step.name,
+      stepType: step.stepType,
+      visits: 0,
+      completed: 0,
+      failed: 0,
+      skipped: 0,
+      timedOut: 0,
+      waiting: 0,
+      errors: 0,
+      durations: [],
+      businessMinutes: []
+    }]));
+
+    for (const execution of executions) {
+      const { visits } = this.buildVisits(execution, steps, now);
+
+      for (const visit of visits) {
+        const stat = stats.get(visit.stepId);
+
+        // Steps deleted from a draft after it ran are not on the canvas
+        if (!stat) {
+          continue;
+        }
+
+        stat.visits++;
+        stat.errors += visit.errors.length;
+        if (visit.timedOut) stat.timedOut++;
+
+        if (visit.status === 'completed' || visit.status === 'failed' || visit.status === 'skipped') {
+          stat[visit.status]++;
+        } else if (visit.status === 'waiting' || visit.status === 'retrying') {
+          stat.waiting++;
+        }
+
+        // Time is only compared for steps that were actually run and have finished
+        if (visit.exitedAt && visit.status !== 'skipped') {
+          stat.durations.push(visit.durationMs);
+          stat.businessMinutes.push(BusinessCalendarService.businessMinutesBetween(visit.enteredAt, visit.exitedAt, calendar));
+        }
+      }
+    }
+
+    const rows = [...stats.values()].map(({ durations, businessMinutes, ...stat }) => {
+      const sorted = [...durations].sort((a, b) => a - b);
+      const decided = stat.completed + stat.failed;
+
+      return {
+        ...stat,
+        failureRate: decided > 0 ? Math.round((stat.failed / decided) * 1000) / 1000 : 0,
+        totalDurationMs: sorted.reduce((sum, ms) => sum + ms, 0),
+        avgDurationMs: sorted.length > 0 ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+        medianDurationMs: this.percentile(sorted, 0.5),
+        p90DurationMs: this.percentile(sorted, 0.9),
+        avgBusinessMinutes: businessMinutes.length > 0
+          ? Math.round(businessMinutes.reduce((sum, minutes) => sum + minutes, 0) / businessMinutes.length)
+          : null
+      };
+    });
+
+    // Heat values (0-1) the canvas colours steps by
+    const totalTime = rows.reduce((sum, row) => sum + row.totalDurationMs, 0);
+    const maxAverage = Math.max(0, ...rows.map(row => row.avgDurationMs || 0));
+    rows.forEach(row => {
+      row.timeShare = totalTime > 0 ? Math.round((row.totalDurationMs / totalTime) * 1000) / 1000 : 0;
+      row.heat = {
+        time: maxAverage > 0 ? Math.round(((row.avgDurationMs || 0) / maxAverage) * 1000) / 1000 : 0,
+        failure: row.failureRate
+      };
+    });
+
+    return {
+      workflow: {
+        id: workflow.id,
+        name: workflow.name,
+        version: workflow.version,
+        calendar: calendar.name
+      },
+      period: { from: start, to: end },
+      executions: {
+        sampled: executions.length,
+        truncated: executions.length === MAX_HEATMAP_EXECUTIONS,
+        byStatus: executions.reduce((acc, execution) => {
+          acc[execution.status] = (acc[execution.status] || 0) + 1;
+          return acc;
+        }, {})
+      },
+      steps: rows
+    };
+  }
+
+  /**
+   * Turn stepHistory and the errors log into step visits
+   * @param {Object} execution - WorkflowExecution (stepHistory, errors, status and timestamps)
+   * @param {Array} steps - Workflow steps, for names and types of steps that failed before being recorded
+   * @param {Date} now - Open visits are measured up to this time
+   * @returns {Object} { visits, events } events are retries, execution timeouts and errors outside steps
+   */
+  static buildVisits(execution, steps = [], now = new Date()) {
+    const visits = [];
+    const events = [];
+    const waiting = new Map();   // lane:stepId -> visit paused on the step
+    const laneExit = new Map();  // lane -> when the last step on it finished
+    const startedAt = execution.startedAt ? new Date(execution.startedAt).toISOString() : null;
+
+    for (const entry of execution.stepHistory || []) {
+      const lane = entry.branchId || 'main';
+
+      if (entry.retried) {
+        events.push({ type: 'retried', stepId: entry.stepId, stepName: entry.stepName || null, actorId: entry.retriedBy || null, at: entry.timestamp });
+        continue;
+      }
+
+      if (entry.timeout && entry.result?.scope === 'execution') {
+        events.push({ type: 'execution_timeout', stepId: entry.stepId || null, dueDate: entry.result.dueDate, at: entry.timestamp });
+        continue;
+      }
+
+      // Entries about a step that is already waiting (tallies, overdue tasks, timeouts, resumes)
+      if (entry.resumed || entry.timeout || entry.approvalTally || entry.taskOverdue) {
+        const visit = waiting.get(`${lane}:${entry.stepId}`) ||
+          [...waiting.values()].find(candidate => candidate.stepId === entry.stepId);
+
+        if (!visit) {
+          continue;
+        }
+
+        if (entry.timeout) {
+          visit.timedOut = true;
+          visit.timeout = entry.result || null;
+        }
+        if (entry.approvalTally) {
+          visit.approvalTally = entry.approvalTally;
+        }
+        if (entry.taskOverdue) {
+          visit.overdueTaskIds.push(entry.result?.taskId);
+        }
+        if (entry.resumed) {
+          this.closeVisit(visit, entry.timestamp, workflowService.isStepSuccessful(entry.result) ? 'completed' : 'failed');
+          visit.outcome = entry.result?.outcome || null;
+          visit.actorId = entry.actorId || null;
+          waiting.delete(`${visit.branchId || 'main'}:${visit.stepId}`);
+          laneExit.set(visit.branchId || 'main', entry.timestamp);
+        }
+        continue;
+      }
+
+      const definition = stepTypeRegistry.get(entry.stepType);
+      const visit = this.newVisit({
+        stepId: entry.stepId,
+        stepName: entry.stepName,
+        stepType: entry.stepType,
+        branchId: entry.branchId || null,
+        enteredAt: entry.startedAt || laneExit.get(lane) || laneExit.get('main') || startedAt || entry.timestamp,
+        enteredAtRecorded: !!entry.startedAt
+      });
+
+      visit.result = entry.result || null;
+      visit.conditions = entry.conditions || (entry.skipped ? { expression: null, met: false } : null);
+      visit.childExecutionId = entry.result?.childExecutionId || null;
+
+      if (definition?.category === 'ai' && entry.result) {
+        const { success, ...output } = entry.result;
+        visit.ai = output;
+      }
+
+      if (entry.result?.error) {
+        visit.errors.push({ message: entry.result.error, at: entry.timestamp, final: true });
+      }
+
+      if (entry.skipped) {
+        this.closeVisit(visit, entry.timestamp, 'skipped');
+        laneExit.set(lane, entry.timestamp);
+      } else if (definition?.waits) {
+        // Waiting steps always pause; the resume entry closes the visit
+        visit.pausedAt = entry.timestamp;
+        waiting.set(`${lane}:${entry.stepId}`, visit);
+      } else {
+        this.closeVisit(visit, entry.timestamp, workflowService.isStepSuccessful(entry.result) ? 'completed' : 'failed');
+        laneExit.set(lane, entry.timestamp);
+      }
+
+      visits.push(visit);
+    }
+
+    // Steps still waiting when the execution ended were cut short by it
+    if (ENDED_STATUSES.includes(execution.status)) {
+      const endedAt = execution.cancelledAt || execution.failedAt || execution.completedAt || execution.updatedAt;
+
+      for (const visit of waiting.values()) {
+        this.closeVisit(visit, new Date(endedAt).toISOString(), execution.status === 'timeout' ? 'timed_out' : execution.status);
+        visit.timedOut = visit.timedOut || execution.status === 'timeout';
+      }
+    }
+
+    // Errors outside any step (e.g. while completing the execution) are execution events
+    const errors = execution.errors || [];
+    errors.filter(error => !error.stepId).forEach(error => {
+      events.push({ type: 'error', message: error.message, final: !!error.final, at: error.timestamp });
+    });
+    this.attachErrors(visits, errors.filter(error => error.stepId), steps);
+
+    visits.sort((a, b) => new Date(a.enteredAt) - new Date(b.enteredAt));
+    visits.forEach(visit => {
+      visit.durationMs = Math.max(0, new Date(visit.exitedAt || now) - new Date(visit.enteredAt));
+    });
+
+    return { visits, events };
+  }
+
+  /**
+   * Attach failed attempts from the errors log to visits
+   * A step that throws is not written to stepHistory, so attempts that were
+   * retried successfully belong to the next visit of the step, while a final
+   * failure gets a visit of its own (the execution stopped there).
+   */
+  static attachErrors(visits, errors, steps) {
+    const laneKey = item => `${item.branchId || 'main'}:${item.stepId}`;
+    const sorted = [...errors].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const failures = new Map();  // final error -> its visit
+    const retrying = new Map();  // lane:stepId -> visit for attempts still being retried
+
+    const failureVisit = (error) => {
+      if (!failures.has(error)) {
+        const step = steps.find(s => s.id === error.stepId);
+        const visit = this.newVisit({
+          stepId: error.stepId,
+          stepName: error.stepName || step?.name || null,
+          stepType: step?.stepType || null,
+          branchId: error.branchId || null,
+          enteredAt: error.timestamp,
+          enteredAtRecorded: false,
+          fromErrors: true
+        });
+        this.closeVisit(visit, error.timestamp, 'failed');
+        visits.push(visit);
+        failures.set(error, visit);
+      }
+      return failures.get(error);
+    };
+
+    for (const error of sorted) {
+      const key = laneKey(error);
+      const time = new Date(error.timestamp);
+      const attempt = {
+        message: error.message,
+        attempt: error.attempt,
+        maxAttempts: error.maxAttempts,
+        final: !!error.final,
+        at: error.timestamp
+      };
+
+      let visit;
+      if (error.final) {
+        visit = failureVisit(error);
+      } else {
+        const finalError = sorted.find(other => other.final && laneKey(other) === key && new Date(other.timestamp) >= time);
+        const recorded = visits.find(candidate => !candidate.fromErrors && laneKey(candidate) === key &&
+          (!candidate.exitedAt || new Date(candidate.exitedAt) >= time));
+
+        const recordedExit = recorded?.exitedAt ? new Date(recorded.exitedAt).getTime() : Infinity;
+
+        if (finalError && (!recorded || new Date(finalError.timestamp).getTime() < recordedExit)) {
+          visit = failureVisit(finalError);
+        } else if (recorded) {
+          visit = recorded;
+        } else {
+          if (!retrying.has(key)) {
+            const step = steps.find(s => s.id === error.stepId);
+            const pending = this.newVisit({
+              stepId: error.stepId,
+              stepName: error.stepName || step?.name || null,
+              stepType: step?.stepType || null,
+              branchId: error.branchId || null,
+              enteredAt: error.timestamp,
+              enteredAtRecorded: false,
+              fromErrors: true
+            });
+            pending.status = 'retrying';
+            pending.nextAttemptAt = error.nextAttemptAt || null;
+            visits.push(pending);
+            retrying.set(key, pending);
+          }
+          visit = retrying.get(key);
+          visit.nextAttemptAt = error.nextAttemptAt || null;
+        }
+      }
+
+      // The step was entered with its first attempt, not the one that succeeded
+      if (time < new Date(visit.enteredAt)) {
+        visit.enteredAt = error.timestamp;
+      }
+      visit.errors.push(attempt);
+    }
+  }
+
+  /**
+   * Give tasks to the visit of their step that was running when they were created
+   */
+  static attachTasks(visits, tasks) {
+    for (const task of tasks) {
+      const created = new Date(task.createdAt).getTime();
+      const candidates = visits.filter(visit => visit.stepId === task.workflowStepId);
+      const visit = [...candidates].reverse()
+        .find(candidate => new Date(candidate.enteredAt).getTime() - TASK_MATCH_SLACK_MS <= created) || candidates[0];
+
+      if (!visit) {
+        continue;
+      }
+
+      visit.tasks.push({
+        id: task.id,
+        title: task.title,
+        type: task.type,
+        status: task.status,
+        outcome: task.outcome || null,
+        assignee: task.assignee || null,
+        completedBy: task.completer || null,
+        createdAt: task.createdAt,
+        completedAt: task.completedAt,
+        dueDate: task.dueDate
+      });
+
+      // Without a recorded actor, whoever completed the step's last task decided it
+      if (!visit.actorId && task.completedBy && visit.status !== 'waiting') {
+        visit.actorId = task.completedBy;
+      }
+    }
+  }
+
+  /**
+   * Replace actor IDs with users; steps nobody acted on were run by the engine
+   */
+  static async resolveActors(visits, events) {
+    const ids = [...new Set([...visits, ...events].map(item => item.actorId).filter(Boolean))];
+    const users = ids.length > 0
+      ? await User.findAll({ where: { id: { [Op.in]: ids } }, attributes: USER_ATTRIBUTES })
+      : [];
+    const byId = new Map(users.map(user => [user.id, user]));
+
+    const toActor = id => (id
+      ? { type: 'user', ...(byId.get(id)?.toJSON() || { id }) }
+      : { type: 'system' });
+
+    visits.forEach(visit => {
+      visit.actor = toActor(visit.actorId);
+      delete visit.actorId;
+    });
+    events.forEach(event => {
+      event.actor = toActor(event.actorId);
+      delete event.actorId;
+    });
+  }
+
+  static newVisit(fields) {
+    return {
+      exitedAt: null,
+      durationMs: 0,
+      status: 'waiting',
+      outcome: null,
+      actorId: null,
+      conditions: null,
+      result: null,
+      ai: null,
+      tasks: [],
+      errors: [],
+      timedOut: false,
+      overdueTaskIds: [],
+      childExecutionId: null,
+      fromErrors: false,
+      ...fields
+    };
+  }
+
+  static closeVisit(visit, exitedAt, status) {
+    visit.exitedAt = exitedAt;
+    visit.status = status;
+  }
+
+  static percentile(sorted, fraction) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  }
+}
+
+module.exports = WorkflowTimelineService;
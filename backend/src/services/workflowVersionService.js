@@ -0,0 +1,325 @@
+const { Workflow, WorkflowStep, WorkflowExecution, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const workflowService = require('./workflowService');
+const WorkflowEntityService = require('./workflowEntityService');
+
+// Workflow fields that define behaviour and are compared between versions
+const WORKFLOW_DIFF_FIELDS = ['name', 'description', 'type', 'triggerType', 'triggerConditions', 'config', 'priority', 'tags'];
+
+// Step fields copied into new versions and compared between versions
+const STEP_FIELDS = [
+  'name', 'description', 'stepType', 'order', 'config', 'assignmentType', 'assignedTo',
+  'requiredApprovals', 'timeoutDuration', 'timeoutAction', 'conditions', 'allowSkip',
+  'required', 'formConfig'
+];
+
+/**
+ * Error for a version request that cannot be carried out; statusCode is the
+ * HTTP status routes answer with, details lists validation errors
+ */
+function versionError(message, statusCode, details = undefined) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Workflow Version Service
+ * Published workflow versions are immutable. Edits happen on a draft copy
+ * which becomes a new version when published, so running executions stay
+ * on the version (workflowId) they started with.
+ */
+class WorkflowVersionService {
+  /**
+   * Get every version of a workflow, newest first
+   * @param {Object} workflow - Any version of the workflow
+   * @returns {Promise<Array>} Workflow versions
+   */
+  static async getVersions(workflow) {
+    const rootId = workflow.rootWorkflowId || workflow.id;
+
+    return await Workflow.findAll({
+      where: {
+        [Op.or]: [{ id: rootId }, { rootWorkflowId: rootId }]
+      },
+      order: [['version', 'DESC']]
+    });
+  }
+
+  /**
+   * List versions with step and execution counts
+   * @param {Object} workflow - Any version of the workflow
+   */
+  static async listVersions(workflow) {
+    const versions = await this.getVersions(workflow);
+    const ids = versions.map(v => v.id);
+
+    const [stepCounts, executionCounts] = await Promise.all([
+      WorkflowStep.count({ where: { workflowId: { [Op.in]: ids } }, group: ['workflowId'] }),
+      WorkflowExecution.count({ where: { workflowId: { [Op.in]: ids } }, group: ['workflowId'] })
+    ]);
+
+    const countFor = (rows, id) => parseInt(rows.find(r => r.workflowId === id)?.count || 0);
+
+    return versions.map(v => ({
+      id: v.id,
+      version: v.version,
+      status: v.status,
+      name: v.name,
+      publishedAt: v.publishedAt,
+      archivedAt: v.archivedAt,
+      createdBy: v.createdBy,
+      updatedBy: v.updatedBy,
+      createdAt: v.createdAt,
+      stepCount: countFor(stepCounts, v.id),
+      executionCount: countFor(executionCounts, v.id)
+    }));
+  }
+
+  /**
+   * Copy steps from one workflow version into another, remapping branch edges
+   * @param {Array} steps - Source steps
+   * @param {String} targetWorkflowId - Workflow receiving the copies
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<Array>} Created steps
+   */
+  static async copySteps(steps, targetWorkflowId, transaction) {
+    const idMap = new Map();
+    const copies = steps.map(step => {
+      const copy = WorkflowStep.build({
+        workflowId: targetWorkflowId,
+        ...Object.fromEntries(STEP_FIELDS.map(field => [field, step[field]]))
+      });
+      idMap.set(step.id, copy.id);
+      return copy;
+    });
+
+    copies.forEach((copy, i) => {
+      copy.nextStepOnSuccess = steps[i].nextStepOnSuccess ? idMap.get(steps[i].nextStepOnSuccess) || null : null;
+      copy.nextStepOnFailure = steps[i].nextStepOnFailure ? idMap.get(steps[i].nextStepOnFailure) || null : null;
+      copy.config = workflowService.mapStepReferences(steps[i], id => idMap.get(id) || id);
+    });
+
+    for (const copy of copies) {
+      await copy.save({ transaction });
+    }
+
+    return copies;
+  }
+
+  /**
+   * Create an editable draft from a workflow version
+   * @param {Object} workflow - Version to copy
+   * @param {String} userId - User creating the draft
+   * @returns {Promise<Object>} Draft workflow with steps
+   */
+  static async createDraft(workflow, userId) {
+    const versions = await this.getVersions(workflow);
+    const existingDraft = versions.find(v => v.status === 'draft');
+
+    if (existingDraft) {
+      throw versionError(`Draft version ${existingDraft.version} already exists (${existingDraft.id})`, 409);
+    }
+
+    const nextVersion = Math.max(...versions.map(v => v.version)) + 1;
+    const steps = await WorkflowStep.findAll({
+      where: { workflowId: workflow.id },
+      order: [['order', 'ASC']]
+    });
+
+    const draft = await sequelize.transaction(async (transaction) => {
+      const created = await Workflow.create({
+        ...Object.fromEntries(WORKFLOW_DIFF_FIELDS.map(field => [field, workflow[field]])),
+        rootWorkflowId: workflow.rootWorkflowId || workflow.id,
+        version: nextVersion,
+        status: 'draft',
+        estimatedDuration: workflow.estimatedDuration,
+        createdBy: userId
+      }, { transaction });
+
+      await this.copySteps(steps, created.id, transaction);
+
+      return created;
+    });
+
+    console.log(`📝 Workflow draft v${draft.version} created from v${workflow.version}: ${draft.id}`);
+
+    return await this.getWithSteps(draft.id);
+  }
+
+  /**
+   * Publish a draft as the active version of its workflow
+   * The previously published version is archived but keeps serving the
+   * executions that were started on it.
+   * @param {Object} draft - Draft workflow
+   * @param {String} userId - User publishing the draft
+   * @returns {Promise<Object>} Published workflow with steps
+   */
+  static async publish(draft, userId) {
+    if (draft.status !== 'draft') {
+      throw versionError('Only draft versions can be published', 409);
+    }
+
+    const steps = await WorkflowStep.findAll({ where: { workflowId: draft.id } });
+    const errors = [
+      ...workflowService.validateStepGraph(steps),
+      ...workflowService.validateStepConfigs(steps),
+      ...workflowService.validateStepEntities(steps, WorkflowEntityService.getWorkflowEntityType(draft)),
+      ...steps.flatMap(step => workflowService.validateConditions(step.conditions)
+        .map(message => `Step "${step.name}": ${message}`))
+    ];
+
+    if (errors.length > 0) {
+      throw versionError('Workflow version is invalid', 400, errors);
+    }
+
+    const previous = (await this.getVersions(draft))
+      .filter(v => v.id !== draft.id && ['active', 'inactive'].includes(v.status));
+
+    await sequelize.transaction(async (transaction) => {
+      for (const version of previous) {
+        await version.update({
+          status: 'archived',
+          archivedAt: new Date(),
+          updatedBy: userId
+        }, { transaction });
+      }
+
+      await draft.update({
+        status: 'active',
+        publishedAt: new Date(),
+        updatedBy: userId
+      }, { transaction });
+    });
+
+    console.log(`🚀 Workflow v${draft.version} published: ${draft.id}`);
+
+    return await this.getWithSteps(draft.id);
+  }
+
+  /**
+   * Roll back by republishing an earlier version as a new version
+   * History is never rewritten; the copy gets the next version number.
+   * @param {Object} workflow - Any version of the workflow
+   * @param {Number} targetVersion - Version number to restore
+   * @param {String} userId - User performing the rollback
+   * @returns {Promise<Object>} Newly published workflow with steps
+   */
+  static async rollback(workflow, targetVersion, userId) {
+    const versions = await this.getVersions(workflow);
+    const target = versions.find(v => v.version === Number(targetVersion));
+
+    if (!target) {
+      throw versionError(`Version ${targetVersion} not found`, 404);
+    }
+
+    if (target.status === 'draft') {
+      throw versionError('Cannot roll back to a draft version', 400);
+    }
+
+    // An open draft would be left behind the rollback, so discard it
+    const openDraft = versions.find(v => v.status === 'draft');
+    if (openDraft) {
+      await sequelize.transaction(async (transaction) => {
+        await WorkflowStep.destroy({ where: { workflowId: openDraft.id }, transaction });
+        await openDraft.destroy({ transaction });
+      });
+    }
+
+    const draft = await this.createDraft(target, userId);
+    const published = await this.publish(draft, userId);
+
+    console.log(`⏪ Workflow rolled back to v${target.version} as v${published.version}`);
+
+    return published;
+  }
+
+  /**
+   * Diff two versions of a workflow
+   * Steps are matched by name since every version has its own step IDs.
+   * @param {Object} workflow - Any version of the workflow
+   * @param {Number} fromVersion - Base version number
+   * @param {Number} toVersion - Compared version number
+   * @returns {Promise<Object>} Field and step differences
+   */
+  static async diffVersions(workflow, fromVersion, toVersion) {
+    const versions = await this.getVersions(workflow);
+    const from = versions.find(v => v.version === Number(fromVersion));
+    const to = versions.find(v => v.version === Number(toVersion));
+
+    if (!from || !to) {
+      throw versionError(`Version ${!from ? fromVersion : toVersion} not found`, 404);
+    }
+
+    const [fromSteps, toSteps] = await Promise.all([
+      WorkflowStep.findAll({ where: { workflowId: from.id }, order: [['order', 'ASC']] }),
+      WorkflowStep.findAll({ where: { workflowId: to.id }, order: [['order', 'ASC']] })
+    ]);
+
+    const fields = WORKFLOW_DIFF_FIELDS
+      .filter(field => !this.isEqual(from[field], to[field]))
+      .map(field => ({ field, from: from[field], to: to[field] }));
+
+    const describe = (steps) => {
+      const names = new Map(steps.map(s => [s.id, s.name]));
+      return new Map(steps.map(s => [s.name, {
+        ...Object.fromEntries(STEP_FIELDS.map(field => [field, s[field]])),
+        config: workflowService.mapStepReferences(s, id => names.get(id) || id),
+        nextStepOnSuccess: s.nextStepOnSuccess ? names.get(s.nextStepOnSuccess) : null,
+        nextStepOnFailure: s.nextStepOnFailure ? names.get(s.nextStepOnFailure) : null
+      }]));
+    };
+
+    const before = describe(fromSteps);
+    const after = describe(toSteps);
+
+    const added = [...after.keys()].filter(name => !before.has(name)).map(name => after.get(name));
+    const removed = [...before.keys()].filter(name => !after.has(name)).map(name => before.get(name));
+    const changed = [...after.keys()]
+      .filter(name => before.has(name))
+      .map(name => {
+        const a = before.get(name);
+        const b = after.get(name);
+        const changes = Object.keys(b)
+          .filter(field => !this.isEqual(a[field], b[field]))
+          .map(field => ({ field, from: a[field], to: b[field] }));
+        return { name, changes };
+      })
+      .filter(step => step.changes.length > 0);
+
+    return {
+      from: { id: from.id, version: from.version, status: from.status },
+      to: { id: to.id, version: to.version, status: to.status },
+      fields,
+      steps: { added, removed, changed },
+      identical: fields.length === 0 && added.length === 0 && removed.length === 0 && changed.length === 0
+    };
+  }
+
+  /**
+   * Load a workflow with its steps sorted by order
+   */
+  static async getWithSteps(workflowId) {
+    return await Workflow.findByPk(workflowId, {
+      include: [{
+        model: WorkflowStep,
+        as: 'steps'
+      }],
+      order: [[{ model: WorkflowStep, as: 'steps' }, 'order', 'ASC']]
+    });
+  }
+
+  /**
+   * Structural equality for JSON-compatible values
+   */
+  static isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+}
+
+module.exports = WorkflowVersionService;
+module.exports.WORKFLOW_DIFF_FIELDS = WORKFLOW_DIFF_FIELDS;
+module.exports.STEP_FIELDS = STEP_FIELDS;
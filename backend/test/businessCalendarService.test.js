@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BusinessCalendarService = require('../src/services/businessCalendarService');
+
+// US daylight saving time in 2026 starts on Sunday 8 March and ends on Sunday 1 November
+const calendar = BusinessCalendarService.normalize({
+  name: 'City Hall',
+  timeZone: 'America/New_York',
+  workingDays: [1, 2, 3, 4, 5],
+  workingHours: { start: '08:00', end: '17:00' },
+  holidays: [
+    { date: '2026-07-03', name: 'Independence Day (observed)' },
+    { date: '12-25', name: 'Christmas Day' }
+  ]
+});
+
+const addBusinessDays = (start, days, cal = calendar) => BusinessCalendarService.addBusinessDays(new Date(start), days, cal).toISOString();
+
+describe('BusinessCalendarService.addBusinessDays', () => {
+  it('skips the weekend and keeps the local time of day', () => {
+    assert.equal(addBusinessDays('2026-02-13T15:00:00Z', 2), '2026-02-17T15:00:00.000Z');
+  });
+
+  it('keeps the local time of day when the clocks go forward', () => {
+    // Friday 10:00 EST -> Monday 10:00 EDT
+    assert.equal(addBusinessDays('2026-03-06T15:00:00Z', 1), '2026-03-09T14:00:00.000Z');
+    assert.equal(addBusinessDays('2026-03-06T15:00:00Z', 6), '2026-03-16T14:00:00.000Z');
+  });
+
+  it('keeps the local time of day when the clocks go back', () => {
+    // Friday 10:00 EDT -> Monday 10:00 EST
+    assert.equal(addBusinessDays('2026-10-30T14:00:00Z', 1), '2026-11-02T15:00:00.000Z');
+  });
+
+  it('keeps late-evening times on the right local day across the change', () => {
+    // Friday 23:30 EST is already Saturday in UTC
+    assert.equal(addBusinessDays('2026-03-07T04:30:00Z', 1), '2026-03-10T03:30:00.000Z');
+  });
+
+  it('skips a dated holiday', () => {
+    // Thursday 2 July + 1 -> Monday 6 July (Friday 3 July is observed)
+    assert.equal(addBusinessDays('2026-07-02T13:00:00Z', 1), '2026-07-06T13:00:00.000Z');
+  });
+
+  it('skips a holiday repeated every year', () => {
+    // Thursday 24 December + 1 -> Monday 28 December, in any year
+    assert.equal(addBusinessDays('2026-12-24T15:00:00Z', 1), '2026-12-28T15:00:00.000Z');
+    assert.equal(addBusinessDays('2027-12-24T15:00:00Z', 1), '2027-12-27T15:00:00.000Z');
+  });
+
+  it('skips extra holidays added for a single use', () => {
+    const withClosure = BusinessCalendarService.withHolidays(calendar, ['2026-03-09']);
+    assert.equal(addBusinessDays('2026-03-06T15:00:00Z', 1, withClosure), '2026-03-10T14:00:00.000Z');
+  });
+
+  it('returns the start date for zero or negative days', () => {
+    assert.equal(addBusinessDays('2026-03-07T15:00:00Z', 0), '2026-03-07T15:00:00.000Z');
+    assert.equal(addBusinessDays('2026-03-07T15:00:00Z', -3), '2026-03-07T15:00:00.000Z');
+  });
+
+  it('gives up on a calendar without working days', () => {
+    const closed = BusinessCalendarService.normalize({ name: 'Closed', timeZone: 'UTC', workingDays: [], workingHours: { start: '08:00', end: '17:00' } });
+    assert.throws(() => addBusinessDays('2026-03-06T15:00:00Z', 1, closed), /Business calendar Closed has no working days/);
+  });
+});
+
+describe('BusinessCalendarService.getLocalDate', () => {
+  it('uses the calendar time zone rather than UTC', () => {
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-02-14T03:00:00Z'), calendar), '2026-02-13');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-02-14T05:00:00Z'), calendar), '2026-02-14');
+  });
+
+  it('follows the offset change when the clocks go forward', () => {
+    // Midnight is still at 05:00 UTC on 8 March, but at 04:00 UTC on 9 March
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-03-08T04:30:00Z'), calendar), '2026-03-07');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-03-08T05:00:00Z'), calendar), '2026-03-08');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-03-09T03:59:00Z'), calendar), '2026-03-08');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-03-09T04:00:00Z'), calendar), '2026-03-09');
+  });
+
+  it('follows the offset change when the clocks go back', () => {
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-11-01T03:59:00Z'), calendar), '2026-10-31');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-11-01T04:00:00Z'), calendar), '2026-11-01');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-11-02T04:59:00Z'), calendar), '2026-11-01');
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-11-02T05:00:00Z'), calendar), '2026-11-02');
+  });
+
+  it('matches the day bounds on a 23-hour day', () => {
+    const { start, end } = BusinessCalendarService.getDayBounds(new Date('2026-03-08T12:00:00Z'), calendar);
+    assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(end.toISOString(), '2026-03-09T03:59:59.999Z');
+    assert.equal(BusinessCalendarService.getLocalDate(start, calendar), '2026-03-08');
+    assert.equal(BusinessCalendarService.getLocalDate(end, calendar), '2026-03-08');
+  });
+
+  it('reports a holiday as a closed day', () => {
+    assert.equal(BusinessCalendarService.getLocalDate(new Date('2026-07-03T16:00:00Z'), calendar), '2026-07-03');
+    assert.equal(BusinessCalendarService.isBusinessDay(new Date('2026-07-03T16:00:00Z'), calendar), false);
+    assert.equal(BusinessCalendarService.isBusinessDay(new Date('2026-07-02T16:00:00Z'), calendar), true);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExpressionService = require('../src/services/expressionService');
+const { ExpressionError } = require('../src/services/expressionService');
+
+const context = {
+  permit: {
+    type: 'building',
+    estimatedCost: '75000.00',
+    squareFootage: 1200,
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    workClasses: ['new', 'addition'],
+    owner: { name: 'Dana Reyes' }
+  },
+  variables: { zoning: 'R1', flagged: false },
+  steps: { 'Document Check': { passed: true } },
+  execution: { id: 42 }
+};
+
+const evaluate = (source) => ExpressionService.evaluate(source, context);
+
+describe('ExpressionService.parse', () => {
+  it('builds an AST for member access, calls and lists', () => {
+    assert.deepEqual(ExpressionService.parse("permit.type in ['building', 'fence']"), {
+      type: 'in',
+      negate: false,
+      left: { type: 'member', object: { type: 'identifier', name: 'permit' }, property: { type: 'literal', value: 'type' } },
+      right: { type: 'list', items: [{ type: 'literal', value: 'building' }, { type: 'literal', value: 'fence' }] }
+    });
+    assert.deepEqual(ExpressionService.parse('len(permit.workClasses)'), {
+      type: 'call',
+      name: 'len',
+      args: [{ type: 'member', object: { type: 'identifier', name: 'permit' }, property: { type: 'literal', value: 'workClasses' } }]
+    });
+  });
+
+  it('reads string escapes and both quote styles', () => {
+    assert.equal(ExpressionService.evaluate("'it\\'s'"), "it's");
+    assert.equal(ExpressionService.evaluate('"say \\"hi\\""'), 'say "hi"');
+  });
+
+  it('accepts extra roots supplied by the caller', () => {
+    assert.equal(ExpressionService.validate('task.priority == 1'), 'Unknown identifier "task" (expected one of: permit, entity, variables, steps, execution) (at position 0)');
+    assert.equal(ExpressionService.validate('task.priority == 1', { roots: ['task'] }), null);
+    assert.equal(ExpressionService.evaluate('task.priority == 1', { task: { priority: 1 } }, { roots: ['task'] }), true);
+  });
+
+  it('reports syntax errors with their position', () => {
+    const cases = [
+      ["permit.type == 'building", 'Unterminated string (at position 15)'],
+      ['permit.type # 1', 'Unexpected character "#" (at position 12)'],
+      ['permit.type ==', 'Unexpected end of expression (at position 14)'],
+      ['(permit.type', 'Expected ) but found end of expression (at position 12)'],
+      ['permit.type permit', 'Unexpected "permit" (at position 12)'],
+      ['unknown.field', 'Unknown identifier "unknown" (expected one of: permit, entity, variables, steps, execution) (at position 0)'],
+      ['eval(1)', 'Unknown function "eval" (at position 0)'],
+      ['len()', 'len() expects 1 argument(s) (at position 0)'],
+      ['contains(permit.workClasses)', 'contains() expects 2 argument(s) (at position 0)']
+    ];
+
+    for (const [source, message] of cases) {
+      assert.throws(() => ExpressionService.parse(source), { name: 'ExpressionError', message }, source);
+    }
+  });
+
+  it('rejects empty, oversized and deeply nested expressions', () => {
+    assert.throws(() => ExpressionService.parse('   '), { message: 'Expression must be a non-empty string' });
+    assert.throws(() => ExpressionService.parse(null), { message: 'Expression must be a non-empty string' });
+    assert.throws(() => ExpressionService.parse(`'${'a'.repeat(2000)}'`), { message: 'Expression exceeds 2000 characters' });
+    assert.throws(() => ExpressionService.parse(`${'('.repeat(60)}1${')'.repeat(60)}`), { message: /^Expression is nested too deeply/ });
+    assert.throws(() => ExpressionService.parse(`${'not '.repeat(60)}true`), { message: /^Expression is nested too deeply/ });
+    assert.equal(ExpressionService.evaluate(`${'('.repeat(40)}1${')'.repeat(40)}`), 1);
+  });
+
+  it('returns the message from validate instead of throwing', () => {
+    assert.equal(ExpressionService.validate("permit.type == 'building'"), null);
+    assert.equal(ExpressionService.validate('permit.type =='), 'Unexpected end of expression (at position 14)');
+  });
+});
+
+describe('ExpressionService operator precedence', () => {
+  it('binds multiplication tighter than addition', () => {
+    assert.equal(ExpressionService.evaluate('1 + 2 * 3'), 7);
+    assert.equal(ExpressionService.evaluate('(1 + 2) * 3'), 9);
+    assert.equal(ExpressionService.evaluate('10 - 4 - 3'), 3);
+    assert.equal(ExpressionService.evaluate('2 * 3 % 4'), 2);
+    assert.equal(ExpressionService.evaluate('-2 * 3 + 10'), 4);
+  });
+
+  it('binds arithmetic tighter than comparison', () => {
+    assert.equal(ExpressionService.evaluate('1 + 2 * 3 == 7'), true);
+    assert.equal(evaluate('permit.squareFootage / 2 > 500'), true);
+  });
+
+  it('binds and tighter than or, and not tighter than and', () => {
+    assert.equal(ExpressionService.evaluate('true or true and false'), true);
+    assert.equal(ExpressionService.evaluate('(true or true) and false'), false);
+    assert.equal(ExpressionService.evaluate('not false and false'), false);
+    assert.equal(ExpressionService.evaluate('not (false and false)'), true);
+    assert.equal(ExpressionService.evaluate('false || true && !false'), true);
+  });
+
+  it('applies not to a whole comparison', () => {
+    assert.equal(evaluate("not permit.type == 'fence'"), true);
+    assert.equal(evaluate("permit.type not in ['fence', 'sign'] and variables.zoning == 'R1'"), true);
+  });
+});
+
+describe('ExpressionService property access', () => {
+  it('blocks prototype members at parse time', () => {
+    for (const source of ['permit.__proto__', 'permit.constructor', 'permit.prototype', "permit['constructor']", "permit.owner['__proto__'].polluted"]) {
+      assert.throws(() => ExpressionService.parse(source), { name: 'ExpressionError', message: /^Access to "(__proto__|constructor|prototype)" is not allowed/ }, source);
+    }
+  });
+
+  it('does not reach prototype members through computed keys', () => {
+    assert.equal(evaluate("permit['con' + 'structor']"), null);
+    assert.equal(evaluate("permit['__pro' + 'to__']"), null);
+    assert.equal(evaluate("variables[lower('CONSTRUCTOR')]"), null);
+  });
+
+  it('only reads own, non-function properties', () => {
+    assert.equal(evaluate('permit.toString'), null);
+    assert.equal(evaluate('permit.hasOwnProperty'), null);
+    assert.equal(evaluate("permit.type['length']"), null);
+    assert.equal(evaluate('permit.createdAt.getTime'), null);
+    assert.equal(ExpressionService.evaluate('permit.run', { permit: { run: () => 'called' } }), null);
+  });
+
+  it('reads nested values and bracket keys', () => {
+    assert.equal(evaluate('permit.owner.name'), 'Dana Reyes');
+    assert.equal(evaluate("steps['Document Check'].passed"), true);
+    assert.equal(evaluate('permit.workClasses[1]'), 'addition');
+    assert.equal(evaluate('permit.missing.deeper'), null);
+  });
+});
+
+describe('ExpressionService.evaluate', () => {
+  it('compares numeric strings with numbers', () => {
+    assert.equal(evaluate('permit.estimatedCost >= 50000'), true);
+    assert.equal(evaluate('permit.estimatedCost == 75000'), true);
+    assert.equal(evaluate('permit.type > 5'), false);
+  });
+
+  it('returns null instead of failing on bad arithmetic', () => {
+    assert.equal(ExpressionService.evaluate('10 / 0'), null);
+    assert.equal(ExpressionService.evaluate('10 % 0'), null);
+    assert.equal(evaluate('permit.missing + 1'), null);
+    assert.equal(evaluate('variables.zoning * 2'), null);
+    assert.equal(evaluate('-permit.type'), null);
+  });
+
+  it('treats null operands as false in comparisons', () => {
+    assert.equal(evaluate('permit.missing > 1'), false);
+    assert.equal(evaluate('permit.missing < 1'), false);
+    assert.equal(evaluate('permit.missing == null'), true);
+    assert.equal(evaluate('permit.missing != null'), false);
+  });
+
+  it('supports in and not in for lists and substrings', () => {
+    assert.equal(evaluate("'addition' in permit.workClasses"), true);
+    assert.equal(evaluate("'demo' not in permit.workClasses"), true);
+    assert.equal(evaluate("'Reyes' in permit.owner.name"), true);
+    assert.equal(evaluate("'x' in permit.missing"), false);
+  });
+
+  it('does date math with durations', () => {
+    assert.equal(evaluate("permit.createdAt + days(1) == date('2026-01-02T00:00:00Z')"), true);
+    assert.equal(evaluate("daysBetween(permit.createdAt, '2026-01-31T00:00:00Z')"), 30);
+    assert.equal(evaluate('now() - permit.createdAt > days(30)'), Date.now() - context.permit.createdAt.getTime() > 30 * 86400000);
+  });
+
+  it('evaluates the whitelisted functions', () => {
+    assert.equal(evaluate("lower(variables.zoning) == 'r1'"), true);
+    assert.equal(evaluate('len(permit.workClasses)'), 2);
+    assert.equal(evaluate("contains(permit.workClasses, 'new')"), true);
+    assert.equal(evaluate("startsWith(permit.type, 'build')"), true);
+    assert.equal(evaluate('exists(variables.flagged)'), true);
+    assert.equal(evaluate('exists(variables.missing)'), false);
+    assert.equal(evaluate("number('12.5') + 1"), 13.5);
+  });
+
+  it('short-circuits and/or', () => {
+    assert.equal(evaluate('variables.flagged and permit.missing.deeper > 1'), false);
+    assert.equal(evaluate("steps['Document Check'].passed or 1 / 0"), true);
+  });
+
+  it('reports parse errors from evaluate and test', () => {
+    assert.throws(() => evaluate('permit.type =='), ExpressionError);
+    assert.throws(() => ExpressionService.test('permit.constructor', context), ExpressionError);
+  });
+
+  it('coerces results to booleans in test', () => {
+    assert.equal(ExpressionService.test('permit.workClasses', context), true);
+    assert.equal(ExpressionService.test('permit.missing', context), false);
+    assert.equal(ExpressionService.test('[]', context), false);
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PermitFee } = require('../src/models');
+const FeeService = require('../src/services/feeService');
+
+// Building valuation table from the demo fee schedule
+const BUILDING_TIERS = [
+  { upTo: 2000, base: 75, ratePer1000: 0 },
+  { upTo: 25000, base: 75, ratePer1000: 14 },
+  { upTo: 100000, base: 397, ratePer1000: 10 },
+  { upTo: null, base: 1147, ratePer1000: 7 }
+];
+
+const BUILDING_RULES = [
+  { code: 'building', name: 'Building permit fee', type: 'valuation_tiers', tiers: BUILDING_TIERS },
+  { code: 'plan_review', name: 'Plan review', type: 'percentage', percentage: 65, of: ['building'], condition: 'permit.valuation > 25000' },
+  { code: 'technology', name: 'Technology fee', type: 'percentage', percentage: 4 },
+  { code: 'reinspection', name: 'Reinspection', type: 'flat', amount: 95, trigger: 'reinspection' }
+];
+
+const amounts = lines => Object.fromEntries(lines.map(line => [line.code, line.amount]));
+
+describe('FeeService.calculate', () => {
+  it('charges the base and started $1,000 steps of the tier a valuation falls in', () => {
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 0), 75);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 2000), 75);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 2001), 89);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 10000), 187);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 25000), 397);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 50000), 647);
+    assert.equal(FeeService.tieredAmount(BUILDING_TIERS, 150000), 1497);
+  });
+
+  it('computes percentage fees after the fees they are based on', () => {
+    const lines = FeeService.calculate(BUILDING_RULES, { valuation: '50000.00' });
+
+    assert.deepEqual(amounts(lines), { building: 647, plan_review: 420.55, technology: 42.7 });
+    assert.deepEqual(lines[1].calculation, {
+      type: 'percentage',
+      percentage: 65,
+      of: ['building'],
+      basis: 647,
+      minimum: null,
+      maximum: null,
+      scheduleEffectiveFrom: null
+    });
+    assert.equal(lines[2].calculation.basis, 1067.55);
+  });
+
+  it('leaves out fees whose condition does not hold', () => {
+    assert.deepEqual(amounts(FeeService.calculate(BUILDING_RULES, { valuation: 10000 })), { building: 187, technology: 7.48 });
+  });
+
+  it('only charges the rules of the requested trigger', () => {
+    assert.deepEqual(amounts(FeeService.calculate(BUILDING_RULES, { valuation: 10000 }, { trigger: 'reinspection' })), { reinspection: 95 });
+  });
+
+  it('takes the given base for percentage fees that name no codes', () => {
+    const late = [{ code: 'late', name: 'Late penalty', type: 'percentage', percentage: 10, trigger: 'late', minimum: 25 }];
+
+    assert.deepEqual(amounts(FeeService.calculate(late, {}, { trigger: 'late', base: 1067.55 })), { late: 106.76 });
+    assert.deepEqual(amounts(FeeService.calculate(late, {}, { trigger: 'late', base: 100 })), { late: 25 });
+  });
+
+  it('applies minimum and maximum and reads dotted fields', () => {
+    const rules = [
+      { code: 'area', name: 'Area fee', type: 'per_unit', field: 'customFields.area', rate: 0.15, minimum: 50, maximum: 500 }
+    ];
+
+    assert.deepEqual(amounts(FeeService.calculate(rules, { customFields: { area: 100 } })), { area: 50 });
+    assert.deepEqual(amounts(FeeService.calculate(rules, { customFields: { area: 1200 } })), { area: 180 });
+    assert.deepEqual(amounts(FeeService.calculate(rules, { customFields: { area: 10000 } })), { area: 500 });
+  });
+
+  it('rejects unknown fee types', () => {
+    assert.throws(() => FeeService.calculate([{ code: 'odd', type: 'sliding' }], {}), /Unknown fee type sliding \(fee odd\)/);
+  });
+});
+
+describe('FeeService.selectSchedule', () => {
+  const schedules = [
+    { effectiveFrom: '2025-01-01', effectiveTo: '2025-12-31', fees: [] },
+    { effectiveFrom: '2026-01-01', effectiveTo: null, fees: [] }
+  ];
+
+  it('picks the latest schedule in effect on a day', () => {
+    assert.equal(FeeService.selectSchedule(schedules, '2025-12-31').effectiveFrom, '2025-01-01');
+    assert.equal(FeeService.selectSchedule(schedules, '2026-01-01').effectiveFrom, '2026-01-01');
+    assert.equal(FeeService.selectSchedule(schedules, '2024-06-30'), null);
+  });
+});
+
+describe('FeeService payments', () => {
+  // The transaction is passed in, so no database connection is opened
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  let fees;
+
+  const record = values => ({
+    ...values,
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    }
+  });
+
+  beforeEach(() => {
+    fees = {
+      building: record({ id: 'building', amount: '647.00', amountPaid: '0.00', status: 'due' }),
+      technology: record({ id: 'technology', amount: '42.70', amountPaid: '0.00', status: 'due' })
+    };
+    mock.method(PermitFee, 'findByPk', async id => fees[id] || null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const payable = () => Object.values(fees).map(fee => ({ fee, remaining: Number(fee.amount) - Number(fee.amountPaid) }));
+
+  it('allocates a partial payment to the oldest lines first', () => {
+    assert.deepEqual(FeeService.allocatePayment(payable(), 300), [{ feeId: 'building', amount: 300 }]);
+    assert.deepEqual(FeeService.allocatePayment(payable(), 660), [
+      { feeId: 'building', amount: 647 },
+      { feeId: 'technology', amount: 13 }
+    ]);
+    assert.deepEqual(FeeService.allocatePayment(payable(), 689.7), [
+      { feeId: 'building', amount: 647 },
+      { feeId: 'technology', amount: 42.7 }
+    ]);
+  });
+
+  it('applies a partial payment and leaves the rest due', async () => {
+    const payment = record({ amount: '300.00', metadata: {}, allocations: FeeService.allocatePayment(payable(), 300) });
+
+    assert.deepEqual(await FeeService.applyPayment(payment, { transaction }), { applied: 300, unapplied: 0 });
+    assert.equal(fees.building.amountPaid, 300);
+    assert.equal(fees.building.status, 'due');
+    assert.equal(fees.technology.amountPaid, '0.00');
+    assert.deepEqual(payment.allocations, [{ feeId: 'building', amount: 300, applied: 300 }]);
+  });
+
+  it('caps each line at what it still owes when the payment is applied', async () => {
+    const payment = record({
+      amount: '300.00',
+      metadata: {},
+      allocations: [{ feeId: 'building', amount: 647 }, { feeId: 'technology', amount: 42.7 }]
+    });
+
+    assert.deepEqual(await FeeService.applyPayment(payment, { transaction }), { applied: 300, unapplied: 0 });
+    assert.deepEqual(payment.allocations.map(allocation => allocation.applied), [300, 0]);
+  });
+
+  it('pays off lines across payments', async () => {
+    const first = record({ amount: '300.00', metadata: {}, allocations: [{ feeId: 'building', amount: 300 }] });
+    const second = record({
+      amount: '389.70',
+      metadata: {},
+      allocations: [{ feeId: 'building', amount: 347 }, { feeId: 'technology', amount: 42.7 }]
+    });
+
+    await FeeService.applyPayment(first, { transaction });
+    assert.deepEqual(await FeeService.applyPayment(second, { transaction }), { applied: 389.7, unapplied: 0 });
+
+    assert.equal(fees.building.amountPaid, 647);
+    assert.equal(fees.building.status, 'paid');
+    assert.equal(fees.technology.amountPaid, 42.7);
+    assert.equal(fees.technology.status, 'paid');
+  });
+
+  it('keeps what no line took as unapplied', async () => {
+    fees.technology.status = 'paid';
+    fees.technology.amountPaid = '42.70';
+
+    const payment = record({
+      amount: '700.00',
+      metadata: { method: 'check' },
+      allocations: [{ feeId: 'building', amount: 700 }, { feeId: 'technology', amount: 42.7 }, { feeId: 'missing', amount: 10 }]
+    });
+
+    assert.deepEqual(await FeeService.applyPayment(payment, { transaction }), { applied: 647, unapplied: 53 });
+    assert.deepEqual(payment.metadata, { method: 'check', unappliedAmount: 53 });
+    assert.equal(fees.technology.amountPaid, '42.70');
+  });
+
+  it('reopens the most recently allocated lines on a partial refund', async () => {
+    const payment = record({
+      amount: '689.70',
+      metadata: {},
+      allocations: [{ feeId: 'building', amount: 647 }, { feeId: 'technology', amount: 42.7 }]
+    });
+    await FeeService.applyPayment(payment, { transaction });
+
+    assert.equal(await FeeService.reversePayment(payment, 50, { transaction }), 50);
+
+    assert.equal(fees.technology.amountPaid, 0);
+    assert.equal(fees.technology.status, 'due');
+    assert.equal(fees.building.amountPaid, 639.7);
+    assert.equal(fees.building.status, 'due');
+    assert.deepEqual(payment.allocations.map(({ applied, refunded }) => ({ applied, refunded })), [
+      { applied: 639.7, refunded: 7.3 },
+      { applied: 0, refunded: 42.7 }
+    ]);
+  });
+
+  it('takes a refund out of the unapplied part first', async () => {
+    const payment = record({ amount: '700.00', metadata: {}, allocations: [{ feeId: 'building', amount: 700 }] });
+    await FeeService.applyPayment(payment, { transaction });
+
+    assert.equal(await FeeService.reversePayment(payment, 60, { transaction }), 7);
+    assert.equal(fees.building.amountPaid, 640);
+    assert.equal(fees.building.status, 'due');
+    assert.equal(payment.metadata.unappliedAmount, 0);
+  });
+
+  it('keeps allocations net of refunds across partial refunds', async () => {
+    const payment = record({ amount: '700.00', metadata: {}, allocations: [{ feeId: 'building', amount: 700 }] });
+    await FeeService.applyPayment(payment, { transaction });
+
+    assert.equal(await FeeService.reversePayment(payment, 53, { transaction }), 0);
+    assert.equal(fees.building.status, 'paid');
+
+    assert.equal(await FeeService.reversePayment(payment, 60, { transaction }), 60);
+    assert.equal(fees.building.amountPaid, 587);
+    assert.deepEqual(payment.allocations, [{ feeId: 'building', amount: 700, applied: 587, refunded: 60 }]);
+
+    // Nothing is taken back twice
+    assert.equal(await FeeService.reversePayment(payment, 700, { transaction }), 587);
+    assert.equal(fees.building.amountPaid, 0);
+    assert.deepEqual(payment.allocations, [{ feeId: 'building', amount: 700, applied: 0, refunded: 647 }]);
+  });
+
+  it('leaves payments without allocations alone', async () => {
+    const payment = record({ amount: '25.00', metadata: {}, allocations: [] });
+
+    assert.deepEqual(await FeeService.applyPayment(payment, { transaction }), { applied: 0, unapplied: 0 });
+    assert.equal(await FeeService.reversePayment(payment, 25, { transaction }), 0);
+    assert.equal(PermitFee.findByPk.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const config = require('../src/config/config');
+const workflowService = require('../src/services/workflowService');
+const httpRequest = require('../src/services/stepTypes/httpRequest');
+
+const SECRET = 'gis-token-6f1c2d';
+
+describe('HTTP request step', () => {
+  let server;
+  let baseUrl;
+  let handle;
+  let received;
+
+  const permit = {
+    id: 'permit-1',
+    permitNumber: 'BLD-2026-0042',
+    parcelNumber: '12 34/5',
+    valuation: 50000,
+    owner: { name: 'Dana Reyes' }
+  };
+
+  const run = (stepConfig, { attempt, idempotencyKey = null } = {}) => {
+    const execution = {
+      id: 'execution-1',
+      status: 'in_progress',
+      variables: { district: 'north' },
+      stepHistory: [],
+      async update(changes) {
+        Object.assign(this, changes);
+        return this;
+      }
+    };
+    const promise = httpRequest.execute({
+      config: stepConfig,
+      execution,
+      subject: { entityType: 'permit', entityId: permit.id, entity: permit },
+      idempotencyKey,
+      attempt,
+      engine: workflowService
+    });
+    return { execution, promise };
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        handle(req, res, body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    config.workflow.secrets.GIS_KEY = SECRET;
+    config.workflow.secretHosts.GIS_KEY = ['127.0.0.1'];
+  });
+
+  after(async () => {
+    delete config.workflow.secrets.GIS_KEY;
+    delete config.workflow.secretHosts.GIS_KEY;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    handle = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    };
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('renders {{ }} templates in the url, query, headers and body', async () => {
+    const { promise } = run({
+      method: 'POST',
+      url: `${baseUrl}/parcels/{{ permit.parcelNumber }}`,
+      query: { owner: '{{ permit.owner.name }}', district: '{{ variables.district }}' },
+      headers: { 'X-Permit': '{{ permit.permitNumber }}' },
+      body: { valuation: '{{ permit.valuation }}', label: 'Permit {{ permit.permitNumber }}', owner: '{{ permit.owner }}' }
+    }, { idempotencyKey: 'job-1' });
+
+    const result = await promise;
+    const [request] = received;
+
+    assert.equal(result.success, true);
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/parcels/12%2034%2F5?owner=Dana+Reyes&district=north');
+    assert.equal(request.headers['x-permit'], 'BLD-2026-0042');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['idempotency-key'], 'job-1');
+    assert.deepEqual(JSON.parse(request.body), {
+      valuation: 50000,
+      label: 'Permit BLD-2026-0042',
+      owner: { name: 'Dana Reyes' }
+    });
+  });
+
+  it('resolves secrets.* and masks them in the step result', async () => {
+    const { promise } = run({
+      url: `${baseUrl}/parcels?key={{ secrets.GIS_KEY }}`,
+      headers: { Authorization: 'Bearer {{ secrets.GIS_KEY }}' }
+    });
+
+    const result = await promise;
+    const [request] = received;
+
+    assert.equal(request.headers.authorization, `Bearer ${SECRET}`);
+    assert.equal(request.url, `/parcels?key=${SECRET}`);
+    assert.equal(result.request.url, `${baseUrl}/parcels?key=***`);
+    assert.equal(JSON.stringify(result).includes(SECRET), false);
+  });
+
+  it('masks secrets in the errors of failed requests', async () => {
+    handle = (req, res) => {
+      res.writeHead(503);
+      res.end();
+    };
+
+    const { promise } = run({ url: `${baseUrl}/parcels?key={{ secrets.GIS_KEY }}` }, { attempt: { number: 3, max: 3 } });
+    const result = await promise;
+
+    assert.equal(result.success, false);
+    assert.equal(JSON.stringify(result).includes(SECRET), false);
+    for (const call of [...console.warn.mock.calls, ...console.error.mock.calls]) {
+      assert.equal(call.arguments.join(' ').includes(SECRET), false);
+    }
+  });
+
+  it('refuses to send a secret to a host it is not bound to', async () => {
+    const stepConfig = {
+      url: `http://localhost:${server.address().port}/parcels`,
+      headers: { Authorization: 'Bearer {{ secrets.GIS_KEY }}' }
+    };
+
+    assert.deepEqual(httpRequest.validate(stepConfig), [
+      'secrets.GIS_KEY may only be sent to the hosts in WORKFLOW_SECRET_GIS_KEY_HOST, not localhost'
+    ]);
+    assert.deepEqual(httpRequest.validate({ url: '{{ variables.endpoint }}', body: { key: '{{ secrets.GIS_KEY }}' } }), [
+      'url must start with http:// or https://',
+      'url must name its host without templates when the step uses secrets'
+    ]);
+    assert.deepEqual(httpRequest.validate({ url: `${baseUrl}/parcels`, body: { all: '{{ secrets }}' } }), [
+      'secrets can only be read by name ({{ secrets.NAME }})'
+    ]);
+
+    const result = await run(stepConfig).promise;
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Cannot build request: secrets\.GIS_KEY may only be sent/);
+    assert.equal(received.length, 0);
+  });
+
+  it('throws a retryable error on a 5xx while job attempts are left', async () => {
+    handle = (req, res) => {
+      res.writeHead(503);
+      res.end();
+    };
+
+    await assert.rejects(run({ url: `${baseUrl}/parcels` }, { attempt: { number: 1, max: 5 } }).promise, {
+      name: 'RequestError',
+      message: 'Server responded with status 503',
+      status: 503,
+      retryable: true
+    });
+  });
+
+  it('throws a retryable error on a timeout while job attempts are left', async () => {
+    handle = () => {};
+
+    await assert.rejects(run({ url: `${baseUrl}/slow`, timeoutMs: 200 }, { attempt: { number: 2, max: 5 } }).promise, {
+      name: 'RequestError',
+      message: 'Request timed out after 200ms',
+      retryable: true
+    });
+  });
+
+  it('takes the failure edge once the retries are used up', async () => {
+    handle = (req, res) => {
+      res.writeHead(502);
+      res.end();
+    };
+
+    const lastAttempt = await run({ url: `${baseUrl}/parcels` }, { attempt: { number: 5, max: 5 } }).promise;
+    const noRetries = await run({ url: `${baseUrl}/parcels`, retries: 0 }, { attempt: { number: 1, max: 5 } }).promise;
+
+    for (const result of [lastAttempt, noRetries]) {
+      assert.equal(result.success, false);
+      assert.equal(result.status, 502);
+      assert.equal(workflowService.isStepSuccessful(result), false);
+    }
+  });
+
+  it('takes the failure edge on other non-2xx responses without retrying', async () => {
+    handle = (req, res) => {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end('{"error":"Parcel not found"}');
+    };
+
+    const { execution, promise } = run({
+      url: `${baseUrl}/parcels/missing`,
+      responseMapping: { zoning: 'response.body.zoning' }
+    }, { attempt: { number: 1, max: 5 } });
+    const result = await promise;
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 404);
+    assert.equal(result.error, 'Server responded with status 404');
+    assert.equal(workflowService.isStepSuccessful(result), false);
+    assert.deepEqual(execution.variables, { district: 'north' });
+  });
+
+  it('maps response fields into the execution variables', async () => {
+    handle = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Source': 'county-gis' });
+      res.end(JSON.stringify({ parcel: { zoning: 'R1', acres: '0.25' }, flood: true }));
+    };
+
+    const { execution, promise } = run({
+      url: `${baseUrl}/parcels/{{ permit.parcelNumber }}`,
+      responseMapping: {
+        zoning: 'response.body.parcel.zoning',
+        floodZone: 'response.body.flood == true',
+        acres: 'number(response.body.parcel.acres)',
+        source: "response.headers['x-source']",
+        missing: 'response.body.parcel.owner'
+      }
+    });
+    const result = await promise;
+
+    const mapped = { zoning: 'R1', floodZone: true, acres: 0.25, source: 'county-gis', missing: null };
+    assert.equal(result.success, true);
+    assert.equal(result.status, 200);
+    assert.deepEqual(result.variables, mapped);
+    assert.deepEqual(execution.variables, { district: 'north', ...mapped });
+  });
+});
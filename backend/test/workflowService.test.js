@@ -0,0 +1,342 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Op } = require('sequelize');
+const { WorkflowExecution, WorkflowStep, Task, User } = require('../src/models');
+const NotificationService = require('../src/services/notificationService');
+const workflowService = require('../src/services/workflowService');
+const workflowScheduler = require('../src/services/workflowScheduler');
+
+const record = values => ({
+  metadata: {},
+  history: [],
+  ...values,
+  async update(changes) {
+    Object.assign(this, changes);
+    return this;
+  }
+});
+
+const approvalTask = (id, assignedTo, values = {}) => record({
+  id,
+  type: 'approval',
+  workflowExecutionId: 'execution-1',
+  workflowStepId: 'step-approve',
+  assignedTo,
+  status: 'pending',
+  metadata: { requiredApprovals: 3, approvalRule: 'quorum' },
+  createdAt: new Date(`2026-03-02T10:00:0${id.slice(-1)}Z`),
+  ...values
+});
+
+describe('WorkflowService approval quorum after a step timeout', () => {
+  const step = {
+    id: 'step-approve',
+    name: 'Council approval',
+    stepType: 'approval',
+    requiredApprovals: 3,
+    timeoutDuration: 480,
+    timeoutAction: 'escalate',
+    config: { escalateTo: 'user-admin' }
+  };
+  let tasks;
+  let execution;
+
+  beforeEach(() => {
+    // One approver voted before the timeout; two votes are still missing
+    tasks = [
+      approvalTask('task-1', 'user-admin', {
+        status: 'completed',
+        outcome: 'approved',
+        completedBy: 'user-admin',
+        completedAt: new Date('2026-03-02T11:00:00Z')
+      }),
+      approvalTask('task-2', 'user-b'),
+      approvalTask('task-3', 'user-c')
+    ];
+    execution = record({
+      id: 'execution-1',
+      status: 'pending',
+      currentStepId: step.id,
+      currentStep: step,
+      executionData: { currentStepDueAt: '2026-03-02T18:00:00.000Z' },
+      stepHistory: []
+    });
+
+    mock.method(WorkflowExecution, 'findByPk', async () => execution);
+    mock.method(Task, 'findAll', async ({ where }) => (where.status
+      ? tasks.filter(t => ['pending', 'assigned', 'in_progress', 'overdue'].includes(t.status))
+      : tasks));
+    mock.method(Task, 'update', async () => [0]);
+    mock.method(User, 'findByPk', async id => ({ id }));
+    mock.method(NotificationService, 'create', async () => ({}));
+    mock.method(workflowService, 'resumeWorkflow', async () => execution);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('hands the step to the escalation target and cancels the other open votes', async () => {
+    const result = await workflowService.applyStepTimeout(execution.id);
+
+    assert.equal(result.escalatedTo, 'user-admin');
+    assert.deepEqual(result.cancelledTaskIds, ['task-3']);
+    assert.equal(tasks[1].assignedTo, 'user-admin');
+    assert.equal(tasks[1].status, 'overdue');
+    assert.equal(tasks[1].metadata.decidesStep, true);
+    assert.equal(tasks[1].metadata.escalatedFrom, 'user-b');
+    assert.equal(tasks[2].status, 'cancelled');
+    assert.equal(execution.executionData.currentStepDueAt, null);
+
+    // Quorum cannot be reached any more, but the step is not decided either
+    const tally = workflowService.tallyApprovals(tasks);
+    assert.equal(tally.decision, null);
+  });
+
+  it('lets the escalation target decide the step even after voting on it', async () => {
+    await workflowService.applyStepTimeout(execution.id);
+
+    Object.assign(tasks[1], {
+      status: 'completed',
+      outcome: 'approved',
+      completedBy: 'user-admin',
+      completedAt: new Date('2026-03-03T09:00:00Z')
+    });
+
+    const tally = await workflowService.handleTaskCompletion(tasks[1]);
+
+    assert.equal(tally.decision, 'approved');
+    assert.deepEqual(tally.votes.map(v => v.vote), ['approved', 'approved', 'cancelled']);
+    assert.deepEqual(workflowService.resumeWorkflow.mock.calls[0].arguments, [execution.id, 'approved', step.id, 'user-admin']);
+  });
+
+  it('follows the escalation target when they reject', async () => {
+    await workflowService.applyStepTimeout(execution.id);
+
+    Object.assign(tasks[1], {
+      status: 'completed',
+      outcome: 'rejected',
+      completedBy: 'user-admin',
+      completedAt: new Date('2026-03-03T09:00:00Z')
+    });
+
+    assert.equal(workflowService.tallyApprovals(tasks).decision, 'rejected');
+  });
+
+  it('still counts a user only once without an escalation', () => {
+    Object.assign(tasks[1], {
+      status: 'completed',
+      outcome: 'approved',
+      completedBy: 'user-admin',
+      completedAt: new Date('2026-03-03T09:00:00Z')
+    });
+
+    const tally = workflowService.tallyApprovals(tasks);
+
+    assert.equal(tally.approved, 1);
+    assert.equal(tally.votes[1].vote, 'duplicate');
+    assert.equal(tally.decision, 'rejected');
+  });
+});
+
+describe('WorkflowService step timeouts in parallel branches', () => {
+  const reviewStep = {
+    id: 'step-review',
+    name: 'Fire review',
+    stepType: 'manual_review',
+    timeoutDuration: 240,
+    timeoutAction: 'auto_approve',
+    config: {}
+  };
+  let execution;
+  let tasks;
+
+  beforeEach(() => {
+    // One branch still runs while the other waits on an overdue review
+    execution = record({
+      id: 'execution-2',
+      status: 'in_progress',
+      currentStepId: 'step-fork',
+      currentStep: { id: 'step-fork', stepType: 'fork' },
+      executionData: {
+        currentStepDueAt: '2026-03-02T14:00:00.000Z',
+        parallel: {
+          forkStepId: 'step-fork',
+          joinStepId: 'step-join',
+          waitFor: 'all',
+          branches: [
+            { id: 'step-gis', currentStepId: 'step-gis', status: 'active', dueAt: null, finishedAt: null },
+            { id: 'step-review', currentStepId: 'step-review', status: 'waiting', dueAt: '2026-03-02T14:00:00.000Z', finishedAt: null }
+          ]
+        }
+      },
+      stepHistory: []
+    });
+    tasks = [record({ id: 'task-9', type: 'review', workflowStepId: 'step-review', assignedTo: 'user-b', status: 'pending' })];
+
+    mock.method(WorkflowExecution, 'findByPk', async () => execution);
+    mock.method(WorkflowStep, 'findByPk', async () => reviewStep);
+    mock.method(Task, 'findAll', async () => tasks);
+    mock.method(workflowService, 'resumeWorkflow', async () => execution);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('times out a waiting branch while another branch is still running', async () => {
+    const result = await workflowService.applyStepTimeout(execution.id);
+
+    assert.equal(result.outcome, 'approved');
+    assert.equal(tasks[0].status, 'completed');
+    assert.equal(execution.executionData.parallel.branches[1].dueAt, null);
+    assert.equal(execution.executionData.currentStepDueAt, null);
+    assert.equal(execution.stepHistory[0].branchId, 'step-review');
+    assert.deepEqual(workflowService.resumeWorkflow.mock.calls[0].arguments, [execution.id, 'approved', 'step-review']);
+  });
+
+  it('leaves an in-progress execution without parallel branches alone', async () => {
+    const { parallel, ...executionData } = execution.executionData;
+    execution.executionData = executionData;
+
+    assert.equal(await workflowService.applyStepTimeout(execution.id), null);
+    assert.equal(workflowService.resumeWorkflow.mock.callCount(), 0);
+  });
+
+  it('is picked up by the scheduler sweep', async () => {
+    mock.method(WorkflowExecution, 'findAll', async ({ where }) =>
+      (where.status[Op.in].includes(execution.status) ? [{ id: execution.id }] : []));
+
+    assert.equal(await workflowScheduler.checkStepTimeouts(new Date('2026-03-02T15:00:00Z')), 1);
+    assert.equal(tasks[0].outcome, 'approved');
+  });
+});
+
+describe('WorkflowService execution timeout', () => {
+  let executions;
+
+  beforeEach(() => {
+    executions = {
+      parent: record({ id: 'parent', status: 'pending', currentStepId: 'step-sub', executionData: {}, stepHistory: [] }),
+      child: record({
+        id: 'child',
+        status: 'pending',
+        parentExecutionId: 'parent',
+        executionData: { parent: { executionId: 'parent', stepId: 'step-sub' } }
+      }),
+      grandchild: record({
+        id: 'grandchild',
+        status: 'in_progress',
+        parentExecutionId: 'child',
+        executionData: { parent: { executionId: 'child', stepId: 'step-inner' } }
+      })
+    };
+
+    mock.method(WorkflowExecution, 'findByPk', async id => executions[id] || null);
+    mock.method(WorkflowExecution, 'findAll', async ({ where }) => Object.values(executions)
+      .filter(e => e.parentExecutionId === where.parentExecutionId && where.status[Op.in].includes(e.status)));
+    mock.method(Task, 'update', async () => [0]);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cancels the sub-workflows of a timed-out execution', async () => {
+    await workflowService.timeoutExecution('parent');
+
+    assert.equal(executions.parent.status, 'timeout');
+    assert.equal(executions.child.status, 'cancelled');
+    assert.equal(executions.child.cancellationReason, 'Parent execution timed out');
+    assert.equal(executions.grandchild.status, 'cancelled');
+    assert.equal(executions.grandchild.cancellationReason, 'Parent execution cancelled: Parent execution timed out');
+    assert.deepEqual(Task.update.mock.calls.map(call => call.arguments[1].where.workflowExecutionId), ['parent', 'child', 'grandchild']);
+  });
+});
+
+describe('WorkflowService step executors', () => {
+  const PermitLifecycleService = require('../src/services/permitLifecycleService');
+  const TaskAssignmentService = require('../src/services/taskAssignmentService');
+
+  const subject = {
+    entityType: 'permit',
+    entityId: 'permit-1',
+    description: 'permit BLD-2026-0001',
+    entity: { id: 'permit-1', permitNumber: 'BLD-2026-0001', status: 'under_review' }
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('fails a status update on a lifecycle guard', async () => {
+    mock.method(PermitLifecycleService, 'transition', async () => {
+      throw Object.assign(new Error('Cannot move from under_review to closed'), { statusCode: 409, guard: 'transition' });
+    });
+
+    assert.deepEqual(await workflowService.executeStatusUpdate(subject, { status: 'closed' }), {
+      success: false,
+      error: 'Cannot move from under_review to closed',
+      guard: 'transition'
+    });
+  });
+
+  it('issues a permit with its placard recorded as uploaded by the last approver', async () => {
+    const PermitIssuanceService = require('../src/services/permitIssuanceService');
+    mock.method(PermitIssuanceService, 'issue', async () => ({ fromStatus: 'approved', document: { id: 'document-1' } }));
+    mock.method(PermitLifecycleService, 'announce', () => {});
+
+    const execution = {
+      id: 'execution-1',
+      initiatedBy: 'user-applicant',
+      stepHistory: [
+        { stepName: 'Plan review', resumed: true, actorId: 'user-reviewer' },
+        { stepName: 'Council approval', resumed: true, actorId: 'user-approver' },
+        { stepName: 'Fees paid', result: { success: true } }
+      ]
+    };
+
+    assert.deepEqual(await workflowService.executeStatusUpdate(subject, { status: 'issued' }, execution), {
+      success: true,
+      statusUpdated: true,
+      newStatus: 'issued',
+      placardDocumentId: 'document-1'
+    });
+    assert.equal(PermitIssuanceService.issue.mock.calls[0].arguments[1].userId, 'user-approver');
+
+    await workflowService.executeStatusUpdate(subject, { status: 'issued' }, { ...execution, stepHistory: [] });
+    assert.equal(PermitIssuanceService.issue.mock.calls[1].arguments[1].userId, 'user-applicant');
+  });
+
+  it('rethrows other status update errors so the job is retried', async () => {
+    mock.method(PermitLifecycleService, 'transition', async () => {
+      throw new Error('connection terminated');
+    });
+
+    await assert.rejects(workflowService.executeStatusUpdate(subject, { status: 'approved' }), /connection terminated/);
+  });
+
+  it('rethrows when a waiting step cannot create its task', async () => {
+    mock.method(TaskAssignmentService, 'assign', async () => {
+      throw new Error('connection terminated');
+    });
+
+    await assert.rejects(workflowService.executeManualReview(subject, {}, { id: 'execution-1' }, { id: 'step-review' }), /connection terminated/);
+    await assert.rejects(workflowService.executeApproval(subject, {}, { id: 'execution-1' }, { id: 'step-approve' }), /connection terminated/);
+  });
+
+  it('rethrows when a notification cannot be sent', async () => {
+    mock.method(User, 'findByPk', async id => ({ id }));
+    mock.method(NotificationService, 'create', async () => {
+      throw new Error('connection terminated');
+    });
+
+    await assert.rejects(workflowService.executeNotification(subject, { userId: 'user-a' }), /connection terminated/);
+  });
+});
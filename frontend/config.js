@@ -17,9 +17,24 @@ const API_CONFIG = {
       UPDATE: (id) => `/api/permits/${id}`,
       DELETE: (id) => `/api/permits/${id}`,
       UPDATE_STATUS: (id) => `/api/permits/${id}/status`,
+      TRANSITIONS: (id) => `/api/permits/${id}/transitions`,
+      FEES: (id) => `/api/permits/${id}/fees`,
+      ASSESS_FEES: (id) => `/api/permits/${id}/fees/assess`,
+      WAIVE_FEE: (id, feeId) => `/api/permits/${id}/fees/${feeId}/waive`,
+      ISSUE: (id) => `/api/permits/${id}/issue`,
+      PLACARD: (id) => `/api/permits/${id}/placard`,
+      VERIFY: (permitNumber) => `/api/permits/verify/${encodeURIComponent(permitNumber)}`,
       STATS: '/api/permits/stats',
       SEARCH: '/api/permits/search'
     },
+    PERMIT_TYPES: {
+      LIST: '/api/permit-types',
+      CREATE: '/api/permit-types',
+      GET: (idOrCode) => `/api/permit-types/${idOrCode}`,
+      UPDATE: (id) => `/api/permit-types/${id}`,
+      DELETE: (id) => `/api/permit-types/${id}`,
+      QUOTE_FEES: (idOrCode) => `/api/permit-types/${idOrCode}/fees/quote`
+    },
     DASHBOARD: {
       METRICS: '/api/dashboard/metrics'
     },
@@ -28,8 +43,19 @@ const API_CONFIG = {
       GET: (id) => `/api/workflows/${id}`,
       EXECUTIONS: '/api/workflows/executions/list',
       EXECUTION_GET: (id) => `/api/workflows/executions/${id}`,
+      EXECUTION_TIMELINE: (id) => `/api/workflows/executions/${id}/timeline`,
+      HEATMAP: (id) => `/api/workflows/${id}/heatmap`,
       RESUME: (id) => `/api/workflows/executions/${id}/resume`,
-      CANCEL: (id) => `/api/workflows/executions/${id}/cancel`
+      CANCEL: (id) => `/api/workflows/executions/${id}/cancel`,
+      STEP_TYPES: '/api/workflows/step-types'
+    },
+    CALENDARS: {
+      LIST: '/api/calendars',
+      GET: (id) => `/api/calendars/${id}`,
+      CREATE: '/api/calendars',
+      UPDATE: (id) => `/api/calendars/${id}`,
+      DELETE: (id) => `/api/calendars/${id}`,
+      CALCULATE: (id) => `/api/calendars/${id}/calculate`
     },
     TASKS: {
       LIST: '/api/workflows/tasks',
@@ -121,13 +121,13 @@ const Permits = {
     /**
      * Update permit status
      */
-    async updatePermitStatus(permitId, status) {
+    async updatePermitStatus(permitId, status, reason = null) {
         try {
             const response = await Auth.apiCall(
                 API_CONFIG.ENDPOINTS.PERMITS.UPDATE_STATUS(permitId),
                 {
                     method: 'PATCH',
-                    body: JSON.stringify({ status })
+                    body: JSON.stringify(reason ? { status, reason } : { status })
                 }
             );
 
@@ -137,7 +137,8 @@ const Permits = {
             return response.permit;
         } catch (error) {
             console.error('Failed to update permit status:', error);
-            this.showError('Failed to update permit status.');
+            // The server says which lifecycle rule or guard blocked the change
+            this.showError(`Failed to update permit status: ${error.message}`);
             throw error;
         }
     },
@@ -238,7 +239,13 @@ const Permits = {
                 'under_review': { bg: 'bg-yellow-500/20', text: 'text-yellow-400', border: 'border-yellow-400/30' },
                 'approved': { bg: 'bg-emerald-500/20', text: 'text-emerald-400', border: 'border-emerald-400/30' },
                 'rejected': { bg: 'bg-red-500/20', text: 'text-red-400', border: 'border-red-400/30' },
-                'pending': { bg: 'bg-orange-500/20', text: 'text-orange-400', border: 'border-orange-400/30' }
+                'pending': { bg: 'bg-orange-500/20', text: 'text-orange-400', border: 'border-orange-400/30' },
+                'draft': { bg: 'bg-gray-500/20', text: 'text-gray-400', border: 'border-gray-400/30' },
+                'needs_info': { bg: 'bg-orange-500/20', text: 'text-orange-400', border: 'border-orange-400/30' },
+                'issued': { bg: 'bg-teal-500/20', text: 'text-teal-400', border: 'border-teal-400/30' },
+                'expired': { bg: 'bg-gray-500/20', text: 'text-gray-400', border: 'border-gray-400/30' },
+                'revoked': { bg: 'bg-red-500/20', text: 'text-red-400', border: 'border-red-400/30' },
+                'closed': { bg: 'bg-slate-500/20', text: 'text-slate-400', border: 'border-slate-400/30' }
             };
 
             const status = permit.status || 'submitted';
@@ -321,7 +328,13 @@ const Permits = {
                 'under_review': 'bg-yellow-500',
                 'approved': 'bg-emerald-500',
                 'rejected': 'bg-red-500',
-                'pending': 'bg-orange-500'
+                'pending': 'bg-orange-500',
+                'draft': 'bg-gray-500',
+                'needs_info': 'bg-orange-500',
+                'issued': 'bg-teal-500',
+                'expired': 'bg-gray-500',
+                'revoked': 'bg-red-500',
+                'closed': 'bg-slate-500'
             };
 
             const status = permit.status || 'submitted';
@@ -404,15 +417,37 @@ const Permits = {
      * Change permit status
      */
     async changeStatus(permitId) {
-        const newStatus = prompt('Enter new status (submitted, under_review, approved, rejected):');
-        if (newStatus && ['submitted', 'under_review', 'approved', 'rejected'].includes(newStatus)) {
-            try {
-                await this.updatePermitStatus(permitId, newStatus);
-            } catch (error) {
-                console.error('Failed to change status:', error);
+        try {
+            const { transitions } = await Auth.apiCall(API_CONFIG.ENDPOINTS.PERMITS.TRANSITIONS(permitId));
+            const available = transitions.filter(t => t.allowed);
+
+            if (available.length === 0) {
+                const blocked = transitions.map(t => `${t.status}: ${t.failures.map(f => f.message).join('; ')}`);
+                alert(blocked.length > 0
+                    ? `No status change is possible right now.\n${blocked.join('\n')}`
+                    : 'This permit cannot change status.');
+                return;
+            }
+
+            const statuses = available.map(t => t.status);
+            const newStatus = prompt(`Enter new status (${statuses.join(', ')}):`);
+            if (!newStatus) return;
+
+            const transition = available.find(t => t.status === newStatus);
+            if (!transition) {
+                alert(`Invalid status. Please use: ${statuses.join(', ')}`);
+                return;
             }
-        } else if (newStatus) {
-            alert('Invalid status. Please use: submitted, under_review, approved, or rejected');
+
+            let reason = null;
+            if (transition.requiresReason) {
+                reason = prompt('Reason (sent to the applicant):');
+                if (!reason) return;
+            }
+
+            await this.updatePermitStatus(permitId, newStatus, reason);
+        } catch (error) {
+            console.error('Failed to change status:', error);
         }
     },
 